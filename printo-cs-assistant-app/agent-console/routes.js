@@ -0,0 +1,209 @@
+/**
+ * Live Agent Console Endpoints
+ * Backs public/console.html: lists active sessions from the session store,
+ * flags errors / handoffs and lets an agent reply to a WhatsApp customer.
+ */
+
+const express = require('express');
+
+// How many recent messages each session card shows
+const PREVIEW_MESSAGES = 4;
+
+/**
+ * Summarise a session for the console list
+ * @private
+ */
+function summarizeSession(sessionId, session, handoff) {
+    const metadata = session.metadata || {};
+
+    return {
+        sessionId,
+        userId: session.userId,
+        source: sessionId.startsWith('botspace_') ? 'whatsapp' : 'web',
+        customerName: metadata.customerName || null,
+        customerPhone: metadata.customerPhone || null,
+        productInterest: metadata.productInterest || null,
+        language: metadata.language || null,
+        startTime: metadata.startTime,
+        lastActivity: metadata.lastActivity,
+        messageCount: session.messages.length,
+        latestMessages: session.messages.slice(-PREVIEW_MESSAGES),
+        flags: {
+            error: metadata.lastError || null,
+            handoff: handoff ? { id: handoff.id, status: handoff.status, reason: handoff.reason, claimedBy: handoff.claimedBy } : null
+        }
+    };
+}
+
+/**
+ * Build the agent console router
+ * @param {object} deps
+ * @param {object} deps.sessionStore - Session store (see session-store/)
+ * @param {HandoffManager} deps.handoffManager
+ * @param {BotSpaceService} deps.botSpaceService
+ * @param {BotSpaceOutbox} deps.botSpaceOutbox - Agent replies go through the outbox like bot replies
+ * @returns {express.Router}
+ */
+function createAgentConsoleRouter({ sessionStore, handoffManager, botSpaceService, botSpaceOutbox }) {
+    const router = express.Router();
+
+    /**
+     * GET /api/console/sessions?source=whatsapp|web&flagged=true&limit=50
+     * Active sessions, most recent activity first
+     */
+    router.get('/console/sessions', async (req, res) => {
+        try {
+            const limit = parseInt(req.query.limit) || 50;
+            const { source } = req.query;
+            const flaggedOnly = req.query.flagged === 'true';
+
+            let sessions = (await sessionStore.list()).map(({ sessionId, session }) =>
+                summarizeSession(sessionId, session, handoffManager.getActiveForSession(sessionId))
+            );
+
+            if (source) {
+                sessions = sessions.filter(session => session.source === source);
+            }
+            if (flaggedOnly) {
+                sessions = sessions.filter(session => session.flags.error || session.flags.handoff);
+            }
+
+            sessions.sort((a, b) => (b.lastActivity || 0) - (a.lastActivity || 0));
+
+            res.json({
+                success: true,
+                sessions: sessions.slice(0, limit),
+                count: sessions.length,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('❌ [CONSOLE] Session list error:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    /**
+     * GET /api/console/sessions/:sessionId
+     * Full session history plus handoff transcript (if any)
+     */
+    router.get('/console/sessions/:sessionId', async (req, res) => {
+        try {
+            const { sessionId } = req.params;
+            const session = await sessionStore.get(sessionId);
+
+            if (!session) {
+                return res.status(404).json({ success: false, error: 'Session not found' });
+            }
+
+            const handoff = handoffManager.getActiveForSession(sessionId);
+
+            res.json({
+                success: true,
+                session: {
+                    ...summarizeSession(sessionId, session, handoff),
+                    messages: session.messages,
+                    metadata: session.metadata
+                },
+                handoff: handoff
+            });
+        } catch (error) {
+            console.error('❌ [CONSOLE] Session load error:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    /**
+     * POST /api/console/sessions/:sessionId/reply
+     * Body: { message }
+     * Sends an agent message to the customer via BotSpace and pauses the bot for this conversation.
+     * The agent is the authenticated caller.
+     * 202 = queued in the outbox for retry, 502 = BotSpace rejected it permanently
+     */
+    router.post('/console/sessions/:sessionId/reply', async (req, res) => {
+        const { sessionId } = req.params;
+        const { message } = req.body;
+        const agent = req.auth.name;
+
+        if (!message) {
+            return res.status(400).json({ success: false, error: 'Message is required' });
+        }
+
+        try {
+            const session = await sessionStore.get(sessionId);
+            if (!session) {
+                return res.status(404).json({ success: false, error: 'Session not found' });
+            }
+
+            const conversationId = session.metadata.botspaceConversationId;
+            if (!conversationId) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'NO_CONVERSATION',
+                    message: 'This session has no BotSpace conversation to reply to'
+                });
+            }
+
+            if (!botSpaceService.isConfigured()) {
+                return res.status(503).json({ success: false, error: 'BotSpace is not configured' });
+            }
+
+            const outboxMessage = await botSpaceOutbox.send({
+                conversationId,
+                text: message,
+                context: { sessionId, source: 'agent', agent }
+            });
+
+            if (outboxMessage.status === 'dead') {
+                return res.status(502).json({
+                    success: false,
+                    error: outboxMessage.lastError?.type || 'SEND_FAILED',
+                    message: outboxMessage.lastError?.message,
+                    outboxId: outboxMessage.id
+                });
+            }
+
+            // Agent is now handling this conversation - make sure the bot stays out of it
+            let handoff = handoffManager.getActiveForSession(sessionId);
+            if (!handoff) {
+                handoff = handoffManager.requestHandoff({
+                    sessionId,
+                    reason: 'agent_takeover',
+                    transcript: session.messages,
+                    customerName: session.metadata.customerName,
+                    customerPhone: session.metadata.customerPhone,
+                    conversationId
+                });
+            }
+            if (handoff.status === 'queued') {
+                handoffManager.claim(handoff.id, agent);
+            }
+            handoffManager.recordMessage(sessionId, 'agent', message, { agent });
+
+            session.messages.push({ role: 'assistant', content: message, agent: agent, timestamp: Date.now() });
+            session.metadata.lastActivity = Date.now();
+            await sessionStore.set(sessionId, session);
+
+            console.log(`👤 [CONSOLE] ${agent} replied to ${sessionId}`);
+
+            // Still pending = BotSpace failed or rate limited us; the outbox keeps retrying
+            res.status(outboxMessage.status === 'sent' ? 200 : 202).json({
+                success: true,
+                queued: outboxMessage.status !== 'sent',
+                messageId: outboxMessage.botspaceMessageId,
+                outboxId: outboxMessage.id,
+                handoff: { id: handoff.id, status: handoff.status, claimedBy: handoff.claimedBy }
+            });
+        } catch (error) {
+            console.error('❌ [CONSOLE] Reply error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'INTERNAL_ERROR',
+                message: error.message
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createAgentConsoleRouter };
@@ -0,0 +1,245 @@
+/**
+ * API Authentication & Roles
+ *
+ * Callers authenticate with either:
+ * - a static API key from ADMIN_API_KEYS ("name:role:key,name:role:key")
+ * - a signed token issued by POST /admin/tokens (HMAC-SHA256 with AUTH_TOKEN_SECRET)
+ *
+ * sent as `Authorization: Bearer <key-or-token>` or `X-API-Key: <key-or-token>`.
+ *
+ * Roles are ordered: viewer < operator < admin. A route that needs "operator"
+ * accepts operators and admins.
+ */
+
+const crypto = require('crypto');
+
+const ROLES = ['viewer', 'operator', 'admin'];
+
+const TOKEN_PREFIX = 'v1';
+const DEFAULT_TOKEN_TTL_HOURS = 12;
+
+// Example keys from .env.example - anyone who has read it could use them
+const PLACEHOLDER_KEY_PATTERN = /^change-?me/i;
+
+/**
+ * base64url helpers
+ * @private
+ */
+function toBase64Url(value) {
+    return Buffer.from(value).toString('base64url');
+}
+
+function fromBase64Url(value) {
+    return Buffer.from(value, 'base64url').toString('utf8');
+}
+
+/**
+ * Constant-time string comparison (hash first so lengths always match)
+ * @private
+ */
+function safeEqual(a, b) {
+    const hashA = crypto.createHash('sha256').update(String(a)).digest();
+    const hashB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(hashA, hashB);
+}
+
+class ApiAuth {
+    /**
+     * @param {object} options
+     * @param {string} options.apiKeys - "name:role:key" list (defaults to ADMIN_API_KEYS)
+     * @param {string} options.tokenSecret - HMAC secret for signed tokens (defaults to AUTH_TOKEN_SECRET)
+     * @param {AuditLog} options.auditLog - Where denied requests are recorded (optional)
+     * @throws {Error} PLACEHOLDER_API_KEY if a key is still a "change-me" example key
+     */
+    constructor(options = {}) {
+        this.apiKeys = this._parseApiKeys(options.apiKeys ?? process.env.ADMIN_API_KEYS ?? '');
+
+        const placeholders = this.apiKeys.filter(entry => PLACEHOLDER_KEY_PATTERN.test(entry.key));
+        if (placeholders.length > 0) {
+            console.error(`❌ [AUTH] ADMIN_API_KEYS still uses example "change-me" keys (${placeholders.map(entry => entry.name).join(', ')}) - set real keys before starting`);
+            throw new Error('PLACEHOLDER_API_KEY');
+        }
+        this.tokenSecret = options.tokenSecret ?? process.env.AUTH_TOKEN_SECRET ?? '';
+        this.auditLog = options.auditLog || null;
+
+        if (!this.isConfigured()) {
+            console.warn('⚠️  No ADMIN_API_KEYS or AUTH_TOKEN_SECRET configured - /admin and /debug routes are locked');
+        } else {
+            console.log(`🔐 API auth: ${this.apiKeys.length} API key(s), signed tokens ${this.tokenSecret ? 'enabled' : 'disabled'}`);
+        }
+    }
+
+    /**
+     * Is there any way to authenticate?
+     * @returns {boolean}
+     */
+    isConfigured() {
+        return this.apiKeys.length > 0 || !!this.tokenSecret;
+    }
+
+    /**
+     * Does `role` satisfy `requiredRole`?
+     * @param {string} role
+     * @param {string} requiredRole
+     * @returns {boolean}
+     */
+    hasRole(role, requiredRole) {
+        const index = ROLES.indexOf(role);
+        return index !== -1 && index >= ROLES.indexOf(requiredRole);
+    }
+
+    /**
+     * Issue a signed token
+     * @param {string} subject - Who the token is for (shown in the audit log)
+     * @param {string} role - viewer | operator | admin
+     * @param {number} ttlHours - Lifetime in hours
+     * @returns {object} { token, subject, role, expiresAt }
+     * @throws {Error} TOKENS_DISABLED | INVALID_ROLE | INVALID_SUBJECT
+     */
+    issueToken(subject, role, ttlHours = DEFAULT_TOKEN_TTL_HOURS) {
+        if (!this.tokenSecret) {
+            throw new Error('TOKENS_DISABLED');
+        }
+        if (!ROLES.includes(role)) {
+            throw new Error('INVALID_ROLE');
+        }
+        if (!subject || typeof subject !== 'string') {
+            throw new Error('INVALID_SUBJECT');
+        }
+
+        const expiresAt = Date.now() + (parseFloat(ttlHours) || DEFAULT_TOKEN_TTL_HOURS) * 60 * 60 * 1000;
+        const payload = toBase64Url(JSON.stringify({ sub: subject, role: role, exp: expiresAt }));
+        const token = `${TOKEN_PREFIX}.${payload}.${this._sign(payload)}`;
+
+        return { token, subject, role, expiresAt: new Date(expiresAt).toISOString() };
+    }
+
+    /**
+     * Resolve a credential to an identity
+     * @param {string} credential - API key or signed token
+     * @returns {object|null} { name, role, method } or null if invalid/expired
+     */
+    verify(credential) {
+        if (!credential) return null;
+
+        if (credential.startsWith(`${TOKEN_PREFIX}.`)) {
+            return this._verifyToken(credential);
+        }
+
+        const apiKey = this.apiKeys.find(entry => safeEqual(entry.key, credential));
+        return apiKey ? { name: apiKey.name, role: apiKey.role, method: 'api_key' } : null;
+    }
+
+    /**
+     * Pull the credential out of a request
+     * @param {express.Request} req
+     * @returns {string|null}
+     */
+    getCredential(req) {
+        const header = req.get('authorization');
+        if (header && header.toLowerCase().startsWith('bearer ')) {
+            return header.slice(7).trim();
+        }
+        return req.get('x-api-key') || null;
+    }
+
+    /**
+     * Express middleware: require at least `requiredRole`
+     * Sets req.auth = { name, role, method } on success
+     * @param {string} requiredRole - viewer | operator | admin
+     * @returns {Function}
+     */
+    requireRole(requiredRole) {
+        return (req, res, next) => {
+            const identity = this.verify(this.getCredential(req));
+
+            if (!identity) {
+                this._recordDenied(req, null, requiredRole);
+                return res.status(401).json({
+                    success: false,
+                    error: 'UNAUTHORIZED',
+                    message: 'A valid API key or token is required'
+                });
+            }
+
+            if (!this.hasRole(identity.role, requiredRole)) {
+                this._recordDenied(req, identity, requiredRole);
+                return res.status(403).json({
+                    success: false,
+                    error: 'FORBIDDEN',
+                    message: `This action requires the ${requiredRole} role`
+                });
+            }
+
+            req.auth = identity;
+            next();
+        };
+    }
+
+    /**
+     * @private
+     */
+    _verifyToken(token) {
+        if (!this.tokenSecret) return null;
+
+        const [, payload, signature] = token.split('.');
+        if (!payload || !signature || !safeEqual(this._sign(payload), signature)) {
+            return null;
+        }
+
+        try {
+            const claims = JSON.parse(fromBase64Url(payload));
+            if (!claims.exp || claims.exp < Date.now() || !ROLES.includes(claims.role)) {
+                return null;
+            }
+            return { name: claims.sub, role: claims.role, method: 'token' };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _sign(payload) {
+        return crypto.createHmac('sha256', this.tokenSecret).update(payload).digest('base64url');
+    }
+
+    /**
+     * @private
+     */
+    _parseApiKeys(value) {
+        return value.split(',')
+            .map(entry => entry.trim())
+            .filter(Boolean)
+            .map(entry => {
+                const [name, role, ...keyParts] = entry.split(':');
+                const key = keyParts.join(':');
+
+                if (!name || !ROLES.includes(role) || !key) {
+                    console.error(`❌ [AUTH] Ignoring malformed ADMIN_API_KEYS entry for "${name || '?'}" (expected name:role:key)`);
+                    return null;
+                }
+                return { name, role, key };
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * @private
+     */
+    _recordDenied(req, identity, requiredRole) {
+        if (!this.auditLog) return;
+
+        this.auditLog.record({
+            actor: identity ? identity.name : null,
+            role: identity ? identity.role : null,
+            action: `${req.method} ${req.baseUrl}${req.path}`,
+            outcome: identity ? 'forbidden' : 'unauthorized',
+            details: { requiredRole },
+            ip: req.ip
+        });
+    }
+}
+
+module.exports = { ApiAuth, ROLES };
@@ -0,0 +1,97 @@
+/**
+ * Admin Audit Log
+ * Append-only JSON lines file recording who did what on /admin and /debug routes
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { dataPath } = require('../json-file');
+
+class AuditLog {
+    /**
+     * @param {object} options
+     * @param {string} options.filePath - JSON lines file (defaults to AUDIT_LOG_PATH or data/audit.log)
+     */
+    constructor(options = {}) {
+        this.filePath = options.filePath || process.env.AUDIT_LOG_PATH || dataPath('audit.log');
+    }
+
+    /**
+     * Append an entry
+     * @param {object} entry
+     * @param {string} entry.actor - Key/token name (null when unauthenticated)
+     * @param {string} entry.role - Caller role
+     * @param {string} entry.action - What was attempted (e.g. "products.reload")
+     * @param {string} entry.outcome - success | failed | unauthorized | forbidden
+     * @param {object} entry.details - Extra context (status code, request params...)
+     * @param {string} entry.ip - Caller IP
+     */
+    record(entry) {
+        const line = JSON.stringify({ timestamp: new Date().toISOString(), ...entry });
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.appendFileSync(this.filePath, line + '\n', 'utf8');
+        } catch (error) {
+            console.error('❌ [AUDIT] Failed to write audit log:', error.message);
+        }
+    }
+
+    /**
+     * Read recent entries, newest first
+     * @param {object} filters
+     * @param {number} filters.limit - Max entries (default 50)
+     * @param {string} filters.actor - Only this actor
+     * @param {string} filters.action - Only actions starting with this
+     * @returns {Array<object>}
+     */
+    list({ limit = 50, actor, action } = {}) {
+        if (!fs.existsSync(this.filePath)) return [];
+
+        const entries = [];
+        const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+
+        for (let i = lines.length - 1; i >= 0 && entries.length < limit; i--) {
+            if (!lines[i]) continue;
+
+            try {
+                const entry = JSON.parse(lines[i]);
+                if (actor && entry.actor !== actor) continue;
+                if (action && !String(entry.action).startsWith(action)) continue;
+                entries.push(entry);
+            } catch (error) {
+                // Skip a partially written line
+            }
+        }
+
+        return entries;
+    }
+
+    /**
+     * Express middleware: record the action once the response has been sent
+     * Must run after ApiAuth.requireRole so req.auth is set
+     * @param {string} action - Action name (e.g. "products.reload")
+     * @returns {Function}
+     */
+    middleware(action) {
+        return (req, res, next) => {
+            res.on('finish', () => {
+                this.record({
+                    actor: req.auth ? req.auth.name : null,
+                    role: req.auth ? req.auth.role : null,
+                    action: action,
+                    outcome: res.statusCode < 400 ? 'success' : 'failed',
+                    details: {
+                        method: req.method,
+                        path: req.originalUrl,
+                        statusCode: res.statusCode
+                    },
+                    ip: req.ip
+                });
+            });
+            next();
+        };
+    }
+}
+
+module.exports = AuditLog;
@@ -220,6 +220,7 @@ class BotSpaceService {
 
     /**
      * Send a message with retry logic
+     * Retries inline (blocking the caller) - the webhook uses BotSpaceOutbox instead
      * @param {string} phone - Customer phone number
      * @param {string} message - Message text
      * @param {number} maxRetries - Maximum retry attempts (default: 3)
@@ -275,6 +276,8 @@ class BotSpaceService {
                 case 429:
                     errorData.type = 'RATE_LIMIT';
                     errorData.message = 'Rate limit exceeded';
+                    // Seconds BotSpace asked us to wait (used by the outbox backoff)
+                    errorData.retryAfter = parseInt(error.response.headers?.['retry-after']) || null;
                     break;
                 case 500:
                     errorData.type = 'SERVER_ERROR';
@@ -0,0 +1,158 @@
+/**
+ * BotSpace Webhook Dedupe Store
+ *
+ * BotSpace redelivers webhooks it thinks failed. Each delivery is keyed on the
+ * BotSpace message id (or a hash of phone + text + timestamp when there is no id)
+ * and the first response is replayed for redeliveries - no second OpenAI call,
+ * WhatsApp send or Sheets row.
+ *
+ * A redelivery that arrives while the original is still being processed waits
+ * for it and gets the same response. Server errors (5xx) are not stored, so
+ * BotSpace's retry gets a fresh attempt.
+ */
+
+const crypto = require('crypto');
+const { readJSON, writeJSON, dataPath } = require('../json-file');
+
+const DEFAULT_TTL_HOURS = 24;
+
+// Without a message id or timestamp, identical text is only treated as a
+// redelivery within this window (customers do legitimately repeat "yes")
+const CONTENT_ONLY_WINDOW_MS = 2 * 60 * 1000;
+
+class WebhookDedupeStore {
+    /**
+     * @param {object} options
+     * @param {string} options.filePath - Defaults to WEBHOOK_DEDUPE_PATH or data/webhook-dedupe.json
+     * @param {number} options.ttlMs - How long responses are remembered (defaults to WEBHOOK_DEDUPE_TTL_HOURS)
+     */
+    constructor(options = {}) {
+        this.filePath = options.filePath || process.env.WEBHOOK_DEDUPE_PATH || dataPath('webhook-dedupe.json');
+        const ttlHours = parseFloat(process.env.WEBHOOK_DEDUPE_TTL_HOURS) || DEFAULT_TTL_HOURS;
+        this.ttlMs = options.ttlMs || ttlHours * 60 * 60 * 1000;
+
+        // Map<key, { statusCode, body, expiresAt }>
+        this.entries = new Map(Object.entries(readJSON(this.filePath, {})));
+
+        // Map<key, Promise> for deliveries still being processed
+        this.pending = new Map();
+
+        this.purgeExpired();
+        this.sweepTimer = setInterval(() => this.purgeExpired(), 10 * 60 * 1000);
+        this.sweepTimer.unref();
+    }
+
+    /**
+     * Build the dedupe key for a webhook body
+     * @param {object} body - Parsed webhook body
+     * @returns {{ key: string, ttlMs: number }|null} null when the body has no message
+     */
+    getKey(body) {
+        const { data = {}, message } = body || {};
+        const text = message?.text || message || body?.question || body?.text;
+        if (!text || typeof text !== 'string') return null;
+
+        const messageId = body.messageId || message?.id || data.messageId || body.id;
+        if (messageId) {
+            return { key: `id:${messageId}`, ttlMs: this.ttlMs };
+        }
+
+        const phone = data.fullPhoneNumber || data.phone || '';
+        const timestamp = body.timestamp || message?.timestamp || data.timestamp || '';
+        const hash = crypto.createHash('sha256').update(`${phone}|${text}|${timestamp}`).digest('hex');
+
+        return {
+            key: `hash:${hash}`,
+            ttlMs: timestamp ? this.ttlMs : CONTENT_ONLY_WINDOW_MS
+        };
+    }
+
+    /**
+     * Express middleware that replays stored responses for redelivered webhooks
+     * @returns {Function}
+     */
+    middleware() {
+        return async (req, res, next) => {
+            const dedupe = this.getKey(req.body);
+            if (!dedupe) return next();
+
+            const { key, ttlMs } = dedupe;
+
+            // Original delivery still running - wait for its response
+            if (this.pending.has(key)) {
+                console.log(`🔁 [WEBHOOK] Redelivery of ${key} while original is in progress - waiting`);
+                await this.pending.get(key);
+            }
+
+            const stored = this.entries.get(key);
+            if (stored && stored.expiresAt > Date.now()) {
+                console.log(`🔁 [WEBHOOK] Duplicate delivery ${key} - replaying original response`);
+                return res.status(stored.statusCode).json({ ...stored.body, duplicate: true });
+            }
+
+            let finishPending;
+            this.pending.set(key, new Promise(resolve => { finishPending = resolve; }));
+
+            // Capture the handler's JSON body so it can be replayed
+            let responseBody = null;
+            const originalJson = res.json.bind(res);
+            res.json = (body) => {
+                responseBody = body;
+                return originalJson(body);
+            };
+
+            const settle = () => {
+                if (responseBody !== null && res.statusCode < 500) {
+                    this.entries.set(key, {
+                        statusCode: res.statusCode,
+                        body: responseBody,
+                        expiresAt: Date.now() + ttlMs
+                    });
+                    this._save();
+                }
+                this.pending.delete(key);
+                finishPending();
+            };
+            res.on('finish', settle);
+            res.on('close', () => {
+                if (this.pending.has(key)) settle();
+            });
+
+            next();
+        };
+    }
+
+    /**
+     * Drop expired entries
+     * @returns {number} Number removed
+     */
+    purgeExpired() {
+        const now = Date.now();
+        let removed = 0;
+
+        for (const [key, entry] of this.entries.entries()) {
+            if (entry.expiresAt <= now) {
+                this.entries.delete(key);
+                removed++;
+            }
+        }
+
+        if (removed > 0) {
+            this._save();
+        }
+        return removed;
+    }
+
+    /**
+     * @private
+     */
+    _save() {
+        try {
+            writeJSON(this.filePath, Object.fromEntries(this.entries));
+        } catch (error) {
+            console.error('❌ [WEBHOOK] Failed to save dedupe store:', error.message);
+        }
+    }
+}
+
+module.exports = WebhookDedupeStore;
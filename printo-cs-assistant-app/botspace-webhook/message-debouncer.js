@@ -0,0 +1,87 @@
+/**
+ * WhatsApp Message Debouncer
+ *
+ * Customers often send one thought as several messages ("hi", "need business cards", "500 qty").
+ * Fragments from the same phone are buffered until nothing new arrives for WHATSAPP_DEBOUNCE_MS
+ * (capped at WHATSAPP_DEBOUNCE_MAX_WAIT_MS after the first fragment) and released as one turn.
+ *
+ * Every webhook request waits for its batch; only the request holding the last fragment
+ * (isLast) should call OpenAI and reply - the others just acknowledge.
+ */
+
+const DEFAULT_WINDOW_MS = 2500;
+const DEFAULT_MAX_WAIT_MS = 8000;
+
+class MessageDebouncer {
+    /**
+     * @param {object} options
+     * @param {number} options.windowMs - Quiet period before a batch is released (0 disables debouncing)
+     * @param {number} options.maxWaitMs - Longest a batch is held after its first fragment
+     */
+    constructor(options = {}) {
+        const envWindow = parseInt(process.env.WHATSAPP_DEBOUNCE_MS);
+        const envMaxWait = parseInt(process.env.WHATSAPP_DEBOUNCE_MAX_WAIT_MS);
+
+        this.windowMs = options.windowMs ?? (Number.isNaN(envWindow) ? DEFAULT_WINDOW_MS : envWindow);
+        this.maxWaitMs = options.maxWaitMs ?? (Number.isNaN(envMaxWait) ? DEFAULT_MAX_WAIT_MS : envMaxWait);
+
+        // Map<key, { fragments: [], resolvers: [], firstAt, timer }>
+        this.buffers = new Map();
+    }
+
+    /**
+     * Add a message fragment and wait for its batch to be released
+     * @param {string} key - Buffer key (customer phone)
+     * @param {string} text - Message text
+     * @returns {Promise<object>} { text, count, isLast } - text is all fragments joined with newlines
+     */
+    add(key, text) {
+        if (this.windowMs <= 0) {
+            return Promise.resolve({ text, count: 1, isLast: true });
+        }
+
+        let buffer = this.buffers.get(key);
+        if (!buffer) {
+            buffer = { fragments: [], resolvers: [], firstAt: Date.now(), timer: null };
+            this.buffers.set(key, buffer);
+        }
+
+        buffer.fragments.push(text);
+        clearTimeout(buffer.timer);
+
+        const remaining = buffer.firstAt + this.maxWaitMs - Date.now();
+        buffer.timer = setTimeout(() => this._flush(key), Math.max(0, Math.min(this.windowMs, remaining)));
+
+        return new Promise(resolve => buffer.resolvers.push(resolve));
+    }
+
+    /**
+     * Number of customers with messages waiting
+     * @returns {number}
+     */
+    get pendingCount() {
+        return this.buffers.size;
+    }
+
+    /**
+     * @private
+     */
+    _flush(key) {
+        const buffer = this.buffers.get(key);
+        if (!buffer) return;
+        this.buffers.delete(key);
+
+        const count = buffer.fragments.length;
+        const text = buffer.fragments.join('\n');
+
+        if (count > 1) {
+            console.log(`🧩 [DEBOUNCE] Merged ${count} messages from ${key} into one turn`);
+        }
+
+        buffer.resolvers.forEach((resolve, index) => {
+            resolve({ text, count, isLast: index === count - 1 });
+        });
+    }
+}
+
+module.exports = MessageDebouncer;
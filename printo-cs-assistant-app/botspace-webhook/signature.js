@@ -0,0 +1,79 @@
+/**
+ * BotSpace Webhook Signature Verification
+ *
+ * Accepts either:
+ * - HMAC: hex (or "sha256=<hex>") HMAC-SHA256 of the raw request body in BOTSPACE_SIGNATURE_HEADER
+ * - Shared secret: the secret itself in X-Webhook-Secret or ?secret= (for webhook URLs that can't sign)
+ *
+ * Verification is skipped (with a startup warning) while BOTSPACE_WEBHOOK_SECRET is unset.
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_SIGNATURE_HEADER = 'x-botspace-signature';
+
+/**
+ * Constant-time comparison of two strings
+ * @private
+ */
+function safeEqual(a, b) {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Check an HMAC-SHA256 signature of the raw body
+ * @param {Buffer|string} rawBody - Request body exactly as received
+ * @param {string} signature - Header value ("<hex>" or "sha256=<hex>")
+ * @param {string} secret - Shared secret
+ * @returns {boolean}
+ */
+function verifySignature(rawBody, signature, secret) {
+    if (!rawBody || !signature || !secret) return false;
+
+    const received = signature.trim().replace(/^sha256=/i, '').toLowerCase();
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+    return safeEqual(received, expected);
+}
+
+/**
+ * Express middleware that rejects webhooks without a valid signature or shared secret
+ * Needs express.json({ verify }) to have stored the raw body on req.rawBody
+ *
+ * @param {object} options
+ * @param {string} options.secret - Defaults to BOTSPACE_WEBHOOK_SECRET
+ * @param {string} options.signatureHeader - Defaults to BOTSPACE_SIGNATURE_HEADER or x-botspace-signature
+ * @returns {Function}
+ */
+function createWebhookVerifier(options = {}) {
+    const secret = options.secret ?? process.env.BOTSPACE_WEBHOOK_SECRET ?? '';
+    const signatureHeader = (options.signatureHeader || process.env.BOTSPACE_SIGNATURE_HEADER || DEFAULT_SIGNATURE_HEADER).toLowerCase();
+
+    if (!secret) {
+        console.warn('⚠️  BOTSPACE_WEBHOOK_SECRET not set - BotSpace webhooks are NOT verified');
+        return (req, res, next) => next();
+    }
+
+    return (req, res, next) => {
+        const signature = req.get(signatureHeader);
+        const sharedSecret = req.get('x-webhook-secret') || req.query.secret;
+
+        const valid = signature
+            ? verifySignature(req.rawBody, signature, secret)
+            : !!sharedSecret && safeEqual(sharedSecret, secret);
+
+        if (!valid) {
+            console.warn(`🚫 [WEBHOOK] Rejected BotSpace webhook from ${req.ip} - ${signature ? 'bad signature' : 'missing signature'}`);
+            return res.status(401).json({
+                success: false,
+                error: 'INVALID_SIGNATURE',
+                message: 'Webhook signature verification failed'
+            });
+        }
+
+        next();
+    };
+}
+
+module.exports = { createWebhookVerifier, verifySignature };
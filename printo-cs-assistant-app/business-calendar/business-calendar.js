@@ -0,0 +1,256 @@
+/**
+ * Business Calendar
+ *
+ * When the support team is there to answer (IST), from business-calendar/calendar.json
+ * (or BUSINESS_CALENDAR_PATH):
+ *
+ * - hours       opening hours per weekday ({ open, close } or null for closed all day)
+ * - holidays    public holidays ({ date, name }) - the one list of store holidays, also used for
+ *               same-day delivery (delivery/same-day.js adds per-city holidays on top)
+ * - closures    special closures ({ start, end, reason } - "2026-12-31T15:00" IST wall clock)
+ *
+ * The prompt gets the current status so the bot only offers the phone number while someone
+ * can pick up, and collects callback details otherwise.
+ */
+
+const path = require('path');
+const { readJSON } = require('../json-file');
+const { toIST, fromIST, formatDate, minutesOfDay, parseTime, formatTime, weekdayName, addDays } = require('../india-time');
+
+const CALENDAR_PATH = process.env.BUSINESS_CALENDAR_PATH || path.join(__dirname, 'calendar.json');
+
+const WEEKDAY_KEYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// How far ahead to look for the next opening
+const NEXT_OPENING_SEARCH_DAYS = 31;
+
+const calendar = readJSON(CALENDAR_PATH, null) || {};
+const SUPPORT_PHONE = calendar.supportPhone || '9513734374';
+
+// { weekday index: { open, close } in minutes } - days without valid hours are closed
+const HOURS = {};
+WEEKDAY_KEYS.forEach((key, weekday) => {
+    const day = (calendar.hours || {})[key];
+    const open = day ? parseTime(day.open) : null;
+    const close = day ? parseTime(day.close) : null;
+    if (open !== null && close !== null && open < close) {
+        HOURS[weekday] = { open, close };
+    }
+});
+
+// Closures as IST date ranges
+const CLOSURES = (calendar.closures || [])
+    .map(closure => ({ start: Date.parse(`${closure.start}Z`), end: Date.parse(`${closure.end}Z`), reason: closure.reason || 'Closed' }))
+    .filter(closure => closure.start < closure.end);
+
+if (Object.keys(HOURS).length === 0) {
+    console.error(`❌ [CALENDAR] No opening hours in ${CALENDAR_PATH} - the team is shown as always closed`);
+}
+
+/**
+ * Public holiday on a day
+ * @param {Date} istDate - IST wall clock date (see india-time toIST)
+ * @returns {object|null} { date, name }
+ */
+function getHoliday(istDate) {
+    const date = formatDate(istDate);
+    return (calendar.holidays || []).find(holiday => holiday.date === date) || null;
+}
+
+/**
+ * @private
+ */
+function getClosure(istDate) {
+    return CLOSURES.find(closure => istDate.getTime() >= closure.start && istDate.getTime() < closure.end) || null;
+}
+
+/**
+ * @private
+ */
+function isOpenAt(istDate) {
+    const hours = HOURS[istDate.getUTCDay()];
+    const minutes = minutesOfDay(istDate);
+    return !!hours && minutes >= hours.open && minutes < hours.close && !getHoliday(istDate) && !getClosure(istDate);
+}
+
+/**
+ * Same IST day at a time of day
+ * @private
+ */
+function atMinutes(istDate, minutes) {
+    const result = new Date(Date.parse(`${formatDate(istDate)}T00:00:00Z`));
+    result.setUTCMinutes(minutes);
+    return result;
+}
+
+/**
+ * First moment the team is open after an IST date (day openings and closure ends are the candidates)
+ * @private
+ */
+function findNextOpening(istDate) {
+    const candidates = CLOSURES.map(closure => new Date(closure.end));
+    for (let offset = 0; offset <= NEXT_OPENING_SEARCH_DAYS; offset++) {
+        const day = addDays(istDate, offset);
+        const hours = HOURS[day.getUTCDay()];
+        if (hours) candidates.push(atMinutes(day, hours.open));
+    }
+
+    return candidates
+        .filter(candidate => candidate.getTime() > istDate.getTime() && isOpenAt(candidate))
+        .sort((a, b) => a - b)[0] || null;
+}
+
+/**
+ * "Tuesday 2026-10-20, 10:00 AM IST"
+ * @private
+ */
+function describeMoment(istDate) {
+    return `${weekdayName(istDate)} ${formatDate(istDate)}, ${formatTime(minutesOfDay(istDate))} IST`;
+}
+
+/**
+ * Opening hours as text, consecutive days with the same hours grouped ("Mon-Sat 10:00 AM-7:00 PM")
+ * @returns {string}
+ */
+function formatHours() {
+    const order = [1, 2, 3, 4, 5, 6, 0];
+    const groups = [];
+    order.forEach(weekday => {
+        const hours = HOURS[weekday];
+        const text = hours ? `${formatTime(hours.open)}-${formatTime(hours.close)}` : null;
+        const last = groups[groups.length - 1];
+        if (last && last.text === text) {
+            last.to = weekday;
+        } else {
+            groups.push({ from: weekday, to: weekday, text });
+        }
+    });
+
+    const shortName = weekday => WEEKDAY_KEYS[weekday].charAt(0).toUpperCase() + WEEKDAY_KEYS[weekday].slice(1, 3);
+    return groups
+        .filter(group => group.text)
+        .map(group => `${shortName(group.from)}${group.from !== group.to ? `-${shortName(group.to)}` : ''} ${group.text}`)
+        .join(', ') || 'closed';
+}
+
+/**
+ * Is the team available right now?
+ * @param {Date} now - Default now
+ * @returns {object} { open, reason, closedFor, closesAt, opensAt, opensAtText, hours, supportPhone }
+ *   reason: null when open | holiday | closure | closed_day | before_hours | after_hours
+ */
+function getBusinessStatus(now = new Date()) {
+    const nowIst = toIST(now);
+    const status = {
+        open: isOpenAt(nowIst),
+        reason: null,
+        closedFor: null,
+        closesAt: null,
+        opensAt: null,
+        opensAtText: null,
+        hours: formatHours(),
+        supportPhone: SUPPORT_PHONE
+    };
+
+    if (status.open) {
+        const hours = HOURS[nowIst.getUTCDay()];
+        const closure = CLOSURES.find(entry => entry.start > nowIst.getTime() && entry.start < atMinutes(nowIst, hours.close).getTime());
+        status.closesAt = fromIST(closure ? new Date(closure.start) : atMinutes(nowIst, hours.close)).toISOString();
+        return status;
+    }
+
+    const holiday = getHoliday(nowIst);
+    const closure = getClosure(nowIst);
+    const hours = HOURS[nowIst.getUTCDay()];
+    if (holiday) {
+        status.reason = 'holiday';
+        status.closedFor = holiday.name;
+    } else if (closure) {
+        status.reason = 'closure';
+        status.closedFor = closure.reason;
+    } else if (!hours) {
+        status.reason = 'closed_day';
+        status.closedFor = weekdayName(nowIst);
+    } else {
+        status.reason = minutesOfDay(nowIst) < hours.open ? 'before_hours' : 'after_hours';
+    }
+
+    const nextOpening = findNextOpening(nowIst);
+    if (nextOpening) {
+        status.opensAt = fromIST(nextOpening).toISOString();
+        status.opensAtText = describeMoment(nextOpening);
+    }
+    return status;
+}
+
+/**
+ * Next time the team opens (now if open)
+ * @param {Date} now - Default now
+ * @returns {Date|null}
+ */
+function getNextOpening(now = new Date()) {
+    const nowIst = toIST(now);
+    if (isOpenAt(nowIst)) return now;
+
+    const nextOpening = findNextOpening(nowIst);
+    return nextOpening ? fromIST(nextOpening) : null;
+}
+
+/**
+ * Weekly opening times, for scheduling jobs at opening time
+ * @returns {Array<object>} [{ weekday (0 = Sunday), hour, minute }]
+ */
+function getOpeningTimes() {
+    return Object.entries(HOURS).map(([weekday, hours]) => ({
+        weekday: Number(weekday),
+        hour: Math.floor(hours.open / 60),
+        minute: hours.open % 60
+    }));
+}
+
+/**
+ * {business_hours_status} text for the prompt
+ * @param {Date} now - Default now
+ * @param {object} callback - Open callback request for this session (optional)
+ * @returns {string}
+ */
+function formatBusinessStatus(now = new Date(), callback = null) {
+    const status = getBusinessStatus(now);
+    const lines = [`Team hours: ${status.hours} (IST). Now: ${describeMoment(toIST(now))}.`];
+
+    if (status.open) {
+        lines.push(`The team is AVAILABLE now - you may offer "call ${status.supportPhone} for immediate help".`);
+        return lines.join('\n');
+    }
+
+    const why = {
+        holiday: `closed today for ${status.closedFor}`,
+        closure: `closed (${status.closedFor})`,
+        closed_day: `closed on ${status.closedFor}s`,
+        before_hours: 'not in yet',
+        after_hours: 'done for the day'
+    }[status.reason];
+    lines.push(`AFTER-HOURS MODE: the team is ${why}${status.opensAtText ? ` - back ${status.opensAtText}` : ''}.`);
+    lines.push(`Do NOT ask the customer to call ${status.supportPhone} now - nobody can answer. Keep helping yourself, and offer a callback when they need a person.`);
+
+    if (callback) {
+        const missing = [
+            !callback.phone && 'phone number',
+            !callback.preferredTime && 'preferred time for the call',
+            !callback.topic && 'what the call is about'
+        ].filter(Boolean);
+        lines.push(`A callback is already booked for this customer (#${callback.id}). ${missing.length > 0 ? `Still needed: ${missing.join(', ')}.` : 'All details collected - confirm the team will call when they are back.'}`);
+    } else {
+        lines.push('For a callback, collect: name, phone number, preferred time (during team hours) and what it is about.');
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    getBusinessStatus,
+    getHoliday,
+    getNextOpening,
+    getOpeningTimes,
+    formatHours,
+    formatBusinessStatus
+};
@@ -0,0 +1,135 @@
+/**
+ * Callback Notifier
+ *
+ * Tells agents about callbacks queued while they were away, at opening time.
+ * Optional: runs only with CALLBACK_NOTIFY_ENABLED=true. Notifications go to
+ * - CALLBACK_NOTIFY_WEBHOOK_URL   JSON POST { text, callbacks } (Slack-style incoming webhook)
+ * - CALLBACK_NOTIFY_PHONES        comma-separated agent WhatsApp numbers (sent through the outbox)
+ *
+ * The job is scheduled with node-cron at each day's opening time (IST). Holidays and closures are
+ * skipped - the next opening picks the callbacks up. POST /api/callbacks/notify runs it by hand.
+ */
+
+const cron = require('node-cron');
+const axios = require('axios');
+const { getBusinessStatus, getOpeningTimes } = require('./business-calendar');
+
+// Callbacks listed one by one in a notification, the rest are counted
+const MAX_LISTED = 20;
+
+/**
+ * @private
+ */
+function formatCallback(callback) {
+    const who = callback.customerName || 'Customer';
+    const details = [
+        callback.phone || 'no phone yet',
+        callback.preferredTime && `prefers ${callback.preferredTime}`,
+        callback.topic && `re ${callback.topic}`
+    ].filter(Boolean).join(', ');
+    return `• ${who} (${details}) - ${callback.channel}, asked ${new Date(callback.requestedAt).toISOString()}`;
+}
+
+class CallbackNotifier {
+    /**
+     * @param {object} options
+     * @param {CallbackQueue} options.callbackQueue
+     * @param {Function} options.sendWhatsApp - async ({ phone, text, context }) - e.g. botSpaceOutbox.send
+     */
+    constructor(options = {}) {
+        this.callbackQueue = options.callbackQueue;
+        this.sendWhatsApp = options.sendWhatsApp || null;
+        this.webhookUrl = process.env.CALLBACK_NOTIFY_WEBHOOK_URL || null;
+        this.phones = (process.env.CALLBACK_NOTIFY_PHONES || '').split(',').map(phone => phone.trim()).filter(Boolean);
+        this.tasks = [];
+    }
+
+    /**
+     * Schedule the opening-time job (no-op unless CALLBACK_NOTIFY_ENABLED=true)
+     * @returns {boolean} Whether the job was scheduled
+     */
+    start() {
+        if (process.env.CALLBACK_NOTIFY_ENABLED !== 'true') {
+            return false;
+        }
+        if (!this.webhookUrl && this.phones.length === 0) {
+            console.warn('⚠️  [CALLBACK] CALLBACK_NOTIFY_ENABLED is set but there is no CALLBACK_NOTIFY_WEBHOOK_URL or CALLBACK_NOTIFY_PHONES - not scheduling');
+            return false;
+        }
+
+        // One cron expression per opening time, e.g. "0 10 * * 1,2,3,4,5,6"
+        const weekdaysByTime = new Map();
+        getOpeningTimes().forEach(({ weekday, hour, minute }) => {
+            const key = `${minute} ${hour}`;
+            weekdaysByTime.set(key, [...(weekdaysByTime.get(key) || []), weekday]);
+        });
+
+        weekdaysByTime.forEach((weekdays, time) => {
+            const expression = `${time} * * ${weekdays.join(',')}`;
+            this.tasks.push(cron.schedule(expression, () => this.notify({ trigger: 'schedule' }), {
+                timezone: 'Asia/Kolkata',
+                name: `callback-notify ${expression}`
+            }));
+            console.log(`✅ [CALLBACK] Agent notification scheduled: "${expression}" (IST)`);
+        });
+        return this.tasks.length > 0;
+    }
+
+    /**
+     * Stop the scheduled job
+     */
+    stop() {
+        this.tasks.forEach(task => task.stop());
+        this.tasks = [];
+    }
+
+    /**
+     * Send agents the queued callbacks they haven't been told about
+     * @param {object} options
+     * @param {string} options.trigger - schedule | manual
+     * @returns {Promise<object>} { sent, count, channels, skipped }
+     */
+    async notify(options = {}) {
+        if (options.trigger === 'schedule' && !getBusinessStatus().open) {
+            console.log('ℹ️  [CALLBACK] Team closed today - notification left for the next opening');
+            return { sent: false, count: 0, channels: [], skipped: 'closed' };
+        }
+
+        const callbacks = this.callbackQueue.getUnnotified();
+        if (callbacks.length === 0) {
+            return { sent: false, count: 0, channels: [], skipped: 'nothing_queued' };
+        }
+
+        const lines = callbacks.slice(0, MAX_LISTED).map(formatCallback);
+        if (callbacks.length > MAX_LISTED) {
+            lines.push(`…and ${callbacks.length - MAX_LISTED} more under Callbacks in the agent console`);
+        }
+        const text = `📞 ${callbacks.length} callback${callbacks.length === 1 ? '' : 's'} requested while the team was away:\n${lines.join('\n')}`;
+
+        const channels = [];
+        if (this.webhookUrl) {
+            try {
+                await axios.post(this.webhookUrl, { text, callbacks }, { timeout: 10000 });
+                channels.push('webhook');
+            } catch (error) {
+                console.error('❌ [CALLBACK] Notification webhook failed:', error.message);
+            }
+        }
+        if (this.sendWhatsApp) {
+            for (const phone of this.phones) {
+                const message = await this.sendWhatsApp({ phone, text, context: { source: 'callback_notify' } });
+                if (message && message.status !== 'dead') channels.push(`whatsapp:${phone}`);
+            }
+        }
+
+        if (channels.length === 0) {
+            return { sent: false, count: callbacks.length, channels, skipped: 'no_channel' };
+        }
+
+        this.callbackQueue.markNotified(callbacks.map(callback => callback.id));
+        console.log(`📞 [CALLBACK] Agents notified of ${callbacks.length} callback(s) via ${channels.join(', ')}`);
+        return { sent: true, count: callbacks.length, channels, skipped: null };
+    }
+}
+
+module.exports = CallbackNotifier;
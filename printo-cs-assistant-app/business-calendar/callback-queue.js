@@ -0,0 +1,237 @@
+/**
+ * Callback Queue
+ *
+ * Callback requests taken while the team is away (see business-calendar.js). The bot keeps the
+ * conversation going and fills in the details as the customer gives them; agents work through
+ * the queue when they are back.
+ *
+ * Lifecycle:  queued → done
+ * One queued callback per session - asking again updates it instead of adding another.
+ */
+
+const { readJSON, writeJSON, dataPath } = require('../json-file');
+
+// Indian mobile number, optionally with +91 / 0 and a space or dash in the middle
+const PHONE_PATTERN = /(?:\+?91[\s-]?|0)?([6-9]\d{4})[\s-]?(\d{5})\b/;
+
+// "tomorrow 11am", "after 2 pm", "monday morning", "at 4:30pm", "in the evening"
+// A bare "morning" / "evening" is usually a greeting ("Good morning, I want to talk to a person")
+const PREFERRED_TIME_PATTERNS = [
+    /\b(?:(?:today|tomorrow|mon|tue|wed|thu|fri|sat)[a-z]*\s+)?(?:after|before|around|at|by)?\s*\d{1,2}(?:[:.]\d{2})?\s*(?:am|pm)\b(?:\s+(?:today|tomorrow))?/,
+    /\b(?:today|tomorrow|mon|tue|wed|thu|fri|sat)[a-z]*\s+(?:morning|afternoon|evening)\b/,
+    /\b(?:tomorrow|(?:in the|this|by|after|before|early|late)\s+(?:morning|afternoon|evening))\b/
+];
+
+// Completed callbacks are kept this long for reporting
+const DONE_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+const MAX_MESSAGE_LENGTH = 500;
+
+/**
+ * Phone number and preferred time mentioned in a message
+ * @private
+ */
+function extractCallbackDetails(message) {
+    const text = String(message || '').toLowerCase();
+    const details = {};
+
+    const phone = text.match(PHONE_PATTERN);
+    if (phone) details.phone = phone[1] + phone[2];
+
+    for (const pattern of PREFERRED_TIME_PATTERNS) {
+        const match = text.match(pattern);
+        if (match) {
+            details.preferredTime = match[0].trim();
+            break;
+        }
+    }
+    return details;
+}
+
+class CallbackQueue {
+    /**
+     * @param {object} options
+     * @param {string} options.filePath - Where callbacks are persisted
+     */
+    constructor(options = {}) {
+        this.filePath = options.filePath || process.env.CALLBACK_STORE_PATH || dataPath('callbacks.json');
+
+        // Map<callbackId, callback>
+        this.callbacks = new Map(Object.entries(readJSON(this.filePath, {})));
+        this._prune();
+    }
+
+    /**
+     * Queue a callback for a session (or add details to its queued one)
+     * @param {object} details
+     * @param {string} details.sessionId
+     * @param {string} details.channel - whatsapp | web
+     * @param {string} details.reason - Why (customer_request | frustrated_customer | bot_unable_to_answer | bot_error)
+     * @param {string} details.message - Customer message that asked for it
+     * @param {string} details.customerName
+     * @param {string} details.phone - Known phone (WhatsApp) - otherwise taken from the message
+     * @param {string} details.conversationId - BotSpace conversation
+     * @param {string} details.topic - What it is about (session product interest)
+     * @returns {object} Callback
+     */
+    request(details) {
+        const existing = this.getActiveForSession(details.sessionId);
+        const fromMessage = extractCallbackDetails(details.message);
+        const now = Date.now();
+
+        const callback = existing || {
+            id: 'cb_' + now + '_' + Math.random().toString(36).substr(2, 9),
+            sessionId: details.sessionId,
+            channel: details.channel || 'web',
+            reason: details.reason || 'customer_request',
+            status: 'queued',
+            customerName: null,
+            phone: null,
+            conversationId: null,
+            preferredTime: null,
+            topic: null,
+            messages: [],
+            requestedAt: now,
+            updatedAt: now,
+            notifiedAt: null,
+            completedAt: null,
+            completedBy: null,
+            note: null
+        };
+
+        ['customerName', 'conversationId', 'topic'].forEach(field => {
+            if (details[field]) callback[field] = details[field];
+        });
+        callback.phone = fromMessage.phone || callback.phone || details.phone || null;
+        callback.preferredTime = fromMessage.preferredTime || callback.preferredTime;
+        if (details.message) {
+            callback.messages.push({ content: String(details.message).slice(0, MAX_MESSAGE_LENGTH), at: now });
+        }
+        callback.updatedAt = now;
+
+        this.callbacks.set(callback.id, callback);
+        this._save();
+
+        if (!existing) {
+            console.log(`📞 [CALLBACK] ${callback.sessionId} queued a callback (${callback.reason})`);
+        }
+        return callback;
+    }
+
+    /**
+     * Add what a customer message says (phone, preferred time) to the session's queued callback
+     * @param {string} sessionId
+     * @param {string} message - Customer message
+     * @param {object} extra - { topic }
+     * @returns {object|null} Updated callback, or null if the session has none queued
+     */
+    recordMessage(sessionId, message, extra = {}) {
+        if (!this.getActiveForSession(sessionId)) return null;
+        return this.request({ sessionId, message, ...extra });
+    }
+
+    /**
+     * @param {string} sessionId
+     * @returns {object|null} Queued callback for the session
+     */
+    getActiveForSession(sessionId) {
+        for (const callback of this.callbacks.values()) {
+            if (callback.sessionId === sessionId && callback.status === 'queued') {
+                return callback;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Queued callbacks agents haven't been notified about yet (oldest first)
+     * @returns {Array<object>}
+     */
+    getUnnotified() {
+        return this.list('queued').filter(callback => !callback.notifiedAt).reverse();
+    }
+
+    /**
+     * @param {Array<string>} ids - Callbacks included in an agent notification
+     */
+    markNotified(ids) {
+        const now = Date.now();
+        ids.forEach(id => {
+            const callback = this.callbacks.get(id);
+            if (callback) callback.notifiedAt = now;
+        });
+        this._save();
+    }
+
+    /**
+     * Agent called the customer back
+     * @param {string} callbackId
+     * @param {string} agent
+     * @param {string} note - Outcome (optional)
+     * @returns {object} Updated callback
+     * @throws {Error} CALLBACK_NOT_FOUND | CALLBACK_CLOSED
+     */
+    complete(callbackId, agent, note = '') {
+        const callback = this.callbacks.get(callbackId);
+        if (!callback) {
+            throw new Error('CALLBACK_NOT_FOUND');
+        }
+        if (callback.status !== 'queued') {
+            throw new Error('CALLBACK_CLOSED');
+        }
+
+        callback.status = 'done';
+        callback.completedAt = Date.now();
+        callback.completedBy = agent || 'unknown';
+        callback.note = note || null;
+        callback.updatedAt = callback.completedAt;
+        this._save();
+
+        console.log(`✅ [CALLBACK] ${callback.sessionId} called back by ${callback.completedBy}`);
+        return callback;
+    }
+
+    /**
+     * @param {string} callbackId
+     * @returns {object|null}
+     */
+    get(callbackId) {
+        return this.callbacks.get(callbackId) || null;
+    }
+
+    /**
+     * Callbacks, newest first
+     * @param {string} status - queued | done (all when omitted)
+     * @returns {Array<object>}
+     */
+    list(status) {
+        return [...this.callbacks.values()]
+            .filter(callback => !status || callback.status === status)
+            .sort((a, b) => b.requestedAt - a.requestedAt);
+    }
+
+    /**
+     * Drop completed callbacks past the retention period
+     * @private
+     */
+    _prune() {
+        const cutoff = Date.now() - DONE_RETENTION_MS;
+        let pruned = 0;
+        this.callbacks.forEach((callback, id) => {
+            if (callback.status === 'done' && callback.completedAt < cutoff) {
+                this.callbacks.delete(id);
+                pruned++;
+            }
+        });
+        if (pruned > 0) this._save();
+    }
+
+    /**
+     * @private
+     */
+    _save() {
+        writeJSON(this.filePath, Object.fromEntries(this.callbacks));
+    }
+}
+
+module.exports = CallbackQueue;
@@ -0,0 +1,103 @@
+/**
+ * Business Hours + Callback Endpoints
+ * Team availability (public) and the after-hours callback queue for agents
+ */
+
+const express = require('express');
+const { getBusinessStatus } = require('./business-calendar');
+
+// Callback error codes → HTTP status + message
+const CALLBACK_ERRORS = {
+    CALLBACK_NOT_FOUND: [404, 'Callback not found'],
+    CALLBACK_CLOSED: [409, 'Callback is already done']
+};
+
+/**
+ * Send a callback error response
+ * @private
+ */
+function sendCallbackError(res, error) {
+    const known = CALLBACK_ERRORS[error.message];
+    if (!known) {
+        console.error('❌ [CALLBACK] Unexpected error:', error);
+        return res.status(500).json({ success: false, error: 'INTERNAL_ERROR', message: error.message });
+    }
+
+    res.status(known[0]).json({ success: false, error: error.message, message: known[1] });
+}
+
+/**
+ * Build the business hours / callback router (mounted at /api; /api/callbacks is protected in server.js)
+ * @param {CallbackQueue} callbackQueue
+ * @param {CallbackNotifier} callbackNotifier
+ * @returns {express.Router}
+ */
+function createBusinessCalendarRouter(callbackQueue, callbackNotifier) {
+    const router = express.Router();
+
+    /**
+     * GET /api/business-hours
+     * Whether the team is available now, and when it opens next
+     */
+    router.get('/business-hours', (req, res) => {
+        res.json({ success: true, ...getBusinessStatus(), timestamp: new Date().toISOString() });
+    });
+
+    /**
+     * GET /api/callbacks?status=queued|done
+     * Callback requests (newest first)
+     */
+    router.get('/callbacks', (req, res) => {
+        const callbacks = callbackQueue.list(req.query.status);
+
+        res.json({
+            success: true,
+            callbacks: callbacks,
+            count: callbacks.length,
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    /**
+     * POST /api/callbacks/notify
+     * Send the agent notification now (same as the opening-time job)
+     */
+    router.post('/callbacks/notify', async (req, res) => {
+        try {
+            res.json({ success: true, ...(await callbackNotifier.notify({ trigger: 'manual' })) });
+        } catch (error) {
+            sendCallbackError(res, error);
+        }
+    });
+
+    /**
+     * GET /api/callbacks/:id
+     */
+    router.get('/callbacks/:id', (req, res) => {
+        const callback = callbackQueue.get(req.params.id);
+        if (!callback) {
+            return sendCallbackError(res, new Error('CALLBACK_NOT_FOUND'));
+        }
+
+        res.json({ success: true, callback: callback });
+    });
+
+    /**
+     * POST /api/callbacks/:id/complete
+     * Body: { note }
+     * Recorded as done by the authenticated caller
+     */
+    router.post('/callbacks/:id/complete', (req, res) => {
+        const { note } = req.body || {};
+
+        try {
+            res.json({ success: true, callback: callbackQueue.complete(req.params.id, req.auth.name, note) });
+        } catch (error) {
+            sendCallbackError(res, error);
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createBusinessCalendarRouter };
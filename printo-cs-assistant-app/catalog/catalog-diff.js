@@ -0,0 +1,134 @@
+/**
+ * Catalog Diff
+ * Compares two scraped catalogs (scraped_products.json "products" arrays) product by product.
+ *
+ * Products are matched on their link (url / link field) within a category, so a product listed
+ * under two categories is compared in each. Matched products are checked for renames and price
+ * changes; unmatched ones are reported as added / removed.
+ */
+
+const { parsePrice } = require('../quote-engine');
+
+const UNCATEGORIZED = 'Uncategorized';
+
+/**
+ * Product link (scraper versions use either "url" or "link")
+ * @param {object} product
+ * @returns {string|null}
+ */
+function getProductLink(product) {
+    return product.url || product.link || null;
+}
+
+/**
+ * Index products by category + link
+ * @private
+ */
+function indexProducts(products) {
+    const index = new Map();
+
+    (products || []).forEach(product => {
+        const category = product.category || UNCATEGORIZED;
+        const link = getProductLink(product);
+        const key = `${category}::${link || 'name:' + product.name}`;
+        index.set(key, { category, link, product });
+    });
+
+    return index;
+}
+
+/**
+ * Compare two prices
+ * @private
+ * @returns {object|null} { oldPrice, newPrice, changePercent } or null if unchanged
+ */
+function comparePrices(oldValue, newValue) {
+    const oldPrice = parsePrice(oldValue);
+    const newPrice = parsePrice(newValue);
+
+    if (!oldPrice && !newPrice) {
+        // Neither parses ("Price on request") - only the wording can differ
+        return String(oldValue ?? '').trim() === String(newValue ?? '').trim()
+            ? null
+            : { oldPrice: oldValue ?? null, newPrice: newValue ?? null, changePercent: null };
+    }
+
+    if (oldPrice && newPrice && oldPrice.min === newPrice.min && oldPrice.max === newPrice.max && oldPrice.packSize === newPrice.packSize) {
+        return null;
+    }
+
+    const changePercent = oldPrice && newPrice && oldPrice.min > 0
+        ? Math.round(((newPrice.min - oldPrice.min) / oldPrice.min) * 1000) / 10
+        : null;
+
+    return { oldPrice: oldValue ?? null, newPrice: newValue ?? null, changePercent };
+}
+
+/**
+ * Diff two scraped catalogs
+ * @param {Array<object>} oldProducts - Catalog before the reload
+ * @param {Array<object>} newProducts - Catalog after the reload
+ * @returns {object} { summary, categories: { [category]: { added, removed, renamed, priceChanged } } }
+ */
+function diffCatalogs(oldProducts, newProducts) {
+    const oldIndex = indexProducts(oldProducts);
+    const newIndex = indexProducts(newProducts);
+    const categories = {};
+
+    const bucket = (category) => {
+        if (!categories[category]) {
+            categories[category] = { added: [], removed: [], renamed: [], priceChanged: [] };
+        }
+        return categories[category];
+    };
+
+    let unchanged = 0;
+
+    for (const [key, current] of newIndex.entries()) {
+        const previous = oldIndex.get(key);
+        const { category, link, product } = current;
+
+        if (!previous) {
+            bucket(category).added.push({ link, name: product.name, price: product.price ?? null });
+            continue;
+        }
+
+        let changed = false;
+
+        if ((previous.product.name || '').trim() !== (product.name || '').trim()) {
+            bucket(category).renamed.push({ link, oldName: previous.product.name, newName: product.name });
+            changed = true;
+        }
+
+        const priceChange = comparePrices(previous.product.price, product.price);
+        if (priceChange) {
+            bucket(category).priceChanged.push({ link, name: product.name, ...priceChange });
+            changed = true;
+        }
+
+        if (!changed) unchanged++;
+    }
+
+    for (const [key, previous] of oldIndex.entries()) {
+        if (!newIndex.has(key)) {
+            const { category, link, product } = previous;
+            bucket(category).removed.push({ link, name: product.name, price: product.price ?? null });
+        }
+    }
+
+    const summary = { added: 0, removed: 0, renamed: 0, priceChanged: 0, unchanged };
+    Object.values(categories).forEach(changes => {
+        summary.added += changes.added.length;
+        summary.removed += changes.removed.length;
+        summary.renamed += changes.renamed.length;
+        summary.priceChanged += changes.priceChanged.length;
+    });
+
+    summary.oldCount = (oldProducts || []).length;
+    summary.newCount = (newProducts || []).length;
+    summary.hasChanges = summary.added + summary.removed + summary.renamed + summary.priceChanged > 0;
+
+    return { summary, categories };
+}
+
+module.exports = { diffCatalogs, getProductLink };
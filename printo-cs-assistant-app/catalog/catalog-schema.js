@@ -0,0 +1,169 @@
+/**
+ * Catalog Schema Validation
+ *
+ * scraped_products.json: { products: [{ name, category, price, url | link }] }
+ *   - A few bad products (up to CATALOG_MAX_INVALID_PERCENT) are dropped with a warning,
+ *     more than that rejects the whole file (usually a broken scrape).
+ * products.json: { [productKey]: { name, categoryLink?, variants?: { [key]: { name, price, link? } } } }
+ *   - Any error rejects the file (it is maintained by hand).
+ *
+ * A file that shrinks by more than CATALOG_MAX_SHRINK_PERCENT compared to the loaded catalog is
+ * also rejected - half-written files and partial scrapes look exactly like that.
+ */
+
+const { getProductLink } = require('./catalog-diff');
+
+const MAX_INVALID_PERCENT = parseFloat(process.env.CATALOG_MAX_INVALID_PERCENT) || 2;
+const MAX_SHRINK_PERCENT = parseFloat(process.env.CATALOG_MAX_SHRINK_PERCENT) || 30;
+
+// Errors listed per file before the rest are summarised
+const MAX_REPORTED_ERRORS = 20;
+
+/**
+ * @private
+ */
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim().length > 0;
+}
+
+/**
+ * @private
+ */
+function isHttpUrl(value) {
+    if (!isNonEmptyString(value)) return false;
+    try {
+        const url = new URL(value);
+        return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * @private
+ */
+function isValidPrice(value) {
+    return (typeof value === 'number' && isFinite(value) && value >= 0) || isNonEmptyString(value);
+}
+
+/**
+ * Problems with a single scraped product
+ * @param {object} product
+ * @returns {Array<string>} Empty when valid
+ */
+function validateScrapedProduct(product) {
+    if (!product || typeof product !== 'object') {
+        return ['not an object'];
+    }
+
+    const problems = [];
+    if (!isNonEmptyString(product.name)) problems.push('missing name');
+    if (!isNonEmptyString(product.category)) problems.push('missing category');
+    if (!isValidPrice(product.price)) problems.push('missing or negative price');
+    if (!isHttpUrl(getProductLink(product))) problems.push('url/link is not an http(s) URL');
+    return problems;
+}
+
+/**
+ * Validate scraped_products.json contents
+ * @param {object} data - Parsed file
+ * @returns {object} { valid, errors, warnings, products } - products has invalid entries removed
+ */
+function validateScrapedCatalog(data) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.products)) {
+        return { valid: false, errors: ['"products" must be an array'], warnings: [], products: [] };
+    }
+
+    const products = [];
+    const invalid = [];
+
+    data.products.forEach((product, index) => {
+        const problems = validateScrapedProduct(product);
+        if (problems.length === 0) {
+            products.push(product);
+        } else {
+            invalid.push(`products[${index}] (${product?.name || 'unnamed'}): ${problems.join(', ')}`);
+        }
+    });
+
+    const reported = invalid.slice(0, MAX_REPORTED_ERRORS);
+    if (invalid.length > MAX_REPORTED_ERRORS) {
+        reported.push(`...and ${invalid.length - MAX_REPORTED_ERRORS} more`);
+    }
+
+    const invalidPercent = data.products.length > 0 ? (invalid.length / data.products.length) * 100 : 0;
+    if (invalidPercent > MAX_INVALID_PERCENT) {
+        return {
+            valid: false,
+            errors: [`${invalid.length} of ${data.products.length} products are invalid (limit ${MAX_INVALID_PERCENT}%)`, ...reported],
+            warnings: [],
+            products: []
+        };
+    }
+
+    return {
+        valid: true,
+        errors: [],
+        warnings: invalid.length > 0 ? [`Dropped ${invalid.length} invalid product(s)`, ...reported] : [],
+        products
+    };
+}
+
+/**
+ * Validate products.json contents
+ * @param {object} data - Parsed file
+ * @returns {object} { valid, errors, warnings }
+ */
+function validateManualCatalog(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { valid: false, errors: ['products.json must be an object keyed by product'], warnings: [] };
+    }
+
+    const errors = [];
+
+    Object.entries(data).forEach(([productKey, product]) => {
+        if (!product || typeof product !== 'object') {
+            errors.push(`${productKey}: not an object`);
+            return;
+        }
+        if (!isNonEmptyString(product.name)) {
+            errors.push(`${productKey}: missing name`);
+        }
+        if (product.categoryLink !== undefined && !isHttpUrl(product.categoryLink)) {
+            errors.push(`${productKey}: categoryLink is not an http(s) URL`);
+        }
+
+        Object.entries(product.variants || {}).forEach(([variantKey, variant]) => {
+            if (!isNonEmptyString(variant?.name)) {
+                errors.push(`${productKey}.${variantKey}: missing name`);
+            }
+            if (!isValidPrice(variant?.price)) {
+                errors.push(`${productKey}.${variantKey}: missing or negative price`);
+            }
+            if (variant?.link !== undefined && !isHttpUrl(variant.link)) {
+                errors.push(`${productKey}.${variantKey}: link is not an http(s) URL`);
+            }
+        });
+    });
+
+    return { valid: errors.length === 0, errors: errors.slice(0, MAX_REPORTED_ERRORS), warnings: [] };
+}
+
+/**
+ * Reject suspicious shrinkage
+ * @param {string} label - File name for the message
+ * @param {number} previousCount - Products currently loaded
+ * @param {number} newCount - Products in the new file
+ * @returns {string|null} Error message or null if acceptable
+ */
+function checkShrink(label, previousCount, newCount) {
+    if (!previousCount || newCount >= previousCount) return null;
+
+    const shrinkPercent = ((previousCount - newCount) / previousCount) * 100;
+    if (shrinkPercent > MAX_SHRINK_PERCENT) {
+        return `${label} shrank by ${Math.round(shrinkPercent)}% (${previousCount} → ${newCount} products, limit ${MAX_SHRINK_PERCENT}%)`;
+    }
+    return null;
+}
+
+module.exports = { validateScrapedCatalog, validateManualCatalog, validateScrapedProduct, checkShrink };
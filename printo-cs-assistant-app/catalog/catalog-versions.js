@@ -0,0 +1,108 @@
+/**
+ * Catalog Versions
+ * Every catalog that passes validation is snapshotted to CATALOG_VERSIONS_DIR (default data/catalog-versions):
+ *
+ *   catalog-versions/
+ *     v_1792435542103/
+ *       meta.json              { id, createdAt, hash, trigger, actor, productsCount, scrapedCount }
+ *       products.json
+ *       scraped_products.json
+ *
+ * A reload with identical content reuses the latest version. Only the newest CATALOG_MAX_VERSIONS are kept.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { readJSON, writeJSON, dataPath } = require('../json-file');
+
+const versionsDir = process.env.CATALOG_VERSIONS_DIR || dataPath('catalog-versions');
+const MAX_VERSIONS = parseInt(process.env.CATALOG_MAX_VERSIONS) || 20;
+
+/**
+ * Version IDs, oldest first
+ * @private
+ */
+function listVersionIds() {
+    if (!fs.existsSync(versionsDir)) return [];
+
+    return fs.readdirSync(versionsDir)
+        .filter(name => name.startsWith('v_') && fs.existsSync(path.join(versionsDir, name, 'meta.json')))
+        .sort((a, b) => parseInt(a.slice(2)) - parseInt(b.slice(2)));
+}
+
+/**
+ * Snapshot a validated catalog
+ * @param {object} productsData - products.json contents
+ * @param {object} scrapedData - scraped_products.json contents
+ * @param {object} meta - { trigger, actor }
+ * @returns {object} Version metadata (existing latest version if the content is unchanged)
+ */
+function saveVersion(productsData, scrapedData, meta = {}) {
+    const hash = crypto.createHash('sha256')
+        .update(JSON.stringify(productsData))
+        .update(JSON.stringify(scrapedData))
+        .digest('hex');
+
+    const ids = listVersionIds();
+    const latest = ids.length > 0 ? readJSON(path.join(versionsDir, ids[ids.length - 1], 'meta.json'), null) : null;
+    if (latest && latest.hash === hash) {
+        return latest;
+    }
+
+    const id = 'v_' + Date.now();
+    const versionMeta = {
+        id,
+        createdAt: new Date().toISOString(),
+        hash,
+        trigger: meta.trigger || 'unknown',
+        actor: meta.actor || null,
+        productsCount: Object.keys(productsData).length,
+        scrapedCount: (scrapedData.products || []).length
+    };
+
+    const versionDir = path.join(versionsDir, id);
+    writeJSON(path.join(versionDir, 'products.json'), productsData, true);
+    writeJSON(path.join(versionDir, 'scraped_products.json'), scrapedData, true);
+    writeJSON(path.join(versionDir, 'meta.json'), versionMeta, true);
+
+    // Keep only the newest versions
+    const allIds = [...ids, id];
+    allIds.slice(0, Math.max(0, allIds.length - MAX_VERSIONS)).forEach(oldId => {
+        fs.rmSync(path.join(versionsDir, oldId), { recursive: true, force: true });
+    });
+
+    console.log(`🗂️  Catalog version ${id} saved`);
+    return versionMeta;
+}
+
+/**
+ * Version metadata, newest first
+ * @returns {Array<object>}
+ */
+function listVersions() {
+    return listVersionIds()
+        .reverse()
+        .map(id => readJSON(path.join(versionsDir, id, 'meta.json'), null))
+        .filter(Boolean);
+}
+
+/**
+ * Load a stored version
+ * @param {string} versionId - Version ID or "latest"
+ * @returns {object|null} { meta, productsData, scrapedData }
+ */
+function loadVersion(versionId) {
+    const ids = listVersionIds();
+    const id = versionId === 'latest' ? ids[ids.length - 1] : versionId;
+    if (!id || !ids.includes(id)) return null;
+
+    const versionDir = path.join(versionsDir, id);
+    const productsData = readJSON(path.join(versionDir, 'products.json'), null);
+    const scrapedData = readJSON(path.join(versionDir, 'scraped_products.json'), null);
+    if (!productsData || !scrapedData) return null;
+
+    return { meta: readJSON(path.join(versionDir, 'meta.json'), null), productsData, scrapedData };
+}
+
+module.exports = { saveVersion, listVersions, loadVersion };
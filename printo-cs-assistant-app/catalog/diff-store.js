@@ -0,0 +1,66 @@
+/**
+ * Catalog Diff Store
+ * Keeps the most recent catalog diffs for the content team (CATALOG_DIFF_PATH, default data/catalog-diffs.json)
+ */
+
+const { readJSON, writeJSON, dataPath } = require('../json-file');
+
+const MAX_DIFFS = 50;
+
+const diffsPath = process.env.CATALOG_DIFF_PATH || dataPath('catalog-diffs.json');
+let diffs = readJSON(diffsPath, []);
+
+/**
+ * Store a diff
+ * @param {object} diff - Result of diffCatalogs()
+ * @param {object} meta - { trigger, actor } of the reload that produced it
+ * @returns {object} Stored diff (with id and createdAt)
+ */
+function recordDiff(diff, meta = {}) {
+    const entry = {
+        id: 'diff_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+        createdAt: new Date().toISOString(),
+        trigger: meta.trigger || 'unknown',
+        actor: meta.actor || null,
+        ...diff
+    };
+
+    diffs.push(entry);
+    if (diffs.length > MAX_DIFFS) {
+        diffs = diffs.slice(-MAX_DIFFS);
+    }
+
+    try {
+        writeJSON(diffsPath, diffs);
+    } catch (error) {
+        console.error('❌ [CATALOG DIFF] Failed to save diff:', error.message);
+    }
+
+    return entry;
+}
+
+/**
+ * Recent diffs (summary only), newest first
+ * @param {number} limit
+ * @returns {Array<object>}
+ */
+function listDiffs(limit = 10) {
+    return diffs.slice(-limit).reverse().map(({ categories, ...rest }) => ({
+        ...rest,
+        categoriesChanged: Object.keys(categories)
+    }));
+}
+
+/**
+ * Full diff by ID ("latest" for the most recent)
+ * @param {string} diffId
+ * @returns {object|null}
+ */
+function getDiff(diffId) {
+    if (diffId === 'latest') {
+        return diffs[diffs.length - 1] || null;
+    }
+    return diffs.find(diff => diff.id === diffId) || null;
+}
+
+module.exports = { recordDiff, listDiffs, getDiff };
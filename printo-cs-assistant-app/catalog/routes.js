@@ -0,0 +1,110 @@
+/**
+ * Catalog Admin Endpoints
+ * Review what changed between product scrapes and roll back to a previous catalog version
+ */
+
+const express = require('express');
+const { listDiffs, getDiff } = require('./diff-store');
+const { listVersions } = require('./catalog-versions');
+const { rollbackProductData } = require('../promptBuilder');
+
+/**
+ * Build the catalog admin router (mounted at /admin)
+ * @param {Function} protect - protect(role, action) middleware factory from server.js
+ * @returns {express.Router}
+ */
+function createCatalogRouter(protect) {
+    const router = express.Router();
+
+    /**
+     * GET /admin/catalog-diffs?limit=10
+     * Recent diffs (summaries + changed categories), newest first
+     */
+    router.get('/catalog-diffs', protect('viewer', 'catalog.diffs'), (req, res) => {
+        const diffs = listDiffs(parseInt(req.query.limit) || 10);
+
+        res.json({
+            success: true,
+            diffs: diffs,
+            count: diffs.length,
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    /**
+     * GET /admin/catalog-diffs/:id?category=Business%20Cards
+     * Full diff ("latest" for the most recent), optionally limited to one category
+     */
+    router.get('/catalog-diffs/:id', protect('viewer', 'catalog.diff'), (req, res) => {
+        const diff = getDiff(req.params.id);
+        if (!diff) {
+            return res.status(404).json({ success: false, error: 'DIFF_NOT_FOUND', message: 'Catalog diff not found' });
+        }
+
+        const { category } = req.query;
+        if (category) {
+            return res.json({
+                success: true,
+                diff: { ...diff, categories: { [category]: diff.categories[category] || { added: [], removed: [], renamed: [], priceChanged: [] } } }
+            });
+        }
+
+        res.json({ success: true, diff: diff });
+    });
+
+    /**
+     * GET /admin/catalog-versions
+     * Stored catalog versions (metadata only), newest first
+     */
+    router.get('/catalog-versions', protect('viewer', 'catalog.versions'), (req, res) => {
+        const versions = listVersions();
+
+        res.json({
+            success: true,
+            versions: versions,
+            count: versions.length,
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    /**
+     * POST /admin/catalog-versions/:id/rollback
+     * Restore a stored version over the live product files and reload it
+     */
+    router.post('/catalog-versions/:id/rollback', protect('admin', 'catalog.rollback'), (req, res) => {
+        try {
+            const result = rollbackProductData(req.params.id, { actor: req.auth.name });
+
+            if (!result.success) {
+                return res.status(result.rejected ? 422 : 500).json({
+                    success: false,
+                    error: 'ROLLBACK_FAILED',
+                    message: result.message,
+                    errors: result.errors
+                });
+            }
+
+            res.json({
+                success: true,
+                message: `Catalog rolled back to ${req.params.id}`,
+                data: {
+                    versionId: result.versionId,
+                    manualProducts: result.productsCount,
+                    scrapedProducts: result.scrapedCount,
+                    catalogDiff: result.diffId ? { id: result.diffId, ...result.diffSummary } : null
+                },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            if (error.message === 'VERSION_NOT_FOUND') {
+                return res.status(404).json({ success: false, error: 'VERSION_NOT_FOUND', message: 'Catalog version not found' });
+            }
+            console.error('❌ [ADMIN] Rollback error:', error);
+            res.status(500).json({ success: false, error: 'Internal server error', message: error.message });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createCatalogRouter };
@@ -0,0 +1,303 @@
+/**
+ * Product Search Index
+ *
+ * In-process BM25 index over the scraped catalog, built once per catalog load.
+ *
+ * - Documents are product name + category (category tokens count double) + description
+ * - Query words missing from the vocabulary - or found in only a product or two, like a misspelling
+ *   in a product name ("bussiness") - are matched to similar indexed words: candidates come from a
+ *   character trigram index, similarity is the better of trigram overlap and edit distance
+ *   ("daries" → "diary", "stickr" → "sticker"), and the match is weighted by that similarity
+ * - Customer words the catalog names differently ("visiting" card → "business" card) are searched as the
+ *   catalog word at full weight; words like "packaging" are expanded to related catalog words at half weight
+ * - Products matching only some of the query words score lower ("visiting cards" → card holders rank
+ *   below business cards and usually drop out)
+ * - Chat filler ("need", "price", "name"...), Hinglish / regional chat words ("chahiye", "beku") and
+ *   locations ("indiranagar") are never searched
+ * - Hindi, Kannada and Tamil product words are searched as their English equivalent (language/synonyms.js)
+ *
+ * search() returns products ranked by score, dropping weak matches relative to the best one.
+ */
+
+const { getProductLink } = require('./catalog-diff');
+const { toEnglishTerms } = require('../language/synonyms');
+const { isChatWord } = require('../language/detect-language');
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+const CATEGORY_BOOST = 2;
+
+// Typo tolerance: similarity needed to treat two words as the same, and how far behind
+// the closest indexed word other candidates may be
+const MIN_SIMILARITY = 0.5;
+const SIMILARITY_MARGIN = 0.1;
+const MAX_EXPANSIONS_PER_TERM = 3;
+
+// Indexed words found in at most this many products are also matched to similar, more common words
+const RARE_TERM_DOCS = 2;
+
+// Results scoring below this share of the top score are dropped
+const MIN_RELATIVE_SCORE = 0.35;
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'any', 'can', 'for', 'from', 'get', 'have', 'hello', 'hi', 'how', 'i', 'in', 'is', 'it',
+    'looking', 'make', 'me', 'much', 'my', 'name', 'need', 'of', 'on', 'or', 'our', 'please', 'price', 'cost', 'quote',
+    'rate', 'show', 'some', 'that', 'the', 'this', 'to', 'want', 'what', 'which', 'with', 'would', 'you', 'your',
+    'order', 'buy', 'do', 'does', 'we', 'us', 'like', 'about', 'there', 'online', 'qty', 'pcs', 'piece'
+]);
+
+// Common location / time words - they appear in queries like "pamphlets for expo Indiranagar Bangalore"
+const LOCATION_WORDS = new Set([
+    'bangalore', 'bengaluru', 'delhi', 'mumbai', 'hyderabad', 'chennai', 'kolkata', 'pune',
+    'indiranagar', 'koramangala', 'whitefield', 'jayanagar', 'hsr', 'btm', 'marathahalli',
+    'nagar', 'road', 'layout', 'cross', 'main', 'area', 'sector', 'phase', 'stage',
+    'today', 'tomorrow', 'urgent', 'asap', 'soon'
+]);
+
+// Customer terms → the catalog's word for the same thing (matched at full weight, the customer's word at half)
+const QUERY_SYNONYMS = {
+    'visiting': 'business',
+    'pamphlet': 'flyer',
+    'leaflet': 'flyer'
+};
+
+// Customer terms → related catalog words (matched at half weight)
+const QUERY_EXPANSIONS = {
+    'packaging': ['box', 'mailer', 'shipping', 'tape', 'label', 'courier', 'poly'],
+    'box': ['mailer', 'shipping', 'packaging', 'pizza', 'cake', 'food'],
+    'print': ['photo', 'document', 'poster', 'canvas', 'acrylic'],
+    'apparel': ['tshirt', 'shirt', 'polo', 'hoodie', 'cap', 'jacket'],
+    'promotional': ['badge', 'keychain', 'lanyard', 'mug', 'bottle', 'drinkware'],
+    'pamphlet': ['leaflet', 'folded'],
+    'brochure': ['flyer', 'leaflet', 'folded']
+};
+
+/**
+ * Normalise text into index tokens ("T-Shirts" → ["tshirt"], "Business Cards" → ["business", "card"])
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/t[\s-]?shirt/g, 'tshirt')
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(token => {
+            if (/(x|ch|sh)es$/.test(token)) return token.slice(0, -2);
+            if (/ies$/.test(token) && token.length > 4) return token.slice(0, -3) + 'y';
+            return token.length > 3 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token;
+        });
+}
+
+/**
+ * Padded character trigrams of a word ("card" → [" ca", "car", "ard", "rd "])
+ * @private
+ */
+function trigrams(word) {
+    const padded = ` ${word} `;
+    const grams = new Set();
+    for (let i = 0; i < padded.length - 2; i++) {
+        grams.add(padded.slice(i, i + 3));
+    }
+    return grams;
+}
+
+/**
+ * Levenshtein distance
+ * @private
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+class ProductSearchIndex {
+    /**
+     * @param {Array<object>} products - Scraped products ({ name, category, description?, link | url })
+     */
+    constructor(products = []) {
+        this.documents = [];
+        // Map<term, Map<docIndex, termFrequency>>
+        this.postings = new Map();
+        // Map<trigram, Set<term>>
+        this.trigramIndex = new Map();
+
+        const seenLinks = new Set();
+        products.forEach(product => {
+            // The scrape lists some product pages more than once
+            const link = (getProductLink(product) || '').trim();
+            if (link && seenLinks.has(link)) return;
+            if (link) seenLinks.add(link);
+
+            const tokens = [
+                ...tokenize(product.name),
+                ...Array(CATEGORY_BOOST).fill(tokenize(product.category)).flat(),
+                ...tokenize(product.description)
+            ];
+            const docIndex = this.documents.length;
+            this.documents.push({ product, length: tokens.length });
+
+            tokens.forEach(token => {
+                if (!this.postings.has(token)) this.postings.set(token, new Map());
+                const posting = this.postings.get(token);
+                posting.set(docIndex, (posting.get(docIndex) || 0) + 1);
+            });
+        });
+
+        for (const term of this.postings.keys()) {
+            for (const gram of trigrams(term)) {
+                if (!this.trigramIndex.has(gram)) this.trigramIndex.set(gram, new Set());
+                this.trigramIndex.get(gram).add(term);
+            }
+        }
+
+        const totalLength = this.documents.reduce((sum, doc) => sum + doc.length, 0);
+        this.averageLength = this.documents.length > 0 ? totalLength / this.documents.length : 0;
+    }
+
+    /**
+     * Search the catalog
+     * @param {string} query - Customer message
+     * @param {object} options
+     * @param {number} options.limit - Max results (default 30)
+     * @returns {Array<object>} [{ product, score, matchedTerms }] best first
+     */
+    search(query, options = {}) {
+        const limit = options.limit || 30;
+        const queryTerms = this.expandQuery(query);
+        if (queryTerms.size === 0) return [];
+
+        const queryWordCount = new Set([...queryTerms.values()].flatMap(({ queryWords }) => [...queryWords])).size;
+
+        // Map<docIndex, { score, matchedTerms, queryWords }>
+        const scores = new Map();
+        const totalDocs = this.documents.length;
+
+        queryTerms.forEach(({ weight, queryWords }, term) => {
+            const posting = this.postings.get(term);
+            if (!posting) return;
+
+            const idf = Math.log(1 + (totalDocs - posting.size + 0.5) / (posting.size + 0.5));
+            posting.forEach((frequency, docIndex) => {
+                const doc = this.documents[docIndex];
+                const termScore = idf * (frequency * (K1 + 1)) /
+                    (frequency + K1 * (1 - B + B * (doc.length / this.averageLength)));
+
+                const entry = scores.get(docIndex) || { score: 0, matchedTerms: [], queryWords: new Set() };
+                entry.score += weight * termScore;
+                entry.matchedTerms.push(term);
+                queryWords.forEach(word => entry.queryWords.add(word));
+                scores.set(docIndex, entry);
+            });
+        });
+
+        // Scaled by the share of query words the product matches
+        const ranked = [...scores.entries()]
+            .map(([docIndex, { score, matchedTerms, queryWords }]) => ({
+                product: this.documents[docIndex].product,
+                score: Math.round(score * (queryWords.size / queryWordCount) * 1000) / 1000,
+                matchedTerms
+            }))
+            .sort((a, b) => b.score - a.score);
+
+        if (ranked.length === 0) return [];
+
+        const minScore = ranked[0].score * MIN_RELATIVE_SCORE;
+        return ranked.filter(result => result.score >= minScore).slice(0, limit);
+    }
+
+    /**
+     * Query terms with weights: exact terms and catalog synonyms 1, typo matches by similarity,
+     * the customer's word for a synonym and related words 0.5
+     * @param {string} query
+     * @returns {Map<string, object>} term → { weight, queryWords } (the query words it stands for)
+     */
+    expandQuery(query) {
+        const terms = new Map();
+        const addTerm = (term, weight, queryWord) => {
+            const entry = terms.get(term) || { weight: 0, queryWords: new Set() };
+            entry.weight = Math.max(entry.weight, weight);
+            entry.queryWords.add(queryWord);
+            terms.set(term, entry);
+        };
+
+        tokenize(toEnglishTerms(query))
+            // Bare numbers are quantities ("500 flyers"), not product words
+            .filter(token => token.length > 1 && !/^\d+$/.test(token) && !STOPWORDS.has(token) && !LOCATION_WORDS.has(token) && !isChatWord(token))
+            .forEach(token => {
+                const posting = this.postings.get(token);
+                if (QUERY_SYNONYMS[token]) {
+                    addTerm(QUERY_SYNONYMS[token], 1, token);
+                    if (posting) addTerm(token, 0.5, token);
+                } else if (posting) {
+                    addTerm(token, 1, token);
+                }
+
+                if ((!posting || posting.size <= RARE_TERM_DOCS) && token.length >= 4) {
+                    this.findSimilarTerms(token).forEach(({ term, similarity }) => addTerm(term, similarity, token));
+                }
+
+                (QUERY_EXPANSIONS[token] || []).forEach(related => addTerm(related, 0.5, token));
+            });
+
+        return terms;
+    }
+
+    /**
+     * Indexed words (other than the word itself) that look like a (misspelt) query word
+     * @param {string} word
+     * @returns {Array<object>} [{ term, similarity }] most similar first
+     */
+    findSimilarTerms(word) {
+        const wordGrams = trigrams(word);
+        // Map<term, shared trigram count>
+        const shared = new Map();
+
+        wordGrams.forEach(gram => {
+            (this.trigramIndex.get(gram) || []).forEach(term => {
+                shared.set(term, (shared.get(term) || 0) + 1);
+            });
+        });
+
+        const candidates = [...shared.entries()]
+            .filter(([term]) => term !== word && Math.abs(term.length - word.length) <= 2)
+            .map(([term, count]) => {
+                const trigramSimilarity = (2 * count) / (wordGrams.size + trigrams(term).size);
+                const editSimilarity = 1 - editDistance(word, term) / Math.max(word.length, term.length);
+                return { term, similarity: Math.round(Math.max(trigramSimilarity, editSimilarity) * 100) / 100 };
+            })
+            .filter(({ similarity }) => similarity >= MIN_SIMILARITY)
+            .sort((a, b) => b.similarity - a.similarity);
+
+        if (candidates.length === 0) return [];
+
+        const best = candidates[0].similarity;
+        return candidates
+            .filter(({ similarity }) => similarity >= best - SIMILARITY_MARGIN)
+            .slice(0, MAX_EXPANSIONS_PER_TERM);
+    }
+
+    /**
+     * Index size
+     * @returns {object} { documents, terms }
+     */
+    getStats() {
+        return { documents: this.documents.length, terms: this.postings.size };
+    }
+}
+
+module.exports = { ProductSearchIndex, tokenize };
@@ -0,0 +1,290 @@
+/**
+ * Delivery Estimator
+ *
+ * Pincode serviceability and delivery ETA from a local table (delivery/pincode-table.json,
+ * or PINCODE_TABLE_PATH):
+ *
+ * - A pincode is looked up as an exact entry first, then by its longest matching prefix
+ *   ("560" → Bangalore); any other valid pincode falls into the "rest" zone
+ * - Each zone has transit days (standard + express) and whether express / same-day exists there
+ * - Products add their production turnaround (working days, keyed by taxonomy product ID)
+ * - Same-day needs a same-day product, a same-day location and an order before the cut-off
+ *   (see delivery/same-day.js for cut-offs, Sundays and store holidays)
+ *
+ * Dates are counted in working days (Sundays and all-store holidays skipped) in India time.
+ */
+
+const path = require('path');
+const { readJSON } = require('../json-file');
+const { getProduct, resolveProduct } = require('../taxonomy/product-taxonomy');
+const { toIST, formatDate, minutesOfDay, formatTime } = require('../india-time');
+const { getClosure, getCutoff, checkSameDay } = require('./same-day');
+const { findNearestStores, isDirectoryComplete } = require('../stores/store-locator');
+
+const TABLE_PATH = process.env.PINCODE_TABLE_PATH || path.join(__dirname, 'pincode-table.json');
+
+const PINCODE_PATTERN = /^[1-9]\d{5}$/;
+const DEFAULT_ZONE = 'rest';
+
+const table = readJSON(TABLE_PATH, null) || { zones: {}, prefixes: {}, pincodes: {}, turnaroundDays: {} };
+if (!table.zones[DEFAULT_ZONE]) {
+    console.error(`❌ [DELIVERY] Pincode table ${TABLE_PATH} has no "${DEFAULT_ZONE}" zone - delivery estimates are unavailable`);
+} else {
+    console.log(`✅ [DELIVERY] Pincode table loaded (${Object.keys(table.prefixes || {}).length} prefixes, ${Object.keys(table.pincodes || {}).length} pincodes)`);
+}
+
+/**
+ * Normalize "560 001" / " 560001" to "560001"
+ * @param {string|number} pincode
+ * @returns {string|null} 6-digit pincode or null if it isn't one
+ */
+function normalizePincode(pincode) {
+    const digits = String(pincode ?? '').replace(/\s+/g, '');
+    return PINCODE_PATTERN.test(digits) ? digits : null;
+}
+
+/**
+ * Closest Printo store within range of a pincode (see stores/store-locator.js)
+ * @private
+ */
+function findNearbyStoreName(pincode) {
+    try {
+        const { stores } = findNearestStores({ pincode, limit: 1 });
+        return stores.length > 0 ? stores[0].name : null;
+    } catch (error) {
+        // Pincode outside the store directory's cities
+        return null;
+    }
+}
+
+/**
+ * Serviceability for a pincode
+ * @param {string|number} pincode
+ * @returns {object} { pincode, city, zone, zoneName, serviceable, express, sameDay, nearestStore, matchedBy }
+ * @throws {Error} INVALID_PINCODE | DELIVERY_TABLE_UNAVAILABLE
+ */
+function lookupPincode(pincode) {
+    const code = normalizePincode(pincode);
+    if (!code) {
+        throw new Error('INVALID_PINCODE');
+    }
+    if (!table.zones[DEFAULT_ZONE]) {
+        throw new Error('DELIVERY_TABLE_UNAVAILABLE');
+    }
+
+    let entry = null;
+    let matchedBy = 'default';
+    if (table.pincodes && table.pincodes[code]) {
+        entry = table.pincodes[code];
+        matchedBy = 'pincode';
+    } else {
+        for (let length = 5; length >= 1 && !entry; length--) {
+            const prefix = code.slice(0, length);
+            if (table.prefixes && table.prefixes[prefix]) {
+                entry = table.prefixes[prefix];
+                matchedBy = `prefix:${prefix}`;
+            }
+        }
+    }
+
+    entry = entry || {};
+    const zoneId = table.zones[entry.zone] ? entry.zone : DEFAULT_ZONE;
+    const zone = table.zones[zoneId];
+    const serviceable = entry.serviceable !== false;
+
+    return {
+        pincode: code,
+        city: entry.city || null,
+        zone: zoneId,
+        zoneName: zone.name,
+        serviceable: serviceable,
+        express: serviceable && (entry.express ?? zone.express) === true && !!zone.expressTransitDays,
+        sameDay: serviceable && (entry.sameDay ?? zone.sameDay) === true,
+        nearestStore: serviceable ? findNearbyStoreName(code) : null,
+        matchedBy: matchedBy
+    };
+}
+
+/**
+ * Production working days for a taxonomy product (table default for unknown/missing products)
+ * @param {string} productId
+ * @returns {number}
+ */
+function getTurnaroundDays(productId) {
+    const turnaround = table.turnaroundDays || {};
+    return turnaround[productId] ?? turnaround.default ?? 2;
+}
+
+/**
+ * Taxonomy product from an ID ("business-cards") or customer words ("visiting cards")
+ * @private
+ */
+function findProduct(product) {
+    if (!product) return null;
+    return getProduct(String(product)) || resolveProduct(String(product));
+}
+
+/**
+ * Production runs every day except Sundays and holidays of all stores
+ * @private
+ */
+function isWorkingDay(istDate) {
+    return istDate.getUTCDay() !== 0 && !getClosure(istDate);
+}
+
+/**
+ * Move forward by working days (0 = same day)
+ * @private
+ */
+function addWorkingDays(istDate, days) {
+    const result = new Date(istDate.getTime());
+    let remaining = days;
+    while (remaining > 0) {
+        result.setUTCDate(result.getUTCDate() + 1);
+        if (isWorkingDay(result)) remaining--;
+    }
+    return result;
+}
+
+/**
+ * Calendar days between two IST dates (by date, ignoring time)
+ * @private
+ */
+function daysBetween(fromIst, toIst) {
+    return Math.round((Date.parse(formatDate(toIst)) - Date.parse(formatDate(fromIst))) / 86400000);
+}
+
+/**
+ * Earliest/latest delivery for a dispatch day and transit range
+ * @private
+ */
+function deliveryWindow(todayIst, dispatchIst, transitDays) {
+    const earliest = addWorkingDays(dispatchIst, transitDays[0]);
+    const latest = addWorkingDays(dispatchIst, transitDays[1]);
+    return {
+        earliest: formatDate(earliest),
+        latest: formatDate(latest),
+        minDays: daysBetween(todayIst, earliest),
+        maxDays: daysBetween(todayIst, latest)
+    };
+}
+
+/**
+ * Delivery estimate for a pincode, optionally for a product
+ * @param {object} request
+ * @param {string|number} request.pincode - Delivery pincode
+ * @param {string} request.product - Taxonomy product ID or customer words (optional)
+ * @param {Date} request.now - Order time (default now)
+ * @returns {object} { pincode, serviceable, location, product, cutoff, beforeCutoff, sameDay, standard, express, summary }
+ * @throws {Error} INVALID_PINCODE | UNKNOWN_PRODUCT | DELIVERY_TABLE_UNAVAILABLE
+ */
+function estimateDelivery(request = {}) {
+    const location = lookupPincode(request.pincode);
+
+    const product = findProduct(request.product);
+    if (request.product && !product) {
+        throw new Error('UNKNOWN_PRODUCT');
+    }
+
+    const now = request.now || new Date();
+    const nowIst = toIST(now);
+    const cutoff = getCutoff(product ? product.id : null, location.city, nowIst);
+    const beforeCutoff = isWorkingDay(nowIst) && cutoff !== null && minutesOfDay(nowIst) < cutoff;
+    const estimate = {
+        pincode: location.pincode,
+        serviceable: location.serviceable,
+        location: location,
+        product: product ? { id: product.id, name: product.name, sameDay: product.sameDay, turnaroundDays: getTurnaroundDays(product.id) } : null,
+        cutoff: cutoff !== null ? `${formatTime(cutoff)} IST` : null,
+        beforeCutoff: beforeCutoff,
+        sameDay: null,
+        standard: null,
+        express: null
+    };
+
+    if (!location.serviceable) {
+        estimate.summary = `We don't deliver to ${location.pincode}${location.city ? ` (${location.city})` : ''} yet.`;
+        return estimate;
+    }
+
+    // Production starts today before the cut-off, otherwise on the next working day
+    const productionStart = beforeCutoff ? nowIst : addWorkingDays(nowIst, 1);
+    const turnaroundDays = product ? estimate.product.turnaroundDays : getTurnaroundDays(null);
+    const dispatch = addWorkingDays(productionStart, turnaroundDays);
+    const zone = table.zones[location.zone];
+
+    estimate.standard = deliveryWindow(nowIst, dispatch, zone.transitDays);
+    if (location.express) {
+        estimate.express = deliveryWindow(nowIst, dispatch, zone.expressTransitDays);
+    }
+
+    if (product) {
+        estimate.sameDay = checkSameDay({ product, location, now });
+    }
+
+    estimate.summary = summarize(estimate);
+    return estimate;
+}
+
+/**
+ * One-line answer for customers / logs
+ * @private
+ */
+function summarize(estimate) {
+    const place = estimate.location.city ? `${estimate.location.city} (${estimate.pincode})` : estimate.pincode;
+    const what = estimate.product ? `${estimate.product.name} to ${place}` : `Delivery to ${place}`;
+
+    if (estimate.sameDay && estimate.sameDay.available) {
+        return `${what}: same-day delivery today if ordered by ${estimate.sameDay.cutoff}.`;
+    }
+
+    const { standard } = estimate;
+    const range = standard.earliest === standard.latest ? standard.earliest : `${standard.earliest} - ${standard.latest}`;
+    return `${what}: standard delivery ${range}${estimate.express ? `, express by ${estimate.express.latest}` : ''}.`;
+}
+
+/**
+ * "2026-10-21 to 2026-10-22 (2-3 days)"
+ * @private
+ */
+function formatWindow(window) {
+    return window.earliest === window.latest
+        ? `${window.earliest} (${window.minDays} days)`
+        : `${window.earliest} to ${window.latest} (${window.minDays}-${window.maxDays} days)`;
+}
+
+/**
+ * [DELIVERY ESTIMATE] body for the prompt
+ * @param {object} estimate - estimateDelivery() result
+ * @returns {string}
+ */
+function formatEstimateForPrompt(estimate) {
+    const { location } = estimate;
+    const lines = [`Pincode ${estimate.pincode}: ${location.city || 'unlisted area'} - ${location.zoneName}`];
+
+    if (!estimate.serviceable) {
+        lines.push('NOT serviceable - we cannot deliver here. Offer to help with a different delivery address.');
+        return lines.join('\n') + '\n';
+    }
+
+    lines.push(`Printo store nearby: ${location.nearestStore || (isDirectoryComplete() ? 'none' : 'none in our list (it may be incomplete - see printo.in)')}`);
+    if (estimate.product) {
+        lines.push(`Product: ${estimate.product.name} (production ${estimate.product.turnaroundDays} working day${estimate.product.turnaroundDays === 1 ? '' : 's'})`);
+    }
+    if (estimate.sameDay) {
+        const sameDay = estimate.sameDay;
+        lines.push(`Same-day: ${sameDay.available ? 'AVAILABLE' : 'NOT available'} - ${sameDay.reason}`);
+    }
+    lines.push(`Standard delivery: ${formatWindow(estimate.standard)}`);
+    lines.push(`Express delivery: ${estimate.express ? formatWindow(estimate.express) : 'not available for this pincode'}`);
+
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    normalizePincode,
+    lookupPincode,
+    getTurnaroundDays,
+    estimateDelivery,
+    formatEstimateForPrompt
+};
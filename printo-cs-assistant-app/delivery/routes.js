@@ -0,0 +1,48 @@
+/**
+ * Delivery Estimate Endpoints
+ * Pincode serviceability and delivery dates (public - the same answer the bot gives customers)
+ */
+
+const express = require('express');
+const { estimateDelivery } = require('./delivery-estimator');
+
+// Delivery error codes → HTTP status + message
+const DELIVERY_ERRORS = {
+    INVALID_PINCODE: [400, 'pincode must be a 6-digit Indian pincode'],
+    UNKNOWN_PRODUCT: [400, 'product is not a known product ID or name'],
+    DELIVERY_TABLE_UNAVAILABLE: [503, 'Delivery estimates are not available right now']
+};
+
+/**
+ * Send a delivery error as JSON
+ * @private
+ */
+function sendDeliveryError(res, error) {
+    const [status, message] = DELIVERY_ERRORS[error.message] || [500, error.message];
+    res.status(status).json({ success: false, error: error.message, message });
+}
+
+/**
+ * Build the delivery router (mounted at /api)
+ * @returns {express.Router}
+ */
+function createDeliveryRouter() {
+    const router = express.Router();
+
+    /**
+     * GET /api/delivery-estimate?pincode=560001&product=business-cards
+     * product is optional - a taxonomy product ID or customer words ("visiting cards")
+     */
+    router.get('/delivery-estimate', (req, res) => {
+        try {
+            const estimate = estimateDelivery({ pincode: req.query.pincode, product: req.query.product || null });
+            res.json({ success: true, estimate: estimate, timestamp: new Date().toISOString() });
+        } catch (error) {
+            sendDeliveryError(res, error);
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createDeliveryRouter };
@@ -0,0 +1,192 @@
+/**
+ * Same-Day Delivery Eligibility
+ *
+ * Decides, for the current IST time, whether a same-day order is still possible.
+ * Rules come from delivery/same-day-rules.json (or SAME_DAY_RULES_PATH):
+ *
+ * - products   which taxonomy products (sameDay: true) take same-day orders and until when;
+ *              "enabled": false switches one off without touching the taxonomy
+ * - cities     store city cut-offs (the earlier of product and city cut-off applies)
+ *              and local holidays of that city's stores (cities.<city>.holidays: [{ date, name }])
+ * - sunday     whether stores take same-day orders on Sundays (per city override: cities.<city>.sunday)
+ *
+ * Holidays of every store are the public holidays of the business calendar (business-calendar/calendar.json).
+ *
+ * Without a city (no pincode yet) the product and default rules are used.
+ */
+
+const path = require('path');
+const { readJSON } = require('../json-file');
+const { getProduct, getSameDayProducts } = require('../taxonomy/product-taxonomy');
+const { getHoliday } = require('../business-calendar/business-calendar');
+const { toIST, formatDate, minutesOfDay, parseTime, formatTime, weekdayName, addDays } = require('../india-time');
+
+const RULES_PATH = process.env.SAME_DAY_RULES_PATH || path.join(__dirname, 'same-day-rules.json');
+
+// How far ahead to look for the next same-day slot
+const NEXT_SLOT_SEARCH_DAYS = 14;
+
+const rules = readJSON(RULES_PATH, null) || {};
+const DEFAULT_CUTOFF = parseTime(rules.defaultCutoff) ?? parseTime('15:00');
+
+/**
+ * @private
+ */
+function cityRule(city) {
+    return (city && rules.cities && rules.cities[city]) || {};
+}
+
+/**
+ * Why stores (of a city, or all stores) are closed for same-day orders on a day
+ * @param {Date} istDate
+ * @param {string} city - Store city (optional)
+ * @returns {string|null} Holiday name / "Sunday", or null when open
+ */
+function getClosure(istDate, city = null) {
+    const date = formatDate(istDate);
+    const holiday = getHoliday(istDate) || (cityRule(city).holidays || []).find(entry => entry.date === date);
+    if (holiday) return holiday.name || 'Store holiday';
+
+    if (istDate.getUTCDay() === 0) {
+        const sunday = cityRule(city).sunday || rules.sunday || {};
+        if (!sunday.open) return 'Sunday';
+    }
+    return null;
+}
+
+/**
+ * Order cut-off on a day: the earliest of product, city and Sunday cut-offs
+ * @param {string} productId - Taxonomy product ID (optional)
+ * @param {string} city - Store city (optional)
+ * @param {Date} istDate
+ * @returns {number|null} Minutes since midnight, null when closed that day
+ */
+function getCutoff(productId, city, istDate) {
+    if (getClosure(istDate, city)) return null;
+
+    const productRule = (productId && rules.products && rules.products[productId]) || {};
+    const cutoffs = [parseTime(productRule.cutoff) ?? DEFAULT_CUTOFF];
+
+    const cityCutoff = parseTime(cityRule(city).cutoff);
+    if (cityCutoff !== null) cutoffs.push(cityCutoff);
+
+    if (istDate.getUTCDay() === 0) {
+        const sundayCutoff = parseTime((cityRule(city).sunday || rules.sunday || {}).cutoff);
+        if (sundayCutoff !== null) cutoffs.push(sundayCutoff);
+    }
+    return Math.min(...cutoffs);
+}
+
+/**
+ * Taxonomy same-day product that isn't switched off in the rules
+ * @param {object} product - Taxonomy product
+ * @returns {boolean}
+ */
+function isSameDayProduct(product) {
+    if (!product || !product.sameDay) return false;
+    const productRule = (rules.products && rules.products[product.id]) || {};
+    return productRule.enabled !== false;
+}
+
+/**
+ * Next day (after today) with a same-day cut-off
+ * @private
+ */
+function findNextSlot(productId, city, nowIst) {
+    for (let offset = 1; offset <= NEXT_SLOT_SEARCH_DAYS; offset++) {
+        const day = addDays(nowIst, offset);
+        const cutoff = getCutoff(productId, city, day);
+        if (cutoff !== null) {
+            return { date: formatDate(day), weekday: weekdayName(day), cutoff: `${formatTime(cutoff)} IST` };
+        }
+    }
+    return null;
+}
+
+/**
+ * Can a same-day order be placed right now?
+ * @param {object} request
+ * @param {string|object} request.product - Taxonomy product ID or product
+ * @param {object} request.location - lookupPincode() result (optional - city rules and store check)
+ * @param {Date} request.now - Order time (default now)
+ * @returns {object} { eligible, available, cutoff, minutesLeft, closedFor, reason, nextSlot }
+ */
+function checkSameDay(request = {}) {
+    const product = typeof request.product === 'string' ? getProduct(request.product) : request.product;
+    const location = request.location || null;
+    const city = location ? location.city : null;
+    const nowIst = toIST(request.now || new Date());
+
+    const result = { eligible: false, available: false, cutoff: null, minutesLeft: null, closedFor: null, reason: null, nextSlot: null };
+
+    if (!isSameDayProduct(product)) {
+        result.reason = `${product ? product.name : 'This product'} is not available for same-day delivery`;
+        return result;
+    }
+    if (location && !location.sameDay) {
+        result.reason = 'No Printo store serves this pincode';
+        return result;
+    }
+
+    result.eligible = true;
+    const cutoff = getCutoff(product.id, city, nowIst);
+    result.closedFor = getClosure(nowIst, city);
+
+    if (cutoff !== null) {
+        result.cutoff = `${formatTime(cutoff)} IST`;
+        result.minutesLeft = Math.max(0, cutoff - minutesOfDay(nowIst));
+        result.available = result.minutesLeft > 0;
+    }
+
+    if (result.available) {
+        result.reason = `Order by ${result.cutoff} today (${result.minutesLeft} minutes left)`;
+    } else {
+        result.nextSlot = findNextSlot(product.id, city, nowIst);
+        const why = result.closedFor
+            ? (result.closedFor === 'Sunday' ? 'No same-day orders on Sundays' : `Stores are closed today (${result.closedFor})`)
+            : `Today's cut-off (${result.cutoff}) has passed`;
+        result.reason = result.nextSlot
+            ? `${why} - next same-day slot: ${result.nextSlot.weekday} ${result.nextSlot.date}, order by ${result.nextSlot.cutoff}`
+            : why;
+    }
+
+    return result;
+}
+
+/**
+ * [SAME_DAY_DELIVERY_PRODUCTS] text for the prompt: every same-day product with its cut-off and
+ * whether it can still be ordered for today, stated outright so the model doesn't guess from the clock
+ * @param {Date} now - Default now
+ * @returns {string}
+ */
+function formatSameDayStatus(now = new Date()) {
+    const nowIst = toIST(now);
+    const products = getSameDayProducts().filter(isSameDayProduct);
+    const checks = products.map(product => ({ product, check: checkSameDay({ product, now }) }));
+
+    // Products with the same status share a line
+    const groups = new Map();
+    checks.forEach(({ product, check }) => {
+        const status = check.available
+            ? `order by ${check.cutoff} → same-day STILL POSSIBLE today`
+            : `same-day CLOSED today (${check.reason})`;
+        groups.set(status, [...(groups.get(status) || []), product.name]);
+    });
+
+    const lines = [`Current time: ${weekdayName(nowIst)} ${formatDate(nowIst)}, ${formatTime(minutesOfDay(nowIst))} IST`];
+    groups.forEach((names, status) => lines.push(`• ${names.join(', ')} - ${status}`));
+
+    lines.push(checks.some(({ check }) => check.available)
+        ? 'Only the products marked STILL POSSIBLE can be delivered today, and only where a Printo store serves the pincode. City cut-offs can be earlier - the [DELIVERY ESTIMATE] has the answer for the customer\'s pincode.'
+        : 'Same-day delivery is NOT possible for an order placed now. Do not promise delivery today - offer the next same-day slot instead.');
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    getClosure,
+    getCutoff,
+    isSameDayProduct,
+    checkSameDay,
+    formatSameDayStatus
+};
@@ -83,6 +83,8 @@ class GoogleSheetsLogger {
      * @param {string} data.pincode - Detected pincode (optional)
      * @param {string} data.status - Status of the request (success/error)
      * @param {number} data.responseTime - Response time in milliseconds
+     * @param {string} data.promptVersion - System prompt version used for the reply (see prompt/prompt-registry.js)
+     * @param {string} data.language - Customer's language code (en, hi, hi-Latn, kn, ta... see language/detect-language.js)
      */
     async logConversation(data) {
         if (!this.enabled) {
@@ -98,7 +100,9 @@ class GoogleSheetsLogger {
                 product = 'N/A',
                 pincode = 'N/A',
                 status = 'success',
-                responseTime = 0
+                responseTime = 0,
+                promptVersion = 'N/A',
+                language = 'N/A'
             } = data;
 
             // Prepare row data
@@ -110,13 +114,15 @@ class GoogleSheetsLogger {
                 product,
                 pincode,
                 status,
-                responseTime
+                responseTime,
+                promptVersion,
+                language
             ]];
 
             // Append to sheet
             await this.sheets.spreadsheets.values.append({
                 spreadsheetId: this.sheetId,
-                range: 'Sheet1!A:H',
+                range: 'Sheet1!A:J',
                 valueInputOption: 'USER_ENTERED',
                 requestBody: {
                     values: values
@@ -142,11 +148,12 @@ class GoogleSheetsLogger {
             // Check if sheet has data
             const response = await this.sheets.spreadsheets.values.get({
                 spreadsheetId: this.sheetId,
-                range: 'Sheet1!A1:H1'
+                range: 'Sheet1!A1:J1'
             });
 
-            // If no data or empty, add headers
-            if (!response.data.values || response.data.values.length === 0) {
+            // If no data or empty, add headers (sheets created before the Prompt Version / Language columns get them added)
+            const existingHeaders = (response.data.values && response.data.values[0]) || [];
+            if (existingHeaders.length === 0 || (existingHeaders[0] === 'Timestamp' && existingHeaders.length < 10)) {
                 const headers = [[
                     'Timestamp',
                     'Session ID',
@@ -155,12 +162,14 @@ class GoogleSheetsLogger {
                     'Product',
                     'Pincode',
                     'Status',
-                    'Response Time (ms)'
+                    'Response Time (ms)',
+                    'Prompt Version',
+                    'Language'
                 ]];
 
                 await this.sheets.spreadsheets.values.update({
                     spreadsheetId: this.sheetId,
-                    range: 'Sheet1!A1:H1',
+                    range: 'Sheet1!A1:J1',
                     valueInputOption: 'USER_ENTERED',
                     requestBody: {
                         values: headers
@@ -0,0 +1,343 @@
+/**
+ * Human Agent Handoff Manager
+ *
+ * Pauses bot replies for a BotSpace session and queues the conversation for a human agent.
+ *
+ * Lifecycle:  queued → claimed → resolved
+ *                ↑         │
+ *                └─release─┘
+ * A queued/claimed handoff with no customer or agent activity for
+ * HANDOFF_IDLE_RESUME_MINUTES is expired and the bot takes over again.
+ */
+
+const { readJSON, writeJSON, dataPath } = require('../json-file');
+
+// Customer explicitly asks for a person
+const HUMAN_REQUEST_PATTERNS = [
+    /\b(talk|speak|chat|connect)\s+(to|with)\s+(a\s+|an\s+|some\s*one|your\s+)?(human|person|agent|executive|representative|someone|team|staff|manager)\b/,
+    /\b(real|live)\s+(person|human|agent)\b/,
+    /\bhuman\s+(agent|support|being)\b/,
+    /\bcustomer\s+(care|support|service)\b/,
+    /\b(call\s+me|call\s+back|callback)\b/,
+    /\bnot\s+(a\s+)?bot\b/,
+    /\bare\s+you\s+(a\s+)?(bot|robot)\b/
+];
+
+// Frustrated / angry customer
+const FRUSTRATION_KEYWORDS = [
+    'worst', 'pathetic', 'useless', 'fraud', 'cheat', 'cheated', 'scam', 'disgusting',
+    'terrible', 'horrible', 'ridiculous', 'nonsense', 'complaint', 'consumer court',
+    'angry', 'frustrated', 'fed up', 'not happy', 'very bad', 'waste of time', 'refund'
+];
+
+// Bot replies that mean it could not actually answer
+const BOT_UNABLE_PATTERNS = [
+    /\b(i('m| am)\s+not\s+sure|i\s+don'?t\s+know|i\s+do\s+not\s+have\s+(that|this)\s+information)\b/,
+    /\b(unable|not able)\s+to\s+(help|answer|assist)\b/,
+    /\bcan'?t\s+(help|answer|assist)\s+with\b/
+];
+
+const ACTIVE_STATUSES = ['queued', 'claimed'];
+
+// Closed handoffs are kept this long for reporting
+const CLOSED_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+class HandoffManager {
+    /**
+     * @param {object} options
+     * @param {string} options.filePath - Where handoffs are persisted
+     * @param {number} options.idleResumeMs - Idle time after which the bot resumes automatically
+     */
+    constructor(options = {}) {
+        this.filePath = options.filePath || process.env.HANDOFF_STORE_PATH || dataPath('handoffs.json');
+        const idleMinutes = parseFloat(process.env.HANDOFF_IDLE_RESUME_MINUTES) || 30;
+        this.idleResumeMs = options.idleResumeMs || idleMinutes * 60 * 1000;
+
+        // Map<handoffId, handoff>
+        this.handoffs = new Map(Object.entries(readJSON(this.filePath, {})));
+
+        // Periodically hand idle conversations back to the bot
+        this.sweepTimer = setInterval(() => this.expireIdle(), 60 * 1000);
+        this.sweepTimer.unref();
+    }
+
+    /**
+     * Decide whether a customer message should go to a human
+     * @param {string} message - Customer message
+     * @returns {string|null} Reason ('customer_request' | 'frustrated_customer') or null
+     */
+    detectTrigger(message) {
+        if (!message) return null;
+        const lowerMessage = message.toLowerCase();
+
+        if (HUMAN_REQUEST_PATTERNS.some(pattern => pattern.test(lowerMessage))) {
+            return 'customer_request';
+        }
+
+        const shouting = message.length > 15 && message === message.toUpperCase() && /[A-Z]/.test(message);
+        const exclamations = (message.match(/!/g) || []).length >= 3;
+        if (shouting || exclamations || FRUSTRATION_KEYWORDS.some(keyword => lowerMessage.includes(keyword))) {
+            return 'frustrated_customer';
+        }
+
+        return null;
+    }
+
+    /**
+     * Check whether a bot reply shows it could not answer
+     * @param {string} response - Bot reply
+     * @returns {boolean}
+     */
+    isUnableToAnswer(response) {
+        if (!response) return false;
+        const lowerResponse = response.toLowerCase();
+        return BOT_UNABLE_PATTERNS.some(pattern => pattern.test(lowerResponse));
+    }
+
+    /**
+     * Pause the bot and queue the conversation for an agent
+     * Returns the existing handoff if the session is already waiting for an agent
+     *
+     * @param {object} details
+     * @param {string} details.sessionId - Session ID (botspace_<phone>)
+     * @param {string} details.reason - Why the handoff happened
+     * @param {Array} details.transcript - Conversation so far ([{ role, content }])
+     * @param {string} details.customerName
+     * @param {string} details.customerPhone
+     * @param {string} details.conversationId - BotSpace conversation ID (for agent replies)
+     * @returns {object} Handoff
+     */
+    requestHandoff(details) {
+        const existing = this.getActiveForSession(details.sessionId);
+        if (existing) {
+            return existing;
+        }
+
+        const now = Date.now();
+        const handoff = {
+            id: 'handoff_' + now + '_' + Math.random().toString(36).substr(2, 9),
+            sessionId: details.sessionId,
+            status: 'queued',
+            reason: details.reason || 'customer_request',
+            customerName: details.customerName || 'Customer',
+            customerPhone: details.customerPhone || null,
+            conversationId: details.conversationId || null,
+            transcript: (details.transcript || []).map(message => ({ ...message, timestamp: message.timestamp || now })),
+            requestedAt: now,
+            lastActivityAt: now,
+            claimedBy: null,
+            claimedAt: null,
+            resolvedBy: null,
+            resolvedAt: null,
+            resolution: null
+        };
+
+        this.handoffs.set(handoff.id, handoff);
+        this._save();
+
+        console.log(`🙋 [HANDOFF] ${handoff.sessionId} queued for an agent (${handoff.reason})`);
+        return handoff;
+    }
+
+    /**
+     * Is the bot currently paused for this session?
+     * @param {string} sessionId
+     * @returns {boolean}
+     */
+    isBotPaused(sessionId) {
+        this.expireIdle();
+        return !!this.getActiveForSession(sessionId);
+    }
+
+    /**
+     * Get the open (queued/claimed) handoff for a session
+     * @param {string} sessionId
+     * @returns {object|null}
+     */
+    getActiveForSession(sessionId) {
+        for (const handoff of this.handoffs.values()) {
+            if (handoff.sessionId === sessionId && ACTIVE_STATUSES.includes(handoff.status)) {
+                return handoff;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Append a message to an open handoff's transcript
+     * @param {string} sessionId
+     * @param {string} role - 'user' | 'assistant' | 'agent'
+     * @param {string} content
+     * @param {object} extra - Additional fields (e.g. agent name)
+     * @returns {object|null} Updated handoff
+     */
+    recordMessage(sessionId, role, content, extra = {}) {
+        const handoff = this.getActiveForSession(sessionId);
+        if (!handoff) return null;
+
+        const now = Date.now();
+        handoff.transcript.push({ role, content, timestamp: now, ...extra });
+        handoff.lastActivityAt = now;
+        this._save();
+        return handoff;
+    }
+
+    /**
+     * Agent takes ownership of a queued handoff
+     * @throws {Error} HANDOFF_NOT_FOUND | HANDOFF_ALREADY_CLAIMED | HANDOFF_CLOSED
+     */
+    claim(handoffId, agent) {
+        const handoff = this._getOpen(handoffId);
+
+        if (handoff.status === 'claimed' && handoff.claimedBy !== agent) {
+            throw new Error('HANDOFF_ALREADY_CLAIMED');
+        }
+
+        handoff.status = 'claimed';
+        handoff.claimedBy = agent;
+        handoff.claimedAt = Date.now();
+        handoff.lastActivityAt = Date.now();
+        this._save();
+
+        console.log(`👤 [HANDOFF] ${handoff.sessionId} claimed by ${agent}`);
+        return handoff;
+    }
+
+    /**
+     * Agent gives a claimed handoff back to the queue (bot stays paused)
+     * Only the claiming agent can release it unless `force` is set (admin override)
+     * @throws {Error} HANDOFF_NOT_FOUND | HANDOFF_NOT_CLAIMED | HANDOFF_ALREADY_CLAIMED | HANDOFF_CLOSED
+     */
+    release(handoffId, agent, { force = false } = {}) {
+        const handoff = this._getOpen(handoffId);
+
+        if (handoff.status !== 'claimed') {
+            throw new Error('HANDOFF_NOT_CLAIMED');
+        }
+        this._assertClaimant(handoff, agent, force);
+
+        console.log(`↩️  [HANDOFF] ${handoff.sessionId} released by ${agent || handoff.claimedBy}${force ? ' (override)' : ''}`);
+        handoff.status = 'queued';
+        handoff.claimedBy = null;
+        handoff.claimedAt = null;
+        handoff.lastActivityAt = Date.now();
+        this._save();
+        return handoff;
+    }
+
+    /**
+     * Close a handoff and hand the conversation back to the bot
+     * A claimed handoff can only be resolved by its claimant unless `force` is set (admin override)
+     * @throws {Error} HANDOFF_NOT_FOUND | HANDOFF_ALREADY_CLAIMED | HANDOFF_CLOSED
+     */
+    resolve(handoffId, agent, resolution = '', { force = false } = {}) {
+        const handoff = this._getOpen(handoffId);
+        this._assertClaimant(handoff, agent, force);
+
+        handoff.status = 'resolved';
+        handoff.resolvedBy = agent || handoff.claimedBy;
+        handoff.resolvedAt = Date.now();
+        handoff.resolution = resolution;
+        this._save();
+
+        console.log(`✅ [HANDOFF] ${handoff.sessionId} resolved by ${handoff.resolvedBy}${force ? ' (override)' : ''} - bot resumed`);
+        return handoff;
+    }
+
+    /**
+     * Throw if another agent holds the claim
+     * @private
+     * @throws {Error} HANDOFF_ALREADY_CLAIMED
+     */
+    _assertClaimant(handoff, agent, force) {
+        if (!force && handoff.status === 'claimed' && handoff.claimedBy !== agent) {
+            throw new Error('HANDOFF_ALREADY_CLAIMED');
+        }
+    }
+
+    /**
+     * Resume the bot for handoffs nobody touched within the idle window
+     * @returns {number} Number of handoffs expired or pruned
+     */
+    expireIdle() {
+        const cutoff = Date.now() - this.idleResumeMs;
+        let expired = 0;
+
+        for (const handoff of this.handoffs.values()) {
+            if (ACTIVE_STATUSES.includes(handoff.status) && handoff.lastActivityAt < cutoff) {
+                handoff.status = 'expired';
+                handoff.resolvedAt = Date.now();
+                handoff.resolution = 'Bot resumed automatically after idle period';
+                expired++;
+                console.log(`⏱️  [HANDOFF] ${handoff.sessionId} idle - bot resumed automatically`);
+            }
+        }
+
+        // Drop closed handoffs after the retention window
+        const retentionCutoff = Date.now() - CLOSED_RETENTION_MS;
+        for (const [handoffId, handoff] of this.handoffs.entries()) {
+            if (!ACTIVE_STATUSES.includes(handoff.status) && handoff.resolvedAt < retentionCutoff) {
+                this.handoffs.delete(handoffId);
+                expired++;
+            }
+        }
+
+        if (expired > 0) {
+            this._save();
+        }
+        return expired;
+    }
+
+    /**
+     * Get a handoff by ID
+     * @returns {object|null}
+     */
+    get(handoffId) {
+        return this.handoffs.get(handoffId) || null;
+    }
+
+    /**
+     * List handoffs, newest first
+     * @param {string} status - Optional status filter ('open' = queued + claimed)
+     * @returns {Array<object>}
+     */
+    list(status) {
+        this.expireIdle();
+        let handoffs = Array.from(this.handoffs.values());
+
+        if (status === 'open') {
+            handoffs = handoffs.filter(handoff => ACTIVE_STATUSES.includes(handoff.status));
+        } else if (status) {
+            handoffs = handoffs.filter(handoff => handoff.status === status);
+        }
+
+        return handoffs.sort((a, b) => b.requestedAt - a.requestedAt);
+    }
+
+    /**
+     * @private
+     */
+    _getOpen(handoffId) {
+        const handoff = this.handoffs.get(handoffId);
+        if (!handoff) {
+            throw new Error('HANDOFF_NOT_FOUND');
+        }
+        if (!ACTIVE_STATUSES.includes(handoff.status)) {
+            throw new Error('HANDOFF_CLOSED');
+        }
+        return handoff;
+    }
+
+    /**
+     * @private
+     */
+    _save() {
+        try {
+            writeJSON(this.filePath, Object.fromEntries(this.handoffs));
+        } catch (error) {
+            console.error('❌ [HANDOFF] Failed to save handoffs:', error.message);
+        }
+    }
+}
+
+module.exports = HandoffManager;
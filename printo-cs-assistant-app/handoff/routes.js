@@ -0,0 +1,130 @@
+/**
+ * Handoff Agent Endpoints
+ * Lets human agents work the handoff queue - the acting agent is the authenticated caller (req.auth.name)
+ * Only the claiming agent can release or resolve a claimed handoff; admins can override with ?force=true
+ */
+
+const express = require('express');
+
+// Handoff error codes → HTTP status + message
+const HANDOFF_ERRORS = {
+    HANDOFF_NOT_FOUND: [404, 'Handoff not found'],
+    HANDOFF_CLOSED: [409, 'Handoff is already closed'],
+    HANDOFF_ALREADY_CLAIMED: [409, 'Handoff is claimed by another agent'],
+    HANDOFF_NOT_CLAIMED: [409, 'Handoff is not claimed']
+};
+
+/**
+ * Send a handoff error response
+ * @private
+ */
+function sendHandoffError(res, error) {
+    const known = HANDOFF_ERRORS[error.message];
+    if (!known) {
+        console.error('❌ [HANDOFF] Unexpected error:', error);
+        return res.status(500).json({ success: false, error: 'INTERNAL_ERROR', message: error.message });
+    }
+
+    res.status(known[0]).json({ success: false, error: error.message, message: known[1] });
+}
+
+/**
+ * Build the handoff router
+ * @param {HandoffManager} handoffManager
+ * @param {ApiAuth} apiAuth - Used to check the admin role for ?force=true
+ * @returns {express.Router}
+ */
+function createHandoffRouter(handoffManager, apiAuth) {
+    const router = express.Router();
+
+    /**
+     * ?force=true (admin only) acts on a handoff another agent has claimed
+     * @returns {boolean|null} null when a non-admin asked for force (403 already sent)
+     */
+    function readForce(req, res) {
+        const force = req.query.force === 'true';
+        if (force && !apiAuth.hasRole(req.auth.role, 'admin')) {
+            res.status(403).json({
+                success: false,
+                error: 'FORBIDDEN',
+                message: 'Overriding another agent\'s claim requires the admin role'
+            });
+            return null;
+        }
+        return force;
+    }
+
+    /**
+     * GET /api/handoffs?status=open|queued|claimed|resolved|expired
+     * List handoffs (newest first)
+     */
+    router.get('/handoffs', (req, res) => {
+        const handoffs = handoffManager.list(req.query.status);
+
+        res.json({
+            success: true,
+            handoffs: handoffs,
+            count: handoffs.length,
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    /**
+     * GET /api/handoffs/:id
+     * Handoff with full transcript
+     */
+    router.get('/handoffs/:id', (req, res) => {
+        const handoff = handoffManager.get(req.params.id);
+        if (!handoff) {
+            return sendHandoffError(res, new Error('HANDOFF_NOT_FOUND'));
+        }
+
+        res.json({ success: true, handoff: handoff });
+    });
+
+    /**
+     * POST /api/handoffs/:id/claim
+     */
+    router.post('/handoffs/:id/claim', (req, res) => {
+        try {
+            res.json({ success: true, handoff: handoffManager.claim(req.params.id, req.auth.name) });
+        } catch (error) {
+            sendHandoffError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/handoffs/:id/release?force=true
+     * Puts the conversation back in the queue - the bot stays paused
+     */
+    router.post('/handoffs/:id/release', (req, res) => {
+        const force = readForce(req, res);
+        if (force === null) return;
+
+        try {
+            res.json({ success: true, handoff: handoffManager.release(req.params.id, req.auth.name, { force }) });
+        } catch (error) {
+            sendHandoffError(res, error);
+        }
+    });
+
+    /**
+     * POST /api/handoffs/:id/resolve?force=true
+     * Body: { resolution }
+     * Closes the handoff and resumes the bot
+     */
+    router.post('/handoffs/:id/resolve', (req, res) => {
+        const force = readForce(req, res);
+        if (force === null) return;
+
+        try {
+            res.json({ success: true, handoff: handoffManager.resolve(req.params.id, req.auth.name, req.body.resolution, { force }) });
+        } catch (error) {
+            sendHandoffError(res, error);
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createHandoffRouter };
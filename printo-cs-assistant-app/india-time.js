@@ -0,0 +1,100 @@
+/**
+ * India Time Helpers
+ *
+ * Printo's cut-offs and business hours are in IST (UTC+5:30, no daylight saving) whatever timezone the
+ * server runs in. An "IST date" here is a Date shifted by the offset so its UTC fields
+ * (getUTCHours, getUTCDay, toISOString) read as the wall clock in India.
+ */
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * @param {Date} date - Real time (default now)
+ * @returns {Date} IST date
+ */
+function toIST(date = new Date()) {
+    return new Date(date.getTime() + IST_OFFSET_MS);
+}
+
+/**
+ * Back from an IST date to the real moment
+ * @param {Date} istDate
+ * @returns {Date}
+ */
+function fromIST(istDate) {
+    return new Date(istDate.getTime() - IST_OFFSET_MS);
+}
+
+/**
+ * @param {Date} istDate
+ * @returns {string} "2026-10-19"
+ */
+function formatDate(istDate) {
+    return istDate.toISOString().slice(0, 10);
+}
+
+/**
+ * @param {Date} istDate
+ * @returns {number} Minutes since midnight
+ */
+function minutesOfDay(istDate) {
+    return istDate.getUTCHours() * 60 + istDate.getUTCMinutes();
+}
+
+/**
+ * Parse "15:00" / "9:30" into minutes since midnight
+ * @param {string} time
+ * @returns {number|null} null if it isn't HH:MM
+ */
+function parseTime(time) {
+    const match = String(time || '').trim().match(/^(\d{1,2}):(\d{2})$/);
+    if (!match) return null;
+
+    const hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    return hours < 24 && minutes < 60 ? hours * 60 + minutes : null;
+}
+
+/**
+ * Minutes since midnight as "3:00 PM"
+ * @param {number} minutes
+ * @returns {string}
+ */
+function formatTime(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const suffix = hours >= 12 ? 'PM' : 'AM';
+    return `${hours % 12 || 12}:${String(minutes % 60).padStart(2, '0')} ${suffix}`;
+}
+
+/**
+ * @param {Date} istDate
+ * @returns {string} "Monday"
+ */
+function weekdayName(istDate) {
+    return WEEKDAYS[istDate.getUTCDay()];
+}
+
+/**
+ * Same wall-clock time n calendar days later
+ * @param {Date} istDate
+ * @param {number} days
+ * @returns {Date}
+ */
+function addDays(istDate, days) {
+    const result = new Date(istDate.getTime());
+    result.setUTCDate(result.getUTCDate() + days);
+    return result;
+}
+
+module.exports = {
+    toIST,
+    fromIST,
+    formatDate,
+    minutesOfDay,
+    parseTime,
+    formatTime,
+    weekdayName,
+    addDays
+};
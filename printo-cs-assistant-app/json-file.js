@@ -0,0 +1,51 @@
+/**
+ * JSON File Helpers
+ * Small persistence helpers for runtime state kept under data/
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Default directory for runtime state (git-ignored)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+/**
+ * Read a JSON file, returning a fallback if it is missing or unreadable
+ * @param {string} filePath - File to read
+ * @param {*} fallback - Value returned when the file can't be used
+ * @returns {*} Parsed JSON or fallback
+ */
+function readJSON(filePath, fallback) {
+    if (!fs.existsSync(filePath)) return fallback;
+
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        console.error(`❌ Could not read ${filePath}:`, error.message);
+        return fallback;
+    }
+}
+
+/**
+ * Write JSON atomically (temp file + rename) so a crash never leaves half a file
+ * @param {string} filePath - File to write
+ * @param {*} data - Data to serialize
+ * @param {boolean} pretty - Indent output (for files people read)
+ */
+function writeJSON(filePath, data, pretty = false) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, pretty ? JSON.stringify(data, null, 2) : JSON.stringify(data), 'utf8');
+    fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Resolve a file inside the runtime data directory
+ * @param {string} fileName - File name (e.g. "handoffs.json")
+ * @returns {string} Absolute path
+ */
+function dataPath(fileName) {
+    return path.join(DATA_DIR, fileName);
+}
+
+module.exports = { readJSON, writeJSON, dataPath, DATA_DIR };
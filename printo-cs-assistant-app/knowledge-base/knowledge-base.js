@@ -0,0 +1,300 @@
+/**
+ * Knowledge Base
+ *
+ * Curated customer questions with ready-to-send answers, grouped by category and tagged with keywords.
+ * Used by the support team's search page (system_prompt/index.html) and persisted to
+ * data/knowledge-base.json. The first start seeds it from knowledge-base/seed.json.
+ *
+ * findRelevant() picks the entries that answer a customer message, for the prompt's [FAQ_CONTENT]:
+ * message words are matched against each entry's question, keywords and answer (in that order of
+ * weight), rarer words count more, and weak matches are dropped.
+ */
+
+const path = require('path');
+const { readJSON, writeJSON, dataPath } = require('../json-file');
+const { tokenize } = require('../catalog/search-index');
+
+const SEED_PATH = path.join(__dirname, 'seed.json');
+
+const CATEGORY_PATTERN = /^[a-z][a-z0-9-]{0,29}$/;
+const MAX_QUESTION_LENGTH = 300;
+const MAX_ANSWER_LENGTH = 4000;
+
+// FAQ retrieval: field weights, minimum score, and share of the best score an entry needs
+const FIELD_WEIGHTS = { question: 3, keywords: 2, answer: 1 };
+const MIN_FAQ_SCORE = parseFloat(process.env.FAQ_MIN_SCORE) || 4;
+const MIN_RELATIVE_FAQ_SCORE = 0.5;
+const DEFAULT_FAQ_LIMIT = parseInt(process.env.FAQ_MAX_RESULTS) || 3;
+
+// Chat words that say nothing about which answer fits (tokenized, so "does" matches its stem)
+const FAQ_STOPWORDS = new Set(tokenize([
+    'a', 'an', 'and', 'are', 'any', 'can', 'could', 'do', 'does', 'for', 'from', 'get', 'have', 'hello', 'hi', 'how',
+    'i', 'in', 'is', 'it', 'me', 'my', 'need', 'of', 'on', 'or', 'our', 'please', 'the', 'this', 'that', 'to', 'u',
+    'want', 'we', 'what', 'when', 'where', 'which', 'will', 'with', 'would', 'you', 'your', 'yes', 'no', 'ok', 'okay',
+    'there', 'be', 'by', 'at', 'so', 'us', 'am', 'was', 'did', 'printo'
+].join(' ')));
+
+/**
+ * Keywords from an array or a comma separated string: trimmed, lowercase, unique
+ * @private
+ */
+function normalizeKeywords(keywords) {
+    const list = Array.isArray(keywords) ? keywords : String(keywords || '').split(',');
+    return [...new Set(list.map(keyword => String(keyword).trim().toLowerCase()).filter(Boolean))];
+}
+
+class KnowledgeBase {
+    /**
+     * @param {object} options
+     * @param {string} options.filePath - Where entries are persisted
+     * @param {string} options.seedPath - Entries loaded when filePath doesn't exist yet
+     */
+    constructor(options = {}) {
+        this.filePath = options.filePath || process.env.KNOWLEDGE_BASE_PATH || dataPath('knowledge-base.json');
+
+        const saved = readJSON(this.filePath, null);
+        if (saved) {
+            this.entries = saved.entries || [];
+            this.nextId = saved.nextId || this._maxId() + 1;
+        } else {
+            const now = new Date().toISOString();
+            this.entries = readJSON(options.seedPath || SEED_PATH, []).map(entry => ({
+                ...entry,
+                keywords: normalizeKeywords(entry.keywords),
+                createdAt: now,
+                updatedAt: now,
+                updatedBy: 'seed'
+            }));
+            this.nextId = this._maxId() + 1;
+            this._save();
+        }
+
+        // Search index for findRelevant(), rebuilt after edits
+        this.index = null;
+
+        console.log(`📚 [KB] ${this.entries.length} knowledge base entries loaded`);
+    }
+
+    /**
+     * Entries that answer a customer message, best first
+     * @param {string} message - Customer message
+     * @param {object} options
+     * @param {number} options.limit - Max entries (FAQ_MAX_RESULTS, default 3)
+     * @returns {Array<object>} Entries with score and matchedTerms
+     */
+    findRelevant(message, options = {}) {
+        const limit = options.limit || DEFAULT_FAQ_LIMIT;
+        const index = this._getIndex();
+        const terms = [...new Set(tokenize(message))].filter(term => term.length > 1 && !FAQ_STOPWORDS.has(term) && index.documentFrequency.has(term));
+        if (terms.length === 0) return [];
+
+        const ranked = index.documents
+            .map(({ entry, fields }) => {
+                let score = 0;
+                const matchedTerms = [];
+                terms.forEach(term => {
+                    const field = ['question', 'keywords', 'answer'].find(name => fields[name].has(term));
+                    if (!field) return;
+
+                    const idf = Math.log(1 + index.documents.length / index.documentFrequency.get(term));
+                    score += FIELD_WEIGHTS[field] * idf;
+                    matchedTerms.push(term);
+                });
+                return { ...entry, score: Math.round(score * 100) / 100, matchedTerms };
+            })
+            .filter(result => result.score >= MIN_FAQ_SCORE)
+            .sort((a, b) => b.score - a.score);
+
+        if (ranked.length === 0) return [];
+
+        const minScore = ranked[0].score * MIN_RELATIVE_FAQ_SCORE;
+        return ranked.filter(result => result.score >= minScore).slice(0, limit);
+    }
+
+    /**
+     * Entries, optionally filtered by category and ranked by a search query
+     * @param {object} filters
+     * @param {string} filters.q - Search text (ranked best first; without it entries are in ID order)
+     * @param {string} filters.category - Only this category
+     * @param {number} filters.limit - Max entries (search default 10)
+     * @returns {Array<object>} Entries (with score when searching)
+     */
+    list(filters = {}) {
+        let entries = this.entries;
+        if (filters.category && filters.category !== 'all') {
+            entries = entries.filter(entry => entry.category === filters.category);
+        }
+
+        if (filters.q && String(filters.q).trim()) {
+            return this._search(entries, String(filters.q), filters.limit || 10);
+        }
+        return filters.limit ? entries.slice(0, filters.limit) : [...entries];
+    }
+
+    /**
+     * @param {number|string} id
+     * @returns {object|null}
+     */
+    get(id) {
+        return this.entries.find(entry => entry.id === Number(id)) || null;
+    }
+
+    /**
+     * Categories in use with their entry counts, biggest first
+     * @returns {Array<object>} [{ category, count }]
+     */
+    getCategories() {
+        const counts = {};
+        this.entries.forEach(entry => {
+            counts[entry.category] = (counts[entry.category] || 0) + 1;
+        });
+        return Object.entries(counts)
+            .map(([category, count]) => ({ category, count }))
+            .sort((a, b) => b.count - a.count || a.category.localeCompare(b.category));
+    }
+
+    /**
+     * Add an entry
+     * @param {object} details - { question, answer, category, keywords }
+     * @param {string} actor - Who added it
+     * @returns {object} The new entry
+     * @throws {Error} QUESTION_REQUIRED | ANSWER_REQUIRED | INVALID_CATEGORY | TEXT_TOO_LONG
+     */
+    create(details, actor = 'unknown') {
+        const fields = this._validate({ category: 'general', keywords: [], ...details });
+        const now = new Date().toISOString();
+        const entry = { id: this.nextId++, ...fields, createdAt: now, updatedAt: now, updatedBy: actor };
+
+        this.entries.push(entry);
+        this.index = null;
+        this._save();
+
+        console.log(`📚 [KB] Entry ${entry.id} added by ${actor}`);
+        return entry;
+    }
+
+    /**
+     * Change an entry (only the fields given)
+     * @param {number|string} id
+     * @param {object} changes - { question, answer, category, keywords }
+     * @param {string} actor - Who changed it
+     * @returns {object} The updated entry
+     * @throws {Error} ENTRY_NOT_FOUND | QUESTION_REQUIRED | ANSWER_REQUIRED | INVALID_CATEGORY | TEXT_TOO_LONG
+     */
+    update(id, changes, actor = 'unknown') {
+        const entry = this.get(id);
+        if (!entry) {
+            throw new Error('ENTRY_NOT_FOUND');
+        }
+
+        const { question, answer, category, keywords } = entry;
+        const allowed = ['question', 'answer', 'category', 'keywords'].filter(field => changes[field] !== undefined);
+        const fields = this._validate({ question, answer, category, keywords, ...Object.fromEntries(allowed.map(field => [field, changes[field]])) });
+
+        Object.assign(entry, fields, { updatedAt: new Date().toISOString(), updatedBy: actor });
+        this.index = null;
+        this._save();
+
+        console.log(`📚 [KB] Entry ${entry.id} updated by ${actor}`);
+        return entry;
+    }
+
+    /**
+     * Delete an entry
+     * @param {number|string} id
+     * @param {string} actor - Who deleted it
+     * @returns {object} The deleted entry
+     * @throws {Error} ENTRY_NOT_FOUND
+     */
+    remove(id, actor = 'unknown') {
+        const index = this.entries.findIndex(entry => entry.id === Number(id));
+        if (index === -1) {
+            throw new Error('ENTRY_NOT_FOUND');
+        }
+
+        const [entry] = this.entries.splice(index, 1);
+        this.index = null;
+        this._save();
+
+        console.log(`📚 [KB] Entry ${entry.id} deleted by ${actor}`);
+        return entry;
+    }
+
+    /**
+     * Score entries against a query: question words count most, then answer, keywords, category
+     * @private
+     */
+    _search(entries, query, limit) {
+        const queryWords = query.toLowerCase().split(/\s+/).filter(word => word.length > 2);
+
+        return entries
+            .map(entry => {
+                let score = 0;
+                queryWords.forEach(word => {
+                    if (entry.question.toLowerCase().includes(word)) score += 5;
+                    if (entry.answer.toLowerCase().includes(word)) score += 3;
+                    if (entry.keywords.some(keyword => keyword.includes(word))) score += 2;
+                    if (entry.category.includes(word)) score += 1;
+                });
+                return { ...entry, score };
+            })
+            .filter(entry => entry.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+
+    /**
+     * Tokenized fields per entry + how many entries contain each word
+     * @private
+     */
+    _getIndex() {
+        if (!this.index) {
+            const documentFrequency = new Map();
+            const documents = this.entries.map(entry => {
+                const fields = {
+                    question: new Set(tokenize(entry.question)),
+                    keywords: new Set(tokenize(entry.keywords.join(' '))),
+                    answer: new Set(tokenize(entry.answer))
+                };
+                new Set([...fields.question, ...fields.keywords, ...fields.answer]).forEach(term => {
+                    documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+                });
+                return { entry, fields };
+            });
+            this.index = { documents, documentFrequency };
+        }
+        return this.index;
+    }
+
+    /**
+     * @private
+     */
+    _validate(fields) {
+        const question = String(fields.question || '').trim();
+        const answer = String(fields.answer || '').trim();
+        const category = String(fields.category || '').trim().toLowerCase();
+
+        if (!question) throw new Error('QUESTION_REQUIRED');
+        if (!answer) throw new Error('ANSWER_REQUIRED');
+        if (!CATEGORY_PATTERN.test(category)) throw new Error('INVALID_CATEGORY');
+        if (question.length > MAX_QUESTION_LENGTH || answer.length > MAX_ANSWER_LENGTH) throw new Error('TEXT_TOO_LONG');
+
+        return { question, answer, category, keywords: normalizeKeywords(fields.keywords) };
+    }
+
+    /**
+     * @private
+     */
+    _maxId() {
+        return this.entries.reduce((max, entry) => Math.max(max, entry.id), 0);
+    }
+
+    /**
+     * @private
+     */
+    _save() {
+        writeJSON(this.filePath, { nextId: this.nextId, entries: this.entries }, true);
+    }
+}
+
+module.exports = KnowledgeBase;
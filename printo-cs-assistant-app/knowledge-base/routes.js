@@ -0,0 +1,114 @@
+/**
+ * Knowledge Base Endpoints
+ * Search, read and edit the curated Q&A entries (viewers read, operators edit)
+ */
+
+const express = require('express');
+
+// Knowledge base error codes → HTTP status + message
+const KB_ERRORS = {
+    ENTRY_NOT_FOUND: [404, 'Knowledge base entry not found'],
+    QUESTION_REQUIRED: [400, 'question is required'],
+    ANSWER_REQUIRED: [400, 'answer is required'],
+    INVALID_CATEGORY: [400, 'category must be a lowercase word (letters, digits, "-")'],
+    TEXT_TOO_LONG: [400, 'question is limited to 300 characters and answer to 4000']
+};
+
+/**
+ * Send a knowledge base error as JSON
+ * @private
+ */
+function sendKnowledgeBaseError(res, error) {
+    const [status, message] = KB_ERRORS[error.message] || [500, error.message];
+    res.status(status).json({ success: false, error: error.message, message });
+}
+
+/**
+ * Build the knowledge base router (mounted at /api)
+ * @param {KnowledgeBase} knowledgeBase
+ * @param {Function} protect - protect(role, action) middleware factory from server.js
+ * @returns {express.Router}
+ */
+function createKnowledgeBaseRouter(knowledgeBase, protect) {
+    const router = express.Router();
+
+    /**
+     * GET /api/knowledge-base?q=glossy prints&category=printing&limit=10
+     * Entries in a category and/or ranked by a search query (all entries without filters)
+     */
+    router.get('/knowledge-base', protect('viewer', 'knowledge_base.list'), (req, res) => {
+        const entries = knowledgeBase.list({
+            q: req.query.q,
+            category: req.query.category,
+            limit: parseInt(req.query.limit) || undefined
+        });
+
+        res.json({
+            success: true,
+            entries: entries,
+            count: entries.length,
+            categories: knowledgeBase.getCategories()
+        });
+    });
+
+    /**
+     * GET /api/knowledge-base/categories
+     * Categories in use with entry counts
+     */
+    router.get('/knowledge-base/categories', protect('viewer', 'knowledge_base.categories'), (req, res) => {
+        res.json({ success: true, categories: knowledgeBase.getCategories() });
+    });
+
+    /**
+     * GET /api/knowledge-base/:id
+     */
+    router.get('/knowledge-base/:id', protect('viewer', 'knowledge_base.get'), (req, res) => {
+        const entry = knowledgeBase.get(req.params.id);
+        if (!entry) {
+            return sendKnowledgeBaseError(res, new Error('ENTRY_NOT_FOUND'));
+        }
+        res.json({ success: true, entry: entry });
+    });
+
+    /**
+     * POST /api/knowledge-base
+     * Body: { question, answer, category, keywords } - keywords as an array or "a, b, c"
+     */
+    router.post('/knowledge-base', protect('operator', 'knowledge_base.create'), (req, res) => {
+        try {
+            const entry = knowledgeBase.create(req.body || {}, req.auth.name);
+            res.status(201).json({ success: true, entry: entry });
+        } catch (error) {
+            sendKnowledgeBaseError(res, error);
+        }
+    });
+
+    /**
+     * PUT /api/knowledge-base/:id
+     * Body: any of { question, answer, category, keywords }
+     */
+    router.put('/knowledge-base/:id', protect('operator', 'knowledge_base.update'), (req, res) => {
+        try {
+            const entry = knowledgeBase.update(req.params.id, req.body || {}, req.auth.name);
+            res.json({ success: true, entry: entry });
+        } catch (error) {
+            sendKnowledgeBaseError(res, error);
+        }
+    });
+
+    /**
+     * DELETE /api/knowledge-base/:id
+     */
+    router.delete('/knowledge-base/:id', protect('operator', 'knowledge_base.delete'), (req, res) => {
+        try {
+            const entry = knowledgeBase.remove(req.params.id, req.auth.name);
+            res.json({ success: true, entry: entry });
+        } catch (error) {
+            sendKnowledgeBaseError(res, error);
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createKnowledgeBaseRouter };
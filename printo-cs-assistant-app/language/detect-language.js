@@ -0,0 +1,159 @@
+/**
+ * Language Detection
+ *
+ * Which language a customer message is in, so the bot can answer in kind:
+ *
+ *   en        English
+ *   hi        Hindi (Devanagari)
+ *   hi-Latn   Hinglish - Hindi typed in English letters ("visiting card chahiye")
+ *   kn        Kannada (Kannada script)          kn-Latn   Kannada in English letters ("card beku")
+ *   ta        Tamil (Tamil script)              ta-Latn   Tamil in English letters ("card venum")
+ *
+ * Native scripts are recognised by their Unicode block. Messages in English letters are told apart
+ * by common Hindi / Kannada / Tamil chat words; without any, a message of a few words is English and
+ * a shorter one ("ok", "500") can't be told - callers keep the language the customer used before.
+ */
+
+const LANGUAGE_NAMES = {
+    'en': 'English',
+    'hi': 'Hindi',
+    'hi-Latn': 'Hinglish',
+    'kn': 'Kannada',
+    'kn-Latn': 'Kannada (English letters)',
+    'ta': 'Tamil',
+    'ta-Latn': 'Tamil (English letters)'
+};
+
+// Native scripts by language
+const SCRIPT_NAMES = { hi: 'Devanagari', kn: 'Kannada', ta: 'Tamil' };
+
+// Unicode blocks of the native scripts
+const SCRIPTS = {
+    hi: /[\u0900-\u097F]/g,
+    kn: /[\u0C80-\u0CFF]/g,
+    ta: /[\u0B80-\u0BFF]/g
+};
+
+// Share of the letters a native script needs ("मुझे 500 business cards चाहिए" is Hindi)
+const MIN_SCRIPT_SHARE = 0.2;
+
+// Latin-letter messages with fewer words and no chat words can't be told apart
+const MIN_ENGLISH_WORDS = 3;
+
+// Everyday chat words in English letters - not product words, and not English words too ("to", "me", "main")
+const CHAT_WORDS = {
+    'hi-Latn': [
+        'hain', 'kya', 'kyu', 'kyun', 'kaise', 'kaisa', 'kitna', 'kitne', 'kitni', 'kab', 'kahan', 'kaha',
+        'hoga', 'hogi', 'honge', 'chahiye', 'chahie', 'chaiye', 'chahta', 'chahti', 'mujhe', 'muje', 'mera', 'meri', 'mere',
+        'humein', 'hume', 'hamara', 'aap', 'aapka', 'aapke', 'apka', 'apke', 'nahi', 'nahin', 'nhi', 'karna', 'karni',
+        'karo', 'karenge', 'kijiye', 'dijiye', 'dena', 'dedo', 'bhej', 'bhejo', 'bhejiye', 'batao', 'bataiye', 'bataye',
+        'milega', 'milegi', 'milenge', 'sakte', 'sakta', 'sakti', 'wala', 'wali', 'wale', 'liye', 'lekin', 'bhai',
+        'bhaiya', 'yaar', 'accha', 'acha', 'achha', 'theek', 'thik', 'jaldi', 'paise', 'rupaye', 'kuch', 'bahut',
+        'bohot', 'zyada', 'jyada', 'mein', 'bhi', 'toh', 'aur', 'abhi', 'aaj', 'kal', 'tak'
+    ],
+    'kn-Latn': [
+        'beku', 'bekagide', 'bekittu', 'beda', 'yestu', 'eshtu', 'estu', 'ide', 'ideya', 'idya', 'illva', 'madi', 'maadi',
+        'madbeku', 'kodi', 'kodu', 'kodthira', 'hege', 'hegide', 'yaavaga', 'yavaga', 'yelli', 'elli', 'naanu', 'nanage',
+        'nange', 'nimma', 'nimge', 'swalpa', 'banni', 'guru', 'houdu', 'sigutte', 'aagutte', 'agutte', 'aagide', 'maadtira'
+    ],
+    'ta-Latn': [
+        'venum', 'vendum', 'venam', 'evlo', 'evvalavu', 'enna', 'enakku', 'ennaku', 'irukka', 'irukku', 'iruku', 'panna',
+        'pannunga', 'pannanum', 'sollunga', 'sollu', 'epdi', 'eppadi', 'eppo', 'enga', 'naan', 'unga', 'ungaluku',
+        'seekiram', 'romba', 'konjam', 'vanakkam', 'kidaikuma', 'kedaikuma', 'aagum', 'mudiyuma', 'thevai'
+    ]
+};
+
+// Chat words that also turn up in English messages ("hai" as a greeting, names like "Ki" and "Ko") -
+// they only count alongside a word from CHAT_WORDS ("500 card ka rate kya hai")
+const AMBIGUOUS_CHAT_WORDS = {
+    'hi-Latn': ['hai', 'ka', 'ki', 'ke', 'ko', 'se']
+};
+
+const CHAT_WORD_LANGUAGE = new Map(
+    Object.entries(CHAT_WORDS).flatMap(([code, words]) => words.map(word => [word, code]))
+);
+
+const AMBIGUOUS_WORD_LANGUAGE = new Map(
+    Object.entries(AMBIGUOUS_CHAT_WORDS).flatMap(([code, words]) => words.map(word => [word, code]))
+);
+
+/**
+ * @private
+ */
+function result(code, matchedBy) {
+    return { code, name: LANGUAGE_NAMES[code], matchedBy };
+}
+
+/**
+ * Detect the language of a customer message
+ * @param {string} text
+ * @returns {object} { code, name, matchedBy }
+ *   matchedBy: script | words | default (English) | none (too short to tell - English assumed)
+ */
+function detectLanguage(text) {
+    const message = String(text || '');
+    const latinLetters = (message.match(/[a-z]/gi) || []).length;
+
+    const [script, count] = Object.entries(SCRIPTS)
+        .map(([code, pattern]) => [code, (message.match(pattern) || []).length])
+        .sort((a, b) => b[1] - a[1])[0];
+    if (count > 0 && count / (count + latinLetters) >= MIN_SCRIPT_SHARE) {
+        return result(script, 'script');
+    }
+
+    const words = message.toLowerCase().match(/[a-z]+/g) || [];
+    const scores = {};
+    words.forEach(word => {
+        const code = CHAT_WORD_LANGUAGE.get(word);
+        if (code) scores[code] = (scores[code] || 0) + 1;
+    });
+    words.forEach(word => {
+        const code = AMBIGUOUS_WORD_LANGUAGE.get(word);
+        if (code && scores[code]) scores[code]++;
+    });
+
+    // One chat word is enough in a short message ("card chahiye"), longer ones need two
+    const [best, score] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0] || [null, 0];
+    if (score >= 2 || (score === 1 && words.length <= 4)) {
+        return result(best, 'words');
+    }
+
+    return result('en', words.length >= MIN_ENGLISH_WORDS ? 'default' : 'none');
+}
+
+/**
+ * Is this a Hindi / Kannada / Tamil chat word in English letters ("chahiye", "beku")?
+ * @param {string} word - Lowercase word
+ * @returns {boolean}
+ */
+function isChatWord(word) {
+    return CHAT_WORD_LANGUAGE.has(word) || AMBIGUOUS_WORD_LANGUAGE.has(word);
+}
+
+/**
+ * [RESPONSE LANGUAGE] directive for the prompt
+ * @param {string} code - Language code (see detectLanguage)
+ * @returns {string} Empty for English
+ */
+function formatLanguageDirective(code) {
+    const name = LANGUAGE_NAMES[code];
+    if (!name || code === 'en') return '';
+
+    const [language, script] = code.split('-');
+    const written = script === 'Latn'
+        ? `Reply in the same mix, written in English letters like the customer does - do NOT switch to ${SCRIPT_NAMES[language]} script and do not reply in plain English.`
+        : `Reply in simple ${name} using ${SCRIPT_NAMES[language]} script. Common English product words (visiting card, flex, sticker) are fine where customers use them.`;
+
+    return [
+        `The customer is writing in ${name}. ${written}`,
+        'Keep product names, prices (₹), quantities, dates, pincodes, phone numbers and links exactly as given - do not translate or transliterate URLs.',
+        'If the customer switches language, follow them.'
+    ].join('\n') + '\n';
+}
+
+module.exports = {
+    LANGUAGE_NAMES,
+    detectLanguage,
+    isChatWord,
+    formatLanguageDirective
+};
@@ -0,0 +1,93 @@
+/**
+ * Multilingual Synonyms
+ *
+ * Rewrites Hindi, Kannada and Tamil product words (native script or typed in English letters)
+ * to the English words the taxonomy and catalog search know, from language/multilingual-synonyms.json
+ * (or MULTILINGUAL_SYNONYMS_PATH):
+ *
+ *   { "card": { "hi": ["कार्ड"], "kn": ["ಕಾರ್ಡ್"], "ta": ["கார்டு"], "latin": ["kard"] }, ... }
+ *
+ * "विजिटिंग कार्ड चाहिए" → "visiting card चाहिए", "ಕಾರ್ಡ್‌ಗಳು" → "cardಗಳು", "bijness kard" → "business card".
+ * Words not in the table are left as they are, so taxonomy aliases still match.
+ */
+
+const path = require('path');
+const { readJSON } = require('../json-file');
+
+const SYNONYMS_PATH = process.env.MULTILINGUAL_SYNONYMS_PATH || path.join(__dirname, 'multilingual-synonyms.json');
+
+// Plural / case endings a native-script word may carry ("कार्डों", "ಕಾರ್ಡ್‌ಗಳನ್ನು", "கார்டுகள்")
+const INFLECTIONS = [
+    'ों', 'ें', 'ो', 'े',
+    'ಗಳನ್ನು', 'ಗಳಿಗೆ', 'ಗಳು', 'ಗಳ', 'ನ್ನು', 'ಗೆ',
+    'களுக்கு', 'களை', 'கள்', 'க்கு'
+];
+
+// Zero-width joiners change how a word renders, not what it says
+const ZERO_WIDTH = /[\u200B-\u200D]/g;
+
+// Word separators, kept in the output (includes the Devanagari danda)
+const SEPARATOR = /([\s,.!?;:()"'।|/]+)/;
+
+/**
+ * @private
+ */
+function normalizeWord(word) {
+    return String(word || '').toLowerCase().replace(ZERO_WIDTH, '').trim();
+}
+
+// { regional word: English word } and the multi-word ones separately ("ಲೆಟರ್ ಹೆಡ್")
+const WORDS = new Map();
+const PHRASES = [];
+Object.entries(readJSON(SYNONYMS_PATH, null) || {}).forEach(([english, variants]) => {
+    Object.values(variants || {}).flat().map(normalizeWord).filter(Boolean).forEach(word => {
+        if (/\s/.test(word)) {
+            PHRASES.push({ phrase: word, english });
+        } else {
+            WORDS.set(word, english);
+        }
+    });
+});
+PHRASES.sort((a, b) => b.phrase.length - a.phrase.length);
+
+if (WORDS.size === 0) {
+    console.warn(`⚠️  [LANGUAGE] No multilingual synonyms in ${SYNONYMS_PATH} - only English and taxonomy aliases will match products`);
+}
+
+/**
+ * English word for one token, if the table knows it
+ * @private
+ */
+function translateWord(token) {
+    if (WORDS.has(token)) return WORDS.get(token);
+
+    // English letters: "kards" → "kard"
+    if (/^[a-z-]+$/.test(token)) {
+        return token.endsWith('s') && WORDS.has(token.slice(0, -1)) ? WORDS.get(token.slice(0, -1)) : null;
+    }
+
+    // Native script: known word + an inflection ending, keep the ending
+    const ending = INFLECTIONS.find(suffix => token.endsWith(suffix) && WORDS.has(token.slice(0, -suffix.length)));
+    return ending ? WORDS.get(token.slice(0, -ending.length)) + ending : null;
+}
+
+/**
+ * Replace known regional / transliterated product words with their English equivalent
+ * @param {string} text - Customer message
+ * @returns {string} Lowercased text with known words in English
+ */
+function toEnglishTerms(text) {
+    let result = normalizeWord(text);
+    if (!result || WORDS.size + PHRASES.length === 0) return result;
+
+    PHRASES.forEach(({ phrase, english }) => {
+        result = result.split(phrase).join(english);
+    });
+
+    return result
+        .split(SEPARATOR)
+        .map(part => (SEPARATOR.test(part) ? part : translateWord(part) || part))
+        .join('');
+}
+
+module.exports = { toEnglishTerms };
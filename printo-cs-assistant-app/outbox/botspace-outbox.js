@@ -0,0 +1,330 @@
+/**
+ * BotSpace Outbox
+ *
+ * Durable queue for outgoing WhatsApp messages. Every send is persisted first, then
+ * delivered with per-channel rate limiting. Failures are retried in the background
+ * with exponential backoff (BotSpace RATE_LIMIT errors also pause the whole channel,
+ * honouring Retry-After). Messages that run out of attempts, or fail permanently,
+ * go to the dead-letter list where they can be inspected and replayed.
+ *
+ * Lifecycle:  pending → sent
+ *                │
+ *                └──(out of attempts / permanent error)──→ dead ──replay──→ pending
+ */
+
+const { readJSON, writeJSON, dataPath } = require('../json-file');
+
+// Errors that retrying won't fix
+const PERMANENT_ERRORS = ['AUTHENTICATION_ERROR', 'PERMISSION_ERROR', 'NOT_FOUND'];
+
+const BASE_BACKOFF_MS = 2000;
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+// Channel pause after a 429 without a Retry-After header
+const RATE_LIMIT_MIN_PAUSE_MS = 30 * 1000;
+
+// Sent messages are kept a day for inspection, dead letters a month
+const SENT_RETENTION_MS = 24 * 60 * 60 * 1000;
+const DEAD_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+class BotSpaceOutbox {
+    /**
+     * @param {BotSpaceService} botSpaceService
+     * @param {object} options
+     * @param {string} options.filePath - Defaults to OUTBOX_STORE_PATH or data/outbox.json
+     * @param {number} options.ratePerSecond - Max sends per second per channel (BOTSPACE_RATE_LIMIT_PER_SECOND)
+     * @param {number} options.maxAttempts - Attempts before a message is dead-lettered (OUTBOX_MAX_ATTEMPTS)
+     */
+    constructor(botSpaceService, options = {}) {
+        this.botSpaceService = botSpaceService;
+        this.filePath = options.filePath || process.env.OUTBOX_STORE_PATH || dataPath('outbox.json');
+        this.ratePerSecond = options.ratePerSecond || parseFloat(process.env.BOTSPACE_RATE_LIMIT_PER_SECOND) || 5;
+        this.maxAttempts = options.maxAttempts || parseInt(process.env.OUTBOX_MAX_ATTEMPTS) || 6;
+
+        // Map<messageId, outbox message>
+        this.messages = new Map(Object.entries(readJSON(this.filePath, {})));
+
+        // Per-channel limiter state: Map<channelId, { nextSlotAt, pausedUntil }>
+        this.channels = new Map();
+
+        // Messages currently being sent (never picked up twice)
+        this.inFlight = new Set();
+
+        const pending = this.list('pending').length;
+        if (pending > 0) {
+            console.log(`📮 [OUTBOX] Resuming ${pending} pending message(s)`);
+        }
+
+        this.processTimer = setInterval(() => this.processDue(), 1000);
+        this.processTimer.unref();
+    }
+
+    /**
+     * Queue a message and make the first delivery attempt
+     * Never throws for delivery failures - check the returned status
+     *
+     * @param {object} details
+     * @param {string} details.conversationId - BotSpace conversation (preferred)
+     * @param {string} details.phone - Customer phone (used when there is no conversation)
+     * @param {string} details.text - Message text
+     * @param {object} details.context - Where the message came from (sessionId, source...)
+     * @returns {Promise<object>} Outbox message after the first attempt (status sent | pending | dead)
+     */
+    async send(details) {
+        const message = this.enqueue(details);
+
+        // Channel is rate limited - leave it to the background worker instead of blocking the caller
+        const { pausedUntil } = this._getChannel(message.channelId);
+        if (pausedUntil > Date.now()) {
+            message.nextAttemptAt = pausedUntil;
+            this._save();
+            return message;
+        }
+
+        await this._attempt(message);
+        return message;
+    }
+
+    /**
+     * Queue a message for background delivery
+     * @returns {object} Outbox message
+     */
+    enqueue({ conversationId, phone, text, context = {} }) {
+        const now = Date.now();
+        const message = {
+            id: 'out_' + now + '_' + Math.random().toString(36).substr(2, 9),
+            channelId: this.botSpaceService.channelId || 'default',
+            conversationId: conversationId || null,
+            phone: phone || null,
+            text: text,
+            context: context,
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: now,
+            createdAt: now,
+            sentAt: null,
+            deadAt: null,
+            botspaceMessageId: null,
+            lastError: null
+        };
+
+        this.messages.set(message.id, message);
+        this._save();
+        return message;
+    }
+
+    /**
+     * Send every pending message whose retry time has come
+     * @returns {Promise<number>} Number of attempts made
+     */
+    async processDue() {
+        this._prune();
+
+        const now = Date.now();
+        const due = this.list('pending')
+            .filter(message => message.nextAttemptAt <= now && !this.inFlight.has(message.id))
+            .filter(message => this._getChannel(message.channelId).pausedUntil <= now)
+            .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt);
+
+        for (const message of due) {
+            await this._attempt(message);
+        }
+        return due.length;
+    }
+
+    /**
+     * Put a dead-lettered message back in the queue
+     * @param {string} messageId
+     * @returns {object} Outbox message
+     * @throws {Error} OUTBOX_NOT_FOUND | OUTBOX_NOT_DEAD
+     */
+    replay(messageId) {
+        const message = this.messages.get(messageId);
+        if (!message) {
+            throw new Error('OUTBOX_NOT_FOUND');
+        }
+        if (message.status !== 'dead') {
+            throw new Error('OUTBOX_NOT_DEAD');
+        }
+
+        message.status = 'pending';
+        message.attempts = 0;
+        message.nextAttemptAt = Date.now();
+        message.deadAt = null;
+        this._save();
+
+        console.log(`🔁 [OUTBOX] ${message.id} replayed`);
+        return message;
+    }
+
+    /**
+     * Replay every dead-lettered message
+     * @returns {number} Number replayed
+     */
+    replayAllDead() {
+        const dead = this.list('dead');
+        dead.forEach(message => this.replay(message.id));
+        return dead.length;
+    }
+
+    /**
+     * Get a message by ID
+     * @returns {object|null}
+     */
+    get(messageId) {
+        return this.messages.get(messageId) || null;
+    }
+
+    /**
+     * List messages, newest first
+     * @param {string} status - Optional filter (pending | sent | dead)
+     * @returns {Array<object>}
+     */
+    list(status) {
+        let messages = Array.from(this.messages.values());
+        if (status) {
+            messages = messages.filter(message => message.status === status);
+        }
+        return messages.sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    /**
+     * Counts per status plus channel limiter state
+     * @returns {object}
+     */
+    getStats() {
+        const counts = { pending: 0, sent: 0, dead: 0 };
+        for (const message of this.messages.values()) {
+            counts[message.status] = (counts[message.status] || 0) + 1;
+        }
+
+        const channels = {};
+        for (const [channelId, state] of this.channels.entries()) {
+            channels[channelId] = {
+                pausedUntil: state.pausedUntil > Date.now() ? new Date(state.pausedUntil).toISOString() : null
+            };
+        }
+
+        return { ...counts, ratePerSecond: this.ratePerSecond, maxAttempts: this.maxAttempts, channels };
+    }
+
+    /**
+     * One delivery attempt
+     * @private
+     */
+    async _attempt(message) {
+        if (this.inFlight.has(message.id) || message.status !== 'pending') return;
+        this.inFlight.add(message.id);
+
+        try {
+            await this._waitForSlot(message.channelId);
+            message.attempts++;
+
+            const result = message.conversationId
+                ? await this.botSpaceService.sendSessionMessage(message.conversationId, message.text)
+                : await this.botSpaceService.sendMessage(message.phone, message.text);
+
+            message.status = 'sent';
+            message.sentAt = Date.now();
+            message.botspaceMessageId = result?.messageId || null;
+            message.lastError = null;
+        } catch (error) {
+            this._handleFailure(message, error);
+        } finally {
+            this.inFlight.delete(message.id);
+            this._save();
+        }
+    }
+
+    /**
+     * Schedule a retry or dead-letter a failed message
+     * @private
+     */
+    _handleFailure(message, error) {
+        message.lastError = {
+            type: error.type || 'UNKNOWN',
+            message: error.message,
+            status: error.status || null,
+            at: Date.now()
+        };
+
+        if (PERMANENT_ERRORS.includes(error.type) || message.attempts >= this.maxAttempts) {
+            message.status = 'dead';
+            message.deadAt = Date.now();
+            console.error(`💀 [OUTBOX] ${message.id} dead-lettered after ${message.attempts} attempt(s): ${message.lastError.type}`);
+            return;
+        }
+
+        let delay = Math.min(BASE_BACKOFF_MS * Math.pow(2, message.attempts - 1), MAX_BACKOFF_MS);
+
+        if (error.type === 'RATE_LIMIT') {
+            // Back off the whole channel, not just this message
+            delay = error.retryAfter ? error.retryAfter * 1000 : Math.max(delay, RATE_LIMIT_MIN_PAUSE_MS);
+            this._getChannel(message.channelId).pausedUntil = Date.now() + delay;
+            console.warn(`⏳ [OUTBOX] BotSpace rate limit - channel ${message.channelId} paused for ${Math.round(delay / 1000)}s`);
+        }
+
+        message.nextAttemptAt = Date.now() + delay;
+        console.warn(`⚠️  [OUTBOX] ${message.id} attempt ${message.attempts}/${this.maxAttempts} failed (${message.lastError.type}) - retrying in ${Math.round(delay / 1000)}s`);
+    }
+
+    /**
+     * Wait until the channel has a free send slot
+     * @private
+     */
+    async _waitForSlot(channelId) {
+        const channel = this._getChannel(channelId);
+        const now = Date.now();
+        const slotAt = Math.max(now, channel.nextSlotAt, channel.pausedUntil);
+
+        channel.nextSlotAt = slotAt + 1000 / this.ratePerSecond;
+
+        if (slotAt > now) {
+            await new Promise(resolve => setTimeout(resolve, slotAt - now));
+        }
+    }
+
+    /**
+     * @private
+     */
+    _getChannel(channelId) {
+        if (!this.channels.has(channelId)) {
+            this.channels.set(channelId, { nextSlotAt: 0, pausedUntil: 0 });
+        }
+        return this.channels.get(channelId);
+    }
+
+    /**
+     * Drop old sent messages and dead letters past retention
+     * @private
+     */
+    _prune() {
+        const now = Date.now();
+        let removed = 0;
+
+        for (const [messageId, message] of this.messages.entries()) {
+            const expired = (message.status === 'sent' && message.sentAt < now - SENT_RETENTION_MS) ||
+                (message.status === 'dead' && message.deadAt < now - DEAD_RETENTION_MS);
+            if (expired) {
+                this.messages.delete(messageId);
+                removed++;
+            }
+        }
+
+        if (removed > 0) {
+            this._save();
+        }
+    }
+
+    /**
+     * @private
+     */
+    _save() {
+        try {
+            writeJSON(this.filePath, Object.fromEntries(this.messages));
+        } catch (error) {
+            console.error('❌ [OUTBOX] Failed to save outbox:', error.message);
+        }
+    }
+}
+
+module.exports = BotSpaceOutbox;
@@ -0,0 +1,96 @@
+/**
+ * Outbox Admin Endpoints
+ * Inspect queued / dead-lettered BotSpace messages and replay them
+ */
+
+const express = require('express');
+
+// Outbox error codes → HTTP status + message
+const OUTBOX_ERRORS = {
+    OUTBOX_NOT_FOUND: [404, 'Outbox message not found'],
+    OUTBOX_NOT_DEAD: [409, 'Only dead-lettered messages can be replayed']
+};
+
+/**
+ * Send an outbox error response
+ * @private
+ */
+function sendOutboxError(res, error) {
+    const known = OUTBOX_ERRORS[error.message];
+    if (!known) {
+        console.error('❌ [OUTBOX] Unexpected error:', error);
+        return res.status(500).json({ success: false, error: 'INTERNAL_ERROR', message: error.message });
+    }
+
+    res.status(known[0]).json({ success: false, error: error.message, message: known[1] });
+}
+
+/**
+ * Build the outbox admin router (mounted at /admin)
+ * @param {BotSpaceOutbox} outbox
+ * @param {Function} protect - protect(role, action) middleware factory from server.js
+ * @returns {express.Router}
+ */
+function createOutboxRouter(outbox, protect) {
+    const router = express.Router();
+
+    /**
+     * GET /admin/outbox?status=pending|sent|dead&limit=50
+     */
+    router.get('/outbox', protect('viewer', 'outbox.list'), (req, res) => {
+        const limit = parseInt(req.query.limit) || 50;
+        const messages = outbox.list(req.query.status);
+
+        res.json({
+            success: true,
+            messages: messages.slice(0, limit),
+            count: messages.length,
+            stats: outbox.getStats(),
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    /**
+     * GET /admin/outbox/stats
+     */
+    router.get('/outbox/stats', protect('viewer', 'outbox.stats'), (req, res) => {
+        res.json({ success: true, stats: outbox.getStats(), timestamp: new Date().toISOString() });
+    });
+
+    /**
+     * POST /admin/outbox/replay-dead
+     * Requeue every dead-lettered message
+     */
+    router.post('/outbox/replay-dead', protect('operator', 'outbox.replay_all'), (req, res) => {
+        const replayed = outbox.replayAllDead();
+        res.json({ success: true, replayed: replayed });
+    });
+
+    /**
+     * GET /admin/outbox/:id
+     */
+    router.get('/outbox/:id', protect('viewer', 'outbox.get'), (req, res) => {
+        const message = outbox.get(req.params.id);
+        if (!message) {
+            return sendOutboxError(res, new Error('OUTBOX_NOT_FOUND'));
+        }
+
+        res.json({ success: true, message: message });
+    });
+
+    /**
+     * POST /admin/outbox/:id/replay
+     * Requeue a dead-lettered message
+     */
+    router.post('/outbox/:id/replay', protect('operator', 'outbox.replay'), (req, res) => {
+        try {
+            res.json({ success: true, message: outbox.replay(req.params.id) });
+        } catch (error) {
+            sendOutboxError(res, error);
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createOutboxRouter };
@@ -0,0 +1,279 @@
+/**
+ * Local Price Service
+ *
+ * Answers "how much is X" from the loaded catalog (products.json variants + scraped_products.json)
+ * instead of scraping printo.in search results on every chat message.
+ *
+ * - The catalog is indexed once; the index is rebuilt when the catalog is reloaded
+ *   (new products.json / scraped_products.json objects) or on refresh()
+ * - Lookups are cached per keyword set for PRICE_CACHE_TTL_MS
+ * - Ranges are per piece, and only use prices whose unit is known: the price text says it ("₹7.65 each",
+ *   "₹250 for 100 cards") or a scraped name gives the pack ("Caps (50 Qty)", "... | 1 Qty"). Other scraped
+ *   prices may be for a whole order or bundle - they are listed with their catalog price text but left
+ *   out of the range
+ * - An optional background refresher (PRICE_REFRESH_INTERVAL_MS) rebuilds the index and
+ *   re-warms the cache for the common product keywords, so chat turns never pay for it
+ */
+
+const { parsePrice, formatINR } = require('./quote-engine');
+const { tokenize } = require('./catalog/search-index');
+const { resolveProducts } = require('./taxonomy/product-taxonomy');
+
+// Looked up by the background refresher
+const COMMON_KEYWORDS = ['t-shirt', 'polo', 'business card', 'stamp', 'photo', 'banner', 'brochure', 'flyer', 'letterhead', 'id card', 'notebook', 'box', 'sticker'];
+
+const FALLBACK_PRICING = 'Pricing available on website - call 9513734374 for exact rates';
+
+/**
+ * Extract price lookup keywords from a customer message
+ * Each product the message mentions (see taxonomy/product-taxonomy.js) is looked up by its main term
+ * @param {string} text - Customer message
+ * @returns {Array<string>} Unique keywords (empty if the message is not about a known product)
+ */
+function extractPriceKeywords(text) {
+    const keywords = resolveProducts(text).map(product => product.mainTerm);
+    return [...new Set(keywords)];
+}
+
+/**
+ * Per-piece amount, rounded to paise
+ * @private
+ */
+function perPiece(amount, packSize) {
+    return Math.round((amount / packSize) * 100) / 100;
+}
+
+/**
+ * Pack size in a scraped product name ("Custom Bulk Polo T-shirts | 100 Qty" → 100, "Mug (1 Qty)" → 1)
+ * "Order from 1 Qty" is a minimum order, not a pack
+ * @private
+ * @returns {number|null} null if the name doesn't say
+ */
+function namePackSize(name) {
+    const match = String(name || '').match(/(?<!from\s*)\b(\d+)\s*(?:qty|pcs|pieces|units)\b/i);
+    const size = match ? parseInt(match[1], 10) : 0;
+    return size >= 1 ? size : null;
+}
+
+class PriceService {
+    /**
+     * @param {Function} loadCatalog - Returns the current { manual, scraped } catalog (products.json object, scraped products array)
+     * @param {object} options
+     * @param {number} options.cacheTtlMs - Lookup cache TTL (PRICE_CACHE_TTL_MS, default 10 minutes)
+     * @param {number} options.refreshIntervalMs - Background refresh interval, 0 disables (PRICE_REFRESH_INTERVAL_MS)
+     * @param {number} options.maxProducts - Products listed per keyword (default 5)
+     */
+    constructor(loadCatalog, options = {}) {
+        this.loadCatalog = loadCatalog;
+        this.cacheTtlMs = options.cacheTtlMs ?? (parseInt(process.env.PRICE_CACHE_TTL_MS) || 10 * 60 * 1000);
+        this.refreshIntervalMs = options.refreshIntervalMs ?? (parseInt(process.env.PRICE_REFRESH_INTERVAL_MS) || 0);
+        this.maxProducts = options.maxProducts || 5;
+
+        this.entries = [];
+        this.indexedAt = null;
+        this.indexedSources = { manual: null, scraped: null };
+
+        // Map<cacheKey, { result, expiresAt }>
+        this.cache = new Map();
+        this.stats = { lookups: 0, cacheHits: 0, refreshes: 0 };
+
+        this.refreshTimer = null;
+        if (this.refreshIntervalMs > 0) {
+            this.refreshTimer = setInterval(() => this.refresh(), this.refreshIntervalMs);
+            this.refreshTimer.unref();
+        }
+    }
+
+    /**
+     * Look up prices for one or more product keywords
+     * @param {Array<string>|string} keywords - e.g. ["business card", "polo"]
+     * @returns {object} { keywords, results: [{ keyword, range, pricedCount, matchCount, products }], fromCache, indexedAt }
+     */
+    lookup(keywords) {
+        const list = (Array.isArray(keywords) ? keywords : [keywords]).map(k => String(k).toLowerCase().trim()).filter(Boolean);
+        const cacheKey = [...new Set(list)].sort().join('|');
+        this.stats.lookups++;
+
+        this._ensureIndex();
+
+        const cached = this.cache.get(cacheKey);
+        if (cached && cached.expiresAt > Date.now()) {
+            this.stats.cacheHits++;
+            return { ...cached.result, fromCache: true };
+        }
+
+        const result = {
+            keywords: list,
+            results: list.map(keyword => this._lookupKeyword(keyword)),
+            indexedAt: this.indexedAt
+        };
+
+        this.cache.set(cacheKey, { result, expiresAt: Date.now() + this.cacheTtlMs });
+        return { ...result, fromCache: false };
+    }
+
+    /**
+     * Pricing block for the prompt's [CURRENT PRICING] section
+     * @param {Array<string>|string} keywords
+     * @returns {string}
+     */
+    getPricingForPrompt(keywords) {
+        const { results } = this.lookup(keywords);
+        const lines = [];
+
+        results.filter(result => result.matchCount > 0).forEach(result => {
+            const count = `${result.matchCount} product${result.matchCount === 1 ? '' : 's'}`;
+            if (result.range) {
+                const range = result.range.min === result.range.max ? formatINR(result.range.min) : `${formatINR(result.range.min)} - ${formatINR(result.range.max)}`;
+                lines.push(`${result.keyword}: ${range} per piece where the unit is known (${count})`);
+            } else {
+                lines.push(`${result.keyword}: ${count} - quote the catalog prices below as listed (they may be per order or pack)`);
+            }
+
+            result.products.forEach(product => {
+                const each = product.min !== null && product.min === product.max && !product.priceText.includes(formatINR(product.min)) ? ` (${formatINR(product.min)} each)` : '';
+                lines.push(`- ${product.name}: ${product.priceText}${each}${product.link ? ` (${product.link})` : ''}`);
+            });
+        });
+
+        return lines.length > 0 ? `Pricing from catalog:\n${lines.join('\n')}` : FALLBACK_PRICING;
+    }
+
+    /**
+     * Rebuild the index and re-warm the cache for the common keywords
+     */
+    refresh() {
+        try {
+            this._buildIndex();
+            COMMON_KEYWORDS.forEach(keyword => this.lookup([keyword]));
+            this.stats.refreshes++;
+        } catch (error) {
+            console.error('❌ [PRICES] Refresh failed:', error.message);
+        }
+    }
+
+    /**
+     * Cache / index statistics
+     * @returns {object}
+     */
+    getStats() {
+        return {
+            indexedProducts: this.entries.length,
+            indexedAt: this.indexedAt,
+            cacheEntries: this.cache.size,
+            cacheTtlMs: this.cacheTtlMs,
+            refreshIntervalMs: this.refreshIntervalMs,
+            ...this.stats
+        };
+    }
+
+    /**
+     * Stop the background refresher
+     */
+    stop() {
+        if (this.refreshTimer) {
+            clearInterval(this.refreshTimer);
+            this.refreshTimer = null;
+        }
+    }
+
+    /**
+     * Rebuild the index if the catalog was reloaded since it was built
+     * @private
+     */
+    _ensureIndex() {
+        const { manual, scraped } = this.loadCatalog();
+        if (!this.indexedAt || manual !== this.indexedSources.manual || scraped !== this.indexedSources.scraped) {
+            this._buildIndex();
+        }
+    }
+
+    /**
+     * @private
+     */
+    _buildIndex() {
+        const { manual = {}, scraped = [] } = this.loadCatalog();
+        const entries = [];
+
+        // Manual catalog: one entry per product, ranged over its variants (per piece)
+        Object.entries(manual || {}).forEach(([productKey, product]) => {
+            const variants = Object.values(product.variants || {});
+            const unitPrices = variants.map(variant => parsePrice(variant.price)).filter(Boolean)
+                .map(price => ({ min: perPiece(price.min, price.packSize), max: perPiece(price.max, price.packSize) }));
+
+            entries.push({
+                source: 'manual',
+                productKey: productKey,
+                name: product.name,
+                category: product.name,
+                min: unitPrices.length > 0 ? Math.min(...unitPrices.map(price => price.min)) : null,
+                max: unitPrices.length > 0 ? Math.max(...unitPrices.map(price => price.max)) : null,
+                priceText: variants.map(variant => `${variant.name} ${typeof variant.price === 'number' ? formatINR(variant.price) : variant.price}`).join('; ') || 'Price on request',
+                link: product.categoryLink || null,
+                tokens: new Set(tokenize(`${productKey.replace(/([A-Z])/g, ' $1')} ${product.name}`))
+            });
+        });
+
+        // Scraped catalog: one entry per product page (the scrape lists some pages more than once)
+        const seenLinks = new Set();
+        (scraped || []).forEach(product => {
+            const link = (product.link || product.url || '').trim() || null;
+            if (link && seenLinks.has(link)) return;
+            if (link) seenLinks.add(link);
+
+            // Per piece only when the unit is known - a bare price may be for a whole bundle
+            const price = parsePrice(product.price);
+            const namePack = namePackSize(product.name);
+            const packSize = price && price.unitStated ? price.packSize : namePack;
+            entries.push({
+                source: 'scraped',
+                name: String(product.name).replace(/\s+/g, ' ').trim(),
+                category: product.category,
+                min: price && packSize ? perPiece(price.min, packSize) : null,
+                max: price && packSize ? perPiece(price.max, packSize) : null,
+                priceText: typeof product.price === 'number' ? formatINR(product.price) : String(product.price).trim(),
+                link: link,
+                tokens: new Set(tokenize(`${product.name} ${product.category}`))
+            });
+        });
+
+        this.entries = entries;
+        this.indexedAt = new Date().toISOString();
+        this.indexedSources = { manual, scraped };
+        this.cache.clear();
+
+        console.log(`💰 [PRICES] Indexed ${entries.length} products`);
+    }
+
+    /**
+     * Matches for one keyword: manual products first, then priced products cheapest first
+     * @private
+     */
+    _lookupKeyword(keyword) {
+        const keywordTokens = tokenize(keyword);
+        const matches = this.entries.filter(entry => keywordTokens.length > 0 && keywordTokens.every(token => entry.tokens.has(token)));
+        const priced = matches.filter(entry => entry.min !== null);
+
+        const ranked = [...matches].sort((a, b) => {
+            if (a.source !== b.source) return a.source === 'manual' ? -1 : 1;
+            if ((a.min === null) !== (b.min === null)) return a.min === null ? 1 : -1;
+            return (a.min || 0) - (b.min || 0);
+        });
+
+        return {
+            keyword: keyword,
+            range: priced.length > 0 ? {
+                min: Math.min(...priced.map(entry => entry.min)),
+                max: Math.max(...priced.map(entry => entry.max)),
+                currency: 'INR'
+            } : null,
+            pricedCount: priced.length,
+            matchCount: matches.length,
+            products: ranked.slice(0, this.maxProducts).map(({ source, name, category, min, max, priceText, link }) => ({
+                source, name, category, min, max, priceText, link
+            }))
+        };
+    }
+}
+
+module.exports = { PriceService, extractPriceKeywords };
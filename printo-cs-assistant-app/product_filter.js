@@ -11,189 +11,14 @@
  * 4. Always include "most popular" products as fallback
  */
 
+const { resolveProducts, getKeywordMap } = require('./taxonomy/product-taxonomy');
+const { countTokens, getTokenizerName } = require('./prompt/token-budget');
+
 /**
- * Comprehensive keyword mapping covering ALL product types
- * Each keyword maps to product keys from products.json
+ * Keyword → products.json keys, derived from the shared product taxonomy
+ * (kept for callers that read the map directly)
  */
-const PRODUCT_KEYWORD_MAP = {
-    // BUSINESS & CORPORATE
-    'business card': ['businesscards'],
-    'visiting card': ['businesscards'],
-    'letterhead': ['letterheads'],
-    'envelope': ['envelopes'],
-    'stamp': ['rubberstamp'],
-    'rubber stamp': ['rubberstamp'],
-    'bill book': ['billbooks'],
-    'invoice': ['billbooks'],
-    'receipt book': ['billbooks'],
-
-    // PRINTING & DOCUMENTS
-    'print': ['documentprinting', 'photoprints'],
-    'document': ['documentprinting'],
-    'photocopy': ['documentprinting'],
-    'xerox': ['documentprinting'],
-    'a3': ['documentprinting'],
-    'a4': ['documentprinting'],
-    'binding': ['documentprinting'],
-    'lamination': ['documentprinting'],
-
-    // PHOTOS
-    'photo': ['photoprints', 'photoframes', 'photobook', 'photoplaque'],
-    'picture': ['photoprints', 'photoframes'],
-    'passport photo': ['photoprints'],
-    'passport': ['photoprints'],
-    'photo frame': ['photoframes'],
-    'frame': ['photoframes'],
-    'photo book': ['photobook'],
-    'photobook': ['photobook'],
-    'album': ['photobook'],
-    'collage': ['photoprints'],
-    'polaroid': ['photoprints'],
-    'retro print': ['photoprints'],
-
-    // MARKETING MATERIALS
-    'flyer': ['flyersandleaflets', 'foldedflyers'],
-    'flyers': ['flyersandleaflets', 'foldedflyers'],
-    'leaflet': ['flyersandleaflets'],
-    'brochure': ['flyersandleaflets', 'booklets'],
-    'pamphlet': ['flyersandleaflets'],
-    'banner': ['signagesandbanners', 'rollupstandees'],
-    'signage': ['signagesandbanners'],
-    'standee': ['standees', 'rollupstandees'],
-    'poster': ['posters'],
-    'hoarding': ['signagesandbanners'],
-    'billboard': ['signagesandbanners'],
-
-    // BOOKS & PUBLICATIONS
-    'booklet': ['booklets'],
-    'magazine': ['booklets'],
-    'catalog': ['booklets'],
-    'catalogue': ['booklets'],
-    'manual': ['booklets'],
-    'brochure': ['booklets', 'flyersandleaflets'],
-
-    // STATIONERY
-    'notebook': ['notebooks'],
-    'notebooks': ['notebooks'],
-    'diary': ['calendarsanddiaries'],
-    'diaries': ['calendarsanddiaries'],
-    'case bound diary': ['casebounddiaries'],
-    'wire o diary': ['wireodiaries'],
-    'wiro diary': ['wireodiaries'],
-    'notepad': ['notepads'],
-    'calendar': ['deskcalendars', 'cards'],
-    'calendars': ['deskcalendars', 'cards'],
-    'calendar card': ['cards'],
-    'calendar cards': ['cards'],
-    'desk calendar': ['deskcalendars'],
-    'wall calendar': ['cards'],
-    'planner': ['casebounddiaries', 'organisers'],
-    'organizer': ['organisers'],
-    'organiser': ['organisers'],
-
-    // APPAREL & MERCHANDISE
-    'tshirt': ['tshirts'],
-    't-shirt': ['tshirts'],
-    'shirt': ['tshirts'],
-    'polo': ['tshirts'],
-    'hoodie': ['sweatshirtandhoodies'],
-    'sweatshirt': ['sweatshirtandhoodies'],
-    'jacket': ['sweatshirtandhoodies'],
-    'cap': ['caps'],
-    'hat': ['caps'],
-    'apron': ['tshirts'], // Fallback to apparel
-    'backpack': ['backpacks'],
-    'backpacks': ['backpacks'],
-    'laptop bag': ['backpacks'],
-    'laptop sleeve': ['laptopsleeves', 'backpacks'],
-
-    // PROMOTIONAL ITEMS
-    'mug': ['mugs'],
-    'coffee mug': ['mugs'],
-    'photo mug': ['mugs'],
-    'keychain': ['keychains'],
-    'lanyard': ['lanyards'],
-    'badge': ['buttonbadges', 'idcards'],
-    'button badge': ['buttonbadges'],
-    'id card': ['idcards'],
-    'magnet': ['magnets'],
-    'fridge magnet': ['magnets'],
-    'coaster': ['coasters'],
-    'pen': ['pens'],
-    'bottle': ['sippersandbottles', 'drinkwares'],
-    'sipper': ['sippersandbottles'],
-    'drinkware': ['drinkwares'],
-
-    // STICKERS & LABELS
-    'sticker': ['stickersandlabels'],
-    'label': ['stickersandlabels', 'labels'],
-    'decal': ['decals'],
-    'hang tag': ['hangtags'],
-
-    // PACKAGING
-    'box': ['shippingandflatmailerboxes', 'foodcakeboxes', 'pizzaboxes'],
-    'mailer box': ['shippingandflatmailerboxes'],
-    'shipping box': ['shippingandflatmailerboxes'],
-    'courier box': ['shippingandflatmailerboxes'],
-    'pizza box': ['pizzaboxes'],
-    'cake box': ['foodcakeboxes'],
-    'food box': ['foodcakeboxes'],
-    'packaging': ['shippingandflatmailerboxes', 'foodcakeboxes'],
-    'bag': ['totebag', 'paperbags', 'cottoncarrybags'],
-    'tote bag': ['totebag'],
-    'paper bag': ['paperbags'],
-    'cotton bag': ['cottoncarrybags'],
-    'carry bag': ['cottoncarrybags'],
-    'poly bag': ['courierpolybag'],
-    'pouch': ['paperpouches', 'standuppouches'],
-    'tape': ['packingtape'],
-    'packing tape': ['packingtape'],
-
-    // INVITATIONS & CARDS
-    'invitation': ['invitations'],
-    'invite': ['invitations'],
-    'wedding': ['invitations'],
-    'wedding invitation': ['invitations'],
-    'marriage': ['invitations'],
-    'birthday invitation': ['invitations'],
-    'greeting card': ['invitations', 'cards'],
-    'card': ['cards', 'businesscards'],
-    'thank you card': ['cards'],
-    'save the date': ['cards'],
-
-    // AWARDS & RECOGNITION
-    'award': ['awards'],
-    'trophy': ['awards'],
-    'medal': ['medals'],
-    'certificate': ['certificates'],
-    'plaque': ['awards', 'photoplaque'],
-
-    // GIFTING
-    'gift': ['gifthampers'],
-    'hamper': ['gifthampers'],
-    'gift hamper': ['gifthampers'],
-    'corporate gift': ['gifthampers'],
-
-    // CANVAS & WALL ART
-    'canvas': ['canvas'],
-    'canvas print': ['canvas'],
-    'wall art': ['canvas', 'acrylicprints'],
-    'acrylic': ['acrylicprints'],
-    'acrylic print': ['acrylicprints'],
-
-    // MENU & RESTAURANT
-    'menu': ['menucards'],
-    'menu card': ['menucards'],
-    'restaurant': ['menucards'],
-
-    // MISCELLANEOUS
-    'bookmark': ['bookmarks'],
-    'dangler': ['danglers'],
-    'wobbler': ['danglers'],
-    'nameplate': ['nameplates'],
-    'name plate': ['nameplates'],
-    'door sign': ['nameplates']
-};
+const PRODUCT_KEYWORD_MAP = getKeywordMap();
 
 /**
  * Most popular products - always included as fallback
@@ -224,15 +49,12 @@ function filterRelevantProducts(userMessage, allProducts) {
         return getPopularProducts(allProducts);
     }
 
-    const lowerMessage = userMessage.toLowerCase();
     const matchedProductKeys = new Set();
 
-    // Step 1: Find all matching product keys from keywords
-    for (const [keyword, productKeys] of Object.entries(PRODUCT_KEYWORD_MAP)) {
-        if (lowerMessage.includes(keyword)) {
-            productKeys.forEach(key => matchedProductKeys.add(key));
-        }
-    }
+    // Step 1: Find all matching product keys from the taxonomy
+    resolveProducts(userMessage).forEach(product => {
+        product.catalogKeys.forEach(key => matchedProductKeys.add(key));
+    });
 
     // Step 2: If no matches, add popular products
     if (matchedProductKeys.size === 0) {
@@ -300,18 +122,19 @@ function analyzeFiltering(userMessage, allProducts) {
     const filteredCount = Object.keys(filtered).length;
     const reductionPercent = ((1 - filteredCount / totalProducts) * 100).toFixed(1);
 
-    // Estimate token savings (rough calculation)
-    const estimatedOriginalTokens = 14000; // Current state
-    const estimatedFilteredTokens = Math.ceil((filteredCount / totalProducts) * estimatedOriginalTokens);
-    const tokenSavings = estimatedOriginalTokens - estimatedFilteredTokens;
+    // Measure token savings on the serialized catalog
+    const originalTokens = countTokens(JSON.stringify(allProducts));
+    const filteredTokens = countTokens(JSON.stringify(filtered));
+    const tokenSavings = originalTokens - filteredTokens;
 
     return {
         totalProducts,
         filteredCount,
         reductionPercent,
-        estimatedOriginalTokens,
-        estimatedFilteredTokens,
+        originalTokens,
+        filteredTokens,
         tokenSavings,
+        tokenizer: getTokenizerName(),
         filteredProductKeys: Object.keys(filtered)
     };
 }
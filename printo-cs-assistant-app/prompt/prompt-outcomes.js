@@ -0,0 +1,149 @@
+/**
+ * Prompt Outcome Tracker
+ *
+ * Per prompt version counters for comparing A/B variants:
+ * sessions, bot turns + response time, sessions handed to an agent, feedback scores, link clicks.
+ * Counters are cumulative and persisted to data/prompt-outcomes.json.
+ */
+
+const { readJSON, writeJSON, dataPath } = require('../json-file');
+
+/**
+ * @private
+ */
+function emptyCounters() {
+    return {
+        sessions: 0,
+        turns: 0,
+        errors: 0,
+        responseTimeMs: 0,
+        handoffs: 0,
+        feedbackCount: 0,
+        feedbackTotal: 0,
+        linkClicks: 0,
+        firstSeenAt: new Date().toISOString()
+    };
+}
+
+/**
+ * @private
+ */
+function round(value, digits = 2) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+class PromptOutcomes {
+    /**
+     * @param {object} options
+     * @param {string} options.filePath - Where counters are persisted
+     */
+    constructor(options = {}) {
+        this.filePath = options.filePath || process.env.PROMPT_OUTCOMES_PATH || dataPath('prompt-outcomes.json');
+        this.versions = readJSON(this.filePath, {});
+    }
+
+    /**
+     * A session started on a version
+     * @param {string} versionId
+     */
+    recordSession(versionId) {
+        this._counters(versionId).sessions++;
+        this._save();
+    }
+
+    /**
+     * A bot reply (or failed attempt) on a version
+     * @param {string} versionId
+     * @param {object} details - { responseTime, status }
+     */
+    recordTurn(versionId, details = {}) {
+        const counters = this._counters(versionId);
+        if (details.status === 'error') {
+            counters.errors++;
+        } else {
+            counters.turns++;
+            counters.responseTimeMs += details.responseTime || 0;
+        }
+        this._save();
+    }
+
+    /**
+     * A session on a version was handed to an agent (count once per session)
+     * @param {string} versionId
+     */
+    recordHandoff(versionId) {
+        this._counters(versionId).handoffs++;
+        this._save();
+    }
+
+    /**
+     * Customer feedback score (1-5)
+     * @param {string} versionId
+     * @param {number} score
+     */
+    recordFeedback(versionId, score) {
+        const counters = this._counters(versionId);
+        counters.feedbackCount++;
+        counters.feedbackTotal += score;
+        this._save();
+    }
+
+    /**
+     * Customer clicked a link the bot sent
+     * @param {string} versionId
+     */
+    recordClick(versionId) {
+        this._counters(versionId).linkClicks++;
+        this._save();
+    }
+
+    /**
+     * Comparison of all versions seen so far
+     * @param {Array<object>} versions - registry.listVersions(), to include versions without traffic yet
+     * @returns {Array<object>} [{ versionId, sessions, turns, avgResponseTimeMs, handoffRate, avgFeedback, ... }]
+     */
+    getReport(versions = []) {
+        const ids = new Set([...versions.map(version => version.id), ...Object.keys(this.versions)]);
+        const trafficPercent = Object.fromEntries(versions.map(version => [version.id, version.trafficPercent]));
+
+        return [...ids].map(versionId => {
+            const counters = this.versions[versionId] || emptyCounters();
+            return {
+                versionId: versionId,
+                trafficPercent: trafficPercent[versionId] ?? 0,
+                sessions: counters.sessions,
+                turns: counters.turns,
+                errors: counters.errors,
+                avgResponseTimeMs: counters.turns > 0 ? Math.round(counters.responseTimeMs / counters.turns) : null,
+                handoffs: counters.handoffs,
+                handoffRate: counters.sessions > 0 ? round(counters.handoffs / counters.sessions, 3) : null,
+                feedbackCount: counters.feedbackCount,
+                avgFeedback: counters.feedbackCount > 0 ? round(counters.feedbackTotal / counters.feedbackCount) : null,
+                linkClicks: counters.linkClicks,
+                clicksPerSession: counters.sessions > 0 ? round(counters.linkClicks / counters.sessions) : null,
+                firstSeenAt: this.versions[versionId] ? counters.firstSeenAt : null
+            };
+        });
+    }
+
+    /**
+     * @private
+     */
+    _counters(versionId) {
+        const id = versionId || 'unknown';
+        if (!this.versions[id]) {
+            this.versions[id] = emptyCounters();
+        }
+        return this.versions[id];
+    }
+
+    /**
+     * @private
+     */
+    _save() {
+        writeJSON(this.filePath, this.versions);
+    }
+}
+
+module.exports = PromptOutcomes;
@@ -0,0 +1,264 @@
+/**
+ * Prompt Registry
+ *
+ * Named system prompt versions and the traffic split between them.
+ *
+ * - The prompt files in system_prompt/ are built-in versions (default, backup, enhanced)
+ * - More versions can be added through the admin API; their text is kept in the registry file
+ * - Each session is assigned a version once (weighted by the split, hashed on the session ID) and
+ *   keeps it for the rest of the conversation, even if the split changes
+ *
+ * The split starts from PROMPT_AB_SPLIT (e.g. "default:50,enhanced:50"; unset means "default:100")
+ * until it is changed via the API.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { readJSON, writeJSON, dataPath } = require('../json-file');
+
+const PROMPT_DIR = path.join(__dirname, '..', 'system_prompt');
+
+const BUILT_IN_VERSIONS = {
+    default: { name: 'Current prompt', file: 'system_prompt.txt' },
+    backup: { name: 'Previous prompt (backup)', file: 'system_prompt_backup.txt' },
+    enhanced: { name: 'Enhanced prompt', file: 'system_prompt_enhanced.txt' }
+};
+
+const VERSION_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+
+/**
+ * Parse "default:50,enhanced:50" into { default: 50, enhanced: 50 }
+ * @private
+ */
+function parseSplit(value) {
+    const split = {};
+    String(value || '').split(',').forEach(part => {
+        const [versionId, weight] = part.split(':').map(item => item.trim());
+        if (versionId) split[versionId] = parseFloat(weight);
+    });
+    return split;
+}
+
+class PromptRegistry {
+    /**
+     * @param {object} options
+     * @param {string} options.filePath - Where custom versions + the split are persisted
+     * @param {string} options.promptDir - Folder with the built-in prompt files
+     */
+    constructor(options = {}) {
+        this.filePath = options.filePath || process.env.PROMPT_REGISTRY_PATH || dataPath('prompt-registry.json');
+        this.promptDir = options.promptDir || PROMPT_DIR;
+
+        const saved = readJSON(this.filePath, {});
+        this.customVersions = saved.versions || {};
+        this.splitUpdatedAt = saved.splitUpdatedAt || null;
+        this.splitUpdatedBy = saved.splitUpdatedBy || null;
+
+        // Map<versionId, text> for the built-in files
+        this.fileCache = new Map();
+
+        try {
+            this.split = saved.split || this._validateSplit(parseSplit(process.env.PROMPT_AB_SPLIT || 'default:100'));
+        } catch (error) {
+            console.error(`❌ [PROMPTS] Invalid PROMPT_AB_SPLIT (${error.message}) - sending all traffic to default`);
+            this.split = { default: 100 };
+        }
+
+        console.log(`✅ [PROMPTS] Traffic split: ${this._describeSplit()}`);
+    }
+
+    /**
+     * All versions with their share of new sessions (metadata only)
+     * @returns {Array<object>}
+     */
+    listVersions() {
+        const totalWeight = Object.values(this.split).reduce((sum, weight) => sum + weight, 0);
+        const ids = [...Object.keys(BUILT_IN_VERSIONS), ...Object.keys(this.customVersions)];
+
+        return ids.map(versionId => {
+            const { text, ...version } = this.getVersion(versionId);
+            return {
+                ...version,
+                length: text ? text.length : 0,
+                trafficPercent: totalWeight > 0 ? Math.round(((this.split[versionId] || 0) / totalWeight) * 1000) / 10 : 0
+            };
+        });
+    }
+
+    /**
+     * One version including its text
+     * @param {string} versionId
+     * @returns {object|null} { id, name, description, source, text, createdAt, createdBy }
+     */
+    getVersion(versionId) {
+        if (BUILT_IN_VERSIONS[versionId]) {
+            const builtIn = BUILT_IN_VERSIONS[versionId];
+            return {
+                id: versionId,
+                name: builtIn.name,
+                description: `system_prompt/${builtIn.file}`,
+                source: 'file',
+                text: this._readPromptFile(versionId),
+                createdAt: null,
+                createdBy: null
+            };
+        }
+
+        const custom = this.customVersions[versionId];
+        return custom ? { id: versionId, source: 'registry', ...custom } : null;
+    }
+
+    /**
+     * Prompt text for a version (null if unknown or its file is missing)
+     * @param {string} versionId
+     * @returns {string|null}
+     */
+    getText(versionId) {
+        const version = this.getVersion(versionId);
+        return version ? version.text : null;
+    }
+
+    /**
+     * Add a prompt version
+     * @param {object} details - { id, name, description, text }
+     * @param {string} actor - Who added it
+     * @returns {object} The new version (without text)
+     */
+    createVersion(details, actor = 'admin') {
+        const versionId = String(details.id || '').trim().toLowerCase();
+        if (!VERSION_ID_PATTERN.test(versionId)) {
+            throw new Error('INVALID_VERSION_ID');
+        }
+        if (this.getVersion(versionId)) {
+            throw new Error('VERSION_EXISTS');
+        }
+        if (!details.text || !String(details.text).trim()) {
+            throw new Error('PROMPT_TEXT_REQUIRED');
+        }
+
+        this.customVersions[versionId] = {
+            name: String(details.name || versionId),
+            description: String(details.description || ''),
+            text: String(details.text),
+            createdAt: new Date().toISOString(),
+            createdBy: actor
+        };
+        this._save();
+
+        console.log(`✅ [PROMPTS] Version "${versionId}" added by ${actor}`);
+        const { text, ...version } = this.getVersion(versionId);
+        return version;
+    }
+
+    /**
+     * Change how new sessions are split between versions
+     * @param {object} split - { versionId: weight } e.g. { default: 50, enhanced: 50 }
+     * @param {string} actor - Who changed it
+     * @returns {object} The new split
+     */
+    setSplit(split, actor = 'admin') {
+        this.split = this._validateSplit(split);
+        this.splitUpdatedAt = new Date().toISOString();
+        this.splitUpdatedBy = actor;
+        this._save();
+
+        console.log(`✅ [PROMPTS] Traffic split changed by ${actor}: ${this._describeSplit()}`);
+        return this.split;
+    }
+
+    /**
+     * Current split
+     * @returns {object} { split, updatedAt, updatedBy }
+     */
+    getSplit() {
+        return { split: { ...this.split }, updatedAt: this.splitUpdatedAt, updatedBy: this.splitUpdatedBy };
+    }
+
+    /**
+     * Version for a session: its current version if it still exists, otherwise a weighted pick
+     * that is stable for the session ID
+     * @param {string} sessionId
+     * @param {string} currentVersionId - Version already recorded on the session (optional)
+     * @returns {string} Version ID
+     */
+    assign(sessionId, currentVersionId = null) {
+        if (currentVersionId && this.getText(currentVersionId)) {
+            return currentVersionId;
+        }
+
+        const entries = Object.entries(this.split).filter(([versionId, weight]) => weight > 0 && this.getText(versionId));
+        const totalWeight = entries.reduce((sum, [, weight]) => sum + weight, 0);
+        if (totalWeight === 0) return 'default';
+
+        // First 8 hex digits of the hash → a point in [0, 1)
+        const point = parseInt(crypto.createHash('sha1').update(String(sessionId)).digest('hex').slice(0, 8), 16) / 0x100000000;
+        let cumulative = 0;
+        for (const [versionId, weight] of entries) {
+            cumulative += weight / totalWeight;
+            if (point < cumulative) return versionId;
+        }
+        return entries[entries.length - 1][0];
+    }
+
+    /**
+     * @private
+     */
+    _validateSplit(split) {
+        if (!split || typeof split !== 'object' || Array.isArray(split)) {
+            throw new Error('INVALID_SPLIT');
+        }
+
+        const clean = {};
+        Object.entries(split).forEach(([versionId, weight]) => {
+            if (!this.getVersion(versionId)) {
+                throw new Error('UNKNOWN_VERSION');
+            }
+            if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+                throw new Error('INVALID_SPLIT');
+            }
+            if (weight > 0) clean[versionId] = weight;
+        });
+
+        if (Object.keys(clean).length === 0) {
+            throw new Error('INVALID_SPLIT');
+        }
+        return clean;
+    }
+
+    /**
+     * @private
+     */
+    _readPromptFile(versionId) {
+        if (!this.fileCache.has(versionId)) {
+            try {
+                this.fileCache.set(versionId, fs.readFileSync(path.join(this.promptDir, BUILT_IN_VERSIONS[versionId].file), 'utf8'));
+            } catch (error) {
+                console.error(`❌ [PROMPTS] Could not read prompt file for "${versionId}":`, error.message);
+                this.fileCache.set(versionId, null);
+            }
+        }
+        return this.fileCache.get(versionId);
+    }
+
+    /**
+     * @private
+     */
+    _describeSplit() {
+        return Object.entries(this.split).map(([versionId, weight]) => `${versionId}=${weight}`).join(', ');
+    }
+
+    /**
+     * @private
+     */
+    _save() {
+        writeJSON(this.filePath, {
+            versions: this.customVersions,
+            split: this.split,
+            splitUpdatedAt: this.splitUpdatedAt,
+            splitUpdatedBy: this.splitUpdatedBy
+        }, true);
+    }
+}
+
+module.exports = PromptRegistry;
@@ -0,0 +1,104 @@
+/**
+ * Prompt Registry Admin Endpoints
+ * Manage system prompt versions, the A/B traffic split, and compare outcomes per version
+ */
+
+const express = require('express');
+
+// Registry error codes → HTTP status + message
+const PROMPT_ERRORS = {
+    INVALID_VERSION_ID: [400, 'id must be 1-40 lowercase letters, digits, "-" or "_"'],
+    VERSION_EXISTS: [409, 'A version with this id already exists'],
+    PROMPT_TEXT_REQUIRED: [400, 'text is required'],
+    INVALID_SPLIT: [400, 'split must map version ids to non-negative numbers, with at least one above 0'],
+    UNKNOWN_VERSION: [404, 'split references a version that does not exist']
+};
+
+/**
+ * Send a registry error as JSON
+ * @private
+ */
+function sendPromptError(res, error) {
+    const [status, message] = PROMPT_ERRORS[error.message] || [500, error.message];
+    res.status(status).json({ success: false, error: error.message, message });
+}
+
+/**
+ * Build the prompt admin router (mounted at /admin)
+ * @param {PromptRegistry} registry - Prompt versions + split
+ * @param {PromptOutcomes} outcomes - Outcome counters per version
+ * @param {Function} protect - protect(role, action) middleware factory from server.js
+ * @returns {express.Router}
+ */
+function createPromptRouter(registry, outcomes, protect) {
+    const router = express.Router();
+
+    /**
+     * GET /admin/prompts
+     * Versions (without text) with their share of new sessions
+     */
+    router.get('/prompts', protect('viewer', 'prompts.list'), (req, res) => {
+        res.json({
+            success: true,
+            versions: registry.listVersions(),
+            ...registry.getSplit(),
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    /**
+     * GET /admin/prompts/report
+     * Outcomes per version: response time, handoff rate, feedback score, link clicks
+     */
+    router.get('/prompts/report', protect('viewer', 'prompts.report'), (req, res) => {
+        res.json({
+            success: true,
+            report: outcomes.getReport(registry.listVersions()),
+            ...registry.getSplit(),
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    /**
+     * GET /admin/prompts/:id
+     * One version including its text
+     */
+    router.get('/prompts/:id', protect('viewer', 'prompts.get'), (req, res) => {
+        const version = registry.getVersion(req.params.id);
+        if (!version) {
+            return res.status(404).json({ success: false, error: 'VERSION_NOT_FOUND', message: 'Prompt version not found' });
+        }
+
+        res.json({ success: true, version: version });
+    });
+
+    /**
+     * POST /admin/prompts
+     * Body: { id, name, description, text } - add a version (it gets no traffic until the split includes it)
+     */
+    router.post('/prompts', protect('admin', 'prompts.create'), (req, res) => {
+        try {
+            const version = registry.createVersion(req.body || {}, req.auth.name);
+            res.status(201).json({ success: true, version: version });
+        } catch (error) {
+            sendPromptError(res, error);
+        }
+    });
+
+    /**
+     * PUT /admin/prompts/split
+     * Body: { split: { default: 50, enhanced: 50 } } - applies to sessions that don't have a version yet
+     */
+    router.put('/prompts/split', protect('admin', 'prompts.split'), (req, res) => {
+        try {
+            registry.setSplit((req.body || {}).split, req.auth.name);
+            res.json({ success: true, ...registry.getSplit(), versions: registry.listVersions() });
+        } catch (error) {
+            sendPromptError(res, error);
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createPromptRouter };
@@ -0,0 +1,136 @@
+/**
+ * Prompt Token Budget
+ *
+ * Counts tokens with the gpt-4o tokenizer (o200k_base) and assembles the system prompt from
+ * named sections within a token budget.
+ *
+ * - Sections are filled in priority order (1 first); required sections are always included
+ * - A section is a list of blocks (one product, one price line...) so a section that does not
+ *   fit whole is cut at a block boundary instead of being dropped
+ * - Sections are written to the prompt in the order given, whatever their priority; a section with
+ *   render() chooses how its included blocks are laid out (e.g. grouped by category)
+ *
+ * If gpt-tokenizer is not installed, tokens are estimated at ~4 characters each.
+ */
+
+const DEFAULT_BUDGET = parseInt(process.env.PROMPT_TOKEN_BUDGET) || 6000;
+
+let encode = null;
+let tokenizerLoaded = false;
+
+/**
+ * Load the tokenizer on first use (it takes ~150ms)
+ * @private
+ */
+function getEncoder() {
+    if (!tokenizerLoaded) {
+        tokenizerLoaded = true;
+        try {
+            encode = require('gpt-tokenizer/encoding/o200k_base').encode;
+        } catch (error) {
+            console.warn('⚠️  [TOKENS] gpt-tokenizer not available, estimating tokens from length:', error.message);
+        }
+    }
+    return encode;
+}
+
+/**
+ * Number of tokens in a piece of text
+ * @param {string} text
+ * @returns {number}
+ */
+function countTokens(text) {
+    if (!text) return 0;
+    const encoder = getEncoder();
+    return encoder ? encoder(String(text)).length : Math.ceil(String(text).length / 4);
+}
+
+/**
+ * How tokens are being counted
+ * @returns {string} 'o200k_base' or 'estimate'
+ */
+function getTokenizerName() {
+    return getEncoder() ? 'o200k_base' : 'estimate';
+}
+
+/**
+ * Assemble a prompt from sections within a token budget
+ * @param {Array<object>} sections - [{ name, priority, required?, header?, blocks, footer?, render? }]
+ *   blocks are strings, or objects with a text property when render(includedBlocks) lays them out;
+ *   header/footer are only written when at least one block is included
+ * @param {number} budget - Max prompt tokens (PROMPT_TOKEN_BUDGET, default 6000)
+ * @returns {object} { prompt, report: { budget, totalTokens, tokenizer, overBudget, sections } }
+ */
+function assemblePrompt(sections, budget = DEFAULT_BUDGET) {
+    const plans = sections.map(section => {
+        const blocks = (section.blocks || []).filter(Boolean);
+        return {
+            section,
+            blocks,
+            blockTokens: blocks.map(block => countTokens(typeof block === 'string' ? block : block.text)),
+            frameTokens: countTokens(section.header) + countTokens(section.footer),
+            includedBlocks: 0,
+            tokens: 0
+        };
+    });
+
+    let remaining = budget;
+    [...plans]
+        .sort((a, b) => (b.section.required ? 1 : 0) - (a.section.required ? 1 : 0) || a.section.priority - b.section.priority)
+        .forEach(plan => {
+            if (plan.blocks.length === 0) return;
+
+            if (plan.section.required) {
+                plan.includedBlocks = plan.blocks.length;
+                plan.tokens = plan.frameTokens + plan.blockTokens.reduce((sum, tokens) => sum + tokens, 0);
+                remaining -= plan.tokens;
+                return;
+            }
+
+            let used = plan.frameTokens;
+            for (const tokens of plan.blockTokens) {
+                if (used + tokens > remaining) break;
+                used += tokens;
+                plan.includedBlocks++;
+            }
+
+            if (plan.includedBlocks > 0) {
+                plan.tokens = used;
+                remaining -= used;
+            }
+        });
+
+    const prompt = plans
+        .filter(plan => plan.includedBlocks > 0)
+        .map(plan => {
+            const included = plan.blocks.slice(0, plan.includedBlocks);
+            const body = plan.section.render ? plan.section.render(included) : included.join('');
+            return (plan.section.header || '') + body + (plan.section.footer || '');
+        })
+        .join('');
+
+    const totalTokens = countTokens(prompt);
+
+    return {
+        prompt,
+        report: {
+            budget,
+            totalTokens,
+            tokenizer: getTokenizerName(),
+            overBudget: totalTokens > budget,
+            sections: plans.map(plan => ({
+                name: plan.section.name,
+                priority: plan.section.required ? 0 : plan.section.priority,
+                required: Boolean(plan.section.required),
+                tokens: plan.tokens,
+                fullTokens: plan.blocks.length > 0 ? plan.frameTokens + plan.blockTokens.reduce((sum, tokens) => sum + tokens, 0) : 0,
+                blocks: plan.blocks.length,
+                includedBlocks: plan.includedBlocks,
+                included: plan.includedBlocks > 0,
+                truncated: plan.includedBlocks > 0 && plan.includedBlocks < plan.blocks.length
+            }))
+        }
+    };
+}
+
+module.exports = { countTokens, getTokenizerName, assemblePrompt, DEFAULT_BUDGET };
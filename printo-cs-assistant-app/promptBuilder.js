@@ -1,11 +1,35 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { addUTMTracking, isUTMEnabled } = require('./utm-tracker');
+const { quoteAllVariants, formatQuoteForPrompt } = require('./quote-engine');
+const { logUpdate } = require('./update-tracker');
+const { diffCatalogs } = require('./catalog/catalog-diff');
+const { recordDiff } = require('./catalog/diff-store');
+const { validateScrapedCatalog, validateManualCatalog, checkShrink } = require('./catalog/catalog-schema');
+const { saveVersion, loadVersion } = require('./catalog/catalog-versions');
+const { ProductSearchIndex } = require('./catalog/search-index');
+const { resolveProducts, getProduct } = require('./taxonomy/product-taxonomy');
+const { assemblePrompt } = require('./prompt/token-budget');
+const { estimateDelivery, formatEstimateForPrompt } = require('./delivery/delivery-estimator');
+const { formatSameDayStatus } = require('./delivery/same-day');
+const { formatBusinessStatus } = require('./business-calendar/business-calendar');
+const { resolveLocation, hasStoreIntent, findNearestStores, formatStoresForPrompt } = require('./stores/store-locator');
+const { detectLanguage, formatLanguageDirective } = require('./language/detect-language');
+
+const SCRAPED_PRODUCTS_PATH = path.join(__dirname, 'scraped_products.json');
+
+// Scraped search results considered per message - how many reach the prompt is up to the token budget
+const LIVE_CATALOG_CANDIDATES = 20;
 
 // Load static files once on startup
 let systemPrompt = '';
 let productsData = {};
 let scrapedProducts = [];
+let searchIndex = new ProductSearchIndex([]);
+
+// SHA-256 of the scraped_products.json a rollback wrote - the file watcher event for that write is skipped
+let rollbackWriteHash = null;
 
 try {
     // Try loading from system_prompt folder first, fallback to root
@@ -15,508 +39,603 @@ try {
         systemPrompt = fs.readFileSync(path.join(__dirname, 'system_prompt.txt'), 'utf8');
     }
 
-    // Try loading products.json from system_prompt folder first, fallback to root
-    try {
-        productsData = JSON.parse(fs.readFileSync(path.join(__dirname, 'system_prompt', 'products.json'), 'utf8'));
-    } catch {
-        productsData = JSON.parse(fs.readFileSync(path.join(__dirname, 'products.json'), 'utf8'));
-    }
-
-    // Load scraped products data
-    try {
-        const scrapedData = JSON.parse(fs.readFileSync(path.join(__dirname, 'scraped_products.json'), 'utf8'));
-        scrapedProducts = scrapedData.products || [];
-        console.log(`✅ Loaded ${scrapedProducts.length} scraped products`);
-    } catch (error) {
-        console.log('ℹ️ No scraped products found (this is optional)');
-    }
-
     console.log('✅ System prompt loaded successfully');
 } catch (error) {
     console.error('❌ Error loading prompt files:', error.message);
     console.error('Current directory:', __dirname);
 }
 
+/**
+ * Swap in a new catalog and rebuild the search index over it
+ * @param {object} manualData - products.json contents
+ * @param {Array<object>} scraped - Valid scraped products
+ */
+function applyCatalog(manualData, scraped) {
+    productsData = manualData;
+    scrapedProducts = scraped;
+    searchIndex = new ProductSearchIndex(scraped);
+}
+
+// Load products.json + scraped_products.json, falling back to the last good version if they fail validation
+const initialCatalog = readCatalogFiles();
+if (initialCatalog.valid) {
+    applyCatalog(initialCatalog.productsData, initialCatalog.scrapedProducts);
+    initialCatalog.warnings.forEach(warning => console.warn(`⚠️  ${warning}`));
+    saveVersion(initialCatalog.productsData, initialCatalog.scrapedData, { trigger: 'startup' });
+    console.log(`✅ Loaded ${scrapedProducts.length} scraped products`);
+} else {
+    console.error(`❌ Product data failed validation (${initialCatalog.errors.length} error(s)):`, initialCatalog.errors[0]);
+    const lastGood = loadVersion('latest');
+    if (lastGood) {
+        applyCatalog(lastGood.productsData, validateScrapedCatalog(lastGood.scrapedData).products);
+        console.log(`↩️  Using last good catalog version ${lastGood.meta.id} (${scrapedProducts.length} scraped products)`);
+    }
+}
+
 /**
  * Builds a dynamic prompt based on user message and product context
  * @param {string} userMessage - The user's message/query
  * @param {string} currentDate - Current date string
  * @param {string} currentPricing - Any dynamic pricing data (optional)
  * @param {object} sessionContext - Session context with previous questions/requirements (optional)
+ * @param {object} options - { systemPrompt, faqEntries, budget } (see buildPromptWithReport)
  * @returns {string} - Complete system prompt
  */
-function buildPrompt(userMessage, currentDate, currentPricing = '', sessionContext = null) {
-    const lowerMessage = userMessage.toLowerCase();
-
-    // Product keywords mapping - Maps user keywords to scraped product categories
-    // This ensures the bot finds relevant products from scraped_products.json
-    const productMap = {
-        // Original products
-        'business card': 'businessCards',
-        'visiting card': 'businessCards',
-        'tshirt': 'tshirts',
-        't-shirt': 'tshirts',
-        'polo': 'tshirts',
-        'apparel': 'tshirts',
-        'hoodie': 'hoodies',
-        'jacket': 'jackets',
-        'sticker': 'stickers',
-        'stickr': 'stickers',  // common typo
-        'stickerr': 'stickers',  // common typo
-        'label': 'stickers',
-        'decal': 'stickers',
-        'letterhead': 'letterheads',
-        'notepad': 'notepads',
-        'booklet': 'booklets',
-        'id card': 'idCards',
-        'brochure': 'brochures',
-        'flyer': 'brochures',
-        'leaflet': 'brochures',
-        'pamphlet': 'brochures',  // CRITICAL: common customer term
-        'pamphlets': 'brochures',
-        'flyers': 'brochures',
-        'leaflets': 'brochures',
-        'magazine': 'booklets',  // Synonym mapping
-        'catalog': 'booklets',
-        'catalogue': 'booklets',
-        'print pics': 'photoPrints',  // Intent mapping
-        'picture prints': 'photoPrints',
-        'photo printing': 'photoPrints',
-        'pics': 'photoPrints',
-        'dangler': 'danglers',
-        'stamp': 'stamps',
-        'rubber stamp': 'stamps',
-        'photo print': 'photoPrints',
-        'photo': 'photoPrints',
-        'passport photo': 'photoPrints',
-        'photo frame': 'photoFrames',
-        'frame': 'photoFrames',
-        'mug': 'mugs',
-        'photo mug': 'mugs',
-        'magnet': 'magnets',
-        'fridge magnet': 'magnets',
-        'invitation': 'invitations',
-        'invite': 'invitations',  // common short form
-        'invites': 'invitations',
-        'wedding invitation': 'invitations',
-        'wedding invite': 'invitations',  // CRITICAL: very common
-        'wedding': 'invitations',  // context clue for invitations
-        'marriage invitation': 'invitations',
-        'birthday invitation': 'invitations',
-        'greeting card': 'invitations',
-        'photo book': 'photoBooks',
-        'photobook': 'photoBooks',
-        'polaroid': 'photoPrints',
-        'retro print': 'photoPrints',
-
-        // New categories from sitemap (577 products)
-        'name plate': 'namePlates',
-        'nameplate': 'namePlates',
-        'diary': 'diaries',
-        'diaries': 'diaries',
-        'notebook': 'notebooks',
-        'desk': 'desktopItems',
-        'desktop': 'desktopItems',
-        'desk stand': 'desktopItems',
-        'organizer': 'desktopItems',
-        'organiser': 'desktopItems',
-        'award': 'awards',
-        'trophy': 'awards',
-        'backpack': 'backpacks',
-        'bag': 'bags',
-        'banner': 'banners',
-        'bill book': 'billBooks',
-        'bookmark': 'bookmarks',
-        'button badge': 'buttonBadges',
-        'badge': 'buttonBadges',
-        'canvas': 'canvas',
-        'cap': 'caps',
-        'hat': 'caps',
-        'card': 'cards',
-        'certificate': 'certificates',
-        'coaster': 'coasters',
-        'carry bag': 'carryBags',
-        'poly bag': 'polyBags',
-        'courier bag': 'courierBags',
-        'drinkware': 'drinkwares',
-        'bottle': 'drinkwares',
-        'envelope': 'envelopes',
-        'poster': 'posters',
-        'standee': 'standees',  // roll-up banner / poster stand
-        'stand': 'standees',
-        'roll up': 'standees',
-        'acrylic': 'acrylicPrints',
-        'gift': 'giftHampers',
-        'hamper': 'giftHampers',
-        'calendar': 'calendars',
-        'calendars': 'calendars',
-        'wall calendar': 'calendars',
-        'desk calendar': 'calendars',
-        'desktop calendar': 'calendars',
-        'table calendar': 'calendars',
-        'framed calendar': 'calendars',
-        'a3 calendar': 'calendars',
-        '2026 calendar': 'calendars',
-        'case bound diary': 'diaries',
-        'case-bound diary': 'diaries',
-        'wiro diary': 'diaries',
-
-        // Employee & Corporate Kits
-        'engagement kit': 'employeeEngagement',
-        'employee engagement': 'employeeEngagement',
-        'engagement kits': 'employeeEngagement',
-        'employee kit': 'employeeEngagement',
-        'joining kit': 'joiningKits',
-        'employee joining kit': 'joiningKits',
-        'welcome kit': 'joiningKits',
-        'onboarding kit': 'joiningKits',
-        'joining kits': 'joiningKits',
-
-        // Promotional Items
-        'mousepad': 'mousepads',
-        'mouse pad': 'mousepads',
-        'custom mousepad': 'mousepads',
-        'printed mousepad': 'mousepads',
-        'cap': 'caps',
-        'caps': 'caps',
-        'hat': 'caps',
-        'custom cap': 'caps',
-        'branded cap': 'caps',
-
-        // Gift Hampers
-        'new year hamper': 'newYearHampers',
-        'new year gift': 'newYearHampers',
-        'new year hampers': 'newYearHampers',
-
-        // Packaging-related products
-        'packaging box': 'packagingBoxes',
-        'packaging': 'packagingBoxes',
-        'mailer box': 'mailerBoxes',
-        'mailer': 'mailerBoxes',
-        'shipping box': 'mailerBoxes',
-        'courier box': 'mailerBoxes',
-        'pizza box': 'pizzaBoxes',
-        'cake box': 'cakeBoxes',
-        'food box': 'foodBoxes',
-        'packing tape': 'packingTape',
-        'tape': 'packingTape'
-    };
+function buildPrompt(userMessage, currentDate, currentPricing = '', sessionContext = null, options = {}) {
+    return buildPromptWithReport(userMessage, currentDate, currentPricing, sessionContext, options).prompt;
+}
 
-    // Find relevant products mentioned in user message
+/**
+ * Build the prompt within the token budget and report what each section cost
+ * Sections are filled by priority: system prompt (always), session context and response language,
+ * calculated quote, delivery estimate and nearest stores, manual catalog, current pricing, live catalog - see prompt/token-budget.js
+ * @param {string} userMessage - The user's message/query
+ * @param {string} currentDate - Current date string
+ * @param {string} currentPricing - Any dynamic pricing data (optional)
+ * @param {object} sessionContext - Session context with previous questions/requirements (optional)
+ * @param {object} options
+ * @param {string} options.systemPrompt - Prompt version text from the prompt registry (default system_prompt.txt)
+ * @param {Array<object>} options.faqEntries - Knowledge base entries for this message (knowledgeBase.findRelevant)
+ * @param {object} options.callback - The session's queued after-hours callback (callbackQueue)
+ * @param {Date} options.now - Time for business hours, same-day cut-offs and delivery dates (default now)
+ * @param {number} options.budget - Max prompt tokens (default PROMPT_TOKEN_BUDGET)
+ * @returns {object} { prompt, report: { budget, totalTokens, tokenizer, overBudget, sections } }
+ */
+function buildPromptWithReport(userMessage, currentDate, currentPricing = '', sessionContext = null, options = {}) {
+    // Find relevant manual catalog products mentioned in user message (see taxonomy/product-taxonomy.js)
     const relevantProducts = [];
-    for (const [keyword, productKey] of Object.entries(productMap)) {
-        if (lowerMessage.includes(keyword)) {
-            if (productsData[productKey]) {
+    const relevantProductKeys = new Set();
+    resolveProducts(userMessage).forEach(product => {
+        product.catalogKeys.forEach(productKey => {
+            if (productsData[productKey] && !relevantProductKeys.has(productKey)) {
                 relevantProducts.push(productsData[productKey]);
+                relevantProductKeys.add(productKey);
             }
-        }
-    }
+        });
+    });
 
-    // Helper function for fuzzy string matching (handles typos)
-    function isSimilar(word1, word2) {
-        if (word1.length < 3 || word2.length < 3) return false;
+    // Follow-ups like "make it 1000" don't name the product - fall back to the session's product interest
+    if (relevantProductKeys.size === 0 && sessionContext && sessionContext.productInterest) {
+        const interest = getProduct(sessionContext.productInterest);
+        (interest ? interest.catalogKeys : []).forEach(productKey => {
+            if (productsData[productKey]) {
+                relevantProductKeys.add(productKey);
+            }
+        });
+    }
 
-        // Exact match or contains
-        if (word1 === word2 || word1.includes(word2) || word2.includes(word1)) return true;
+    // Find relevant scraped products - ranked by the catalog search index (BM25 + typo tolerance)
+    const relevantScrapedProducts = searchIndex.search(userMessage, { limit: LIVE_CATALOG_CANDIDATES }).map(result => result.product);
 
-        // Check if one word starts with the other (min 4 chars)
-        if (word1.length >= 4 && word2.length >= 4) {
-            if (word1.startsWith(word2.substring(0, 4)) || word2.startsWith(word1.substring(0, 4))) {
-                return true;
-            }
+    const basePrompt = (options.systemPrompt || systemPrompt)
+        .replace('${currentDate}', currentDate)
+        .replace('{same_day_delivery_list}', formatSameDayStatus(options.now))
+        .replace('{business_hours_status}', formatBusinessStatus(options.now, options.callback))
+        .replace('[FAQ_CONTENT]', formatFaqContent(options.faqEntries || []));
+
+    const sections = [
+        { name: 'systemPrompt', required: true, blocks: [basePrompt] },
+        {
+            name: 'manualCatalog',
+            priority: 3,
+            header: '\n\n[PRODUCT CONTEXT - Manual Catalog]\n',
+            blocks: relevantProducts.map(formatManualProduct)
+        },
+        {
+            name: 'liveCatalog',
+            priority: 5,
+            header: '\n\n[PRODUCT CONTEXT - Live Website Data]\nMost relevant products from printo.in:\n\n',
+            ...liveCatalogBlocks(relevantScrapedProducts)
+        },
+        {
+            name: 'calculatedQuote',
+            priority: 2,
+            header: '\n[CALCULATED QUOTE]\n',
+            blocks: quoteBlocks(relevantProductKeys, sessionContext),
+            footer: 'IMPORTANT: Quote these exact per-piece prices and totals. Do not recalculate or round them differently.\n'
+        },
+        {
+            name: 'deliveryEstimate',
+            priority: 2,
+            header: '\n[DELIVERY ESTIMATE]\n',
+            blocks: deliveryBlocks(userMessage, sessionContext, options.now),
+            footer: 'IMPORTANT: Use these dates and this serviceability for the customer\'s pincode instead of a generic [X-Y] days range. Dates skip Sundays.\n'
+        },
+        {
+            name: 'storeLocator',
+            priority: 2,
+            header: '\n[NEAREST PRINTO STORES]\n',
+            blocks: storeBlocks(userMessage, sessionContext),
+            footer: 'IMPORTANT: Give only the addresses and hours listed here - do not make up store details. If the list says it may be incomplete, never tell the customer there is no other store.\n'
+        },
+        {
+            name: 'currentPricing',
+            priority: 4,
+            header: '\n[CURRENT PRICING]\n',
+            blocks: currentPricing ? currentPricing.split('\n').map(line => `${line}\n`) : []
+        },
+        {
+            name: 'sessionContext',
+            priority: 1,
+            header: '\n[SESSION CONTEXT]\n',
+            blocks: sessionContext ? [formatSessionContext(sessionContext)] : [],
+            footer: '\nIMPORTANT: Use this context to provide relevant follow-up responses. Don\'t repeat questions already answered.\n'
+        },
+        {
+            name: 'responseLanguage',
+            priority: 1,
+            header: '\n[RESPONSE LANGUAGE]\n',
+            blocks: languageBlocks(userMessage, sessionContext)
         }
+    ];
 
-        // Levenshtein-like distance for typo tolerance
-        // Allow 1-2 character differences based on length
-        const minLen = Math.min(word1.length, word2.length);
-        const maxDiff = minLen <= 5 ? 1 : 2;
+    return assemblePrompt(sections, options.budget);
+}
 
-        if (Math.abs(word1.length - word2.length) > maxDiff) return false;
+/**
+ * [FAQ_CONTENT] - curated knowledge base answers that match the message
+ * @private
+ */
+function formatFaqContent(faqEntries) {
+    if (faqEntries.length === 0) {
+        return 'No curated FAQ answer matches this message.';
+    }
+
+    const answers = faqEntries.map(entry => `[FAQ #${entry.id}] Q: ${entry.question}\nA: ${entry.answer}`);
+    return `Curated answers for this message (authoritative - prefer these facts over general knowledge):\n\n${answers.join('\n\n')}`;
+}
 
-        let differences = 0;
-        for (let i = 0; i < minLen; i++) {
-            if (word1[i] !== word2[i]) {
-                differences++;
-                if (differences > maxDiff) return false;
+/**
+ * Manual catalog entry for the prompt
+ * @private
+ */
+function formatManualProduct(product) {
+    let text = `${product.name}:\n`;
+
+    // Add category browse link if available (with UTM tracking)
+    if (product.categoryLink) {
+        const trackedLink = addUTMTracking(product.categoryLink, product.name || 'product');
+        text += `Browse all options: ${trackedLink}\n`;
+    }
+
+    // Handle new variants structure
+    if (product.variants) {
+        Object.entries(product.variants).forEach(([variantKey, variant]) => {
+            text += `\n${variant.name}:\n`;
+            text += `- Price: ${variant.price}\n`;
+            text += `- MOQ: ${variant.moq}\n`;
+            if (variant.description) {
+                text += `- Details: ${variant.description}\n`;
             }
+            if (variant.link) {
+                const trackedVariantLink = addUTMTracking(variant.link, variant.name || product.name);
+                text += `- Order at: ${trackedVariantLink}\n`;
+            }
+        });
+    }
+    // Handle old pricing structure (for backward compatibility)
+    else if (product.pricing) {
+        Object.entries(product.pricing).forEach(([variant, price]) => {
+            text += `- ${variant}: ${price}\n`;
+        });
+        if (product.deliveryTime) {
+            text += `- Delivery: ${product.deliveryTime}\n`;
+        }
+        if (product.minQuantity) {
+            text += `- Min quantity: ${product.minQuantity}\n`;
         }
-        differences += Math.abs(word1.length - word2.length);
-
-        return differences <= maxDiff;
     }
 
-    // Semantic category relationships (for intelligent matching)
-    // Maps customer terms → related category words to find products
-    const categoryRelations = {
-        'packaging': ['box', 'mailer', 'shipping', 'tape', 'label', 'courier', 'poly'],
-        'box': ['mailer', 'shipping', 'packaging', 'pizza', 'cake', 'food'],
-        'print': ['photo', 'document', 'poster', 'canvas', 'acrylic'],
-        'apparel': ['tshirt', 'shirt', 'polo', 'hoodie', 'cap', 'jacket'],
-        'promotional': ['badge', 'keychain', 'lanyard', 'mug', 'bottle', 'drinkware'],
-        // CRITICAL: pamphlet/brochure mapping to flyer/leaflet categories
-        'pamphlet': ['flyer', 'leaflet', 'folded'],
-        'pamphlets': ['flyer', 'leaflet', 'folded'],
-        'brochure': ['flyer', 'leaflet', 'folded'],
-        'brochures': ['flyer', 'leaflet', 'folded']
-    };
+    return text + '\n';
+}
 
-    // Common location keywords to ignore in product matching
-    // These appear in queries like "pamphlets for expo Indiranagar Bangalore"
-    const locationKeywords = [
-        'bangalore', 'bengaluru', 'delhi', 'mumbai', 'hyderabad', 'chennai', 'kolkata', 'pune',
-        'indiranagar', 'koramangala', 'whitefield', 'jayanagar', 'hsr', 'btm', 'marathahalli',
-        'nagar', 'road', 'layout', 'cross', 'main', 'area', 'sector', 'phase', 'stage',
-        'today', 'tomorrow', 'urgent', 'asap', 'soon'  // time-related words
-    ];
+/**
+ * Live catalog blocks, one per scraped product
+ * Blocks take turns across categories (best product of each category first) so one big category
+ * can't use up the budget; render() groups whatever fits back under its category
+ * @private
+ */
+function liveCatalogBlocks(products) {
+    // Map<category, products in rank order>
+    const groupedByCategory = new Map();
+    products.forEach(product => {
+        if (!groupedByCategory.has(product.category)) {
+            groupedByCategory.set(product.category, []);
+        }
+        groupedByCategory.get(product.category).push(product);
+    });
+
+    const formatCategory = (category, firstProduct) => {
+        let text = `${category}:\n`;
 
-    // Find relevant scraped products - Enhanced matching with fuzzy search + semantic understanding
-    const relevantScrapedProducts = scrapedProducts.filter(product => {
-        const productName = product.name.toLowerCase();
-        const productCategory = product.category.toLowerCase();
-
-        // Extract meaningful words from user message
-        // Ignore: common words, location keywords, and very short words
-        const userWords = lowerMessage.split(/\s+/).filter(w =>
-            w.length > 3 &&
-            !['need', 'want', 'have', 'show', 'make', 'looking', 'for', 'the', 'and', 'with', 'your', 'our', 'from', 'this', 'that'].includes(w) &&
-            !locationKeywords.includes(w)  // Filter out location names
-        );
-
-        // Direct category match (e.g., "name plates" matches category "Name Plates")
-        if (lowerMessage.includes(productCategory)) {
-            return true;
+        // Show category link with UTM tracking
+        if (firstProduct.categoryLink || firstProduct.url) {
+            const categoryUrl = firstProduct.categoryLink || firstProduct.url;
+            text += `Browse all: ${addUTMTracking(categoryUrl, category)}\n\n`;
         }
+        return text;
+    };
 
-        // Semantic matching: if user says "packaging", match categories with "box", "mailer", etc.
-        for (const [semanticWord, relatedWords] of Object.entries(categoryRelations)) {
-            if (lowerMessage.includes(semanticWord)) {
-                // Check if product category contains any related words
-                if (relatedWords.some(related => productCategory.includes(related))) {
-                    return true;
-                }
-            }
+    const formatProduct = product => {
+        let text = `- ${product.name}\n`;
+        text += `  Price: ${product.price}\n`;
+        if (product.link || product.url) {
+            const productUrl = product.link || product.url;
+            text += `  Order: ${addUTMTracking(productUrl, product.name)}\n`;
         }
+        return text;
+    };
 
-        // Check for partial category word matches
-        // e.g., "diary" matches "Case Bound Diaries"
-        const categoryWords = productCategory.split(/\s+/);
-        for (const word of categoryWords) {
-            if (word.length > 3 && lowerMessage.includes(word)) {
-                return true;
-            }
+    const blocks = [];
+    const rounds = Math.max(0, ...[...groupedByCategory.values()].map(group => group.length));
+    for (let round = 0; round < rounds; round++) {
+        groupedByCategory.forEach((group, category) => {
+            if (!group[round]) return;
+            const categoryText = round === 0 ? formatCategory(category, group[0]) : '';
+            const productText = formatProduct(group[round]);
+            // The first product of a category also pays for the category heading
+            blocks.push({ text: categoryText + productText, category, categoryText, productText });
+        });
+    }
 
-            // Fuzzy match for typos (e.g., "daries" matches "diaries")
-            for (const userWord of userWords) {
-                if (isSimilar(word, userWord)) {
-                    return true;
-                }
+    const render = includedBlocks => {
+        // Map<category, { categoryText, productTexts }> in first-included order
+        const sections = new Map();
+        includedBlocks.forEach(block => {
+            if (!sections.has(block.category)) {
+                sections.set(block.category, { categoryText: block.categoryText, productTexts: [] });
             }
-        }
+            sections.get(block.category).productTexts.push(block.productText);
+        });
 
-        // Check if user message mentions product name or parts of it
-        if (lowerMessage.includes(productName)) {
-            return true;
-        }
+        return [...sections.values()]
+            .map(({ categoryText, productTexts }) => categoryText + productTexts.join('') + '\n')
+            .join('');
+    };
 
-        const productWords = productName.split(/\s+/);
-        for (const productWord of productWords) {
-            if (productWord.length > 4 && lowerMessage.includes(productWord)) {
-                return true;
-            }
+    return { blocks, render };
+}
 
-            // Fuzzy match product name words
-            for (const userWord of userWords) {
-                if (isSimilar(productWord, userWord)) {
-                    return true;
-                }
-            }
+/**
+ * Calculated quote blocks when we know the quantity - the model must not do the arithmetic itself
+ * @private
+ */
+function quoteBlocks(relevantProductKeys, sessionContext) {
+    const requestedQuantity = sessionContext && sessionContext.requirements && parseInt(sessionContext.requirements.quantity, 10);
+    if (!(requestedQuantity > 0)) return [];
+
+    const blocks = [];
+    relevantProductKeys.forEach(productKey => {
+        const quotes = quoteAllVariants(productsData, productKey, requestedQuantity).slice(0, 5);
+        if (quotes.length > 0) {
+            const lines = [`${productsData[productKey].name} (quantity ${requestedQuantity}):`, ...quotes.map(formatQuoteForPrompt)];
+            blocks.push(lines.join('\n') + '\n');
         }
-
-        // Check against productMap keywords
-        return Object.keys(productMap).some(keyword =>
-            lowerMessage.includes(keyword) &&
-            (productName.includes(keyword) || productCategory.includes(keyword))
-        );
     });
+    return blocks;
+}
 
-    // Same-day delivery products list (to be customized by you)
-    const sameDayDeliveryProducts = [
-        'Business Cards',
-        'Document Printing',
-        'Photo Prints',
-        'Lamination',
-        'Binding Services'
-        // Add more products that support same-day delivery
-    ];
+/**
+ * Delivery estimate block once the session has a pincode - for the product in this message,
+ * else the session's product interest (see delivery/delivery-estimator.js)
+ * @private
+ */
+function deliveryBlocks(userMessage, sessionContext, now) {
+    const pincode = sessionContext && sessionContext.requirements && sessionContext.requirements.pincode;
+    if (!pincode) return [];
 
-    // FAQ content placeholder (to be populated from scraped FAQs)
-    const faqContent = `
-Common FAQs:
-- Payment: We accept cash, cards, UPI, and net banking
-- Delivery: Standard delivery 3-5 days, express available for select products
-- Design: Free design assistance available, or upload your own
-- Quality: Premium quality guaranteed, reprint if not satisfied
-- Bulk Orders: Special discounts available for bulk orders
-(This will be replaced with actual FAQ content from printo.in)
-    `.trim();
-
-    // Build the complete prompt
-    let prompt = systemPrompt
-        .replace('${currentDate}', currentDate)
-        .replace('{same_day_delivery_list}', sameDayDeliveryProducts.map(p => `• ${p}`).join('\n'))
-        .replace('[FAQ_CONTENT]', faqContent);
-
-    // Add product context if relevant products found
-    if (relevantProducts.length > 0) {
-        prompt += '\n\n[PRODUCT CONTEXT - Manual Catalog]\n';
-        relevantProducts.forEach(product => {
-            prompt += `${product.name}:\n`;
-
-            // Add category browse link if available (with UTM tracking)
-            if (product.categoryLink) {
-                const trackedLink = addUTMTracking(product.categoryLink, product.name || 'product');
-                prompt += `Browse all options: ${trackedLink}\n`;
-            }
+    const product = resolveProducts(userMessage).find(match => !match.broad) || getProduct(sessionContext.productInterest);
 
-            // Handle new variants structure
-            if (product.variants) {
-                Object.entries(product.variants).forEach(([variantKey, variant]) => {
-                    prompt += `\n${variant.name}:\n`;
-                    prompt += `- Price: ${variant.price}\n`;
-                    prompt += `- MOQ: ${variant.moq}\n`;
-                    if (variant.description) {
-                        prompt += `- Details: ${variant.description}\n`;
-                    }
-                    if (variant.link) {
-                        const trackedVariantLink = addUTMTracking(variant.link, variant.name || product.name);
-                        prompt += `- Order at: ${trackedVariantLink}\n`;
-                    }
-                });
-            }
-            // Handle old pricing structure (for backward compatibility)
-            else if (product.pricing) {
-                Object.entries(product.pricing).forEach(([variant, price]) => {
-                    prompt += `- ${variant}: ${price}\n`;
-                });
-                if (product.deliveryTime) {
-                    prompt += `- Delivery: ${product.deliveryTime}\n`;
-                }
-                if (product.minQuantity) {
-                    prompt += `- Min quantity: ${product.minQuantity}\n`;
-                }
-            }
-            prompt += '\n';
-        });
+    try {
+        return [formatEstimateForPrompt(estimateDelivery({ pincode, product: product ? product.id : null, now }))];
+    } catch (error) {
+        // Not a valid pincode - the bot asks for it as before
+        return [];
     }
+}
 
-    // Add scraped products context if found (limit to 30 products max to avoid token limits)
-    const limitedProducts = relevantScrapedProducts.slice(0, 30);
-    if (limitedProducts.length > 0) {
-        prompt += '\n\n[PRODUCT CONTEXT - Live Website Data]\n';
-        prompt += `Found ${limitedProducts.length} relevant products from printo.in:\n\n`;
-
-        // Group scraped products by category
-        const groupedByCategory = {};
-        limitedProducts.forEach(product => {
-            if (!groupedByCategory[product.category]) {
-                groupedByCategory[product.category] = [];
-            }
-            groupedByCategory[product.category].push(product);
-        });
+/**
+ * Nearest stores when the customer asks about a store - near the place in this message,
+ * else the session's pincode (see stores/store-locator.js)
+ * @private
+ */
+function storeBlocks(userMessage, sessionContext) {
+    if (!hasStoreIntent(userMessage)) return [];
 
-        // Display grouped products (limit to 5 categories max)
-        Object.entries(groupedByCategory).slice(0, 5).forEach(([category, products]) => {
-            prompt += `${category} (${products.length} options):\n`;
+    const location = resolveLocation(userMessage);
+    const pincode = sessionContext && sessionContext.requirements && sessionContext.requirements.pincode;
+    if (!location && !pincode) return [];
 
-            // Show category link with UTM tracking
-            if (products[0].categoryLink || products[0].url) {
-                const categoryUrl = products[0].categoryLink || products[0].url;
-                const trackedCategoryLink = addUTMTracking(categoryUrl, category);
-                prompt += `Browse all: ${trackedCategoryLink}\n\n`;
-            }
+    try {
+        return [formatStoresForPrompt(findNearestStores(location ? { query: userMessage } : { pincode }))];
+    } catch (error) {
+        // No store directory or unknown place - the bot asks for their area as before
+        return [];
+    }
+}
 
-            // List products (limit to 5 per category to avoid token limits)
-            products.slice(0, 5).forEach(product => {
-                prompt += `- ${product.name}\n`;
-                prompt += `  Price: ${product.price}\n`;
-                if (product.link || product.url) {
-                    const productUrl = product.link || product.url;
-                    const trackedProductLink = addUTMTracking(productUrl, product.name);
-                    prompt += `  Order: ${trackedProductLink}\n`;
-                }
-            });
+/**
+ * Reply-language directive for Hindi / Hinglish / Kannada / Tamil customers - the session's language
+ * (kept across short messages, see session-context.js), else this message's (see language/detect-language.js)
+ * @private
+ */
+function languageBlocks(userMessage, sessionContext) {
+    const code = (sessionContext && sessionContext.language) || detectLanguage(userMessage).code;
+    const directive = formatLanguageDirective(code);
+    return directive ? [directive] : [];
+}
 
-            if (products.length > 5) {
-                prompt += `\n... and ${products.length - 5} more options\n`;
-            }
-            prompt += '\n';
-        });
+/**
+ * [SESSION CONTEXT] body
+ * @private
+ */
+function formatSessionContext(sessionContext) {
+    let text = '';
+
+    if (sessionContext.productInterest) {
+        text += `Customer is interested in: ${sessionContext.productInterest}\n`;
     }
 
-    // Add dynamic pricing if available
-    if (currentPricing) {
-        prompt += `\n[CURRENT PRICING]\n${currentPricing}\n`;
+    if (sessionContext.questionsAsked && sessionContext.questionsAsked.length > 0) {
+        text += `Questions already asked: ${sessionContext.questionsAsked.join(', ')}\n`;
     }
 
-    // Add session context if available
-    if (sessionContext) {
-        prompt += '\n[SESSION CONTEXT]\n';
+    if (sessionContext.requirements && Object.keys(sessionContext.requirements).length > 0) {
+        text += 'Requirements gathered:\n';
+        Object.entries(sessionContext.requirements).forEach(([key, value]) => {
+            text += `- ${key}: ${value}\n`;
+        });
+    }
 
-        if (sessionContext.productInterest) {
-            prompt += `Customer is interested in: ${sessionContext.productInterest}\n`;
-        }
+    return text;
+}
 
-        if (sessionContext.questionsAsked && sessionContext.questionsAsked.length > 0) {
-            prompt += `Questions already asked: ${sessionContext.questionsAsked.join(', ')}\n`;
-        }
+/**
+ * All categories currently loaded (manual product keys + scraped categories)
+ * @private
+ */
+function getLoadedCategories() {
+    const categories = new Set(Object.keys(productsData));
+    scrapedProducts.forEach(product => {
+        if (product.category) categories.add(product.category);
+    });
+    return categories;
+}
 
-        if (Object.keys(sessionContext.requirements).length > 0) {
-            prompt += 'Requirements gathered:\n';
-            Object.entries(sessionContext.requirements).forEach(([key, value]) => {
-                prompt += `- ${key}: ${value}\n`;
-            });
-        }
+/**
+ * Path of products.json (system_prompt folder first, fallback to root)
+ * @returns {string}
+ */
+function getManualCatalogPath() {
+    const systemPromptPath = path.join(__dirname, 'system_prompt', 'products.json');
+    return fs.existsSync(systemPromptPath) ? systemPromptPath : path.join(__dirname, 'products.json');
+}
+
+/**
+ * Read and validate both catalog files
+ * @param {object} previous - Currently loaded counts for the shrink check ({ productsCount, scrapedCount })
+ * @param {boolean} skipShrinkCheck - Accept a smaller catalog on purpose
+ * @returns {object} { valid, productsData, scrapedData, scrapedProducts, errors, warnings } - scrapedProducts has invalid products removed
+ */
+function readCatalogFiles(previous = {}, skipShrinkCheck = false) {
+    const errors = [];
+    const warnings = [];
+    let manualData = null;
+    let scrapedData = null;
+    let validScrapedProducts = [];
+
+    try {
+        manualData = JSON.parse(fs.readFileSync(getManualCatalogPath(), 'utf8'));
+        const manualResult = validateManualCatalog(manualData);
+        errors.push(...manualResult.errors.map(error => `products.json: ${error}`));
+    } catch (error) {
+        errors.push(`products.json: ${error.message}`);
+    }
+
+    try {
+        // scraped_products.json is optional - a missing file is an empty scrape
+        scrapedData = fs.existsSync(SCRAPED_PRODUCTS_PATH)
+            ? JSON.parse(fs.readFileSync(SCRAPED_PRODUCTS_PATH, 'utf8'))
+            : { products: [] };
+        const scrapedResult = validateScrapedCatalog(scrapedData);
+
+        errors.push(...scrapedResult.errors.map(error => `scraped_products.json: ${error}`));
+        warnings.push(...scrapedResult.warnings.map(warning => `scraped_products.json: ${warning}`));
+        validScrapedProducts = scrapedResult.products;
+    } catch (error) {
+        errors.push(`scraped_products.json: ${error.message}`);
+    }
 
-        prompt += '\nIMPORTANT: Use this context to provide relevant follow-up responses. Don\'t repeat questions already answered.\n';
+    if (!skipShrinkCheck && errors.length === 0) {
+        const manualShrink = checkShrink('products.json', previous.productsCount, Object.keys(manualData).length);
+        const scrapedShrink = checkShrink('scraped_products.json', previous.scrapedCount, validScrapedProducts.length);
+        [manualShrink, scrapedShrink].filter(Boolean).forEach(error => errors.push(error));
     }
 
-    return prompt;
+    return { valid: errors.length === 0, productsData: manualData, scrapedData, scrapedProducts: validScrapedProducts, errors, warnings };
 }
 
 /**
  * Reload product data (for hot-reload without server restart)
+ * Files that fail validation (or shrink suspiciously) are rejected and the current catalog is kept.
+ * Every accepted catalog is snapshotted (see catalog/catalog-versions.js).
+ * Every call is recorded in the update history (see update-tracker.js)
+ * @param {object} options
+ * @param {string} options.trigger - What caused the reload (file_watcher | admin | rollback)
+ * @param {string} options.actor - Who triggered it (admin key name)
+ * @param {boolean} options.force - Skip the shrink check (deliberately smaller catalog)
  */
-function reloadProductData() {
+function reloadProductData(options = {}) {
+    if (options.trigger === 'file_watcher' && isRollbackWrite()) {
+        console.log('ℹ️  scraped_products.json was written by a rollback - already reloaded, skipping');
+        return { success: true, skipped: true, message: 'Rollback write - catalog already reloaded' };
+    }
+
+    const startTime = Date.now();
+    const previousCategories = getLoadedCategories();
+    const previousScrapedProducts = scrapedProducts;
+    const { force, ...updateMeta } = options;
+
     try {
-        // Reload products.json
-        try {
-            productsData = JSON.parse(fs.readFileSync(path.join(__dirname, 'system_prompt', 'products.json'), 'utf8'));
-        } catch {
-            productsData = JSON.parse(fs.readFileSync(path.join(__dirname, 'products.json'), 'utf8'));
+        const loaded = readCatalogFiles({
+            productsCount: Object.keys(productsData).length,
+            scrapedCount: scrapedProducts.length
+        }, force);
+
+        if (!loaded.valid) {
+            console.error(`❌ Reload rejected - keeping current catalog (${loaded.errors.length} error(s)):`, loaded.errors[0]);
+
+            logUpdate({
+                ...updateMeta,
+                success: false,
+                productsCount: Object.keys(productsData).length,
+                scrapedCount: scrapedProducts.length,
+                durationMs: Date.now() - startTime,
+                error: `Rejected: ${loaded.errors.join('; ')}`
+            });
+            return {
+                success: false,
+                rejected: true,
+                message: 'Product files failed validation - previous catalog kept',
+                errors: loaded.errors
+            };
         }
 
-        // Reload scraped products
-        try {
-            const scrapedData = JSON.parse(fs.readFileSync(path.join(__dirname, 'scraped_products.json'), 'utf8'));
-            scrapedProducts = scrapedData.products || [];
-        } catch {
-            scrapedProducts = [];
-        }
+        applyCatalog(loaded.productsData, loaded.scrapedProducts);
+        loaded.warnings.forEach(warning => console.warn(`⚠️  ${warning}`));
+        const version = saveVersion(loaded.productsData, loaded.scrapedData, updateMeta);
 
         console.log(`✅ Reloaded: ${Object.keys(productsData).length} manual + ${scrapedProducts.length} scraped products`);
 
-        return {
+        // Report what changed between the old and new scrape (stored for the content team)
+        const diff = diffCatalogs(previousScrapedProducts, scrapedProducts);
+        let diffId = null;
+        if (diff.summary.hasChanges) {
+            diffId = recordDiff(diff, updateMeta).id;
+            const { added, removed, renamed, priceChanged } = diff.summary;
+            console.log(`🔍 Catalog diff ${diffId}: +${added} / -${removed} products, ${renamed} renamed, ${priceChanged} price changes`);
+        }
+
+        const currentCategories = getLoadedCategories();
+        const result = {
             success: true,
             productsCount: Object.keys(productsData).length,
             scrapedCount: scrapedProducts.length,
+            categoriesAdded: [...currentCategories].filter(category => !previousCategories.has(category)),
+            categoriesRemoved: [...previousCategories].filter(category => !currentCategories.has(category)),
+            diffId: diffId,
+            diffSummary: diff.summary,
+            versionId: version.id,
+            warnings: loaded.warnings,
+            durationMs: Date.now() - startTime,
             timestamp: new Date().toISOString()
         };
+
+        logUpdate({ ...updateMeta, ...result });
+        return result;
     } catch (error) {
         console.error('❌ Reload failed:', error.message);
+
+        logUpdate({
+            ...updateMeta,
+            success: false,
+            productsCount: Object.keys(productsData).length,
+            scrapedCount: scrapedProducts.length,
+            durationMs: Date.now() - startTime,
+            error: error.message
+        });
         return { success: false, message: error.message };
     }
 }
 
+/**
+ * Is scraped_products.json still the file the last rollback wrote?
+ * @private
+ */
+function isRollbackWrite() {
+    if (!rollbackWriteHash) return false;
+
+    try {
+        const hash = crypto.createHash('sha256').update(fs.readFileSync(SCRAPED_PRODUCTS_PATH, 'utf8')).digest('hex');
+        if (hash === rollbackWriteHash) return true;
+    } catch (error) {
+        // Missing / unreadable file - a real change, reload as usual
+    }
+    rollbackWriteHash = null;
+    return false;
+}
+
+/**
+ * Restore a stored catalog version: writes it back over the live files, then reloads
+ * (the file watcher's event for this write is skipped)
+ * @param {string} versionId - Version to restore
+ * @param {object} options - { actor }
+ * @returns {object} reloadProductData result
+ * @throws {Error} VERSION_NOT_FOUND
+ */
+function rollbackProductData(versionId, options = {}) {
+    const version = loadVersion(versionId);
+    if (!version) {
+        throw new Error('VERSION_NOT_FOUND');
+    }
+
+    console.log(`↩️  Rolling product data back to ${version.meta.id}`);
+
+    // Written in place (not temp + rename) so the scraped_products.json watcher keeps working
+    const scrapedText = JSON.stringify(version.scrapedData, null, 2);
+    rollbackWriteHash = crypto.createHash('sha256').update(scrapedText).digest('hex');
+    fs.writeFileSync(getManualCatalogPath(), JSON.stringify(version.productsData, null, 2), 'utf8');
+    fs.writeFileSync(SCRAPED_PRODUCTS_PATH, scrapedText, 'utf8');
+
+    return reloadProductData({ ...options, trigger: 'rollback', force: true });
+}
+
+/**
+ * Get the manual catalog (products.json contents)
+ * @returns {object}
+ */
+function getManualCatalog() {
+    return productsData;
+}
+
+/**
+ * Get the scraped products currently loaded (invalid entries already removed)
+ * @returns {Array<object>}
+ */
+function getScrapedProducts() {
+    return scrapedProducts;
+}
+
+/**
+ * Search the scraped catalog the way buildPrompt does
+ * @param {string} query - Customer message
+ * @param {object} options - { limit }
+ * @returns {Array<object>} [{ product, score, matchedTerms }] best first
+ */
+function searchProducts(query, options = {}) {
+    return searchIndex.search(query, options);
+}
+
 /**
  * Get product data status
  */
@@ -528,4 +647,4 @@ function getProductDataStatus() {
     };
 }
 
-module.exports = { buildPrompt, reloadProductData, getProductDataStatus };
\ No newline at end of file
+module.exports = { buildPrompt, buildPromptWithReport, reloadProductData, rollbackProductData, getProductDataStatus, getManualCatalog, getScrapedProducts, searchProducts };
\ No newline at end of file
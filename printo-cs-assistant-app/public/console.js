@@ -0,0 +1,319 @@
+class AgentConsole {
+    constructor() {
+        this.selectedSessionId = null;
+        this.selectedHandoff = null;
+        this.pollInterval = 5000;
+
+        this.initializeElements();
+        this.bindEvents();
+
+        // API key persists across visits - replies and handoffs are recorded under its name
+        this.apiKeyInput.value = localStorage.getItem('printo_console_key') || '';
+
+        this.refresh();
+        setInterval(() => this.refresh(), this.pollInterval);
+    }
+
+    initializeElements() {
+        this.apiKeyInput = document.getElementById('apiKey');
+        this.sourceFilter = document.getElementById('sourceFilter');
+        this.flaggedOnly = document.getElementById('flaggedOnly');
+        this.sessionList = document.getElementById('sessionList');
+        this.callbackList = document.getElementById('callbackList');
+        this.detailTitle = document.getElementById('detailTitle');
+        this.errorBanner = document.getElementById('errorBanner');
+        this.messages = document.getElementById('messages');
+        this.replyInput = document.getElementById('replyInput');
+        this.sendReplyBtn = document.getElementById('sendReply');
+        this.claimBtn = document.getElementById('claimButton');
+        this.resolveBtn = document.getElementById('resolveButton');
+    }
+
+    bindEvents() {
+        this.apiKeyInput.addEventListener('change', () => {
+            localStorage.setItem('printo_console_key', this.apiKeyInput.value.trim());
+            this.refresh();
+        });
+        this.sourceFilter.addEventListener('change', () => this.loadSessions());
+        this.flaggedOnly.addEventListener('change', () => this.loadSessions());
+        this.sendReplyBtn.addEventListener('click', () => this.sendReply());
+        this.claimBtn.addEventListener('click', () => this.updateHandoff('claim'));
+        this.resolveBtn.addEventListener('click', () => this.updateHandoff('resolve'));
+
+        this.replyInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                this.sendReply();
+            }
+        });
+    }
+
+    /**
+     * fetch() with the console API key attached
+     */
+    async request(url, options = {}) {
+        const response = await fetch(url, {
+            ...options,
+            headers: {
+                ...(options.headers || {}),
+                'Authorization': `Bearer ${this.apiKeyInput.value.trim()}`
+            }
+        });
+
+        if (response.status === 401 || response.status === 403) {
+            this.sessionList.innerHTML = '<div class="session-item">🔒 Enter a valid operator API key above</div>';
+        }
+        return response;
+    }
+
+    async refresh() {
+        await this.loadCallbacks();
+        await this.loadSessions();
+        if (this.selectedSessionId) {
+            await this.loadSession(this.selectedSessionId);
+        }
+    }
+
+    async loadSessions() {
+        const params = new URLSearchParams();
+        if (this.sourceFilter.value) params.set('source', this.sourceFilter.value);
+        if (this.flaggedOnly.checked) params.set('flagged', 'true');
+
+        try {
+            const response = await this.request(`/api/console/sessions?${params}`);
+            if (!response.ok) return;
+
+            const data = await response.json();
+            this.renderSessionList(data.sessions || []);
+        } catch (error) {
+            console.error('Failed to load sessions:', error);
+        }
+    }
+
+    renderSessionList(sessions) {
+        if (sessions.length === 0) {
+            this.sessionList.innerHTML = '<div class="session-item">No active sessions</div>';
+            return;
+        }
+
+        // Rows carry only their index - session ids come from the client and never go into attribute strings
+        this.sessionList.innerHTML = sessions.map((session, index) => {
+            const lastMessage = session.latestMessages[session.latestMessages.length - 1];
+            const badges = [`<span class="badge source">${this.escapeHtml(session.source)}</span>`];
+
+            if (session.flags.error) {
+                badges.push('<span class="badge error">error</span>');
+            }
+            if (session.flags.handoff) {
+                const status = session.flags.handoff.status;
+                badges.push(`<span class="badge ${status === 'claimed' ? 'claimed' : 'handoff'}">${this.escapeHtml(status)}</span>`);
+            }
+
+            return `
+                <div class="session-item ${session.sessionId === this.selectedSessionId ? 'active' : ''}" data-index="${index}">
+                    <div class="name">${this.escapeHtml(session.customerName || session.sessionId)}${badges.join('')}</div>
+                    <div class="preview">${lastMessage ? this.escapeHtml(lastMessage.content) : '—'}</div>
+                    <div class="preview">${this.formatTime(session.lastActivity)} · ${session.messageCount} messages</div>
+                </div>
+            `;
+        }).join('');
+
+        this.sessionList.querySelectorAll('.session-item[data-index]').forEach(item => {
+            item.addEventListener('click', () => {
+                this.selectedSessionId = sessions[Number(item.dataset.index)].sessionId;
+                this.loadSession(this.selectedSessionId);
+                this.loadSessions();
+            });
+        });
+    }
+
+    /**
+     * Callbacks customers asked for while the team was away
+     */
+    async loadCallbacks() {
+        try {
+            const response = await this.request('/api/callbacks?status=queued');
+            if (!response.ok) return;
+
+            const data = await response.json();
+            this.renderCallbackList(data.callbacks || []);
+        } catch (error) {
+            console.error('Failed to load callbacks:', error);
+        }
+    }
+
+    renderCallbackList(callbacks) {
+        if (callbacks.length === 0) {
+            this.callbackList.innerHTML = '';
+            return;
+        }
+
+        this.callbackList.innerHTML = `<div class="list-title">📞 Callbacks to make (${callbacks.length})</div>` + callbacks.map((callback, index) => {
+            const details = [
+                callback.phone || 'no phone yet',
+                callback.preferredTime && `prefers ${callback.preferredTime}`,
+                callback.topic && `re ${callback.topic}`
+            ].filter(Boolean).join(' · ');
+
+            return `
+                <div class="session-item" data-index="${index}">
+                    <button class="done-button">Done</button>
+                    <div class="name">${this.escapeHtml(callback.customerName || 'Customer')}<span class="badge callback">callback</span><span class="badge source">${this.escapeHtml(callback.channel)}</span></div>
+                    <div class="preview">${this.escapeHtml(details)}</div>
+                    <div class="preview">Asked ${new Date(callback.requestedAt).toLocaleString('en-IN')}</div>
+                </div>
+            `;
+        }).join('');
+
+        // Like the session list, rows carry only their index
+        this.callbackList.querySelectorAll('.session-item[data-index]').forEach(item => {
+            const callback = callbacks[Number(item.dataset.index)];
+            item.addEventListener('click', () => {
+                this.selectedSessionId = callback.sessionId;
+                this.loadSession(this.selectedSessionId);
+                this.loadSessions();
+            });
+            item.querySelector('.done-button').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.completeCallback(callback.id);
+            });
+        });
+    }
+
+    async completeCallback(callbackId) {
+        try {
+            const response = await this.request(`/api/callbacks/${encodeURIComponent(callbackId)}/complete`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({})
+            });
+            const data = await response.json();
+
+            if (!data.success) {
+                alert(data.message || data.error);
+            }
+            await this.refresh();
+        } catch (error) {
+            alert(`Failed to complete callback: ${error.message}`);
+        }
+    }
+
+    async loadSession(sessionId) {
+        try {
+            const response = await this.request(`/api/console/sessions/${encodeURIComponent(sessionId)}`);
+            if (response.status === 404) {
+                this.selectedSessionId = null;
+                this.messages.innerHTML = '<div class="empty">Session has expired</div>';
+                return;
+            }
+            if (!response.ok) return;
+
+            const data = await response.json();
+            this.renderSession(data.session, data.handoff);
+        } catch (error) {
+            console.error('Failed to load session:', error);
+        }
+    }
+
+    renderSession(session, handoff) {
+        this.selectedHandoff = handoff;
+
+        const title = session.customerPhone
+            ? `${session.customerName || 'Customer'} (${session.customerPhone})`
+            : session.sessionId;
+        this.detailTitle.textContent = title;
+
+        if (session.flags.error) {
+            this.errorBanner.textContent = `⚠️ Last error: ${session.flags.error.message} (${this.formatTime(session.flags.error.at)})`;
+            this.errorBanner.style.display = 'block';
+        } else {
+            this.errorBanner.style.display = 'none';
+        }
+
+        this.messages.innerHTML = session.messages.map(message => {
+            const role = message.agent ? 'agent' : message.role;
+            let meta = message.agent ? `<div class="meta">${this.escapeHtml(message.agent)}</div>` : '';
+            // Knowledge base answers the bot was given for this reply
+            if (message.faqIds && message.faqIds.length > 0) {
+                meta += `<div class="meta">📚 Sources: ${message.faqIds.map(id => `FAQ #${id}`).join(', ')}</div>`;
+            }
+            return `<div class="message ${role}">${this.escapeHtml(message.content)}${meta}</div>`;
+        }).join('') || '<div class="empty">No messages yet</div>';
+        this.messages.scrollTop = this.messages.scrollHeight;
+
+        // Agents can only reply on WhatsApp conversations
+        const canReply = !!session.metadata.botspaceConversationId;
+        this.replyInput.disabled = !canReply;
+        this.sendReplyBtn.disabled = !canReply;
+        this.replyInput.placeholder = canReply
+            ? 'Reply to the customer on WhatsApp...'
+            : 'Replies are only available for WhatsApp conversations';
+
+        this.claimBtn.disabled = !handoff || handoff.status !== 'queued';
+        this.resolveBtn.disabled = !handoff;
+    }
+
+    async sendReply() {
+        const message = this.replyInput.value.trim();
+        if (!message || !this.selectedSessionId) return;
+
+        this.sendReplyBtn.disabled = true;
+
+        try {
+            const response = await this.request(`/api/console/sessions/${encodeURIComponent(this.selectedSessionId)}/reply`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ message })
+            });
+            const data = await response.json();
+
+            if (!data.success) {
+                alert(`Reply failed: ${data.message || data.error}`);
+                return;
+            }
+
+            if (data.queued) {
+                alert('BotSpace did not accept the reply yet - it is queued and will be retried automatically');
+            }
+
+            this.replyInput.value = '';
+            await this.refresh();
+        } catch (error) {
+            alert(`Reply failed: ${error.message}`);
+        } finally {
+            this.sendReplyBtn.disabled = false;
+        }
+    }
+
+    async updateHandoff(action) {
+        if (!this.selectedHandoff) return;
+
+        try {
+            const response = await this.request(`/api/handoffs/${encodeURIComponent(this.selectedHandoff.id)}/${action}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({})
+            });
+            const data = await response.json();
+
+            if (!data.success) {
+                alert(data.message || data.error);
+            }
+            await this.refresh();
+        } catch (error) {
+            alert(`Failed to ${action} handoff: ${error.message}`);
+        }
+    }
+
+    formatTime(timestamp) {
+        return timestamp ? new Date(timestamp).toLocaleTimeString('en-IN') : '';
+    }
+
+    escapeHtml(text) {
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+        return String(text ?? '').replace(/[&<>"']/g, char => entities[char]);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new AgentConsole();
+});
@@ -11,6 +11,7 @@ class PrintoCSAssistant {
         // This ensures each tab has its own independent chat session
         this.tabId = 'tab_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
         this.sessionId = null; // Will be created on first message
+        this.activeRequest = null; // AbortController of the in-flight request
 
         this.initializeElements();
         this.bindEvents();
@@ -26,6 +27,7 @@ class PrintoCSAssistant {
         this.clearAllBtn = document.getElementById('clearAll');
         this.copyBtn = document.getElementById('copyResponse');
         this.newChatBtn = document.getElementById('newChatBtn');
+        this.cancelBtn = document.getElementById('cancelRequest');
         this.buttonText = document.getElementById('buttonText');
         this.loading = document.getElementById('loading');
         this.historyContainer = document.getElementById('historyContainer');
@@ -74,10 +76,15 @@ class PrintoCSAssistant {
         this.clearAllBtn.addEventListener('click', () => this.clearAll());
         this.copyBtn.addEventListener('click', () => this.copyResponse());
         this.newChatBtn.addEventListener('click', () => this.startNewChat());
+        if (this.cancelBtn) {
+            this.cancelBtn.addEventListener('click', () => this.cancelRequest());
+        }
 
         // Allow Enter + Ctrl/Cmd to submit, or just Enter
         this.questionInput.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            if (e.key === 'Escape') {
+                this.cancelRequest();
+            } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
                 e.preventDefault();
                 this.getAIResponse();
             } else if (e.key === 'Enter' && !e.shiftKey) {
@@ -104,12 +111,14 @@ class PrintoCSAssistant {
 
         this.setLoading(true);
 
-        try {
-            // Add 60 second timeout for the request
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 60000);
+        // Add 60 second timeout for the request (also used for manual cancel)
+        const controller = new AbortController();
+        this.activeRequest = controller;
+        const timeoutId = setTimeout(() => controller.abort('timeout'), 60000);
 
-            const response = await fetch('/api/chat', {
+        try {
+            // Stream tokens over Server-Sent Events as they are generated
+            const response = await fetch('/api/chat/stream', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
@@ -122,9 +131,12 @@ class PrintoCSAssistant {
                 signal: controller.signal
             });
 
-            clearTimeout(timeoutId);
+            if (!response.ok || !response.body) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || 'Failed to get response');
+            }
 
-            const data = await response.json();
+            const data = await this.readChatStream(response.body);
 
             // ============================================
             // DEBUG: Log full API response to console
@@ -169,6 +181,7 @@ class PrintoCSAssistant {
                     localStorage.setItem('printo_user_id', this.userId);
                 }
 
+                // Final text has UTM tracking applied server-side, so re-render it
                 this.displayResponse(data.response);
                 this.saveToHistory(question, data.response, this.sessionId);
 
@@ -187,7 +200,11 @@ class PrintoCSAssistant {
 
             // More specific error messages
             let errorMessage = 'Failed to get AI response. Please try again.';
-            if (error.name === 'AbortError') {
+            if (error.name === 'AbortError' && controller.signal.reason === 'cancelled') {
+                this.displayError('Request cancelled.');
+                this.showNotification('Request cancelled', 'error');
+                errorMessage = null;
+            } else if (error.name === 'AbortError') {
                 errorMessage = 'Request timed out. The server is taking too long to respond. Please try again.';
             } else if (error.message && error.message.includes('network')) {
                 errorMessage = 'Network error. Please check your internet connection.';
@@ -195,13 +212,107 @@ class PrintoCSAssistant {
                 errorMessage = error.message;
             }
 
-            this.displayError(errorMessage);
-            this.showNotification('Error: ' + errorMessage, 'error');
+            if (errorMessage) {
+                this.displayError(errorMessage);
+                this.showNotification('Error: ' + errorMessage, 'error');
+            }
         }
 
+        clearTimeout(timeoutId);
+        this.activeRequest = null;
         this.setLoading(false);
     }
 
+    /**
+     * Read the /api/chat/stream SSE body, rendering tokens as they arrive
+     * @param {ReadableStream} body - Response body
+     * @returns {Promise<object>} Payload of the final "done" event
+     */
+    async readChatStream(body) {
+        const reader = body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let streamedText = '';
+
+        this.startStreamingResponse();
+
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+
+            // Events are separated by a blank line
+            const events = buffer.split('\n\n');
+            buffer = events.pop();
+
+            for (const rawEvent of events) {
+                const eventMatch = rawEvent.match(/^event: (.+)$/m);
+                const dataMatch = rawEvent.match(/^data: (.+)$/m);
+                if (!eventMatch || !dataMatch) continue;
+
+                const event = eventMatch[1];
+                const data = JSON.parse(dataMatch[1]);
+
+                if (event === 'meta' && data.sessionId) {
+                    this.sessionId = data.sessionId;
+                } else if (event === 'token') {
+                    streamedText += data.content;
+                    this.renderStreamingResponse(streamedText);
+                } else if (event === 'done') {
+                    return data;
+                } else if (event === 'error') {
+                    throw new Error(data.message || data.error || 'Failed to get response');
+                }
+            }
+        }
+
+        throw new Error('Connection closed before the response was complete');
+    }
+
+    /**
+     * Cancel the in-flight request (if any)
+     */
+    cancelRequest() {
+        if (this.activeRequest) {
+            this.activeRequest.abort('cancelled');
+        }
+    }
+
+    /**
+     * Prepare the response area for progressive rendering
+     */
+    startStreamingResponse() {
+        this.responseArea.style.color = '';
+        this.responseArea.innerHTML = '';
+        this.streamingContent = document.createElement('div');
+        this.streamingContent.className = 'response-content streaming';
+        this.responseArea.appendChild(this.streamingContent);
+        this.copyBtn.classList.add('hidden');
+    }
+
+    /**
+     * Render partial response text while tokens are streaming in
+     * @param {string} text - Text received so far
+     */
+    renderStreamingResponse(text) {
+        if (!this.streamingContent) return;
+        this.streamingContent.innerHTML = this.formatResponse(text);
+    }
+
+    /**
+     * Convert Markdown-style formatting to HTML
+     * @param {string} response - Raw response text
+     * @returns {string} HTML
+     */
+    formatResponse(response) {
+        return response
+            .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>')  // Markdown links
+            .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')  // Bold text
+            .replace(/\*(.*?)\*/g, '<em>$1</em>')              // Italic text
+            .replace(/\n/g, '<br>');                           // Line breaks
+    }
+
     displayResponse(response) {
         // Store the original response for copying
         this.lastResponse = response;
@@ -209,11 +320,7 @@ class PrintoCSAssistant {
         console.log('Original response:', response);
 
         // Convert Markdown-style formatting to HTML
-        const formattedResponse = response
-            .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>')  // Markdown links
-            .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')  // Bold text
-            .replace(/\*(.*?)\*/g, '<em>$1</em>')              // Italic text
-            .replace(/\n/g, '<br>');                           // Line breaks
+        const formattedResponse = this.formatResponse(response);
 
         console.log('Formatted response:', formattedResponse);
 
@@ -256,6 +363,10 @@ class PrintoCSAssistant {
             this.buttonText.textContent = 'Get AI Response';
             this.loading.classList.add('hidden');
         }
+
+        if (this.cancelBtn) {
+            this.cancelBtn.classList.toggle('hidden', !isLoading);
+        }
     }
 
     clearAll() {
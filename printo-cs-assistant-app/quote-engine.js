@@ -0,0 +1,281 @@
+/**
+ * Deterministic Quote Engine
+ *
+ * Calculates quotes from the manual catalog (products.json variants) so the bot
+ * quotes a number we computed instead of letting the model do the arithmetic.
+ *
+ * Variant price formats understood:
+ * - 2.5 / "2.5"                       → per piece
+ * - "₹2.50 per card", "₹5/page"       → per piece
+ * - "₹7.65 each for 50 pieces"         → per piece (the count is the order size, not a pack)
+ * - "₹250 for 100 cards", "₹250/100"  → pack price (quantity is rounded up to whole packs)
+ * - "₹150 - ₹600", "₹150 to ₹600"     → range (quote is returned as a range)
+ * - "Price on request"                → no price (quote is not valid)
+ */
+
+const CURRENCY = 'INR';
+
+/**
+ * Parse a catalog price into a structured price
+ * @param {number|string} value - Price from products.json
+ * @returns {object|null} { min, max, packSize, isRange, unitStated } or null if no price
+ *   unitStated: the text says what the amount buys ("each", "per card", "for 100") - bare numbers don't
+ */
+function parsePrice(value) {
+    if (typeof value === 'number' && isFinite(value)) {
+        return { min: value, max: value, packSize: 1, isRange: false, unitStated: false };
+    }
+
+    if (typeof value !== 'string' || !value.trim()) {
+        return null;
+    }
+
+    const text = value.toLowerCase().replace(/,/g, '');
+
+    // Plain numeric string
+    if (/^\s*\d+(\.\d+)?\s*$/.test(text)) {
+        const amount = parseFloat(text);
+        return { min: amount, max: amount, packSize: 1, isRange: false, unitStated: false };
+    }
+
+    // Amounts marked with a currency symbol
+    const amounts = [...text.matchAll(/(?:₹|rs\.?|inr)\s*(\d+(?:\.\d+)?)/g)].map(m => parseFloat(m[1]));
+    if (amounts.length === 0) {
+        return null;
+    }
+
+    const isRange = amounts.length > 1 && /(?:₹|rs\.?|inr)\s*\d+(?:\.\d+)?\s*(?:-|–|to)\s*(?:₹|rs\.?|inr)?\s*\d/.test(text);
+
+    // Pack pricing: "for 100", "per 100", "/100" - but "₹7.65 each for 50 pieces" is already per piece
+    const perPieceText = /each|per\s*(?:piece|pc|unit)\b/.test(text);
+    let packSize = 1;
+    const packMatch = text.match(/(?:for|per|\/)\s*(\d+)\s*(?:[a-z]+)?/);
+    if (!perPieceText && packMatch && parseInt(packMatch[1], 10) > 1) {
+        packSize = parseInt(packMatch[1], 10);
+    }
+
+    return {
+        min: isRange ? Math.min(amounts[0], amounts[1]) : amounts[0],
+        max: isRange ? Math.max(amounts[0], amounts[1]) : amounts[0],
+        packSize,
+        isRange,
+        unitStated: perPieceText || /(?:for|per|\/)\s*(?:\d+|[a-z])/.test(text)
+    };
+}
+
+/**
+ * Parse a minimum order quantity ("100", "100 pcs", 50)
+ * @param {number|string} value - MOQ from products.json
+ * @returns {number} MOQ (1 if not specified)
+ */
+function parseMoq(value) {
+    if (typeof value === 'number' && value > 0) return Math.floor(value);
+
+    const match = typeof value === 'string' ? value.replace(/,/g, '').match(/\d+/) : null;
+    return match ? parseInt(match[0], 10) : 1;
+}
+
+/**
+ * Round to paise
+ */
+function roundAmount(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Format an amount as "₹1,250" / "₹2.50"
+ * @param {number} amount
+ * @returns {string}
+ */
+function formatINR(amount) {
+    return `₹${amount.toLocaleString('en-IN', { minimumFractionDigits: Number.isInteger(amount) ? 0 : 2, maximumFractionDigits: 2 })}`;
+}
+
+/**
+ * Resolve a variant by key or name (case-insensitive)
+ * @private
+ */
+function findVariant(product, variantKey) {
+    const variants = product.variants || {};
+    const keys = Object.keys(variants);
+
+    if (!variantKey) {
+        return keys.length === 1 ? [keys[0], variants[keys[0]]] : null;
+    }
+
+    const wanted = String(variantKey).toLowerCase();
+    const key = keys.find(k => k.toLowerCase() === wanted || (variants[k].name || '').toLowerCase() === wanted);
+    return key ? [key, variants[key]] : null;
+}
+
+/**
+ * Calculate a quote for one product variant
+ *
+ * @param {object} catalog - Manual catalog (products.json contents)
+ * @param {object} request
+ * @param {string} request.productKey - Key in products.json (e.g. "businessCards")
+ * @param {string} request.variant - Variant key or name (optional if the product has one variant)
+ * @param {number} request.quantity - Requested quantity
+ * @param {object} request.options - Add-ons, e.g. { lamination: true } (looked up in variant/product "options")
+ * @returns {object} Quote with line items, MOQ check, per-unit price and total
+ * @throws {Error} UNKNOWN_PRODUCT | VARIANT_REQUIRED | UNKNOWN_VARIANT | INVALID_QUANTITY
+ */
+function calculateQuote(catalog, request) {
+    const { productKey, variant: variantKey, options = {} } = request;
+    const quantity = parseInt(request.quantity, 10);
+
+    const product = catalog && catalog[productKey];
+    if (!product) {
+        throw new Error('UNKNOWN_PRODUCT');
+    }
+
+    if (!quantity || quantity < 1) {
+        throw new Error('INVALID_QUANTITY');
+    }
+
+    const found = findVariant(product, variantKey);
+    if (!found) {
+        throw new Error(variantKey ? 'UNKNOWN_VARIANT' : 'VARIANT_REQUIRED');
+    }
+
+    const [resolvedVariantKey, variant] = found;
+    const price = parsePrice(variant.price);
+    const moq = parseMoq(variant.moq);
+    const warnings = [];
+    const lineItems = [];
+
+    const quote = {
+        productKey,
+        productName: product.name,
+        variantKey: resolvedVariantKey,
+        variantName: variant.name || resolvedVariantKey,
+        quantity,
+        billableQuantity: quantity,
+        currency: CURRENCY,
+        moq,
+        moqViolation: quantity < moq ? { required: moq, requested: quantity, shortBy: moq - quantity } : null,
+        unitPrice: null,
+        unitPriceRange: null,
+        lineItems,
+        total: null,
+        totalRange: null,
+        isRange: false,
+        valid: false,
+        warnings
+    };
+
+    if (!price) {
+        warnings.push('No price listed for this variant');
+        return quote;
+    }
+
+    // Pack pricing: bill whole packs
+    const packs = Math.ceil(quantity / price.packSize);
+    const billableQuantity = packs * price.packSize;
+    if (billableQuantity !== quantity) {
+        warnings.push(`Sold in packs of ${price.packSize} - quantity rounded up to ${billableQuantity}`);
+    }
+    quote.billableQuantity = billableQuantity;
+
+    const baseMin = roundAmount(packs * price.min);
+    const baseMax = roundAmount(packs * price.max);
+    lineItems.push({
+        description: `${product.name} - ${quote.variantName}`,
+        quantity: billableQuantity,
+        unitPrice: roundAmount(price.min / price.packSize),
+        amount: baseMin,
+        ...(price.isRange ? { unitPriceMax: roundAmount(price.max / price.packSize), amountMax: baseMax } : {})
+    });
+
+    // Add-ons
+    let addOnTotal = 0;
+    Object.entries(options).forEach(([optionKey, selected]) => {
+        if (!selected) return;
+
+        const option = (variant.options && variant.options[optionKey]) || (product.options && product.options[optionKey]);
+        const optionPrice = option ? parsePrice(option.price) : null;
+        if (!optionPrice) {
+            warnings.push(`Option "${optionKey}" is not priced in the catalog and was not included`);
+            return;
+        }
+
+        const perOrder = option.per === 'order';
+        const optionQty = perOrder ? 1 : billableQuantity;
+        const amount = roundAmount(optionQty * optionPrice.min / (perOrder ? 1 : optionPrice.packSize));
+        addOnTotal += amount;
+        lineItems.push({
+            description: option.name || optionKey,
+            quantity: optionQty,
+            unitPrice: roundAmount(amount / optionQty),
+            amount
+        });
+    });
+
+    quote.isRange = price.isRange;
+    quote.total = roundAmount(baseMin + addOnTotal);
+    quote.unitPrice = roundAmount(quote.total / billableQuantity);
+
+    if (price.isRange) {
+        const totalMax = roundAmount(baseMax + addOnTotal);
+        quote.totalRange = { min: quote.total, max: totalMax };
+        quote.unitPriceRange = { min: quote.unitPrice, max: roundAmount(totalMax / billableQuantity) };
+        warnings.push('Listed price is a range - final price depends on the exact specification');
+    }
+
+    quote.valid = !quote.moqViolation;
+    return quote;
+}
+
+/**
+ * Quote every priced variant of a product (used for prompt injection)
+ * @param {object} catalog - Manual catalog
+ * @param {string} productKey - Key in products.json
+ * @param {number} quantity - Requested quantity
+ * @returns {Array<object>} Quotes (variants without a price are skipped)
+ */
+function quoteAllVariants(catalog, productKey, quantity) {
+    const product = catalog && catalog[productKey];
+    if (!product || !product.variants) return [];
+
+    return Object.keys(product.variants)
+        .map(variantKey => {
+            try {
+                return calculateQuote(catalog, { productKey, variant: variantKey, quantity });
+            } catch {
+                return null;
+            }
+        })
+        .filter(quote => quote && quote.total !== null);
+}
+
+/**
+ * Render a quote as a single prompt line
+ * @param {object} quote - Result of calculateQuote
+ * @returns {string}
+ */
+function formatQuoteForPrompt(quote) {
+    let line = `- ${quote.variantName} × ${quote.billableQuantity}: `;
+
+    if (quote.isRange) {
+        line += `${formatINR(quote.unitPriceRange.min)}-${formatINR(quote.unitPriceRange.max)} per piece, total ${formatINR(quote.totalRange.min)}-${formatINR(quote.totalRange.max)}`;
+    } else {
+        line += `${formatINR(quote.unitPrice)} per piece, total ${formatINR(quote.total)}`;
+    }
+
+    if (quote.moqViolation) {
+        line += ` (BELOW MINIMUM ORDER of ${quote.moq} - ask customer to order at least ${quote.moq})`;
+    } else if (quote.billableQuantity !== quote.quantity) {
+        line += ` (sold in packs - ${quote.quantity} rounded up to ${quote.billableQuantity})`;
+    }
+
+    return line;
+}
+
+module.exports = {
+    calculateQuote,
+    quoteAllVariants,
+    formatQuoteForPrompt,
+    parsePrice,
+    parseMoq,
+    formatINR
+};
@@ -1,16 +1,43 @@
+// Load .env before any module reads process.env at require time (data paths, table paths, limits)
+require('dotenv').config();
+
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const { OpenAI } = require('openai');
-const axios = require('axios');
-const cheerio = require('cheerio');
-const { buildPrompt, reloadProductData, getProductDataStatus} = require('./promptBuilder');
+const { buildPrompt, buildPromptWithReport, reloadProductData, getProductDataStatus, getManualCatalog, getScrapedProducts } = require('./promptBuilder');
 const GoogleSheetsLogger = require('./google-sheets-logger');
 const BotSpaceService = require('./botspace-service');
-const { addUTMToResponse } = require('./utm-tracker');
-const { logUpdate, getHistory, getStats, getHealthStatus } = require('./update-tracker');
-require('dotenv').config();
+const { addUTMToResponse, addClickTracking, isPrintoURL } = require('./utm-tracker');
+const { getHistory, getStats, getHealthStatus } = require('./update-tracker');
+const { createSessionStore, createSession } = require('./session-store');
+const { extractProduct, extractPincode, updateSessionContext } = require('./session-context');
+const { calculateQuote } = require('./quote-engine');
+const { PriceService, extractPriceKeywords } = require('./price-service');
+const HandoffManager = require('./handoff/handoff-manager');
+const { createHandoffRouter } = require('./handoff/routes');
+const { createAgentConsoleRouter } = require('./agent-console/routes');
+const { ApiAuth } = require('./auth/api-auth');
+const AuditLog = require('./auth/audit-log');
+const { createWebhookVerifier } = require('./botspace-webhook/signature');
+const WebhookDedupeStore = require('./botspace-webhook/dedupe-store');
+const MessageDebouncer = require('./botspace-webhook/message-debouncer');
+const BotSpaceOutbox = require('./outbox/botspace-outbox');
+const { createOutboxRouter } = require('./outbox/routes');
+const { createCatalogRouter } = require('./catalog/routes');
+const { createTaxonomyRouter } = require('./taxonomy/routes');
+const PromptRegistry = require('./prompt/prompt-registry');
+const PromptOutcomes = require('./prompt/prompt-outcomes');
+const { createPromptRouter } = require('./prompt/routes');
+const KnowledgeBase = require('./knowledge-base/knowledge-base');
+const { createKnowledgeBaseRouter } = require('./knowledge-base/routes');
+const { createDeliveryRouter } = require('./delivery/routes');
+const { createStoreRouter } = require('./stores/routes');
+const { getBusinessStatus } = require('./business-calendar/business-calendar');
+const CallbackQueue = require('./business-calendar/callback-queue');
+const CallbackNotifier = require('./business-calendar/callback-notifier');
+const { createBusinessCalendarRouter } = require('./business-calendar/routes');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -26,9 +53,57 @@ const sheetsLogger = new GoogleSheetsLogger();
 // Initialize BotSpace Service
 const botSpaceService = new BotSpaceService();
 
-// Store conversation history per session (in-memory storage)
-// Structure: Map<sessionId, { userId, messages: [], metadata }>
-const sessionConversations = new Map();
+// Initialize Human Handoff Queue (pauses the bot for conversations taken over by agents)
+const handoffManager = new HandoffManager();
+
+// BotSpace webhook protection: signature check + replay of redelivered messages
+const verifyBotSpaceWebhook = createWebhookVerifier();
+const webhookDedupe = new WebhookDedupeStore();
+const messageDebouncer = new MessageDebouncer();
+
+// Durable outbox for WhatsApp sends (rate limited, retried in the background, dead-lettered)
+const botSpaceOutbox = new BotSpaceOutbox(botSpaceService);
+
+// Price lookups answered from the loaded catalog (cached, optionally refreshed in the background)
+const priceService = new PriceService(() => ({ manual: getManualCatalog(), scraped: getScrapedProducts() }));
+
+// System prompt versions, A/B split per session, and outcome counters per version
+const promptRegistry = new PromptRegistry();
+const promptOutcomes = new PromptOutcomes();
+
+// Curated support Q&A (searched from the knowledge base page, edited through the API)
+const knowledgeBase = new KnowledgeBase();
+
+// Callbacks taken while the team is away, and the optional opening-time notification for agents
+const callbackQueue = new CallbackQueue();
+const callbackNotifier = new CallbackNotifier({
+    callbackQueue,
+    sendWhatsApp: details => (botSpaceService.isConfigured() ? botSpaceOutbox.send(details) : null)
+});
+callbackNotifier.start();
+
+// Initialize API auth (roles: viewer < operator < admin) and the admin audit log
+const auditLog = new AuditLog();
+const apiAuth = new ApiAuth({ auditLog });
+
+/**
+ * Middleware chain for protected routes: role check + audit entry
+ * @param {string} role - Minimum role (viewer | operator | admin)
+ * @param {string} action - Audit log action name
+ * @returns {Array<Function>}
+ */
+function protect(role, action) {
+    return [apiAuth.requireRole(role), auditLog.middleware(action)];
+}
+
+// Sent to the customer when their conversation is handed to an agent
+const HANDOFF_ACK_MESSAGE = process.env.HANDOFF_ACK_MESSAGE ||
+    "I'm connecting you with our team now. An agent will reply here shortly - thanks for your patience!";
+
+// Store conversation history per session (backend chosen via SESSION_STORE)
+// Structure: sessionId -> { userId, messages: [], metadata }
+// Sessions expire after SESSION_TTL_HOURS of inactivity
+const sessionStore = createSessionStore();
 
 // Generate unique user ID
 function generateUserId() {
@@ -40,220 +115,323 @@ function generateSessionId() {
     return 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
 }
 
-// Extract product type from user message
-function extractProduct(message) {
-    const lowerMessage = message.toLowerCase();
-    if (lowerMessage.includes('business card') || lowerMessage.includes('visiting card')) return 'business-cards';
-    if (lowerMessage.includes('t-shirt') || lowerMessage.includes('tshirt')) return 't-shirts';
-    if (lowerMessage.includes('banner')) return 'banners';
-    if (lowerMessage.includes('stamp')) return 'rubber-stamps';
-    if (lowerMessage.includes('document') || lowerMessage.includes('print')) return 'document-printing';
-    if (lowerMessage.includes('notebook')) return 'notebooks';
-    if (lowerMessage.includes('brochure')) return 'brochures';
-    if (lowerMessage.includes('letterhead')) return 'letterheads';
-    if (lowerMessage.includes('wedding') || lowerMessage.includes('invitation')) return 'wedding-cards';
-    if (lowerMessage.includes('poster')) return 'posters';
-    return 'general-inquiry';
-}
+// Middleware
+app.use(cors());
+app.use(express.json({
+    // Keep the exact bytes for webhook signature verification
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
+app.use(express.static(path.join(__dirname, 'public')));
 
-// Extract pincode from user message
-function extractPincode(message) {
-    const pincodeMatch = message.match(/\b\d{6}\b/);
-    return pincodeMatch ? pincodeMatch[0] : 'N/A';
-}
+// Mount Existing Order Status System (independent webhook)
+const existingOrderWebhook = require('./existing-order/webhook');
+app.use('/api', existingOrderWebhook);
+
+/**
+ * Agent console + handoff queue expose customer conversations:
+ * viewers can read, operators can act (audited as "<area>.<last path segment>", e.g. handoffs.claim)
+ * @param {string} area - Audit action prefix
+ * @returns {Function}
+ */
+function protectAgentApi(area) {
+    const requireViewer = apiAuth.requireRole('viewer');
+    const requireOperator = apiAuth.requireRole('operator');
 
-// Clean up old sessions (older than 24 hours)
-setInterval(() => {
-    const oneDayAgo = Date.now() - (24 * 60 * 60 * 1000);
-    for (const [sessionId, session] of sessionConversations.entries()) {
-        if (session.lastActivity < oneDayAgo) {
-            sessionConversations.delete(sessionId);
+    return (req, res, next) => {
+        if (req.method === 'GET') {
+            return requireViewer(req, res, next);
         }
-    }
-}, 60 * 60 * 1000); // Run every hour
+        const action = `${area}.${req.path.split('/').pop()}`;
+        requireOperator(req, res, () => auditLog.middleware(action)(req, res, next));
+    };
+}
+app.use('/api/console', protectAgentApi('console'));
+app.use('/api/callbacks', protectAgentApi('callbacks'));
+app.use('/api/handoffs', protectAgentApi('handoffs'));
 
-// Function to fetch pricing from printo.in
-async function fetchProductPricing(productQuery) {
-    try {
-        // Search for product on printo.in
-        const searchUrl = `https://printo.in/search?q=${encodeURIComponent(productQuery)}`;
-        const response = await axios.get(searchUrl, {
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-            },
-            timeout: 8000
-        });
+// Mount Handoff agent endpoints (claim / release / resolve)
+app.use('/api', createHandoffRouter(handoffManager, apiAuth));
 
-        const $ = cheerio.load(response.data);
-        let pricing = [];
+// Mount Live Agent Console endpoints (session monitoring + agent replies)
+app.use('/api', createAgentConsoleRouter({ sessionStore, handoffManager, botSpaceService, botSpaceOutbox }));
 
-        // More comprehensive price selectors
-        const priceSelectors = [
-            '.price', '.product-price', '[class*="price"]',
-            '.amount', '.cost', '.rate', '[data-price]',
-            '.pricing-info', '.price-range', '.product-amount'
-        ];
+// Mount Outbox admin endpoints (inspect / replay failed WhatsApp sends)
+app.use('/admin', createOutboxRouter(botSpaceOutbox, protect));
 
-        priceSelectors.forEach(selector => {
-            $(selector).each((i, el) => {
-                const priceText = $(el).text().trim();
-                const priceMatch = priceText.match(/₹\s*[\d,]+(\.\d{2})?/g);
-                if (priceMatch) {
-                    pricing.push(...priceMatch);
-                }
-            });
-        });
+// Mount Catalog admin endpoints (scrape diffs)
+app.use('/admin', createCatalogRouter(protect));
+app.use('/admin', createTaxonomyRouter(protect));
 
-        // Remove duplicates and format
-        const uniquePrices = [...new Set(pricing)].slice(0, 5);
+// Mount Prompt registry admin endpoints (versions, A/B split, outcome report)
+app.use('/admin', createPromptRouter(promptRegistry, promptOutcomes, protect));
 
-        if (uniquePrices.length > 0) {
-            return `Pricing: ${uniquePrices.join(', ')}`;
-        }
-
-        return 'Pricing available on website - call 9513734374 for exact rates';
-    } catch (error) {
-        console.log('Price fetch error:', error.message);
-        return 'Pricing: Contact 9513734374 for current rates';
-    }
-}
+// Mount Knowledge base endpoints (search + CRUD)
+app.use('/api', createKnowledgeBaseRouter(knowledgeBase, protect));
 
+// Mount Delivery estimate endpoint (pincode serviceability + ETA, public)
+app.use('/api', createDeliveryRouter());
 
-// Middleware
-app.use(cors());
-app.use(express.json());
-app.use(express.static(path.join(__dirname, 'public')));
+// Mount Store locator endpoints (store directory + nearest stores, public)
+app.use('/api', createStoreRouter());
 
-// Mount Existing Order Status System (independent webhook)
-const existingOrderWebhook = require('./existing-order/webhook');
-app.use('/api', existingOrderWebhook);
+// Mount Business hours (public) + after-hours callback queue (agents)
+app.use('/api', createBusinessCalendarRouter(callbackQueue, callbackNotifier));
 
 // Serve the main HTML file
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// Chat endpoint
-app.post('/api/chat', async (req, res) => {
-    const startTime = Date.now(); // Track request start time
+// Serve the live agent console
+app.get('/console', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'console.html'));
+});
+
+// Serve the support knowledge base page
+app.get('/knowledge-base', (req, res) => {
+    res.sendFile(path.join(__dirname, 'system_prompt', 'index.html'));
+});
+app.get('/knowledge-base/script.js', (req, res) => {
+    res.sendFile(path.join(__dirname, 'system_prompt', 'script.js'));
+});
+
+/**
+ * Strip console-only fields (agent, timestamp) from history before sending it to OpenAI
+ * @param {Array} history - Session messages
+ * @returns {Array} [{ role, content }]
+ */
+function toModelMessages(history) {
+    return history.map(({ role, content }) => ({ role, content }));
+}
+
+/**
+ * Flag a session as errored so it shows up in the agent console
+ * @param {string} sessionId - Session ID
+ * @param {Error} error - What went wrong
+ * @param {object} session - Already-loaded session (optional)
+ */
+async function recordSessionError(sessionId, error, session = null) {
+    if (!sessionId) return;
 
     try {
-        const { question, userId, sessionId } = req.body;
+        const target = session || await sessionStore.get(sessionId);
+        if (!target) return;
 
-        if (!question) {
-            return res.status(400).json({ error: 'Question is required' });
-        }
+        target.metadata.lastError = { message: error.message, at: Date.now() };
+        await sessionStore.set(sessionId, target);
+    } catch (storeError) {
+        console.error('❌ Failed to record session error:', storeError.message);
+    }
+}
 
-        // Generate or use existing user ID
-        let currentUserId = userId;
-        if (!currentUserId) {
-            currentUserId = generateUserId();
-        }
+/**
+ * Pick the session's system prompt version (sticky once chosen) and count new sessions per version
+ * @param {string} sessionId - Session ID
+ * @param {object} session - Session (metadata.promptVersion is set)
+ * @returns {string} Prompt version ID
+ */
+function assignPromptVersion(sessionId, session) {
+    const versionId = promptRegistry.assign(sessionId, session.metadata.promptVersion);
+    if (versionId !== session.metadata.promptVersion) {
+        session.metadata.promptVersion = versionId;
+        promptOutcomes.recordSession(versionId);
+    }
+    return versionId;
+}
 
-        // Generate or use existing session ID
-        let currentSessionId = sessionId;
-        if (!currentSessionId) {
-            currentSessionId = generateSessionId();
-        }
+/**
+ * Count a session handed to an agent against its prompt version (once per session)
+ * @param {object} session - Session (saved by the caller)
+ */
+function recordPromptHandoff(session) {
+    if (session.metadata.promptVersion && !session.metadata.promptHandoffRecorded) {
+        session.metadata.promptHandoffRecorded = true;
+        promptOutcomes.recordHandoff(session.metadata.promptVersion);
+    }
+}
 
-        // Get or create session
-        if (!sessionConversations.has(currentSessionId)) {
-            sessionConversations.set(currentSessionId, {
-                userId: currentUserId,
-                messages: [],
-                metadata: {
-                    productInterest: null,
-                    questionsAsked: [],
-                    requirements: {},
-                    startTime: Date.now(),
-                    lastActivity: Date.now()
-                }
-            });
-        }
+/**
+ * After hours nobody can pick up a handoff: a customer asking for a person gets a callback instead,
+ * and later messages fill in its details (phone, preferred time)
+ * @param {string} sessionId - Session ID
+ * @param {object} session - Session
+ * @param {string} question - Customer message
+ * @param {object} details - { channel, reason, customerName, phone, conversationId }
+ * @returns {object|null} The session's queued callback, or null (team available / no callback asked for)
+ */
+function recordAfterHoursCallback(sessionId, session, question, details = {}) {
+    if (getBusinessStatus().open) return null;
 
-        const session = sessionConversations.get(currentSessionId);
-        session.metadata.lastActivity = Date.now();
+    const topic = session.metadata.productInterest || null;
+    const reason = details.reason || handoffManager.detectTrigger(question);
+    if (!reason) {
+        return callbackQueue.recordMessage(sessionId, question, { topic });
+    }
 
-        // Get conversation history for this session
-        const sessionHistory = session.messages;
+    return callbackQueue.request({ sessionId, message: question, topic, ...details, reason });
+}
 
-        // Keep only last 2 messages (1 user + 1 assistant) for context
-        if (sessionHistory.length >= 4) {
-            sessionHistory.splice(0, sessionHistory.length - 2);
+/**
+ * Load session, fetch pricing and build the OpenAI message list for a web chat turn
+ * Shared by /api/chat and /api/chat/stream
+ * @param {string} question - Customer question
+ * @param {string} userId - Existing user ID (optional)
+ * @param {string} sessionId - Existing session ID (optional)
+ * @returns {Promise<object>} { currentUserId, currentSessionId, session, promptVersion, faqIds, callback, messages }
+ */
+async function prepareWebChatTurn(question, userId, sessionId) {
+    // Generate or use existing user ID
+    let currentUserId = userId;
+    if (!currentUserId) {
+        currentUserId = generateUserId();
+    }
+
+    // Generate or use existing session ID
+    let currentSessionId = sessionId;
+    if (!currentSessionId) {
+        currentSessionId = generateSessionId();
+    }
+
+    // Get or create session
+    const session = (await sessionStore.get(currentSessionId)) || createSession(currentUserId);
+    session.metadata.lastActivity = Date.now();
+    const promptVersion = assignPromptVersion(currentSessionId, session);
+
+    // Record product interest / requirements from this message for [SESSION CONTEXT]
+    updateSessionContext(session.metadata, question);
+
+    // Get conversation history for this session
+    const sessionHistory = session.messages;
+
+    // Keep only last 2 messages (1 user + 1 assistant) for context
+    if (sessionHistory.length >= 4) {
+        sessionHistory.splice(0, sessionHistory.length - 2);
+    }
+
+    // Extract product keywords for pricing lookup
+    const productKeywords = extractPriceKeywords(question);
+    let currentPricing = '';
+
+    if (productKeywords.length > 0) {
+        try {
+            currentPricing = priceService.getPricingForPrompt(productKeywords);
+        } catch (error) {
+            console.error('❌ [PRICES] Lookup failed:', error.message);
+            currentPricing = 'Check printo.in for current pricing';
         }
+    }
 
-        // Extract product keywords for pricing lookup
-        const productKeywords = question.toLowerCase().match(/\b(tshirt|t-shirt|polo|business card|stamp|photo|banner|brochure|flyer|letterhead|id card|notebook|box|sticker)\b/g);
-        let currentPricing = '';
+    // Curated knowledge base answers for [FAQ_CONTENT]
+    const faqEntries = knowledgeBase.findRelevant(question);
 
-        if (productKeywords && productKeywords.length > 0) {
-            try {
-                currentPricing = await fetchProductPricing(productKeywords.join(' '));
-            } catch (error) {
-                currentPricing = 'Check printo.in for current pricing';
-            }
+    // 📞 Team is away - a request for a person becomes a callback
+    const callback = recordAfterHoursCallback(currentSessionId, session, question, { channel: 'web' });
+
+    // Build dynamic prompt using the modular system
+    const currentDate = new Date().toLocaleDateString('en-IN');
+    const systemPrompt = buildPrompt(question, currentDate, currentPricing, session.metadata, {
+        systemPrompt: promptRegistry.getText(promptVersion),
+        faqEntries: faqEntries,
+        callback: callback
+    });
+
+    // Build messages array with system prompt + conversation history + new question
+    const messages = [
+        {
+            role: "system",
+            content: systemPrompt
+        },
+        ...toModelMessages(sessionHistory),
+        {
+            role: "user",
+            content: question
         }
+    ];
 
-        // Build dynamic prompt using the modular system
-        const currentDate = new Date().toLocaleDateString('en-IN');
-        const systemPrompt = buildPrompt(question, currentDate, currentPricing, session.metadata);
+    return { currentUserId, currentSessionId, session, promptVersion, faqIds: faqEntries.map(entry => entry.id), callback, messages };
+}
 
-        // Build messages array with system prompt + conversation history + new question
-        const messages = [
-            {
-                role: "system",
-                content: systemPrompt
-            },
-            ...sessionHistory,
-            {
-                role: "user",
-                content: question
-            }
-        ];
+/**
+ * Apply UTM tracking, log to Google Sheets and save session history for a finished web chat turn
+ * @param {object} turn - Result of prepareWebChatTurn
+ * @param {string} question - Customer question
+ * @param {string} rawResponse - Model output
+ * @param {number} startTime - Request start timestamp
+ * @returns {Promise<string>} Final response text (with UTM tracking)
+ */
+async function completeWebChatTurn(turn, question, rawResponse, startTime) {
+    const { currentSessionId, session, promptVersion, faqIds } = turn;
+
+    // Add UTM tracking to all printo.in URLs in the response (and count clicks if enabled)
+    const response = addClickTracking(addUTMToResponse(rawResponse), currentSessionId);
+
+    // Calculate response time
+    const responseTime = Date.now() - startTime;
+    promptOutcomes.recordTurn(promptVersion, { responseTime });
+
+    // Extract product and pincode for logging
+    const detectedProduct = extractProduct(question);
+    const detectedPincode = extractPincode(question);
+
+    // Log to Google Sheets asynchronously (don't block response)
+    sheetsLogger.logConversation({
+        sessionId: currentSessionId,
+        userInput: question,
+        botResponse: response,
+        product: detectedProduct,
+        pincode: detectedPincode,
+        status: 'success',
+        responseTime: responseTime,
+        promptVersion: promptVersion,
+        language: session.metadata.language
+    }).catch(err => {
+        console.error('Background logging error:', err.message);
+    });
 
-        const completion = await openai.chat.completions.create({
-            model: "gpt-4o",
-            messages: messages,
-            max_tokens: 150,
-            temperature: 0.3
-        });
+    // Add the user question and AI response to session history (faqIds: knowledge base sources, shown in the agent console)
+    session.messages.push(
+        { role: "user", content: question },
+        { role: "assistant", content: response, faqIds: faqIds }
+    );
+    delete session.metadata.lastError;
+    await sessionStore.set(currentSessionId, session);
 
-        let response = completion.choices[0].message.content;
+    return response;
+}
 
-        // Add UTM tracking to all printo.in URLs in the response
-        response = addUTMToResponse(response);
+// Chat endpoint
+app.post('/api/chat', async (req, res) => {
+    const startTime = Date.now(); // Track request start time
+    let turn = null;
 
-        // Calculate response time
-        const responseTime = Date.now() - startTime;
+    try {
+        const { question, userId, sessionId } = req.body;
 
-        // Extract product and pincode for logging
-        const detectedProduct = extractProduct(question);
-        const detectedPincode = extractPincode(question);
+        if (!question) {
+            return res.status(400).json({ error: 'Question is required' });
+        }
 
-        // Log to Google Sheets asynchronously (don't block response)
-        sheetsLogger.logConversation({
-            sessionId: currentSessionId,
-            userInput: question,
-            botResponse: response,
-            product: detectedProduct,
-            pincode: detectedPincode,
-            status: 'success',
-            responseTime: responseTime
-        }).catch(err => {
-            console.error('Background logging error:', err.message);
+        turn = await prepareWebChatTurn(question, userId, sessionId);
+        const { currentUserId, currentSessionId } = turn;
+
+        const completion = await openai.chat.completions.create({
+            model: "gpt-4o",
+            messages: turn.messages,
+            max_tokens: 150,
+            temperature: 0.3
         });
 
-        // Add the user question and AI response to session history
-        sessionHistory.push(
-            { role: "user", content: question },
-            { role: "assistant", content: response }
-        );
+        const response = await completeWebChatTurn(turn, question, completion.choices[0].message.content, startTime);
 
         res.json({
             success: true,
             response: response,
             userId: currentUserId,
             sessionId: currentSessionId,
+            faqIds: turn.faqIds,
+            callbackId: turn.callback ? turn.callback.id : null,
             timestamp: new Date().toISOString()
         });
 
@@ -266,6 +444,8 @@ app.post('/api/chat', async (req, res) => {
         // Log error to Google Sheets
         const { question, sessionId } = req.body;
         const currentSessionId = sessionId || 'unknown';
+        recordSessionError(sessionId, error);
+        if (turn) promptOutcomes.recordTurn(turn.promptVersion, { status: 'error' });
 
         sheetsLogger.logConversation({
             sessionId: currentSessionId,
@@ -274,7 +454,9 @@ app.post('/api/chat', async (req, res) => {
             product: question ? extractProduct(question) : 'N/A',
             pincode: question ? extractPincode(question) : 'N/A',
             status: 'error',
-            responseTime: responseTime
+            responseTime: responseTime,
+            promptVersion: turn ? turn.promptVersion : 'N/A',
+            language: turn ? turn.session.metadata.language : 'N/A'
         }).catch(err => {
             console.error('Background logging error:', err.message);
         });
@@ -286,63 +468,261 @@ app.post('/api/chat', async (req, res) => {
     }
 });
 
-// Get all sessions for a user
-app.get('/api/sessions/:userId', (req, res) => {
-    const { userId } = req.params;
-    const userSessions = [];
+/**
+ * Write a single Server-Sent Event
+ */
+function sendSSE(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
 
-    for (const [sessionId, session] of sessionConversations.entries()) {
-        if (session.userId === userId) {
-            userSessions.push({
-                sessionId,
-                startTime: session.metadata.startTime,
-                lastActivity: session.metadata.lastActivity,
-                messageCount: session.messages.length
-            });
+/**
+ * POST /api/chat/stream
+ * Same as /api/chat, but streams tokens back as Server-Sent Events:
+ * - event: meta   { userId, sessionId }
+ * - event: token  { content }
+ * - event: done   { response, userId, sessionId, faqIds, callbackId, timestamp } (final text with UTM tracking)
+ * - event: error  { error, message }
+ * Closing the connection cancels the OpenAI request.
+ */
+app.post('/api/chat/stream', async (req, res) => {
+    const startTime = Date.now();
+    const { question, userId, sessionId } = req.body;
+
+    if (!question) {
+        return res.status(400).json({ error: 'Question is required' });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+    });
+    res.flushHeaders();
+
+    // Abort the OpenAI stream if the browser goes away or the user cancels
+    const abortController = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            abortController.abort();
+        }
+    });
+
+    let turn = null;
+    try {
+        turn = await prepareWebChatTurn(question, userId, sessionId);
+        const { currentUserId, currentSessionId } = turn;
+
+        sendSSE(res, 'meta', { userId: currentUserId, sessionId: currentSessionId });
+
+        const stream = await openai.chat.completions.create({
+            model: "gpt-4o",
+            messages: turn.messages,
+            max_tokens: 150,
+            temperature: 0.3,
+            stream: true
+        }, { signal: abortController.signal });
+
+        let rawResponse = '';
+        for await (const chunk of stream) {
+            const content = chunk.choices[0]?.delta?.content;
+            if (content) {
+                rawResponse += content;
+                sendSSE(res, 'token', { content });
+            }
+        }
+
+        const response = await completeWebChatTurn(turn, question, rawResponse, startTime);
+
+        sendSSE(res, 'done', {
+            success: true,
+            response: response,
+            userId: currentUserId,
+            sessionId: currentSessionId,
+            faqIds: turn.faqIds,
+            callbackId: turn.callback ? turn.callback.id : null,
+            timestamp: new Date().toISOString()
+        });
+        res.end();
+
+    } catch (error) {
+        if (abortController.signal.aborted) {
+            console.log(`⏹️  Chat stream cancelled by client [${sessionId || 'new session'}]`);
+            return;
         }
+
+        console.error('OpenAI Stream Error:', error);
+        recordSessionError(sessionId, error);
+        if (turn) promptOutcomes.recordTurn(turn.promptVersion, { status: 'error' });
+
+        sheetsLogger.logConversation({
+            sessionId: sessionId || 'unknown',
+            userInput: question,
+            botResponse: `ERROR: ${error.message}`,
+            product: extractProduct(question),
+            pincode: extractPincode(question),
+            status: 'error',
+            responseTime: Date.now() - startTime,
+            promptVersion: turn ? turn.promptVersion : 'N/A',
+            language: turn ? turn.session.metadata.language : 'N/A'
+        }).catch(err => {
+            console.error('Background logging error:', err.message);
+        });
+
+        sendSSE(res, 'error', {
+            error: 'Failed to get AI response',
+            message: error.message
+        });
+        res.end();
+    }
+});
+
+/**
+ * POST /api/feedback
+ * Body: { sessionId, score, comment } - customer rating (1-5) of the conversation, one per session
+ * Counted against the session's prompt version (GET /admin/prompts/report)
+ */
+app.post('/api/feedback', async (req, res) => {
+    const { sessionId, comment } = req.body || {};
+    const score = Number((req.body || {}).score);
+
+    if (!Number.isInteger(score) || score < 1 || score > 5) {
+        return res.status(400).json({ success: false, error: 'INVALID_SCORE', message: 'score must be a whole number from 1 to 5' });
+    }
+
+    try {
+        const session = sessionId ? await sessionStore.get(String(sessionId)) : null;
+        if (!session) {
+            return res.status(404).json({ success: false, error: 'SESSION_NOT_FOUND', message: 'Session not found or expired' });
+        }
+        if (session.metadata.feedback) {
+            return res.status(409).json({ success: false, error: 'FEEDBACK_EXISTS', message: 'Feedback was already given for this session' });
+        }
+
+        session.metadata.feedback = { score, comment: comment ? String(comment).substring(0, 500) : null, at: Date.now() };
+        await sessionStore.set(String(sessionId), session);
+        promptOutcomes.recordFeedback(session.metadata.promptVersion, score);
+
+        res.json({ success: true, sessionId: sessionId, score: score });
+    } catch (error) {
+        console.error('❌ Failed to record feedback:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /go?s=<sessionId>&u=<printo.in URL>
+ * Click-tracked link (see LINK_TRACKING_BASE_URL): count the click for the session's prompt version, then redirect
+ */
+app.get('/go', async (req, res) => {
+    const url = String(req.query.u || '');
+    if (!isPrintoURL(url)) {
+        return res.status(400).json({ success: false, error: 'INVALID_URL', message: 'Only printo.in links can be followed' });
+    }
+
+    try {
+        const session = req.query.s ? await sessionStore.get(String(req.query.s)) : null;
+        if (session && session.metadata.promptVersion) {
+            promptOutcomes.recordClick(session.metadata.promptVersion);
+        }
+    } catch (error) {
+        console.error('❌ Failed to record link click:', error.message);
+    }
+
+    res.redirect(302, url);
+});
+
+// Quote error codes → HTTP status + customer-facing message
+const QUOTE_ERRORS = {
+    UNKNOWN_PRODUCT: [404, 'Product not found in catalog'],
+    UNKNOWN_VARIANT: [404, 'Variant not found for this product'],
+    VARIANT_REQUIRED: [400, 'This product has several variants - specify one'],
+    INVALID_QUANTITY: [400, 'Quantity must be a positive number']
+};
+
+/**
+ * POST /api/quote
+ * Deterministic quote from products.json variants
+ * Body: { productKey, variant, quantity, options }
+ */
+app.post('/api/quote', (req, res) => {
+    const { productKey, variant, quantity, options } = req.body;
+
+    if (!productKey) {
+        return res.status(400).json({ success: false, error: 'productKey is required' });
+    }
+
+    try {
+        const quote = calculateQuote(getManualCatalog(), { productKey, variant, quantity, options });
+        res.json({ success: true, quote: quote });
+    } catch (error) {
+        const known = QUOTE_ERRORS[error.message];
+        if (!known) {
+            console.error('Quote error:', error);
+            return res.status(500).json({ success: false, error: 'Failed to calculate quote', message: error.message });
+        }
+
+        const product = getManualCatalog()[productKey];
+        res.status(known[0]).json({
+            success: false,
+            error: error.message,
+            message: known[1],
+            availableVariants: product && product.variants ? Object.keys(product.variants) : undefined
+        });
     }
+});
 
-    res.json({ success: true, sessions: userSessions });
+// Get all sessions for a user
+app.get('/api/sessions/:userId', async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const userSessions = (await sessionStore.findByUserId(userId)).map(({ sessionId, session }) => ({
+            sessionId,
+            startTime: session.metadata.startTime,
+            lastActivity: session.metadata.lastActivity,
+            messageCount: session.messages.length
+        }));
+
+        res.json({ success: true, sessions: userSessions });
+    } catch (error) {
+        console.error('Session lookup error:', error);
+        res.status(500).json({ error: 'Failed to load sessions', message: error.message });
+    }
 });
 
 // Create new session endpoint
-app.post('/api/sessions/new', (req, res) => {
+app.post('/api/sessions/new', async (req, res) => {
     const { userId } = req.body;
 
     if (!userId) {
         return res.status(400).json({ error: 'User ID is required' });
     }
 
-    const newSessionId = generateSessionId();
-
-    sessionConversations.set(newSessionId, {
-        userId: userId,
-        messages: [],
-        metadata: {
-            productInterest: null,
-            questionsAsked: [],
-            requirements: {},
-            startTime: Date.now(),
-            lastActivity: Date.now()
-        }
-    });
+    try {
+        const newSessionId = generateSessionId();
+        await sessionStore.set(newSessionId, createSession(userId));
 
-    res.json({
-        success: true,
-        sessionId: newSessionId,
-        message: 'New session created'
-    });
+        res.json({
+            success: true,
+            sessionId: newSessionId,
+            message: 'New session created'
+        });
+    } catch (error) {
+        console.error('Session create error:', error);
+        res.status(500).json({ error: 'Failed to create session', message: error.message });
+    }
 });
 
 // Clear specific session
-app.delete('/api/sessions/:sessionId', (req, res) => {
-    const { sessionId } = req.params;
+app.delete('/api/sessions/:sessionId', async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const removed = await sessionStore.delete(sessionId);
 
-    if (sessionConversations.has(sessionId)) {
-        sessionConversations.delete(sessionId);
-        res.json({ success: true, message: 'Session cleared' });
-    } else {
-        res.json({ success: true, message: 'Session not found' });
+        res.json({ success: true, message: removed ? 'Session cleared' : 'Session not found' });
+    } catch (error) {
+        console.error('Session delete error:', error);
+        res.status(500).json({ error: 'Failed to clear session', message: error.message });
     }
 });
 
@@ -396,7 +776,7 @@ app.get('/health', (req, res) => {
 });
 
 // Diagnostic endpoint to check Google Sheets configuration
-app.get('/debug/sheets-config', (req, res) => {
+app.get('/debug/sheets-config', protect('admin', 'debug.sheets_config'), (req, res) => {
     const config = {
         googleSheetsEnabled: sheetsLogger.enabled,
         hasSheetId: !!process.env.GOOGLE_SHEET_ID,
@@ -404,14 +784,46 @@ app.get('/debug/sheets-config', (req, res) => {
         hasPrivateKey: !!process.env.GOOGLE_PRIVATE_KEY,
         sheetIdLength: process.env.GOOGLE_SHEET_ID ? process.env.GOOGLE_SHEET_ID.length : 0,
         emailDomain: process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL ? process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL.split('@')[1] : 'N/A',
-        privateKeyStart: process.env.GOOGLE_PRIVATE_KEY ? process.env.GOOGLE_PRIVATE_KEY.substring(0, 30) + '...' : 'N/A'
+        privateKeyFormatOk: process.env.GOOGLE_PRIVATE_KEY ? process.env.GOOGLE_PRIVATE_KEY.includes('BEGIN PRIVATE KEY') : false
     };
     res.json(config);
 });
 
+/**
+ * Send a reply to a WhatsApp customer via the BotSpace outbox
+ * Uses the conversation (session message) when BotSpace gave us one, otherwise the phone number.
+ * Failed sends stay in the outbox and are retried in the background.
+ * @param {string} conversationId - BotSpace conversation ID (optional)
+ * @param {string} phone - Customer phone number
+ * @param {string} text - Message text
+ * @param {object} context - Stored with the outbox message (sessionId, source)
+ * @returns {Promise<object|null>} Outbox message (status sent | pending | dead), or null if BotSpace isn't configured
+ */
+async function sendWhatsAppReply(conversationId, phone, text, context = {}) {
+    if (!botSpaceService.isConfigured()) {
+        console.warn('⚠️  BotSpace not configured - response not sent to WhatsApp');
+        return null;
+    }
+
+    const outboxMessage = await botSpaceOutbox.send({ conversationId, phone, text, context });
+
+    // Don't fail the webhook on send errors - the outbox retries or dead-letters the message
+    if (outboxMessage.status === 'sent') {
+        console.log(`📱 WhatsApp message sent successfully to ${phone}`);
+    } else if (outboxMessage.status === 'pending') {
+        console.warn(`⏳ WhatsApp message to ${phone} queued for retry - outbox ${outboxMessage.id}`);
+    } else {
+        console.error(`❌ Failed to send WhatsApp message to ${phone} - dead-lettered as ${outboxMessage.id}`);
+    }
+    return outboxMessage;
+}
+
 // BotSpace Webhook Endpoint
-app.post('/api/botspace/webhook', async (req, res) => {
+app.post('/api/botspace/webhook', verifyBotSpaceWebhook, webhookDedupe.middleware(), async (req, res) => {
     const startTime = Date.now();
+    let sessionId = null;
+    let session = null;
+    let userData = {};
 
     try {
         console.log('BotSpace webhook received:', JSON.stringify(req.body, null, 2));
@@ -420,16 +832,16 @@ app.post('/api/botspace/webhook', async (req, res) => {
         const { data, message } = req.body;
 
         // Get user details from data object
-        const userData = data || {};
+        userData = data || {};
         const phone = userData.fullPhoneNumber || userData.phone;
         const name = userData.name || 'Customer';
         const userId = `botspace_${phone}`;
-        const sessionId = `botspace_${phone}`;
+        sessionId = `botspace_${phone}`;
 
         // Get the actual message - BotSpace might send it in different formats
-        const question = message?.text || message || req.body.question || req.body.text;
+        const messageText = message?.text || message || req.body.question || req.body.text;
 
-        if (!question) {
+        if (!messageText) {
             console.error('No message found in webhook:', req.body);
             return res.status(400).json({
                 error: 'Message is required',
@@ -437,42 +849,123 @@ app.post('/api/botspace/webhook', async (req, res) => {
             });
         }
 
+        // 🧩 Wait for the customer to stop typing - rapid-fire fragments become one turn,
+        // answered by the request that carried the last fragment
+        const batch = await messageDebouncer.add(sessionId, messageText);
+        if (!batch.isLast) {
+            return res.json({
+                success: true,
+                response: null,
+                userId: userId,
+                sessionId: sessionId,
+                merged: true
+            });
+        }
+        const question = batch.text;
+
         console.log(`Processing message from ${name} (${phone}): ${question}`);
 
         // Get or create session
-        if (!sessionConversations.has(sessionId)) {
-            sessionConversations.set(sessionId, {
+        session = (await sessionStore.get(sessionId)) || createSession(userId, {
+            customerName: name,
+            customerPhone: phone
+        });
+        session.metadata.lastActivity = Date.now();
+
+        // Remember the BotSpace conversation so agents can reply from the console
+        if (userData.id) {
+            session.metadata.botspaceConversationId = userData.id;
+        }
+        const promptVersion = assignPromptVersion(sessionId, session);
+
+        // Record product interest / requirements from this message for [SESSION CONTEXT]
+        updateSessionContext(session.metadata, question);
+        const sessionHistory = session.messages;
+
+        // 🙋 Conversation is with a human agent - don't let the bot reply
+        if (handoffManager.isBotPaused(sessionId)) {
+            const handoff = handoffManager.recordMessage(sessionId, 'user', question);
+            sessionHistory.push({ role: "user", content: question });
+            await sessionStore.set(sessionId, session);
+
+            console.log(`⏸️  Bot paused for ${sessionId} - message queued for agent`);
+            return res.json({
+                success: true,
+                response: null,
                 userId: userId,
-                messages: [],
-                metadata: {
-                    productInterest: null,
-                    questionsAsked: [],
-                    requirements: {},
-                    startTime: Date.now(),
-                    lastActivity: Date.now(),
-                    customerName: name,
-                    customerPhone: phone
-                }
+                sessionId: sessionId,
+                handoff: { id: handoff.id, status: handoff.status },
+                botPaused: true
             });
         }
 
-        const session = sessionConversations.get(sessionId);
-        session.metadata.lastActivity = Date.now();
-        const sessionHistory = session.messages;
+        // 📞 Team is away - a request for a person becomes a callback and the bot collects the details
+        const callbackDetails = { channel: 'whatsapp', customerName: name, phone: phone, conversationId: userData.id };
+        const callback = recordAfterHoursCallback(sessionId, session, question, callbackDetails);
+
+        // 🙋 Customer asked for a person or is upset - hand over instead of replying with the model
+        const handoffReason = callback ? null : handoffManager.detectTrigger(question);
+        if (handoffReason) {
+            const handoff = handoffManager.requestHandoff({
+                sessionId,
+                reason: handoffReason,
+                transcript: [...sessionHistory, { role: "user", content: question }],
+                customerName: name,
+                customerPhone: phone,
+                conversationId: userData.id
+            });
+
+            sessionHistory.push({ role: "user", content: question });
+            sessionHistory.push({ role: "assistant", content: HANDOFF_ACK_MESSAGE });
+            recordPromptHandoff(session);
+            await sessionStore.set(sessionId, session);
+
+            sheetsLogger.logConversation({
+                sessionId: sessionId,
+                userInput: question,
+                botResponse: HANDOFF_ACK_MESSAGE,
+                product: extractProduct(question),
+                pincode: extractPincode(question),
+                status: 'handoff',
+                responseTime: Date.now() - startTime,
+                promptVersion: promptVersion,
+                language: session.metadata.language
+            }).catch(err => console.error('Sheets logging error:', err));
+
+            const ackResult = await sendWhatsAppReply(userData.id, phone, HANDOFF_ACK_MESSAGE, { sessionId, source: 'handoff_ack' });
+
+            return res.json({
+                success: true,
+                response: HANDOFF_ACK_MESSAGE,
+                userId: userId,
+                sessionId: sessionId,
+                handoff: { id: handoff.id, status: handoff.status, reason: handoff.reason },
+                botPaused: true,
+                whatsappSent: ackResult?.status === 'sent',
+                messageId: ackResult?.botspaceMessageId || null,
+                outboxId: ackResult?.id || null
+            });
+        }
 
         // Keep only last 2 messages for context
         if (sessionHistory.length >= 4) {
             sessionHistory.splice(0, sessionHistory.length - 2);
         }
 
-        // Build dynamic prompt
+        // Build dynamic prompt (with curated knowledge base answers for [FAQ_CONTENT])
+        const faqEntries = knowledgeBase.findRelevant(question);
+        const faqIds = faqEntries.map(entry => entry.id);
         const currentDate = new Date().toLocaleDateString('en-IN');
-        const systemPrompt = buildPrompt(question, currentDate, '', session.metadata);
+        const systemPrompt = buildPrompt(question, currentDate, '', session.metadata, {
+            systemPrompt: promptRegistry.getText(promptVersion),
+            faqEntries: faqEntries,
+            callback: callback
+        });
 
         // Build messages array
         const messages = [
             { role: "system", content: systemPrompt },
-            ...sessionHistory,
+            ...toModelMessages(sessionHistory),
             { role: "user", content: question }
         ];
 
@@ -507,14 +1000,17 @@ app.post('/api/botspace/webhook', async (req, res) => {
 
         let response = completion.choices[0].message.content;
         const responseTime = Date.now() - startTime;
+        promptOutcomes.recordTurn(promptVersion, { responseTime });
 
-        // 🔗 Add UTM tracking to all printo.in URLs in the response
-        response = addUTMToResponse(response, sessionId, phone);
+        // 🔗 Add UTM tracking to all printo.in URLs in the response (and count clicks if enabled)
+        response = addClickTracking(addUTMToResponse(response, sessionId, phone), sessionId);
         console.log(`🔗 UTM tracking added to response URLs`);
 
         // Update conversation history
         sessionHistory.push({ role: "user", content: question });
-        sessionHistory.push({ role: "assistant", content: response });
+        sessionHistory.push({ role: "assistant", content: response, faqIds: faqIds });
+        delete session.metadata.lastError;
+        await sessionStore.set(sessionId, session);
 
         // Extract product and pincode for logging
         const detectedProduct = extractProduct(question);
@@ -529,6 +1025,8 @@ app.post('/api/botspace/webhook', async (req, res) => {
             pincode: detectedPincode,
             status: 'success',
             responseTime: responseTime,
+            promptVersion: promptVersion,
+            language: session.metadata.language,
             source: 'botspace',
             customerName: name,
             customerPhone: phone
@@ -537,29 +1035,26 @@ app.post('/api/botspace/webhook', async (req, res) => {
         console.log(`✅ AI Response generated for ${name}: ${response}`);
 
         // Send response back to customer via BotSpace WhatsApp
-        let botspaceSendResult = null;
-        if (botSpaceService.isConfigured()) {
-            try {
-                // Try to send via session message first (if conversationId available)
-                if (userData.id) {
-                    botspaceSendResult = await botSpaceService.sendSessionMessage(
-                        userData.id,
-                        response
-                    );
-                } else if (phone) {
-                    // Fallback to direct phone message
-                    botspaceSendResult = await botSpaceService.sendMessageWithRetry(
-                        phone,
-                        response
-                    );
-                }
-                console.log(`📱 WhatsApp message sent successfully to ${phone}`);
-            } catch (sendError) {
-                console.error(`❌ Failed to send WhatsApp message to ${phone}:`, sendError);
-                // Don't fail the webhook - log the error and continue
+        const botspaceSendResult = await sendWhatsAppReply(userData.id, phone, response, { sessionId, source: 'bot' });
+
+        // 🙋 Bot couldn't answer - queue for an agent (the reply above already went out), or for a callback after hours
+        let handoff = null;
+        let afterHoursCallback = callback;
+        if (handoffManager.isUnableToAnswer(response)) {
+            if (!getBusinessStatus().open) {
+                afterHoursCallback = callback || recordAfterHoursCallback(sessionId, session, question, { ...callbackDetails, reason: 'bot_unable_to_answer' });
+            } else {
+                handoff = handoffManager.requestHandoff({
+                    sessionId,
+                    reason: 'bot_unable_to_answer',
+                    transcript: sessionHistory,
+                    customerName: name,
+                    customerPhone: phone,
+                    conversationId: userData.id
+                });
+                recordPromptHandoff(session);
+                await sessionStore.set(sessionId, session);
             }
-        } else {
-            console.warn('⚠️  BotSpace not configured - response not sent to WhatsApp');
         }
 
         // Return success response to BotSpace webhook
@@ -568,14 +1063,47 @@ app.post('/api/botspace/webhook', async (req, res) => {
             response: response,
             userId: userId,
             sessionId: sessionId,
-            whatsappSent: !!botspaceSendResult,
-            messageId: botspaceSendResult?.messageId || null
+            whatsappSent: botspaceSendResult?.status === 'sent',
+            messageId: botspaceSendResult?.botspaceMessageId || null,
+            outboxId: botspaceSendResult?.id || null,
+            faqIds: faqIds,
+            callbackId: afterHoursCallback ? afterHoursCallback.id : null,
+            ...(handoff ? { handoff: { id: handoff.id, status: handoff.status, reason: handoff.reason }, botPaused: true } : {})
         });
 
     } catch (error) {
         console.error('❌ BotSpace webhook error:', error);
         const responseTime = Date.now() - startTime;
 
+        // 🙋 Bot failed - get a human to pick the conversation up, or queue a callback after hours
+        if (session && sessionId) {
+            if (session.metadata.promptVersion) {
+                promptOutcomes.recordTurn(session.metadata.promptVersion, { status: 'error' });
+            }
+            await recordSessionError(sessionId, error, session);
+
+            const question = String(req.body.message?.text || req.body.message || req.body.question || req.body.text || '');
+            if (!getBusinessStatus().open) {
+                recordAfterHoursCallback(sessionId, session, question, {
+                    channel: 'whatsapp',
+                    reason: 'bot_error',
+                    customerName: session.metadata.customerName,
+                    phone: session.metadata.customerPhone,
+                    conversationId: userData.id
+                });
+            } else {
+                recordPromptHandoff(session);
+                handoffManager.requestHandoff({
+                    sessionId,
+                    reason: 'bot_error',
+                    transcript: [...session.messages, { role: "user", content: question }],
+                    customerName: session.metadata.customerName,
+                    customerPhone: session.metadata.customerPhone,
+                    conversationId: userData.id
+                });
+            }
+        }
+
         // Log error to Google Sheets
         sheetsLogger.logConversation({
             sessionId: sessionId || 'unknown',
@@ -585,6 +1113,8 @@ app.post('/api/botspace/webhook', async (req, res) => {
             pincode: '',
             status: 'failed',
             responseTime: responseTime,
+            promptVersion: session?.metadata.promptVersion || 'N/A',
+            language: session?.metadata.language || 'N/A',
             source: 'botspace'
         }).catch(err => console.error('Sheets logging error:', err));
 
@@ -597,7 +1127,7 @@ app.post('/api/botspace/webhook', async (req, res) => {
 });
 
 // Test endpoint to manually log to Google Sheets
-app.post('/debug/test-log', async (req, res) => {
+app.post('/debug/test-log', protect('operator', 'debug.test_log'), async (req, res) => {
     try {
         await sheetsLogger.logConversation({
             sessionId: `debug_test_${Date.now()}`,
@@ -626,14 +1156,24 @@ app.post('/debug/test-log', async (req, res) => {
 // ================== PRODUCT DATA RELOAD ENDPOINTS ==================
 
 /**
- * POST /admin/reload-products
+ * POST /admin/reload-products?force=true
  * Manually reload product data without server restart
+ * Files that fail validation are rejected with 422; force=true (admin only) accepts a deliberately smaller catalog
  */
-app.post('/admin/reload-products', (req, res) => {
+app.post('/admin/reload-products', protect('operator', 'products.reload'), (req, res) => {
     try {
         console.log('\n📦 [ADMIN] Manual product reload requested');
 
-        const result = reloadProductData();
+        const force = req.query.force === 'true';
+        if (force && !apiAuth.hasRole(req.auth.role, 'admin')) {
+            return res.status(403).json({
+                success: false,
+                error: 'FORBIDDEN',
+                message: 'Forced reloads require the admin role'
+            });
+        }
+
+        const result = reloadProductData({ trigger: 'admin', actor: req.auth.name, force });
 
         if (result.success) {
             res.json({
@@ -643,10 +1183,23 @@ app.post('/admin/reload-products', (req, res) => {
                     manualProducts: result.productsCount,
                     scrapedProducts: result.scrapedCount,
                     totalProducts: result.productsCount + result.scrapedCount,
+                    categoriesAdded: result.categoriesAdded,
+                    categoriesRemoved: result.categoriesRemoved,
+                    catalogDiff: result.diffId ? { id: result.diffId, ...result.diffSummary } : null,
+                    versionId: result.versionId,
+                    warnings: result.warnings,
+                    durationMs: result.durationMs,
                     reloadedAt: result.timestamp
                 },
                 timestamp: new Date().toISOString()
             });
+        } else if (result.rejected) {
+            res.status(422).json({
+                success: false,
+                error: 'INVALID_PRODUCT_DATA',
+                message: result.message,
+                errors: result.errors
+            });
         } else {
             res.status(500).json({
                 success: false,
@@ -668,7 +1221,7 @@ app.post('/admin/reload-products', (req, res) => {
  * GET /admin/product-data-status
  * Get current product data load status
  */
-app.get('/admin/product-data-status', (req, res) => {
+app.get('/admin/product-data-status', protect('viewer', 'products.status'), (req, res) => {
     try {
         const status = getProductDataStatus();
 
@@ -685,11 +1238,75 @@ app.get('/admin/product-data-status', (req, res) => {
     }
 });
 
+/**
+ * GET /admin/prices?q=business card,polo
+ * Price lookup as the bot sees it (comma separated keywords), plus cache stats
+ */
+app.get('/admin/prices', protect('viewer', 'prices.lookup'), (req, res) => {
+    const keywords = String(req.query.q || '').split(',').map(keyword => keyword.trim()).filter(Boolean);
+
+    res.json({
+        success: true,
+        lookup: keywords.length > 0 ? priceService.lookup(keywords) : null,
+        stats: priceService.getStats(),
+        timestamp: new Date().toISOString()
+    });
+});
+
+/**
+ * GET /admin/prompt-debug?message=need 500 visiting cards&sessionId=...&promptVersion=enhanced&budget=4000&full=true
+ * Build the system prompt the bot would send for a message and report the tokens used per section
+ * (the session, if given, is read but not updated; promptVersion defaults to the session's version)
+ */
+app.get('/admin/prompt-debug', protect('viewer', 'prompt.debug'), async (req, res) => {
+    const message = String(req.query.message || '');
+    if (!message.trim()) {
+        return res.status(400).json({ success: false, error: 'MESSAGE_REQUIRED', message: 'message query parameter is required' });
+    }
+
+    try {
+        const session = req.query.sessionId ? await sessionStore.get(String(req.query.sessionId)) : null;
+        const sessionContext = JSON.parse(JSON.stringify((session || createSession('prompt-debug')).metadata));
+        updateSessionContext(sessionContext, message);
+
+        const productKeywords = extractPriceKeywords(message);
+        const currentPricing = productKeywords.length > 0 ? priceService.getPricingForPrompt(productKeywords) : '';
+
+        const promptVersion = String(req.query.promptVersion || sessionContext.promptVersion || 'default');
+        const promptText = promptRegistry.getText(promptVersion);
+        if (!promptText) {
+            return res.status(404).json({ success: false, error: 'VERSION_NOT_FOUND', message: 'Prompt version not found' });
+        }
+
+        const faqEntries = knowledgeBase.findRelevant(message);
+        const currentDate = new Date().toLocaleDateString('en-IN');
+        const { prompt, report } = buildPromptWithReport(message, currentDate, currentPricing, sessionContext, {
+            systemPrompt: promptText,
+            faqEntries: faqEntries,
+            budget: parseInt(req.query.budget) || undefined
+        });
+
+        res.json({
+            success: true,
+            message: message,
+            sessionFound: Boolean(session),
+            promptVersion: promptVersion,
+            faqs: faqEntries.map(({ id, question, score, matchedTerms }) => ({ id, question, score, matchedTerms })),
+            report: report,
+            prompt: req.query.full === 'true' ? prompt : undefined,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('❌ [PROMPT] Debug build failed:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 /**
  * GET /admin/update-history
  * Get product update history
  */
-app.get('/admin/update-history', (req, res) => {
+app.get('/admin/update-history', protect('viewer', 'updates.history'), (req, res) => {
     try {
         const limit = parseInt(req.query.limit) || 10;
         const history = getHistory(limit);
@@ -712,7 +1329,7 @@ app.get('/admin/update-history', (req, res) => {
  * GET /admin/update-stats
  * Get product update statistics
  */
-app.get('/admin/update-stats', (req, res) => {
+app.get('/admin/update-stats', protect('viewer', 'updates.stats'), (req, res) => {
     try {
         const stats = getStats();
         const health = getHealthStatus();
@@ -731,6 +1348,63 @@ app.get('/admin/update-stats', (req, res) => {
     }
 });
 
+// ================== AUTH ADMIN ENDPOINTS ==================
+
+// Token error codes → HTTP status + message
+const TOKEN_ERRORS = {
+    TOKENS_DISABLED: [503, 'Signed tokens are disabled - set AUTH_TOKEN_SECRET'],
+    INVALID_ROLE: [400, 'Role must be viewer, operator or admin'],
+    INVALID_SUBJECT: [400, 'subject is required']
+};
+
+/**
+ * POST /admin/tokens
+ * Issue a signed token
+ * Body: { subject, role, ttlHours }
+ */
+app.post('/admin/tokens', protect('admin', 'auth.issue_token'), (req, res) => {
+    const { subject, role, ttlHours } = req.body;
+
+    try {
+        const issued = apiAuth.issueToken(subject, role, ttlHours);
+        console.log(`🔐 [ADMIN] ${req.auth.name} issued a ${role} token for ${subject}`);
+        res.json({ success: true, ...issued });
+    } catch (error) {
+        const known = TOKEN_ERRORS[error.message];
+        if (!known) {
+            console.error('❌ [ADMIN] Token error:', error);
+            return res.status(500).json({ success: false, error: 'INTERNAL_ERROR', message: error.message });
+        }
+        res.status(known[0]).json({ success: false, error: error.message, message: known[1] });
+    }
+});
+
+/**
+ * GET /admin/audit-log?limit=50&actor=&action=
+ * Recent admin actions, newest first
+ */
+app.get('/admin/audit-log', protect('admin', 'audit.read'), (req, res) => {
+    try {
+        const entries = auditLog.list({
+            limit: parseInt(req.query.limit) || 50,
+            actor: req.query.actor,
+            action: req.query.action
+        });
+
+        res.json({
+            success: true,
+            entries: entries,
+            count: entries.length,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 // ================== AUTO FILE WATCHER ==================
 
 // Watch scraped_products.json for changes and auto-reload
@@ -745,8 +1419,10 @@ if (fs.existsSync(scrapedProductsPath)) {
 
             // Add a small delay to ensure file write is complete
             setTimeout(() => {
-                const result = reloadProductData();
-                if (result.success) {
+                const result = reloadProductData({ trigger: 'file_watcher' });
+                if (result.skipped) {
+                    console.log(`ℹ️  [AUTO-RELOAD] ${result.message}`);
+                } else if (result.success) {
                     console.log('✅ [AUTO-RELOAD] Product data reloaded successfully');
                 } else {
                     console.error('❌ [AUTO-RELOAD] Failed to reload:', result.message);
@@ -758,6 +1434,19 @@ if (fs.existsSync(scrapedProductsPath)) {
     console.log('ℹ️  scraped_products.json not found - file watcher not started');
 }
 
+// Flush persisted sessions before the process exits (deploys, pm2 restarts)
+['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.on(signal, async () => {
+        console.log(`\n🛑 ${signal} received, closing session store...`);
+        try {
+            await sessionStore.close();
+        } catch (error) {
+            console.error('Session store close error:', error.message);
+        }
+        process.exit(0);
+    });
+});
+
 app.listen(PORT, async () => {
     console.log(`🚀 Printo CS Assistant running on http://localhost:${PORT}`);
     console.log(`📝 Make sure to set OPENAI_API_KEY in your .env file`);
@@ -0,0 +1,261 @@
+/**
+ * Session Context Extractor
+ * Pulls product interest, requirements, question topics and language out of each customer message
+ * and accumulates them in session.metadata, which buildPrompt renders as [SESSION CONTEXT]
+ * (language as [RESPONSE LANGUAGE])
+ *
+ * Later messages overwrite earlier values (e.g. "make it 1000 instead"),
+ * values that are not mentioned again are kept.
+ */
+
+const { resolveProduct } = require('./taxonomy/product-taxonomy');
+const { detectLanguage } = require('./language/detect-language');
+const { toEnglishTerms } = require('./language/synonyms');
+
+// Extract product type from user message (canonical taxonomy ID)
+function extractProduct(message) {
+    const product = resolveProduct(message);
+    return product ? product.id : 'general-inquiry';
+}
+
+// Extract pincode from user message
+function extractPincode(message) {
+    const pincodeMatch = message.match(/\b[1-9]\d{5}\b/);
+    return pincodeMatch ? pincodeMatch[0] : 'N/A';
+}
+
+// Units customers put after a quantity ("500 cards", "100 pcs") - singular too ("500 visiting card chahiye")
+const QUANTITY_UNITS = 'pcs|pieces?|nos|no\\.|qty|quantity|units?|cop(?:y|ies)|cards?|sheets?|prints?|shirts?|t-shirts?|tshirts?|mugs?|stickers?|labels?|flyers?|brochures?|banners?|stamps?|notebooks?|diar(?:y|ies)|calendars?|box(?:es)?|bags?|caps?|pages?|sets?|packs?';
+
+// Units after a number that make it a measurement, not a count
+const MEASUREMENT_UNITS = '(?:gsm|mm|cm|inch(?:es)?|ft|feet)\\b';
+
+// Units after a number that make it a duration or a count, not money ("within 3 days", "max 500 cards")
+const NON_MONEY_UNITS = `(?:minutes?|mins?|hours?|hrs?|days?|weeks?|months?|${QUANTITY_UNITS})\\b`;
+
+const PAPER_FINISHES = [
+    'matte', 'matt', 'glossy', 'gloss', 'velvet', 'textured', 'linen', 'kraft',
+    'art paper', 'art card', 'bond paper', 'uncoated', 'non-tearable', 'non tearable',
+    'laminated', 'lamination', 'spot uv', 'foil', 'embossed', 'metallic', 'transparent', 'vinyl'
+];
+
+// Question topics - recorded so the bot doesn't answer the same thing twice
+const QUESTION_TOPICS = {
+    'pricing': ['price', 'cost', 'rate', 'how much', 'charges', 'kitna'],
+    'delivery time': ['deliver', 'delivery', 'when will', 'how long', 'dispatch', 'shipping'],
+    'minimum order': ['minimum', 'moq', 'min order', 'min qty'],
+    'design help': ['design', 'artwork', 'template', 'logo'],
+    'payment': ['payment', 'pay', 'upi', 'cod', 'cash on delivery'],
+    'bulk discount': ['discount', 'offer', 'bulk', 'wholesale'],
+    'store location': ['store', 'shop', 'outlet', 'near me', 'address'],
+    'order status': ['order status', 'my order', 'track', 'where is my'],
+    'samples': ['sample', 'proof', 'preview']
+};
+
+/**
+ * Extract quantity ("500 cards", "qty 200", "quantity: 50")
+ * An explicit qty/quantity/nos wins over a number before some other unit ("350 gsm matte card, 200 qty" → 200)
+ * @param {string} lowerMessage
+ * @returns {string|null}
+ */
+function extractQuantity(lowerMessage) {
+    const explicit = lowerMessage.match(/\b(\d[\d,]*)\s*(?:qty|quantity|nos)\b/)
+        || lowerMessage.match(/\b(?:qty|quantity|quantities|nos)\s*[:\-=]?\s*(\d[\d,]*)\b/);
+    if (explicit) {
+        return explicit[1].replace(/,/g, '');
+    }
+
+    // Allow up to two words between number and unit ("500 visiting cards") - but not a measurement ("350 gsm card")
+    const afterNumber = lowerMessage.match(new RegExp(`\\b(\\d[\\d,]*)(?![\\d,])(?!\\s*${MEASUREMENT_UNITS})\\s*(?:[a-z-]+\\s+){0,2}(${QUANTITY_UNITS})\\b`));
+    if (afterNumber) {
+        return afterNumber[1].replace(/,/g, '');
+    }
+
+    return null;
+}
+
+/**
+ * Extract size ("A4", "3x6 ft", "size XL")
+ * @param {string} lowerMessage
+ * @returns {string|null}
+ */
+function extractSize(lowerMessage) {
+    const paperSize = lowerMessage.match(/\b(a[0-7]|dl|letter size|legal size)\b/);
+    if (paperSize) {
+        return paperSize[1].toUpperCase();
+    }
+
+    const dimensions = lowerMessage.match(/\b(\d+(?:\.\d+)?\s*[x×*]\s*\d+(?:\.\d+)?)\s*(ft|feet|inch|inches|in|cm|mm)?\b/);
+    if (dimensions) {
+        const value = dimensions[1].replace(/\s+/g, '').replace(/[×*]/, 'x');
+        return dimensions[2] ? `${value} ${dimensions[2]}` : value;
+    }
+
+    const apparelSize = lowerMessage.match(/\bsize\s*[:\-]?\s*(xxs|xs|s|m|l|xl|xxl|xxxl|2xl|3xl)\b/);
+    if (apparelSize) {
+        return apparelSize[1].toUpperCase();
+    }
+
+    return null;
+}
+
+/**
+ * Extract paper/finish ("matte", "350 gsm", "glossy lamination")
+ * @param {string} lowerMessage
+ * @returns {string|null}
+ */
+function extractPaperFinish(lowerMessage) {
+    const found = [];
+
+    const gsm = lowerMessage.match(/\b(\d{2,3})\s*gsm\b/);
+    if (gsm) {
+        found.push(`${gsm[1]} GSM`);
+    }
+
+    PAPER_FINISHES.forEach(finish => {
+        if (new RegExp(`\\b${finish}\\b`).test(lowerMessage)) {
+            found.push(finish);
+        }
+    });
+
+    return found.length > 0 ? found.join(', ') : null;
+}
+
+/**
+ * Extract deadline ("today", "by friday", "in 3 days", "25th dec")
+ * @param {string} lowerMessage
+ * @returns {string|null}
+ */
+function extractDeadline(lowerMessage) {
+    const patterns = [
+        /\b(today|tonight|tomorrow|day after tomorrow|asap|urgent(?:ly)?|this week|next week)\b/,
+        /\b(?:by|before|on|till|until)\s+((?:next\s+)?(?:monday|tuesday|wednesday|thursday|friday|saturday|sunday))\b/,
+        /\b(?:in|within)\s+(\d+\s*(?:hours?|hrs?|days?|weeks?))\b/,
+        /\b(?:by|before|on|till|until)\s+(\d{1,2}(?:st|nd|rd|th)?\s*(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*)\b/,
+        /\b(?:by|before|on|till|until)\s+(\d{1,2}[\/\-]\d{1,2}(?:[\/\-]\d{2,4})?)\b/
+    ];
+
+    for (const pattern of patterns) {
+        const match = lowerMessage.match(pattern);
+        if (match) {
+            return match[1];
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Extract budget ("budget 5000", "under ₹2k", "within rs 500", "max 800 rupees")
+ * "under"/"within"/"max" only count with a currency marker or k - "within 3 days" is a deadline
+ * @param {string} lowerMessage
+ * @returns {string|null}
+ */
+function extractBudget(lowerMessage) {
+    const amount = '(\\d[\\d,]*(?:\\.\\d+)?)(?![\\d,])';
+    const currency = '(?:rs\\.?|inr|₹)';
+    const patterns = [
+        new RegExp(`\\bbudget(?:\\s+is)?\\s*(?:of\\s*)?(?:around\\s*|about\\s*)?${currency}?\\s*${amount}\\s*(k)?(?!\\s*${NON_MONEY_UNITS})`),
+        new RegExp(`\\b(?:under|within|below|less than|max(?:imum)?|upto|up to)\\s*(?:of\\s*)?${currency}\\s*${amount}\\s*(k)?\\b`),
+        new RegExp(`\\b(?:under|within|below|less than|max(?:imum)?|upto|up to)\\s*${amount}\\s*(?:(k)\\b|(?:rs|rupees|inr)\\b|₹)`)
+    ];
+
+    for (const pattern of patterns) {
+        const match = lowerMessage.match(pattern);
+        if (match) {
+            let value = parseFloat(match[1].replace(/,/g, ''));
+            if (match[2]) value *= 1000;
+            return `₹${value}`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Detect which topics the customer is asking about
+ * @param {string} lowerMessage
+ * @returns {Array<string>}
+ */
+function extractQuestionTopics(lowerMessage) {
+    return Object.entries(QUESTION_TOPICS)
+        .filter(([, triggers]) => triggers.some(trigger => new RegExp(`\\b${trigger}\\b`).test(lowerMessage)))
+        .map(([topic]) => topic);
+}
+
+/**
+ * Extract everything we can from one customer message
+ * @param {string} message - Customer message
+ * @returns {object} { productInterest, requirements, questionTopics, language }
+ */
+function extractSessionDetails(message) {
+    // Regional product words in English ("500 ಕಾರ್ಡ್" → "500 card") - already lowercased
+    const lowerMessage = toEnglishTerms(message);
+    const requirements = {};
+
+    const product = extractProduct(lowerMessage);
+    const pincode = extractPincode(lowerMessage);
+
+    const fields = {
+        quantity: extractQuantity(lowerMessage),
+        size: extractSize(lowerMessage),
+        'paper/finish': extractPaperFinish(lowerMessage),
+        deadline: extractDeadline(lowerMessage),
+        pincode: null,
+        budget: extractBudget(lowerMessage)
+    };
+
+    // A 6-digit quantity ("100000 pcs") is not a pincode
+    if (pincode !== 'N/A' && pincode !== fields.quantity) {
+        fields.pincode = pincode;
+    }
+
+    Object.entries(fields).forEach(([key, value]) => {
+        if (value) requirements[key] = value;
+    });
+
+    return {
+        productInterest: product !== 'general-inquiry' ? product : null,
+        requirements,
+        questionTopics: extractQuestionTopics(lowerMessage),
+        language: detectLanguage(message)
+    };
+}
+
+/**
+ * Merge details from a new customer message into session metadata (mutates metadata)
+ * @param {object} metadata - session.metadata
+ * @param {string} message - Customer message
+ * @returns {object} The extracted details for this message
+ */
+function updateSessionContext(metadata, message) {
+    const details = extractSessionDetails(message);
+
+    if (details.productInterest) {
+        metadata.productInterest = details.productInterest;
+    }
+
+    metadata.requirements = { ...(metadata.requirements || {}), ...details.requirements };
+
+    const questionsAsked = metadata.questionsAsked || [];
+    details.questionTopics.forEach(topic => {
+        if (!questionsAsked.includes(topic)) {
+            questionsAsked.push(topic);
+        }
+    });
+    metadata.questionsAsked = questionsAsked;
+
+    // "ok" / "500" can't be told apart - keep the language the customer has been using
+    if (details.language.matchedBy !== 'none' || !metadata.language) {
+        metadata.language = details.language.code;
+    }
+
+    return details;
+}
+
+module.exports = {
+    extractProduct,
+    extractPincode,
+    extractSessionDetails,
+    updateSessionContext
+};
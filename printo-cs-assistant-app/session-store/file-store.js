@@ -0,0 +1,114 @@
+/**
+ * File-Backed Session Store
+ * Same behaviour as the memory store, but snapshots every change to a JSON file
+ * so WhatsApp conversations survive deploys and crashes
+ */
+
+const fs = require('fs');
+const path = require('path');
+const MemorySessionStore = require('./memory-store');
+
+class FileSessionStore extends MemorySessionStore {
+    /**
+     * @param {object} options
+     * @param {string} options.filePath - Where the session snapshot is stored
+     * @param {number} options.ttlMs - Idle time after which a session expires
+     * @param {number} options.flushDelayMs - Debounce window for disk writes
+     */
+    constructor(options = {}) {
+        super(options);
+        this.filePath = options.filePath || path.join(__dirname, '..', 'data', 'sessions.json');
+        this.flushDelayMs = options.flushDelayMs || 1000;
+        this.flushTimer = null;
+
+        this._load();
+    }
+
+    async set(sessionId, session) {
+        await super.set(sessionId, session);
+        this._scheduleFlush();
+    }
+
+    async delete(sessionId) {
+        const existed = await super.delete(sessionId);
+        this._scheduleFlush();
+        return existed;
+    }
+
+    purgeExpired() {
+        const removed = super.purgeExpired();
+        if (removed > 0) {
+            this._scheduleFlush();
+        }
+        return removed;
+    }
+
+    /**
+     * Write pending changes and stop background timers
+     */
+    async close() {
+        await super.close();
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+        this.flush();
+    }
+
+    /**
+     * Write the current sessions to disk (atomic rename)
+     */
+    flush() {
+        try {
+            const snapshot = {};
+            for (const [sessionId, entry] of this.sessions.entries()) {
+                snapshot[sessionId] = entry;
+            }
+
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            const tempPath = `${this.filePath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify(snapshot), 'utf8');
+            fs.renameSync(tempPath, this.filePath);
+        } catch (error) {
+            console.error('❌ [SESSION STORE] Failed to write sessions file:', error.message);
+        }
+    }
+
+    /**
+     * Load sessions from disk, dropping any that expired while we were down
+     * @private
+     */
+    _load() {
+        if (!fs.existsSync(this.filePath)) return;
+
+        try {
+            const snapshot = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            const now = Date.now();
+
+            for (const [sessionId, entry] of Object.entries(snapshot)) {
+                if (entry && entry.session && entry.expiresAt > now) {
+                    this.sessions.set(sessionId, entry);
+                }
+            }
+
+            console.log(`✅ [SESSION STORE] Restored ${this.sessions.size} sessions from ${this.filePath}`);
+        } catch (error) {
+            console.error('❌ [SESSION STORE] Could not read sessions file, starting empty:', error.message);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _scheduleFlush() {
+        if (this.flushTimer) return;
+
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flush();
+        }, this.flushDelayMs);
+        this.flushTimer.unref();
+    }
+}
+
+module.exports = FileSessionStore;
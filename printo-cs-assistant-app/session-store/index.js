@@ -0,0 +1,78 @@
+/**
+ * Pluggable Session Store
+ *
+ * Every web and BotSpace conversation is kept here instead of a bare Map in server.js.
+ * Backend is picked with SESSION_STORE:
+ * - memory (default) - in-process, lost on restart
+ * - file             - JSON snapshot on disk (SESSION_STORE_PATH)
+ * - redis            - any Redis-compatible server (REDIS_URL)
+ *
+ * All backends expose the same async interface:
+ *   get(id), set(id, session), delete(id), list(), findByUserId(userId), close()
+ */
+
+const path = require('path');
+const MemorySessionStore = require('./memory-store');
+const FileSessionStore = require('./file-store');
+
+const DEFAULT_TTL_HOURS = 24;
+
+/**
+ * Create the session store configured via environment variables
+ * @param {object} overrides - Optional overrides for type/ttlMs/filePath/url
+ * @returns {MemorySessionStore|FileSessionStore|RedisSessionStore}
+ */
+function createSessionStore(overrides = {}) {
+    const type = (overrides.type || process.env.SESSION_STORE || 'memory').toLowerCase();
+    const ttlHours = parseFloat(process.env.SESSION_TTL_HOURS) || DEFAULT_TTL_HOURS;
+    const ttlMs = overrides.ttlMs || ttlHours * 60 * 60 * 1000;
+
+    switch (type) {
+        case 'file':
+            console.log('💾 Session store: file');
+            return new FileSessionStore({
+                ttlMs,
+                filePath: overrides.filePath || process.env.SESSION_STORE_PATH || path.join(__dirname, '..', 'data', 'sessions.json')
+            });
+
+        case 'redis': {
+            console.log('💾 Session store: redis');
+            const RedisSessionStore = require('./redis-store');
+            return new RedisSessionStore({
+                ttlMs,
+                url: overrides.url || process.env.REDIS_URL
+            });
+        }
+
+        case 'memory':
+            console.log('💾 Session store: memory');
+            return new MemorySessionStore({ ttlMs });
+
+        default:
+            console.warn(`⚠️  Unknown SESSION_STORE "${type}", falling back to memory`);
+            return new MemorySessionStore({ ttlMs });
+    }
+}
+
+/**
+ * Build a fresh session object
+ * @param {string} userId - Owner of the session
+ * @param {object} extraMetadata - Additional metadata (customerName, customerPhone, ...)
+ * @returns {object} Session ({ userId, messages, metadata })
+ */
+function createSession(userId, extraMetadata = {}) {
+    return {
+        userId: userId,
+        messages: [],
+        metadata: {
+            productInterest: null,
+            questionsAsked: [],
+            requirements: {},
+            startTime: Date.now(),
+            lastActivity: Date.now(),
+            ...extraMetadata
+        }
+    };
+}
+
+module.exports = { createSessionStore, createSession };
@@ -0,0 +1,110 @@
+/**
+ * In-Memory Session Store
+ * Keeps sessions in a Map with per-entry TTL expiry (lost on restart)
+ */
+
+class MemorySessionStore {
+    /**
+     * @param {object} options
+     * @param {number} options.ttlMs - Idle time after which a session expires
+     * @param {number} options.sweepIntervalMs - How often expired sessions are purged
+     */
+    constructor(options = {}) {
+        this.ttlMs = options.ttlMs || 24 * 60 * 60 * 1000;
+        this.sessions = new Map(); // Map<sessionId, { session, expiresAt }>
+
+        // Periodically purge expired entries so idle sessions don't pile up
+        const sweepIntervalMs = options.sweepIntervalMs || 10 * 60 * 1000;
+        this.sweepTimer = setInterval(() => this.purgeExpired(), sweepIntervalMs);
+        this.sweepTimer.unref();
+    }
+
+    /**
+     * Get a session by ID
+     * @param {string} sessionId - Session ID
+     * @returns {Promise<object|null>} Session or null if missing/expired
+     */
+    async get(sessionId) {
+        const entry = this.sessions.get(sessionId);
+        if (!entry) return null;
+
+        if (entry.expiresAt <= Date.now()) {
+            this.sessions.delete(sessionId);
+            return null;
+        }
+
+        return entry.session;
+    }
+
+    /**
+     * Save a session and refresh its TTL
+     * @param {string} sessionId - Session ID
+     * @param {object} session - Session data ({ userId, messages, metadata })
+     */
+    async set(sessionId, session) {
+        this.sessions.set(sessionId, {
+            session,
+            expiresAt: Date.now() + this.ttlMs
+        });
+    }
+
+    /**
+     * Delete a session
+     * @param {string} sessionId - Session ID
+     * @returns {Promise<boolean>} true if a session was removed
+     */
+    async delete(sessionId) {
+        const existed = (await this.get(sessionId)) !== null;
+        this.sessions.delete(sessionId);
+        return existed;
+    }
+
+    /**
+     * List all live sessions
+     * @returns {Promise<Array<{sessionId: string, session: object}>>}
+     */
+    async list() {
+        this.purgeExpired();
+        return Array.from(this.sessions.entries()).map(([sessionId, entry]) => ({
+            sessionId,
+            session: entry.session
+        }));
+    }
+
+    /**
+     * List all live sessions belonging to a user
+     * @param {string} userId - User ID
+     * @returns {Promise<Array<{sessionId: string, session: object}>>}
+     */
+    async findByUserId(userId) {
+        const all = await this.list();
+        return all.filter(({ session }) => session.userId === userId);
+    }
+
+    /**
+     * Remove expired sessions
+     * @returns {number} Number of sessions removed
+     */
+    purgeExpired() {
+        const now = Date.now();
+        let removed = 0;
+
+        for (const [sessionId, entry] of this.sessions.entries()) {
+            if (entry.expiresAt <= now) {
+                this.sessions.delete(sessionId);
+                removed++;
+            }
+        }
+
+        return removed;
+    }
+
+    /**
+     * Stop background timers
+     */
+    async close() {
+        clearInterval(this.sweepTimer);
+    }
+}
+
+module.exports = MemorySessionStore;
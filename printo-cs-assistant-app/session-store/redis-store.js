@@ -0,0 +1,89 @@
+/**
+ * Redis Session Store
+ * Works with any Redis-protocol server (Redis, Valkey, KeyDB, ElastiCache)
+ * Expiry is delegated to Redis key TTLs
+ */
+
+class RedisSessionStore {
+    /**
+     * @param {object} options
+     * @param {string} options.url - Redis connection URL (redis://...)
+     * @param {number} options.ttlMs - Idle time after which a session expires
+     * @param {string} options.keyPrefix - Namespace for session keys
+     */
+    constructor(options = {}) {
+        // Loaded lazily so the memory/file backends don't need the Redis client installed
+        const Redis = require('ioredis');
+
+        this.ttlSeconds = Math.ceil((options.ttlMs || 24 * 60 * 60 * 1000) / 1000);
+        this.keyPrefix = options.keyPrefix || 'printo:session:';
+        this.client = new Redis(options.url || 'redis://127.0.0.1:6379');
+
+        this.client.on('error', error => {
+            console.error('❌ [SESSION STORE] Redis error:', error.message);
+        });
+    }
+
+    async get(sessionId) {
+        const raw = await this.client.get(this._key(sessionId));
+        return raw ? JSON.parse(raw) : null;
+    }
+
+    async set(sessionId, session) {
+        await this.client.set(this._key(sessionId), JSON.stringify(session), 'EX', this.ttlSeconds);
+    }
+
+    async delete(sessionId) {
+        const removed = await this.client.del(this._key(sessionId));
+        return removed > 0;
+    }
+
+    async list() {
+        const results = [];
+        let cursor = '0';
+
+        do {
+            const [nextCursor, keys] = await this.client.scan(cursor, 'MATCH', `${this.keyPrefix}*`, 'COUNT', 200);
+            cursor = nextCursor;
+
+            if (keys.length > 0) {
+                const values = await this.client.mget(keys);
+                keys.forEach((key, i) => {
+                    if (values[i]) {
+                        results.push({
+                            sessionId: key.substring(this.keyPrefix.length),
+                            session: JSON.parse(values[i])
+                        });
+                    }
+                });
+            }
+        } while (cursor !== '0');
+
+        return results;
+    }
+
+    async findByUserId(userId) {
+        const all = await this.list();
+        return all.filter(({ session }) => session.userId === userId);
+    }
+
+    /**
+     * Redis expires keys itself - nothing to purge
+     */
+    purgeExpired() {
+        return 0;
+    }
+
+    async close() {
+        await this.client.quit();
+    }
+
+    /**
+     * @private
+     */
+    _key(sessionId) {
+        return `${this.keyPrefix}${sessionId}`;
+    }
+}
+
+module.exports = RedisSessionStore;
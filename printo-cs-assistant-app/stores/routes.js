@@ -0,0 +1,78 @@
+/**
+ * Store Locator Endpoints
+ * Printo stores and the nearest ones to an area, pincode or coordinates (public)
+ */
+
+const express = require('express');
+const { listStores, isDirectoryComplete, getStore, findNearestStores } = require('./store-locator');
+
+// Store error codes → HTTP status + message
+const STORE_ERRORS = {
+    LOCATION_REQUIRED: [400, 'Give q (area, city or pincode), pincode, or lat and lng'],
+    INVALID_COORDINATES: [400, 'lat and lng must be valid coordinates'],
+    LOCATION_NOT_FOUND: [404, 'No known area, city or pincode matches that location'],
+    STORE_NOT_FOUND: [404, 'Store not found'],
+    STORE_DIRECTORY_UNAVAILABLE: [503, 'The store directory is not available right now']
+};
+
+/**
+ * Send a store error as JSON
+ * @private
+ */
+function sendStoreError(res, error) {
+    const [status, message] = STORE_ERRORS[error.message] || [500, error.message];
+    res.status(status).json({ success: false, error: error.message, message });
+}
+
+/**
+ * Build the store locator router (mounted at /api)
+ * @returns {express.Router}
+ */
+function createStoreRouter() {
+    const router = express.Router();
+
+    /**
+     * GET /api/stores?city=Bangalore&service=same-day-printing
+     * complete: false when the directory lists only some stores
+     */
+    router.get('/stores', (req, res) => {
+        const stores = listStores({ city: req.query.city, service: req.query.service });
+        res.json({ success: true, stores: stores, count: stores.length, complete: isDirectoryComplete(), timestamp: new Date().toISOString() });
+    });
+
+    /**
+     * GET /api/stores/nearest?q=Koramangala | ?pincode=560102 | ?lat=12.93&lng=77.62
+     * Optional: service=same-day-printing, limit=3
+     */
+    router.get('/stores/nearest', (req, res) => {
+        try {
+            const result = findNearestStores({
+                query: req.query.q || req.query.area,
+                pincode: req.query.pincode,
+                lat: req.query.lat,
+                lng: req.query.lng,
+                service: req.query.service,
+                limit: req.query.limit
+            });
+            res.json({ success: true, ...result, timestamp: new Date().toISOString() });
+        } catch (error) {
+            sendStoreError(res, error);
+        }
+    });
+
+    /**
+     * GET /api/stores/:id
+     */
+    router.get('/stores/:id', (req, res) => {
+        const store = getStore(req.params.id);
+        if (!store) {
+            return sendStoreError(res, new Error('STORE_NOT_FOUND'));
+        }
+
+        res.json({ success: true, store: store });
+    });
+
+    return router;
+}
+
+module.exports = { createStoreRouter };
@@ -0,0 +1,290 @@
+/**
+ * Store Locator
+ *
+ * Printo stores from a local directory (stores/store-directory.json, or STORE_DIRECTORY_PATH):
+ *
+ * - stores   address, pincode, coordinates, hours and services (e.g. same-day-printing) per store
+ * - areas    neighbourhoods customers name ("Koramangala", "HSR") with a pincode and coordinates
+ * - cities   city centres and their pincode prefixes, for places without an area entry
+ *
+ * A location ("which store is near Koramangala", "560102", a city, or lat/lng) is resolved to
+ * coordinates and stores are ranked by straight-line distance. Only stores within
+ * STORE_MAX_DISTANCE_KM count as nearby - further away we still report the closest one.
+ *
+ * A directory marked "complete": false (the bundled sample) lists only some stores: customers are
+ * pointed to the store locator on printo.in or the support number instead of being told there is no store.
+ */
+
+const path = require('path');
+const { readJSON } = require('../json-file');
+
+const DIRECTORY_PATH = process.env.STORE_DIRECTORY_PATH || path.join(__dirname, 'store-directory.json');
+const MAX_DISTANCE_KM = parseFloat(process.env.STORE_MAX_DISTANCE_KM) || 50;
+
+const DEFAULT_LIMIT = 3;
+const MAX_LIMIT = 10;
+const EARTH_RADIUS_KM = 6371;
+
+const FULL_STORE_LIST = 'the store locator on printo.in or 9513734374';
+
+const PINCODE_PATTERN = /\b[1-9]\d{5}\b/;
+
+// "is there a store near...", "can I walk in", "pickup from your outlet"
+const STORE_INTENT_PATTERN = /\b(stores?|shops?|outlets?|branch(es)?|walk[\s-]?in|visit|pick[\s-]?up|collect|address|located|location|nearest|nearby|near me|offline)\b/i;
+
+const directory = readJSON(DIRECTORY_PATH, null) || {};
+const STORES = (directory.stores || []).filter(store => Number.isFinite(store.lat) && Number.isFinite(store.lng));
+const AREAS = directory.areas || [];
+const CITIES = directory.cities || [];
+const COMPLETE = directory.complete !== false;
+
+if (STORES.length === 0) {
+    console.error(`❌ [STORES] No stores with coordinates in ${DIRECTORY_PATH} - the store locator is unavailable`);
+} else {
+    console.log(`✅ [STORES] Store directory loaded (${STORES.length} stores, ${AREAS.length} areas, ${CITIES.length} cities)`);
+    if (!COMPLETE) {
+        console.warn('⚠️  [STORES] Store directory is marked incomplete - customers are also pointed to printo.in for the full store list');
+    }
+}
+
+/**
+ * Lowercase words only ("T. Nagar" → "t nagar")
+ * @private
+ */
+function normalize(text) {
+    return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Every name a place goes by, longest first - "electronic city" should win over "city"
+ * @private
+ */
+const PLACE_TERMS = [
+    ...AREAS.map(area => ({ place: area, type: 'area' })),
+    ...CITIES.map(city => ({ place: city, type: 'city' }))
+]
+    .flatMap(({ place, type }) => [place.name, ...(place.aliases || [])].map(term => ({ term: normalize(term), place, type })))
+    .filter(entry => entry.term)
+    .sort((a, b) => b.term.length - a.term.length);
+
+/**
+ * Distance between two points in km (haversine)
+ * @private
+ */
+function distanceKm(from, to) {
+    const radians = degrees => degrees * Math.PI / 180;
+    const dLat = radians(to.lat - from.lat);
+    const dLng = radians(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(radians(from.lat)) * Math.cos(radians(to.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * @private
+ */
+function toLocation(place, type, matchedBy) {
+    return {
+        name: place.name,
+        city: type === 'city' ? place.name : place.city,
+        pincode: place.pincode || null,
+        lat: place.lat,
+        lng: place.lng,
+        matchedBy: matchedBy
+    };
+}
+
+/**
+ * Coordinates for a pincode - area or store with that pincode, else the city owning its prefix
+ * @private
+ */
+function resolvePincode(pincode) {
+    const area = AREAS.find(entry => entry.pincode === pincode);
+    if (area) return { ...toLocation(area, 'area', 'pincode'), pincode };
+
+    const store = STORES.find(entry => entry.pincode === pincode);
+    if (store) return { ...toLocation({ ...store, name: store.area }, 'area', 'pincode'), pincode };
+
+    const city = CITIES.find(entry => (entry.pincodePrefixes || []).some(prefix => pincode.startsWith(prefix)));
+    if (city) return { ...toLocation(city, 'city', 'pincode-prefix'), pincode };
+
+    return null;
+}
+
+/**
+ * Find the place a customer means - a pincode, an area or a city name in their words
+ * @param {string} text - "which store is near Koramangala?", "560102", "Gurgaon"
+ * @returns {object|null} { name, city, pincode, lat, lng, matchedBy } or null if no known place
+ */
+function resolveLocation(text) {
+    const pincode = String(text || '').replace(/(\d{3})\s(\d{3})/g, '$1$2').match(PINCODE_PATTERN);
+    if (pincode) {
+        const location = resolvePincode(pincode[0]);
+        if (location) return location;
+    }
+
+    const words = ` ${normalize(text)} `;
+    const match = PLACE_TERMS.find(entry => words.includes(` ${entry.term} `));
+    return match ? toLocation(match.place, match.type, match.type) : null;
+}
+
+/**
+ * Does the message ask about visiting / finding a store?
+ * @param {string} message
+ * @returns {boolean}
+ */
+function hasStoreIntent(message) {
+    return STORE_INTENT_PATTERN.test(String(message || ''));
+}
+
+/**
+ * Public fields of a store
+ * @private
+ */
+function describeStore(store) {
+    return {
+        id: store.id,
+        name: store.name,
+        city: store.city,
+        area: store.area,
+        address: store.address,
+        pincode: store.pincode,
+        lat: store.lat,
+        lng: store.lng,
+        hours: store.hours || null,
+        phone: store.phone || null,
+        services: store.services || [],
+        mapsUrl: `https://www.google.com/maps/search/?api=1&query=${store.lat},${store.lng}`
+    };
+}
+
+/**
+ * Stores in the directory
+ * @param {object} filter - { city, service } (optional)
+ * @returns {Array<object>}
+ */
+function listStores(filter = {}) {
+    // "Bengaluru" / "gurgaon" → the directory's city name
+    const known = CITIES.find(entry => [entry.name, ...(entry.aliases || [])].some(name => normalize(name) === normalize(filter.city)));
+    const city = normalize(known ? known.name : filter.city);
+    return STORES
+        .filter(store => !city || normalize(store.city) === city)
+        .filter(store => !filter.service || (store.services || []).includes(filter.service))
+        .map(describeStore);
+}
+
+/**
+ * Does the directory list every store? (false for the bundled sample)
+ * @returns {boolean}
+ */
+function isDirectoryComplete() {
+    return COMPLETE;
+}
+
+/**
+ * @param {string} storeId
+ * @returns {object|null}
+ */
+function getStore(storeId) {
+    const store = STORES.find(entry => entry.id === storeId);
+    return store ? describeStore(store) : null;
+}
+
+/**
+ * Nearest stores to a place
+ * @param {object} options
+ * @param {string} options.query - Area, city or pincode in customer words
+ * @param {string} options.pincode - 6-digit pincode (used when there is no query)
+ * @param {number} options.lat - Coordinates (used when there is no query or pincode)
+ * @param {number} options.lng
+ * @param {string} options.service - Only stores offering this service ("same-day-printing")
+ * @param {number} options.limit - Max stores (default 3)
+ * @returns {object} { location, stores, nearest, maxDistanceKm, complete } - stores are within maxDistanceKm,
+ *   nearest is the closest store at any distance (null only if no store offers the service),
+ *   complete is false when the directory lists only some stores
+ * @throws {Error} STORE_DIRECTORY_UNAVAILABLE | LOCATION_REQUIRED | INVALID_COORDINATES | LOCATION_NOT_FOUND
+ */
+function findNearestStores(options = {}) {
+    if (STORES.length === 0) {
+        throw new Error('STORE_DIRECTORY_UNAVAILABLE');
+    }
+
+    let location = null;
+    const text = options.query || options.pincode;
+    if (text) {
+        location = resolveLocation(String(text));
+    } else if (options.lat !== undefined || options.lng !== undefined) {
+        const lat = parseFloat(options.lat);
+        const lng = parseFloat(options.lng);
+        if (!(Math.abs(lat) <= 90) || !(Math.abs(lng) <= 180)) {
+            throw new Error('INVALID_COORDINATES');
+        }
+        location = { name: null, city: null, pincode: null, lat, lng, matchedBy: 'coordinates' };
+    } else {
+        throw new Error('LOCATION_REQUIRED');
+    }
+
+    if (!location) {
+        throw new Error('LOCATION_NOT_FOUND');
+    }
+
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const ranked = STORES
+        .filter(store => !options.service || (store.services || []).includes(options.service))
+        .map(store => ({ ...describeStore(store), distanceKm: Math.round(distanceKm(location, store) * 10) / 10 }))
+        .sort((a, b) => a.distanceKm - b.distanceKm);
+
+    return {
+        location: location,
+        stores: ranked.filter(store => store.distanceKm <= MAX_DISTANCE_KM).slice(0, limit),
+        nearest: ranked[0] || null,
+        maxDistanceKm: MAX_DISTANCE_KM,
+        complete: COMPLETE
+    };
+}
+
+/**
+ * "Koramangala, Bangalore (560034)"
+ * @private
+ */
+function describeLocation(location) {
+    const name = [location.name, location.city !== location.name && location.city].filter(Boolean).join(', ');
+    return `${name || `${location.lat}, ${location.lng}`}${location.pincode ? ` (${location.pincode})` : ''}`;
+}
+
+/**
+ * [NEAREST PRINTO STORES] body for the prompt
+ * @param {object} result - findNearestStores() result
+ * @returns {string}
+ */
+function formatStoresForPrompt(result) {
+    const lines = [`Customer location: ${describeLocation(result.location)}`];
+
+    if (result.stores.length === 0 && !result.complete) {
+        lines.push(`No store within ${result.maxDistanceKm} km in this list - it does not have every Printo store, so there may still be one nearby. Point the customer to ${FULL_STORE_LIST} for the full store list, and offer delivery.`);
+        return lines.join('\n') + '\n';
+    }
+    if (result.stores.length === 0) {
+        lines.push(`No Printo store within ${result.maxDistanceKm} km.${result.nearest ? ` The closest is ${result.nearest.name}, ${result.nearest.city} (~${Math.round(result.nearest.distanceKm)} km).` : ''} Offer delivery instead.`);
+        return lines.join('\n') + '\n';
+    }
+
+    result.stores.forEach((store, index) => {
+        const services = store.services.map(service => service.replace(/-/g, ' ')).join(', ');
+        lines.push(`${index + 1}. ${store.name} - ${store.distanceKm} km - ${store.address}`);
+        lines.push(`   Hours: ${store.hours || 'ask the team'} | Services: ${services || 'not listed'} | Map: ${store.mapsUrl}`);
+    });
+    if (!result.complete) {
+        lines.push(`This list may be incomplete - for other stores and exact addresses, point the customer to ${FULL_STORE_LIST}.`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    resolveLocation,
+    hasStoreIntent,
+    listStores,
+    isDirectoryComplete,
+    getStore,
+    findNearestStores,
+    formatStoresForPrompt
+};
@@ -1,233 +1,33 @@
 // Printo Customer Support Knowledge Base - Complete System
-let knowledgeBase = [
-    // PRODUCT ENQUIRIES
-    {
-        id: 1,
-        question: "I want to print a box",
-        answer: "Yes, we can print custom boxes! To assist you with your order:\n\n• Please confirm the box size you require\n• Share a reference image of the box design\n• Let us know the quantity needed\n• Share your delivery pin code\n\nContact: +91 951 373 4374 or visit printo.in to place your order.",
-        category: "printing",
-        keywords: ["box", "custom", "packaging", "print", "design"]
-    },
-    {
-        id: 2,
-        question: "Can you print T-shirts?",
-        answer: "Yes, we can print custom T-shirts! To help you place the order:\n\n• Are you looking for round-neck or collar-neck T-shirts?\n• What quantity do you need?\n• Do you have the design ready?\n\nVisit printo.in to see our T-shirt printing options or call +91 951 373 4374.",
-        category: "printing",
-        keywords: ["tshirt", "t-shirt", "clothing", "apparel", "custom", "print"]
-    },
-    {
-        id: 3,
-        question: "I need rubber stamps",
-        answer: "Yes, we can make custom rubber stamps! Please let us know:\n\n• Self-Ink or Pre-Ink rubber stamps?\n• Quantity required\n• Stamp text/design details\n• Delivery pin code\n\nStamps are ready in 2-4 hours. Pricing: ₹150-600 depending on size.\nContact: +91 951 373 4374",
-        category: "stamps",
-        keywords: ["rubber", "stamp", "self-ink", "pre-ink", "custom", "business"]
-    },
-    {
-        id: 4,
-        question: "Wall sticker of family photo",
-        answer: "Yes, we can print custom wall stickers with your family photo!\n\n• Please confirm the sticker size you require\n• Share your high-resolution photo\n• Let us know the quantity\n\nVisit printo.in to upload your photo and place the order.",
-        category: "printing",
-        keywords: ["wall", "sticker", "photo", "family", "custom", "decal"]
-    },
-    {
-        id: 5,
-        question: "Can you print PDF documents?",
-        answer: "Yes, we can print your PDF documents! Please provide:\n\n• Number of pages and copies needed\n• Black & white or color printing preference\n• Delivery to address or store pickup\n\nPricing: ₹3-8 per page. Visit printo.in or call +91 951 373 4374",
-        category: "printing",
-        keywords: ["pdf", "document", "pages", "black", "white", "color", "copies"]
-    },
-    {
-        id: 6,
-        question: "I want letterhead printing and design",
-        answer: "Yes, we can print letterheads and provide design templates!\n\n• Let us know the quantity required\n• We have templates available on our website\n• Visit printo.in to view templates and place your order\n\nContact +91 951 373 4374 for assistance.",
-        category: "printing",
-        keywords: ["letterhead", "design", "business", "template", "corporate"]
-    },
-    {
-        id: 7,
-        question: "Spiral binding with printing",
-        answer: "Yes, we provide document printing with spiral binding!\n\n• How many pages and copies do you need?\n• Black & white or color printing?\n• Upload your PDF at: printo.in/categories/document-printing/customizable-products/spiral-binding\n\nContact +91 951 373 4374 for assistance.",
-        category: "printing",
-        keywords: ["spiral", "binding", "document", "pages", "book", "pdf"]
-    },
-    {
-        id: 8,
-        question: "I want to print ID cards",
-        answer: "Yes, we can print custom ID cards!\n\n• Do you need only ID cards or also lanyards?\n• What quantity do you require?\n• Share your design or use our templates\n\nVisit printo.in or contact +91 951 373 4374 to place your order.",
-        category: "printing",
-        keywords: ["id", "card", "identity", "lanyard", "employee", "custom"]
-    },
-    {
-        id: 9,
-        question: "I want to print notebook/notepad",
-        answer: "Yes, we can print custom notebooks and notepads!\n\n• What binding do you prefer: Glued Notepads or Wiro Notepads?\n• How many do you need?\n• Any specific size requirements?\n\nContact +91 951 373 4374 or visit printo.in",
-        category: "printing",
-        keywords: ["notebook", "notepad", "glued", "wiro", "binding", "custom"]
-    },
-    {
-        id: 10,
-        question: "Stand up pouch printing",
-        answer: "Yes, we can print stand up pouches!\n\n• Do you need Flexible Pouches or Kraft Pouches?\n• What quantity are you looking for?\n• Share your design requirements\n\nContact +91 951 373 4374 or visit printo.in for more details.",
-        category: "printing",
-        keywords: ["pouch", "flexible", "kraft", "packaging", "custom", "food"]
-    },
-    {
-        id: 11,
-        question: "Photo printing services",
-        answer: "Yes, we can print photos in various sizes!\n\n• What photo size do you need?\n• How many copies?\n• Glossy or matte finish?\n\nVisit any Printo store or order online at printo.in\nContact: +91 951 373 4374",
-        category: "printing",
-        keywords: ["photo", "size", "copies", "glossy", "matte", "pictures"]
-    },
-    {
-        id: 12,
-        question: "Photo frame printing",
-        answer: "Yes, we can print photos with frames!\n\n• What photo frame size do you need?\n• Share your photo for printing\n• Choose frame style from our options\n\nVisit printo.in or contact +91 951 373 4374",
-        category: "printing",
-        keywords: ["photo", "frame", "size", "custom", "pictures", "wall"]
-    },
-    {
-        id: 13,
-        question: "Business card printing",
-        answer: "Yes, we can print business cards!\n\n• Are you looking for standard or premium business cards?\n• What quantity do you need?\n• Do you have a design ready?\n\nVisit printo.in for templates or contact +91 951 373 4374",
-        category: "printing",
-        keywords: ["business", "card", "standard", "premium", "corporate", "networking"]
-    },
-    {
-        id: 14,
-        question: "I want 24 copies of print for a report that I have in PDF form. I want it today by 3 PM",
-        answer: "We can print your 24 copies today by 3 PM!\n\n• Bring your PDF file to any Printo store\n• Black & white: ₹3 per page, Color: ₹8 per page\n• Express service: Additional ₹20 for 1-hour delivery\n• Spiral binding available: ₹25 per copy\n\nContact nearest store: +91 951 373 4374",
-        category: "printing",
-        keywords: ["copies", "report", "pdf", "today", "urgent", "express"]
-    },
-    {
-        id: 15,
-        question: "Company logo printing on backpacks",
-        answer: "Yes, we can print company logos on backpacks!\n\n• Screen printing or heat transfer options available\n• Minimum order: 10 pieces\n• Price: ₹150-500 per piece depending on design complexity\n• Processing time: 3-5 working days\n\nContact +91 951 373 4374 with your logo design.",
-        category: "printing",
-        keywords: ["logo", "backpack", "company", "screen", "print", "custom", "branding"]
-    },
+// Entries are served by the knowledge base API (/api/knowledge-base, see knowledge-base/knowledge-base.js)
+let knowledgeBase = [];
 
-    // ORDER STATUS & TRACKING
-    {
-        id: 16,
-        question: "I want to know my order status",
-        answer: "I'll help you check your order status. Please provide:\n\n• Order source: website, app, or store?\n• Confirm you used the same phone number\n• Your order number if available\n\nWe'll check and update you on your order status.\nContact: +91 951 373 4374",
-        category: "orders",
-        keywords: ["order", "status", "tracking", "check", "update"]
-    },
-    {
-        id: 17,
-        question: "Check refund status",
-        answer: "I'll assist you with your refund query. Please share:\n\n• Order source: website, app, or store?\n• Confirm same phone number was used\n• Refunds typically take 5-7 working days\n\nWe'll check and update you accordingly.\nContact: +91 951 373 4374",
-        category: "orders",
-        keywords: ["refund", "status", "money", "payment", "return"]
-    },
-    {
-        id: 18,
-        question: "I want to reorder the same product",
-        answer: "I'll help you place a repeat order!\n\n• Which source was the original order: website, app, or store?\n• Confirm you used the same phone number\n• Any changes to specifications or design?\n\nContact: +91 951 373 4374 for quick reordering.",
-        category: "orders",
-        keywords: ["reorder", "same", "repeat", "duplicate", "again"]
-    },
-
-    // STORE INFORMATION
-    {
-        id: 19,
-        question: "Store locations and information",
-        answer: "We have 29 stores across 6 cities:\n\n📍 Bangalore (15 stores), Chennai (5), Hyderabad (4), Gurugram (3), New Delhi (1), Pune (1)\n📍 Use our store locator at printo.in for exact addresses\n📞 Contact: +91 951 373 4374\n⏰ Hours: Mon-Sat, 10:00 AM - 7:00 PM\n\nPlease share your pin code to find the nearest store.",
-        category: "stores",
-        keywords: ["store", "location", "address", "bangalore", "chennai", "hyderabad", "delhi", "gurugram", "pune"]
-    },
-
-    // ORDER ISSUES & CANCELLATION
-    {
-        id: 20,
-        question: "How to cancel my order",
-        answer: "We can help you cancel your order. Please provide:\n\n• Reason for cancellation (helps us improve)\n• Confirm you used the same phone number\n• Order details\n\nNote: Cancellation may not be possible if order is in production.\nContact: +91 951 373 4374",
-        category: "orders",
-        keywords: ["cancel", "cancellation", "stop", "order", "refund"]
-    },
-    {
-        id: 21,
-        question: "I have an issue with received product",
-        answer: "We're sorry about the product issue. To resolve this:\n\n• Share order source: website, app, or store?\n• Provide a short video and 2 images of the product\n• We'll escalate and resolve at the earliest\n\nContact: +91 951 373 4374 for immediate assistance.",
-        category: "orders",
-        keywords: ["issue", "problem", "defective", "wrong", "quality", "complaint"]
-    },
-    {
-        id: 22,
-        question: "Delivery delay issues",
-        answer: "We apologize for the delivery delay. Please provide:\n\n• Order source: website, app, or store?\n• Confirm same phone number used\n• We'll check with team for prompt delivery\n\nContact: +91 951 373 4374 for priority assistance.",
-        category: "orders",
-        keywords: ["delay", "late", "delivery", "slow", "when", "timing"]
-    },
-    {
-        id: 23,
-        question: "Express delivery not working as expected",
-        answer: "We apologize for the confusion. Please note:\n\n• App orders: Only store pickup and standard delivery available\n• Express delivery option not available for app orders\n• Confirm which delivery option you selected\n\nContact: +91 951 373 4374 for clarification.",
-        category: "orders",
-        keywords: ["express", "delivery", "fast", "urgent", "app", "option"]
-    },
-    {
-        id: 24,
-        question: "Need to change design file",
-        answer: "I'll help with design file changes. Please note:\n\n• Share order source: website, app, or store?\n• Reason for changing design file\n• Once in production, changes not possible\n\nContact: +91 951 373 4374 immediately for design changes.",
-        category: "orders",
-        keywords: ["change", "design", "file", "modify", "update", "edit"]
-    },
-    {
-        id: 25,
-        question: "Change order specifications (size, material)",
-        answer: "Unfortunately, specifications cannot be changed once order is placed.\n\n• Size and material changes not possible after order confirmation\n• We can assist you in placing a new order\n• Contact us for reorder assistance\n\nContact: +91 951 373 4374",
-        category: "orders",
-        keywords: ["change", "specification", "size", "material", "modify"]
-    },
-    {
-        id: 26,
-        question: "Need to change delivery address",
-        answer: "Address changes are possible before shipping:\n\n• Share order source: website, app, or store?\n• Confirm same phone number used\n• Changes possible before shipping label creation\n\nContact: +91 951 373 4374 immediately for address changes.",
-        category: "orders",
-        keywords: ["change", "address", "delivery", "location", "shipping"]
-    },
-    {
-        id: 27,
-        question: "Payment deducted but no order confirmation",
-        answer: "I'll help resolve this payment issue:\n\n• Share order source: website, app, or store?\n• Confirm same phone number used\n• Provide payment screenshot with transaction ID\n• Share cart ID for website orders\n\nContact: +91 951 373 4374 with payment details.",
-        category: "orders",
-        keywords: ["payment", "deducted", "confirmation", "money", "transaction", "cart"]
-    },
-    {
-        id: 28,
-        question: "Why is my order delayed?",
-        answer: "We sincerely apologize for the delay:\n\n• Share order source: website, app, or store?\n• Confirm same phone number used\n• Issue has been escalated for priority processing\n\nContact: +91 951 373 4374 for immediate status update.",
-        category: "orders",
-        keywords: ["delay", "late", "why", "slow", "problem", "issue"]
-    },
-    {
-        id: 29,
-        question: "Need my order today urgently",
-        answer: "We'll try to arrange urgent delivery:\n\n• Share order source: website, app, or store?\n• Confirm same phone number used\n• Checking if today delivery possible\n• Store pickup may be faster option\n\nContact: +91 951 373 4374 for urgent assistance.",
-        category: "orders",
-        keywords: ["today", "urgent", "need", "fast", "immediate", "rush"]
-    },
+let currentFilter = 'all';
 
-    // ADDITIONAL COMMON QUERIES
-    {
-        id: 30,
-        question: "Bulk printing discounts",
-        answer: "Yes, we offer bulk printing discounts!\n\n• 50+ photos: 10% discount\n• 100+ items: Special pricing available\n• Volume discounts on business cards, documents\n\nContact: +91 951 373 4374 for bulk order pricing.",
-        category: "pricing",
-        keywords: ["bulk", "discount", "volume", "wholesale", "quantity", "cheap"]
-    }
-];
+// Display names for categories (others are shown capitalised)
+const CATEGORY_LABELS = {
+    printing: 'Photo Printing',
+    stores: 'Store Locations',
+    pricing: 'Pricing',
+    delivery: 'Delivery',
+    technical: 'Technical'
+};
 
-let currentFilter = 'all';
 let searchCount = parseInt(localStorage.getItem('searchCount') || '0');
 
 // Initialize the app
 function init() {
-    displayResults(knowledgeBase);
-    updateStats();
+    // Same API key as the agent console
+    const apiKeyInput = document.getElementById('apiKey');
+    apiKeyInput.value = localStorage.getItem('printo_console_key') || '';
+    apiKeyInput.addEventListener('change', function() {
+        localStorage.setItem('printo_console_key', apiKeyInput.value.trim());
+        loadKnowledgeBase();
+        loadCategories();
+    });
+
+    loadKnowledgeBase();
+    loadCategories();
     
     // Add enter key support for search
     document.getElementById('searchInput').addEventListener('keypress', function(e) {
@@ -237,8 +37,90 @@ function init() {
     });
 }
 
-// Enhanced search functionality
-function searchQuestions() {
+// fetch() with the API key attached - throws with the server's message on failure
+async function kbRequest(url, options = {}) {
+    const response = await fetch(url, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(options.headers || {}),
+            'Authorization': `Bearer ${document.getElementById('apiKey').value.trim()}`
+        }
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (response.status === 401 || response.status === 403) {
+        throw new Error('🔒 Enter a valid API key above (viewer to search, operator to add questions)');
+    }
+    if (!response.ok) {
+        throw new Error(data.message || data.error || `Request failed (${response.status})`);
+    }
+    return data;
+}
+
+// Escape text for use in innerHTML
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = String(text ?? '');
+    return div.innerHTML;
+}
+
+function categoryLabel(category) {
+    return CATEGORY_LABELS[category] || category.charAt(0).toUpperCase() + category.slice(1);
+}
+
+// Show an error in place of the results
+function showError(message) {
+    document.getElementById('results').innerHTML = `<div class="no-results"><h3>Could not load the knowledge base</h3><p>${escapeHtml(message)}</p></div>`;
+}
+
+// Build the category filter buttons and the add-form category list from the server's categories
+async function loadCategories() {
+    let categories;
+    try {
+        categories = (await kbRequest('/api/knowledge-base/categories')).categories.map(entry => entry.category);
+    } catch (error) {
+        // The results area already shows why (e.g. missing API key)
+        return;
+    }
+
+    const filters = document.getElementById('categoryFilters');
+    filters.innerHTML = '';
+    ['all', ...categories].forEach(category => {
+        const button = document.createElement('button');
+        button.className = 'filter-btn' + (category === currentFilter ? ' active' : '');
+        button.dataset.category = category;
+        button.textContent = category === 'all' ? 'All Questions' : categoryLabel(category);
+        button.addEventListener('click', () => filterByCategory(category));
+        filters.appendChild(button);
+    });
+
+    const select = document.getElementById('newCategory');
+    const selected = select.value;
+    select.innerHTML = '';
+    (categories.length > 0 ? categories : ['general']).forEach(category => {
+        const option = document.createElement('option');
+        option.value = category;
+        option.textContent = categoryLabel(category);
+        select.appendChild(option);
+    });
+    if (categories.includes(selected)) select.value = selected;
+}
+
+// Load all entries from the server
+async function loadKnowledgeBase() {
+    try {
+        const data = await kbRequest('/api/knowledge-base');
+        knowledgeBase = data.entries;
+        displayResults(knowledgeBase);
+        updateStats();
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+// Enhanced search functionality (ranked by the server)
+async function searchQuestions() {
     const query = document.getElementById('searchInput').value.toLowerCase();
     searchCount++;
     localStorage.setItem('searchCount', searchCount.toString());
@@ -249,27 +131,14 @@ function searchQuestions() {
         return;
     }
 
-    // Enhanced search with scoring
-    const results = knowledgeBase.map(item => {
-        let score = 0;
-        const queryWords = query.split(' ').filter(word => word.length > 2);
-        
-        queryWords.forEach(word => {
-            // Exact question match gets highest score
-            if (item.question.toLowerCase().includes(word)) score += 5;
-            // Answer match gets medium score
-            if (item.answer.toLowerCase().includes(word)) score += 3;
-            // Keyword match gets lower score
-            if (item.keywords.some(k => k.toLowerCase().includes(word))) score += 2;
-            // Category match
-            if (item.category.toLowerCase().includes(word)) score += 1;
-        });
-        
-        return { ...item, score };
-    })
-    .filter(item => item.score > 0)
-    .sort((a, b) => b.score - a.score)
-    .slice(0, 10); // Show top 10 results
+    // Top 10 matches, scored on question, answer, keywords and category
+    let results;
+    try {
+        results = (await kbRequest(`/api/knowledge-base?q=${encodeURIComponent(query)}&limit=10`)).entries;
+    } catch (error) {
+        showError(error.message);
+        return;
+    }
 
     if (results.length === 0) {
         // Fallback with correct contact info
@@ -287,18 +156,19 @@ function searchQuestions() {
 }
 
 // Filter by category
-function filterByCategory(category) {
+async function filterByCategory(category) {
     currentFilter = category;
     
     document.querySelectorAll('.filter-btn').forEach(btn => {
-        btn.classList.remove('active');
+        btn.classList.toggle('active', btn.dataset.category === category);
     });
-    event.target.classList.add('active');
 
-    let filtered = category === 'all' ? knowledgeBase : 
-                  knowledgeBase.filter(item => item.category === category);
-    
-    displayResults(filtered);
+    try {
+        const data = await kbRequest(`/api/knowledge-base?category=${encodeURIComponent(category)}`);
+        displayResults(data.entries);
+    } catch (error) {
+        showError(error.message);
+    }
 }
 
 // Display results
@@ -312,13 +182,14 @@ function displayResults(results, query = '') {
 
     let html = '';
     results.forEach(item => {
-        let highlightedQuestion = item.question;
-        let highlightedAnswer = item.answer;
+        // Entries are user-entered - escape before adding highlight markup
+        let highlightedQuestion = escapeHtml(item.question);
+        let highlightedAnswer = escapeHtml(item.answer);
         
         if (query) {
-            const regex = new RegExp(query, 'gi');
-            highlightedQuestion = item.question.replace(regex, `<mark>$&</mark>`);
-            highlightedAnswer = item.answer.replace(regex, `<mark>$&</mark>`);
+            const regex = new RegExp(escapeHtml(query).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+            highlightedQuestion = highlightedQuestion.replace(regex, `<mark>$&</mark>`);
+            highlightedAnswer = highlightedAnswer.replace(regex, `<mark>$&</mark>`);
         }
 
         // Format the answer with proper line breaks
@@ -329,8 +200,8 @@ function displayResults(results, query = '') {
                 <div class="question">${highlightedQuestion}</div>
                 <div class="answer" style="white-space: pre-line; font-size: 16px; line-height: 1.5;">${formattedAnswer}</div>
                 <div>
-                    <span class="category-tag">${item.category.charAt(0).toUpperCase() + item.category.slice(1)}</span>
-                    <button class="copy-btn" onclick="copyText(${item.id})">📋 Copy Response</button>
+                    <span class="category-tag">${escapeHtml(categoryLabel(item.category))}</span>
+                    <button class="copy-btn" onclick="copyText(${Number(item.id)})">📋 Copy Response</button>
                 </div>
             </div>
         `;
@@ -375,8 +246,8 @@ function copyText(id) {
     document.body.removeChild(textArea);
 }
 
-// Add new question
-function addNewQuestion() {
+// Add new question (saved on the server)
+async function addNewQuestion() {
     const question = document.getElementById('newQuestion').value;
     const answer = document.getElementById('newAnswer').value;
     const category = document.getElementById('newCategory').value;
@@ -387,14 +258,17 @@ function addNewQuestion() {
         return;
     }
 
-    const newId = Math.max(...knowledgeBase.map(q => q.id)) + 1;
-    knowledgeBase.push({
-        id: newId,
-        question: question,
-        answer: answer,
-        category: category,
-        keywords: keywords
-    });
+    try {
+        const data = await kbRequest('/api/knowledge-base', {
+            method: 'POST',
+            body: JSON.stringify({ question, answer, category, keywords })
+        });
+        knowledgeBase.push(data.entry);
+        loadCategories();
+    } catch (error) {
+        alert(`Could not add the question: ${error.message}`);
+        return;
+    }
     
     // Clear form
     document.getElementById('newQuestion').value = '';
@@ -419,7 +293,7 @@ function updateStats() {
     
     const popularCategory = Object.keys(categoryCount).reduce((a, b) => 
         categoryCount[a] > categoryCount[b] ? a : b
-    );
+    , 'none');
     
     document.getElementById('popularCategory').textContent = 
         popularCategory.charAt(0).toUpperCase() + popularCategory.slice(1);
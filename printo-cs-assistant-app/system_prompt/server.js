@@ -1,11 +1,13 @@
+// Load .env before any module reads process.env at require time (data paths, table paths, limits)
+require('dotenv').config();
+
 const express = require('express');
 const cors = require('cors');
+const fs = require('fs');
 const path = require('path');
 const { OpenAI } = require('openai');
-const axios = require('axios');
-const cheerio = require('cheerio');
 const { buildPrompt } = require('./promptBuilder');
-require('dotenv').config();
+const { PriceService, extractPriceKeywords } = require('../price-service');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -18,52 +20,21 @@ const openai = new OpenAI({
 // Store conversation history per customer (in-memory storage)
 const conversations = new Map();
 
-// Function to fetch pricing from printo.in
-async function fetchProductPricing(productQuery) {
+// Catalog for price lookups: products.json next to this file + the main app's scraped products
+function loadJSONFile(filePath, fallback) {
     try {
-        // Search for product on printo.in
-        const searchUrl = `https://printo.in/search?q=${encodeURIComponent(productQuery)}`;
-        const response = await axios.get(searchUrl, {
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-            },
-            timeout: 8000
-        });
-
-        const $ = cheerio.load(response.data);
-        let pricing = [];
-
-        // More comprehensive price selectors
-        const priceSelectors = [
-            '.price', '.product-price', '[class*="price"]',
-            '.amount', '.cost', '.rate', '[data-price]',
-            '.pricing-info', '.price-range', '.product-amount'
-        ];
-
-        priceSelectors.forEach(selector => {
-            $(selector).each((i, el) => {
-                const priceText = $(el).text().trim();
-                const priceMatch = priceText.match(/₹\s*[\d,]+(\.\d{2})?/g);
-                if (priceMatch) {
-                    pricing.push(...priceMatch);
-                }
-            });
-        });
-
-        // Remove duplicates and format
-        const uniquePrices = [...new Set(pricing)].slice(0, 5);
-
-        if (uniquePrices.length > 0) {
-            return `Pricing: ${uniquePrices.join(', ')}`;
-        }
-
-        return 'Pricing available on website - call 9513734374 for exact rates';
-    } catch (error) {
-        console.log('Price fetch error:', error.message);
-        return 'Pricing: Contact 9513734374 for current rates';
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch {
+        return fallback;
     }
 }
 
+const priceCatalog = {
+    manual: loadJSONFile(path.join(__dirname, 'products.json'), {}),
+    scraped: loadJSONFile(path.join(__dirname, '..', 'scraped_products.json'), { products: [] }).products || []
+};
+const priceService = new PriceService(() => priceCatalog);
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -101,12 +72,12 @@ app.post('/api/chat', async (req, res) => {
         }
 
         // Extract product keywords for pricing lookup
-        const productKeywords = question.toLowerCase().match(/\b(tshirt|t-shirt|polo|business card|stamp|photo|banner|brochure|flyer|letterhead|id card|notebook|box|sticker)\b/g);
+        const productKeywords = extractPriceKeywords(question);
         let currentPricing = '';
 
-        if (productKeywords && productKeywords.length > 0) {
+        if (productKeywords.length > 0) {
             try {
-                currentPricing = await fetchProductPricing(productKeywords.join(' '));
+                currentPricing = priceService.getPricingForPrompt(productKeywords);
             } catch (error) {
                 currentPricing = 'Check printo.in for current pricing';
             }
@@ -0,0 +1,667 @@
+/**
+ * Product Taxonomy
+ *
+ * The one place product words are defined. Every consumer resolves customer text through it:
+ * buildPrompt (manual catalog products), product_filter.js, session-context extractProduct
+ * (session productInterest / Sheets "product" column), utm-builder (utm_content) and the price service.
+ *
+ * Each product has:
+ *   id            canonical product ID (stored in sessions and logs)
+ *   name          display name
+ *   catalogKeys   keys this product can have in products.json (current camelCase catalog + legacy export keys)
+ *   terms         words customers use for it
+ *   typos         common misspellings
+ *   aliases       Hindi / Hinglish / regional words (Latin or Devanagari script)
+ *   broadTerms    generic words ("print", "card", "box") - only used when nothing more specific matched
+ *   categories    printo.in category slugs - the first one is the browse link
+ *   utmCategory   utm_content value (defaults to the id with underscores)
+ *   sameDay       eligible for same-day delivery
+ *
+ * Matching is on word boundaries (plural "s"/"es" allowed). When matches overlap the longer one wins,
+ * so "business cards" resolves to business-cards and not also to the generic "card".
+ * Messages first go through the multilingual synonym table (language/synonyms.js), so Kannada, Tamil
+ * and Hindi product words ("ಕಾರ್ಡ್", "कार्ड", "kard") match the English terms.
+ */
+
+const { toEnglishTerms } = require('../language/synonyms');
+
+const PRODUCTS = [
+    // BUSINESS & CORPORATE
+    {
+        id: 'business-cards', name: 'Business Cards', sameDay: true,
+        catalogKeys: ['businessCards', 'businesscards'],
+        terms: ['business card', 'visiting card'],
+        typos: ['bussiness card', 'busines card', 'buisness card', 'visting card', 'visitng card'],
+        aliases: ['visiting kard', 'विजिटिंग कार्ड', 'विज़िटिंग कार्ड'],
+        categories: ['business-cards', 'premiumfinish-business-cards'],
+        utmCategory: 'business_cards'
+    },
+    {
+        id: 'letterheads', name: 'Letterheads',
+        catalogKeys: ['letterheads'],
+        terms: ['letterhead', 'letter head'],
+        typos: ['leterhead', 'letterhed'],
+        categories: ['letterheads']
+    },
+    {
+        id: 'envelopes', name: 'Envelopes',
+        catalogKeys: ['envelopes'],
+        terms: ['envelope'],
+        typos: ['envelop'],
+        categories: ['envelopes', 'shipping-envelopes']
+    },
+    {
+        id: 'rubber-stamps', name: 'Rubber Stamps',
+        catalogKeys: ['stamps', 'rubberstamp'],
+        terms: ['rubber stamp', 'stamp', 'self ink stamp', 'seal'],
+        typos: ['stemp', 'rubber stam'],
+        aliases: ['mohar', 'muhar', 'thappa', 'मुहर', 'मोहर', 'ठप्पा'],
+        categories: ['rubber-stamp']
+    },
+    {
+        id: 'bill-books', name: 'Bill Books',
+        catalogKeys: ['billBooks', 'billbooks'],
+        terms: ['bill book', 'invoice book', 'receipt book'],
+        broadTerms: ['invoice'],
+        categories: ['bill-books']
+    },
+    {
+        id: 'id-cards', name: 'ID Cards',
+        catalogKeys: ['idCards', 'idcards'],
+        terms: ['id card', 'identity card', 'employee id'],
+        categories: ['id-cards', 'id-card-accessories']
+    },
+    {
+        id: 'lanyards', name: 'Lanyards',
+        catalogKeys: ['lanyards'],
+        terms: ['lanyard'],
+        categories: ['lanyards']
+    },
+    {
+        id: 'certificates', name: 'Certificates',
+        catalogKeys: ['certificates'],
+        terms: ['certificate'],
+        typos: ['certficate', 'certifcate'],
+        categories: ['certificates']
+    },
+    {
+        id: 'name-plates', name: 'Name Plates',
+        catalogKeys: ['namePlates', 'nameplates'],
+        terms: ['name plate', 'nameplate', 'door sign'],
+        categories: ['name-plates']
+    },
+
+    // PRINTING & DOCUMENTS
+    {
+        id: 'document-printing', name: 'Document Printing', sameDay: true,
+        catalogKeys: ['documentPrinting', 'documentprinting'],
+        terms: ['document printing', 'document', 'photocopy', 'xerox', 'printout', 'print out'],
+        typos: ['zerox', 'documnet'],
+        aliases: ['प्रिंटआउट', 'फोटोकॉपी'],
+        broadTerms: ['print', 'printing'],
+        categories: ['document-printing']
+    },
+    {
+        id: 'lamination', name: 'Lamination', sameDay: true,
+        catalogKeys: ['lamination', 'documentprinting'],
+        terms: ['lamination', 'laminate'],
+        categories: ['document-printing']
+    },
+    {
+        id: 'binding', name: 'Binding Services', sameDay: true,
+        catalogKeys: ['binding', 'documentprinting'],
+        terms: ['binding', 'book binding', 'spiral binding', 'spiral bind'],
+        categories: ['document-printing'],
+        utmCategory: 'binding'
+    },
+
+    // PHOTOS
+    {
+        id: 'photo-prints', name: 'Photo Prints', sameDay: true,
+        catalogKeys: ['photoPrints', 'photoprints'],
+        terms: ['photo print', 'photo printing', 'picture print', 'print photo', 'print pics', 'passport photo', 'polaroid', 'retro print', 'collage'],
+        aliases: ['फोटो प्रिंट'],
+        broadTerms: ['photo', 'picture', 'pics'],
+        categories: ['photo-prints'],
+        utmCategory: 'photo_prints'
+    },
+    {
+        id: 'photo-frames', name: 'Photo Frames',
+        catalogKeys: ['photoFrames', 'photoframes'],
+        terms: ['photo frame', 'picture frame'],
+        broadTerms: ['frame'],
+        categories: ['photo-frames', 'led-photo-frames', 'selfie-frames']
+    },
+    {
+        id: 'photo-books', name: 'Photo Books',
+        catalogKeys: ['photoBooks', 'photobook'],
+        terms: ['photo book', 'photobook', 'album'],
+        categories: ['photobook']
+    },
+    {
+        id: 'canvas-prints', name: 'Canvas Prints',
+        catalogKeys: ['canvas'],
+        terms: ['canvas', 'canvas print', 'wall art'],
+        categories: ['canvas']
+    },
+    {
+        id: 'acrylic-prints', name: 'Acrylic Prints',
+        catalogKeys: ['acrylicPrints', 'acrylicprints'],
+        terms: ['acrylic print', 'acrylic'],
+        categories: ['acrylic-prints']
+    },
+
+    // MARKETING MATERIALS
+    {
+        id: 'flyers', name: 'Flyers & Leaflets',
+        // The current manual catalog files flyers under "brochures"
+        catalogKeys: ['flyers', 'flyersandleaflets', 'brochures'],
+        terms: ['flyer', 'flier', 'leaflet', 'pamphlet', 'handbill'],
+        typos: ['flyr', 'pamplet', 'pamphelt', 'leaflat'],
+        aliases: ['parcha', 'parchi', 'पर्चा', 'पैम्फलेट'],
+        categories: ['flyers-and-leaflets'],
+        utmCategory: 'flyers'
+    },
+    {
+        id: 'brochures', name: 'Brochures',
+        catalogKeys: ['brochures', 'foldedflyers'],
+        terms: ['brochure', 'folded flyer', 'folded leaflet'],
+        typos: ['broucher', 'brouchure', 'brochre', 'brocher'],
+        categories: ['folded-flyers', 'premium-finish-brochures'],
+        utmCategory: 'brochures'
+    },
+    {
+        id: 'booklets', name: 'Booklets & Catalogues',
+        catalogKeys: ['booklets'],
+        terms: ['booklet', 'magazine', 'catalog', 'catalogue'],
+        categories: ['booklets']
+    },
+    {
+        id: 'banners', name: 'Banners & Signage',
+        catalogKeys: ['banners', 'signagesandbanners'],
+        terms: ['banner', 'flex', 'signage', 'hoarding', 'billboard'],
+        typos: ['baner', 'bannr', 'benner'],
+        aliases: ['बैनर', 'फ्लेक्स'],
+        categories: ['banners', 'signages-and-banners', 'sun-board-signs'],
+        utmCategory: 'banners'
+    },
+    {
+        id: 'standees', name: 'Standees',
+        catalogKeys: ['standees', 'rollupstandees'],
+        terms: ['standee', 'roll up', 'rollup', 'roll-up standee'],
+        broadTerms: ['stand'],
+        categories: ['standees'],
+        utmCategory: 'banners'
+    },
+    {
+        id: 'posters', name: 'Posters',
+        catalogKeys: ['posters'],
+        terms: ['poster'],
+        typos: ['postar', 'postor'],
+        aliases: ['पोस्टर'],
+        categories: ['posters', 'premium-posters'],
+        utmCategory: 'posters'
+    },
+    {
+        id: 'danglers', name: 'Danglers',
+        catalogKeys: ['danglers'],
+        terms: ['dangler', 'wobbler'],
+        categories: ['danglers']
+    },
+    {
+        id: 'menu-cards', name: 'Menu Cards',
+        catalogKeys: ['menuCards', 'menucards'],
+        terms: ['menu card'],
+        broadTerms: ['menu'],
+        categories: ['tent-card']
+    },
+
+    // INVITATIONS & CARDS
+    {
+        id: 'wedding-cards', name: 'Invitations',
+        catalogKeys: ['invitations'],
+        terms: ['invitation', 'invite', 'wedding invitation', 'wedding invite', 'wedding card', 'marriage invitation', 'birthday invitation', 'greeting card'],
+        typos: ['invitaion', 'invitaton', 'weding card'],
+        aliases: ['shaadi card', 'shadi card', 'shaadi ka card', 'nimantran', 'kankotri', 'lagna patrika', 'शादी कार्ड', 'निमंत्रण'],
+        broadTerms: ['wedding', 'marriage'],
+        categories: ['invitations', 'premium-invitation-cards', 'greeting-cards'],
+        utmCategory: 'wedding_inv'
+    },
+    {
+        id: 'cards', name: 'Cards',
+        catalogKeys: ['cards'],
+        terms: ['thank you card', 'save the date', 'calendar card'],
+        broadTerms: ['card'],
+        categories: ['cards', 'premium-finish-cards']
+    },
+
+    // STATIONERY
+    {
+        id: 'notebooks', name: 'Notebooks',
+        catalogKeys: ['notebooks'],
+        terms: ['notebook', 'note book', 'sketch book'],
+        typos: ['notbook'],
+        categories: ['notebooks', 'premium-notebooks', 'casebound-notebook', 'sketch-books'],
+        utmCategory: 'notebooks'
+    },
+    {
+        id: 'diaries', name: 'Diaries',
+        catalogKeys: ['diaries', 'calendarsanddiaries', 'casebounddiaries', 'wireodiaries'],
+        terms: ['diary', 'diaries', 'case bound diary', 'case-bound diary', 'wiro diary', 'wire o diary', 'planner'],
+        aliases: ['डायरी'],
+        categories: ['case-bound-diaries', 'wire-o-diaries'],
+        utmCategory: 'notebooks'
+    },
+    {
+        id: 'notepads', name: 'Notepads',
+        catalogKeys: ['notepads'],
+        terms: ['notepad', 'note pad', 'memo pad'],
+        categories: ['notepads']
+    },
+    {
+        id: 'calendars', name: 'Calendars',
+        catalogKeys: ['calendars', 'deskcalendars'],
+        terms: ['calendar', 'wall calendar', 'desk calendar', 'desktop calendar', 'table calendar', 'framed calendar'],
+        typos: ['calender'],
+        aliases: ['कैलेंडर'],
+        categories: ['wall-calendars', 'desk-calendars']
+    },
+    {
+        id: 'desktop-items', name: 'Desktop Organisers',
+        catalogKeys: ['desktopItems', 'organisers'],
+        terms: ['desk organizer', 'desk organiser', 'organizer', 'organiser', 'desk stand', 'pen stand'],
+        broadTerms: ['desk', 'desktop'],
+        categories: ['desktop-items', 'organisers']
+    },
+    {
+        id: 'bookmarks', name: 'Bookmarks',
+        catalogKeys: ['bookmarks'],
+        terms: ['bookmark'],
+        categories: ['bookmarks']
+    },
+    {
+        id: 'pens', name: 'Pens',
+        catalogKeys: ['pens'],
+        terms: ['pen'],
+        categories: ['pens']
+    },
+
+    // APPAREL
+    {
+        id: 't-shirts', name: 'T-Shirts',
+        catalogKeys: ['tshirts'],
+        terms: ['tshirt', 't-shirt', 't shirt', 'tee shirt', 'polo', 'apparel'],
+        typos: ['tshrt', 't-shrt', 'tshirtt', 'tishirt'],
+        aliases: ['टी-शर्ट', 'टीशर्ट'],
+        broadTerms: ['shirt', 'tee'],
+        categories: ['t-shirts', 'branded-t-shirts'],
+        utmCategory: 'tshirts'
+    },
+    {
+        id: 'hoodies', name: 'Hoodies & Sweatshirts',
+        catalogKeys: ['hoodies', 'sweatshirtandhoodies'],
+        terms: ['hoodie', 'sweatshirt'],
+        typos: ['hoody'],
+        categories: ['sweatshirt-and-hoodies']
+    },
+    {
+        id: 'jackets', name: 'Jackets',
+        catalogKeys: ['jackets', 'sweatshirtandhoodies'],
+        terms: ['jacket'],
+        categories: ['sweatshirt-and-hoodies']
+    },
+    {
+        id: 'caps', name: 'Caps',
+        catalogKeys: ['caps'],
+        terms: ['cap', 'hat', 'custom cap', 'branded cap'],
+        categories: ['caps']
+    },
+
+    // BAGS
+    {
+        id: 'backpacks', name: 'Backpacks',
+        catalogKeys: ['backpacks'],
+        terms: ['backpack', 'laptop bag'],
+        categories: ['backpacks']
+    },
+    {
+        id: 'laptop-sleeves', name: 'Laptop Sleeves',
+        catalogKeys: ['laptopsleeves'],
+        terms: ['laptop sleeve'],
+        categories: ['laptop-sleeves']
+    },
+    {
+        id: 'bags', name: 'Bags',
+        catalogKeys: ['bags', 'carryBags', 'totebag', 'paperbags', 'cottoncarrybags'],
+        terms: ['tote bag', 'paper bag', 'cotton bag', 'carry bag', 'jute bag'],
+        aliases: ['thaila', 'jhola', 'थैला'],
+        broadTerms: ['bag'],
+        categories: ['tote-bag', 'paper-bags', 'cotton-carry-bags', 'jute-bags', 'custom-retail-paper-bags']
+    },
+    {
+        id: 'courier-bags', name: 'Courier Poly Bags',
+        catalogKeys: ['polyBags', 'courierBags', 'courierpolybag'],
+        terms: ['poly bag', 'courier bag', 'courier cover'],
+        categories: ['courier-poly-bag']
+    },
+
+    // PROMOTIONAL
+    {
+        id: 'mugs', name: 'Mugs',
+        catalogKeys: ['mugs'],
+        terms: ['mug', 'coffee mug', 'photo mug', 'magic mug'],
+        aliases: ['मग'],
+        categories: ['mugs'],
+        utmCategory: 'mugs'
+    },
+    {
+        id: 'drinkware', name: 'Bottles & Sippers',
+        catalogKeys: ['drinkwares', 'sippersandbottles'],
+        terms: ['drinkware', 'bottle', 'sipper', 'flask'],
+        categories: ['drinkwares', 'sippers-and-bottles']
+    },
+    {
+        id: 'keychains', name: 'Keychains',
+        catalogKeys: ['keychains'],
+        terms: ['keychain', 'key chain', 'keyring'],
+        categories: ['keychains', 'acrylic-keychain']
+    },
+    {
+        id: 'button-badges', name: 'Button Badges',
+        catalogKeys: ['buttonBadges', 'buttonbadges'],
+        terms: ['button badge', 'badge'],
+        categories: ['button-badges']
+    },
+    {
+        id: 'magnets', name: 'Magnets',
+        catalogKeys: ['magnets'],
+        terms: ['magnet', 'fridge magnet'],
+        categories: ['magnets']
+    },
+    {
+        id: 'coasters', name: 'Coasters',
+        catalogKeys: ['coasters'],
+        terms: ['coaster'],
+        categories: ['coasters']
+    },
+    {
+        id: 'mousepads', name: 'Mousepads',
+        catalogKeys: ['mousepads'],
+        terms: ['mousepad', 'mouse pad'],
+        categories: ['mousepads']
+    },
+    {
+        id: 'awards', name: 'Awards & Trophies',
+        catalogKeys: ['awards', 'medals'],
+        terms: ['award', 'trophy', 'trophies', 'medal', 'plaque'],
+        typos: ['trophey', 'trofy'],
+        categories: ['awards', 'medals', 'photo-plaque']
+    },
+
+    // STICKERS & LABELS
+    {
+        id: 'stickers', name: 'Stickers & Labels',
+        catalogKeys: ['stickers', 'stickersandlabels', 'labels', 'decals'],
+        terms: ['sticker', 'label', 'decal'],
+        typos: ['stickr', 'stickerr', 'stiker', 'lable'],
+        aliases: ['स्टिकर'],
+        categories: ['stickers-and-labels', 'labels', 'decals', 'sheet-stickers', 'premium-stickers'],
+        utmCategory: 'stickers'
+    },
+    {
+        id: 'hang-tags', name: 'Hang Tags',
+        catalogKeys: ['hangtags'],
+        terms: ['hang tag', 'swing tag'],
+        categories: ['hang-tags', 'premium-hang-tags']
+    },
+
+    // GIFTING & KITS
+    {
+        id: 'gift-hampers', name: 'Gift Hampers',
+        catalogKeys: ['giftHampers', 'gifthampers'],
+        terms: ['hamper', 'gift hamper', 'corporate gift'],
+        broadTerms: ['gift'],
+        categories: ['gift-hampers']
+    },
+    {
+        id: 'new-year-hampers', name: 'New Year Hampers',
+        catalogKeys: ['newYearHampers'],
+        terms: ['new year hamper', 'new year gift'],
+        categories: ['gift-hampers']
+    },
+    {
+        id: 'employee-engagement', name: 'Employee Engagement Kits',
+        catalogKeys: ['employeeEngagement'],
+        terms: ['engagement kit', 'employee engagement', 'employee kit'],
+        categories: ['gift-hampers']
+    },
+    {
+        id: 'joining-kits', name: 'Joining Kits',
+        catalogKeys: ['joiningKits'],
+        terms: ['joining kit', 'employee joining kit', 'welcome kit', 'onboarding kit'],
+        categories: ['gift-hampers']
+    },
+
+    // PACKAGING
+    {
+        id: 'packaging-boxes', name: 'Packaging Boxes',
+        catalogKeys: ['packagingBoxes', 'shippingandflatmailerboxes'],
+        terms: ['packaging box', 'packaging', 'product box', 'mono carton', 'rigid box'],
+        broadTerms: ['box'],
+        categories: ['mono-carton-boxes', 'rigid-boxes']
+    },
+    {
+        id: 'mailer-boxes', name: 'Mailer Boxes',
+        catalogKeys: ['mailerBoxes', 'shippingandflatmailerboxes'],
+        terms: ['mailer box', 'mailer', 'shipping box', 'courier box'],
+        categories: ['shipping-and-flat-mailer-boxes']
+    },
+    {
+        id: 'pizza-boxes', name: 'Pizza Boxes',
+        catalogKeys: ['pizzaBoxes', 'pizzaboxes'],
+        terms: ['pizza box'],
+        categories: ['pizza-boxes']
+    },
+    {
+        id: 'cake-boxes', name: 'Cake Boxes',
+        catalogKeys: ['cakeBoxes', 'foodcakeboxes'],
+        terms: ['cake box'],
+        categories: ['food-cake-boxes']
+    },
+    {
+        id: 'food-boxes', name: 'Food Boxes',
+        catalogKeys: ['foodBoxes', 'foodcakeboxes'],
+        terms: ['food box', 'takeout box'],
+        categories: ['food-cake-boxes']
+    },
+    {
+        id: 'pouches', name: 'Pouches',
+        catalogKeys: ['paperpouches', 'standuppouches'],
+        terms: ['pouch', 'stand up pouch', 'standup pouch'],
+        categories: ['paper-pouches', 'standup-pouches']
+    },
+    {
+        id: 'packing-tape', name: 'Packing Tape',
+        catalogKeys: ['packingTape', 'packingtape'],
+        terms: ['packing tape', 'tape'],
+        categories: ['packing-tape']
+    }
+];
+
+const CATEGORY_BASE_URL = 'https://printo.in/categories/';
+
+// Match kinds, most to least trusted
+const MATCH_TYPES = ['term', 'alias', 'typo', 'broad'];
+
+/**
+ * @private
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Pattern for one term: word boundaries, flexible space/hyphen, optional plural
+ * Non-Latin terms (Devanagari) are matched as plain substrings
+ * @private
+ */
+function termPattern(term) {
+    if (/[^\x00-\x7F]/.test(term)) {
+        return new RegExp(escapeRegExp(term), 'g');
+    }
+
+    const body = term.split(/[\s-]+/).map(escapeRegExp).join('[\\s-]?');
+    return new RegExp(`(?<![a-z0-9])${body}(?:e?s)?(?![a-z0-9])`, 'g');
+}
+
+// Every term of every product, compiled once
+const TERM_INDEX = PRODUCTS.flatMap(product => [
+    ...(product.terms || []).map(term => ({ term, type: 'term' })),
+    ...(product.aliases || []).map(term => ({ term, type: 'alias' })),
+    ...(product.typos || []).map(term => ({ term, type: 'typo' })),
+    ...(product.broadTerms || []).map(term => ({ term, type: 'broad' }))
+].map(entry => ({ ...entry, productId: product.id, pattern: termPattern(entry.term.toLowerCase()) })));
+
+const PRODUCTS_BY_ID = new Map(PRODUCTS.map(product => [product.id, product]));
+
+/**
+ * Public view of a taxonomy product (defaults filled in)
+ * @private
+ */
+function describe(product) {
+    return {
+        id: product.id,
+        name: product.name,
+        mainTerm: product.terms[0],
+        catalogKeys: product.catalogKeys || [],
+        categoryLink: product.categories && product.categories.length > 0 ? CATEGORY_BASE_URL + product.categories[0] : null,
+        utmCategory: product.utmCategory || product.id.replace(/-/g, '_'),
+        sameDay: !!product.sameDay
+    };
+}
+
+/**
+ * All products mentioned in a message
+ * Products named specifically (in message order) - products only matched by a broad word ("print", "card")
+ * are returned only when nothing specific matched, so "t-shirt printing price" is just t-shirts
+ * @param {string} message - Customer message (or product name)
+ * @returns {Array<object>} [{ id, name, catalogKeys, categoryLink, utmCategory, sameDay, broad, matches: [{ term, type, index }] }]
+ *   (index is the position in the message after synonyms are applied)
+ */
+function resolveProducts(message) {
+    const text = toEnglishTerms(message);
+    if (!text.trim()) return [];
+
+    const found = [];
+    TERM_INDEX.forEach(entry => {
+        entry.pattern.lastIndex = 0;
+        let match;
+        while ((match = entry.pattern.exec(text)) !== null) {
+            found.push({ ...entry, index: match.index, end: match.index + match[0].length });
+        }
+    });
+
+    // Longest match wins where matches overlap ("business cards" hides "card"); on equal length the more trusted kind wins
+    found.sort((a, b) => (b.end - b.index) - (a.end - a.index) || MATCH_TYPES.indexOf(a.type) - MATCH_TYPES.indexOf(b.type));
+    const kept = [];
+    found.forEach(match => {
+        if (!kept.some(other => match.index < other.end && other.index < match.end)) {
+            kept.push(match);
+        }
+    });
+
+    // Group by product, in order of first mention
+    const byProduct = new Map();
+    kept.sort((a, b) => a.index - b.index).forEach(match => {
+        if (!byProduct.has(match.productId)) {
+            byProduct.set(match.productId, { ...describe(PRODUCTS_BY_ID.get(match.productId)), matches: [] });
+        }
+        byProduct.get(match.productId).matches.push({ term: match.term, type: match.type, index: match.index });
+    });
+
+    const products = [...byProduct.values()].map(product => ({
+        ...product,
+        broad: product.matches.every(match => match.type === 'broad')
+    }));
+
+    const specific = products.filter(product => !product.broad);
+    return specific.length > 0 ? specific : products;
+}
+
+/**
+ * The main product a message is about (first specific mention)
+ * @param {string} message
+ * @returns {object|null} See resolveProducts
+ */
+function resolveProduct(message) {
+    return resolveProducts(message)[0] || null;
+}
+
+/**
+ * Product for a printo.in URL (matched on /categories/<slug>)
+ * @param {string} url
+ * @returns {object|null}
+ */
+function resolveProductFromUrl(url) {
+    const match = String(url || '').toLowerCase().match(/\/categories\/([a-z0-9-]+)/);
+    if (!match) return null;
+
+    const product = PRODUCTS.find(entry => (entry.categories || []).includes(match[1]));
+    return product ? describe(product) : null;
+}
+
+/**
+ * Taxonomy product by canonical ID
+ * @param {string} id
+ * @returns {object|null}
+ */
+function getProduct(id) {
+    const product = PRODUCTS_BY_ID.get(id);
+    return product ? describe(product) : null;
+}
+
+/**
+ * Every taxonomy product with its words
+ * @returns {Array<object>}
+ */
+function listProducts() {
+    return PRODUCTS.map(product => ({
+        ...describe(product),
+        terms: product.terms || [],
+        typos: product.typos || [],
+        aliases: product.aliases || [],
+        broadTerms: product.broadTerms || [],
+        categories: product.categories || []
+    }));
+}
+
+/**
+ * Products eligible for same-day delivery
+ * @returns {Array<object>}
+ */
+function getSameDayProducts() {
+    return PRODUCTS.filter(product => product.sameDay).map(describe);
+}
+
+/**
+ * Flat { word: [catalogKeys] } map (for code that still wants keyword → products.json keys)
+ * @returns {object}
+ */
+function getKeywordMap() {
+    const map = {};
+    TERM_INDEX.forEach(entry => {
+        const keys = PRODUCTS_BY_ID.get(entry.productId).catalogKeys || [];
+        map[entry.term] = [...new Set([...(map[entry.term] || []), ...keys])];
+    });
+    return map;
+}
+
+module.exports = {
+    resolveProducts,
+    resolveProduct,
+    resolveProductFromUrl,
+    getProduct,
+    listProducts,
+    getSameDayProducts,
+    getKeywordMap
+};
@@ -0,0 +1,67 @@
+/**
+ * Product Taxonomy Admin Endpoints
+ * Inspect the shared product taxonomy and see how a customer message resolves through it
+ */
+
+const express = require('express');
+const { resolveProducts, listProducts } = require('./product-taxonomy');
+const { getManualCatalog } = require('../promptBuilder');
+const { extractProduct } = require('../session-context');
+const { extractPriceKeywords } = require('../price-service');
+const utmBuilder = require('../utm-builder');
+
+/**
+ * Build the taxonomy admin router (mounted at /admin)
+ * @param {Function} protect - protect(role, action) middleware factory from server.js
+ * @returns {express.Router}
+ */
+function createTaxonomyRouter(protect) {
+    const router = express.Router();
+
+    /**
+     * GET /admin/taxonomy
+     * Every product with its terms, typos, aliases and category links
+     */
+    router.get('/taxonomy', protect('viewer', 'taxonomy.list'), (req, res) => {
+        const products = listProducts();
+
+        res.json({
+            success: true,
+            products: products,
+            count: products.length,
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    /**
+     * GET /admin/taxonomy/resolve?message=need 500 visiting cards
+     * What each consumer gets for a message: matched products (and which words matched),
+     * manual catalog entries used in the prompt, session product, price lookup keywords, utm_content
+     */
+    router.get('/taxonomy/resolve', protect('viewer', 'taxonomy.resolve'), (req, res) => {
+        const message = String(req.query.message || '');
+        if (!message.trim()) {
+            return res.status(400).json({ success: false, error: 'MESSAGE_REQUIRED', message: 'message query parameter is required' });
+        }
+
+        const catalog = getManualCatalog();
+        const products = resolveProducts(message).map(product => ({
+            ...product,
+            catalogKeysLoaded: product.catalogKeys.filter(key => catalog[key])
+        }));
+
+        res.json({
+            success: true,
+            message: message,
+            products: products,
+            sessionProduct: extractProduct(message),
+            priceKeywords: extractPriceKeywords(message),
+            utmContent: utmBuilder.detectProductCategory(message),
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createTaxonomyRouter };
@@ -0,0 +1,175 @@
+/**
+ * Product Data Update Tracker
+ * Records every product catalog reload (file watcher or admin) and derives stats / health from that history
+ *
+ * History is persisted to UPDATE_HISTORY_PATH (default data/update-history.json), newest entry last,
+ * capped at MAX_HISTORY entries.
+ */
+
+const { readJSON, writeJSON, dataPath } = require('./json-file');
+
+const MAX_HISTORY = 500;
+
+// Health thresholds
+const STALE_HOURS = parseFloat(process.env.UPDATE_STALE_HOURS) || 48;
+const CRITICAL_CONSECUTIVE_FAILURES = 3;
+const SHRINK_WARNING_RATIO = 0.2;
+
+const historyPath = process.env.UPDATE_HISTORY_PATH || dataPath('update-history.json');
+let history = readJSON(historyPath, []);
+
+/**
+ * Record a product data reload
+ * @param {object} update
+ * @param {string} update.trigger - file_watcher | admin | rollback ...
+ * @param {string} update.actor - Who triggered it (admin key name), if known
+ * @param {boolean} update.success - Outcome
+ * @param {number} update.productsCount - Manual products after the reload
+ * @param {number} update.scrapedCount - Scraped products after the reload
+ * @param {Array<string>} update.categoriesAdded - Categories that appeared
+ * @param {Array<string>} update.categoriesRemoved - Categories that disappeared
+ * @param {string} update.diffId - Stored catalog diff for this reload (see catalog/diff-store.js)
+ * @param {string} update.versionId - Catalog version snapshot (see catalog/catalog-versions.js)
+ * @param {number} update.durationMs - How long the reload took
+ * @param {string} update.error - Failure reason
+ * @returns {object} Stored entry
+ */
+function logUpdate(update) {
+    const entry = {
+        id: 'update_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+        timestamp: new Date().toISOString(),
+        trigger: update.trigger || 'unknown',
+        actor: update.actor || null,
+        success: !!update.success,
+        productsCount: update.productsCount ?? null,
+        scrapedCount: update.scrapedCount ?? null,
+        totalProducts: (update.productsCount || 0) + (update.scrapedCount || 0),
+        categoriesAdded: update.categoriesAdded || [],
+        categoriesRemoved: update.categoriesRemoved || [],
+        diffId: update.diffId || null,
+        versionId: update.versionId || null,
+        durationMs: update.durationMs ?? null,
+        error: update.error || null
+    };
+
+    history.push(entry);
+    if (history.length > MAX_HISTORY) {
+        history = history.slice(-MAX_HISTORY);
+    }
+
+    try {
+        writeJSON(historyPath, history);
+    } catch (error) {
+        console.error('❌ [UPDATE TRACKER] Failed to save update history:', error.message);
+    }
+
+    return entry;
+}
+
+/**
+ * Get recent updates, newest first
+ * @param {number} limit - Max entries (default 10)
+ * @returns {Array<object>}
+ */
+function getHistory(limit = 10) {
+    return history.slice(-limit).reverse();
+}
+
+/**
+ * Aggregate statistics over the whole history
+ * @returns {object}
+ */
+function getStats() {
+    const successful = history.filter(entry => entry.success);
+    const failed = history.filter(entry => !entry.success);
+    const dayAgo = Date.now() - 24 * 60 * 60 * 1000;
+
+    const durations = history.map(entry => entry.durationMs).filter(duration => typeof duration === 'number');
+    const byTrigger = {};
+    history.forEach(entry => {
+        byTrigger[entry.trigger] = (byTrigger[entry.trigger] || 0) + 1;
+    });
+
+    const lastSuccessful = successful[successful.length - 1] || null;
+
+    return {
+        totalUpdates: history.length,
+        successfulUpdates: successful.length,
+        failedUpdates: failed.length,
+        successRate: history.length > 0 ? Math.round((successful.length / history.length) * 1000) / 10 : null,
+        updatesLast24h: history.filter(entry => new Date(entry.timestamp).getTime() >= dayAgo).length,
+        averageDurationMs: durations.length > 0 ? Math.round(durations.reduce((sum, duration) => sum + duration, 0) / durations.length) : null,
+        byTrigger: byTrigger,
+        lastUpdate: history[history.length - 1] || null,
+        lastSuccessfulUpdate: lastSuccessful,
+        lastFailedUpdate: failed[failed.length - 1] || null,
+        currentProducts: lastSuccessful ? {
+            manual: lastSuccessful.productsCount,
+            scraped: lastSuccessful.scrapedCount,
+            total: lastSuccessful.totalProducts
+        } : null
+    };
+}
+
+/**
+ * Health derived from the history
+ * - critical: CRITICAL_CONSECUTIVE_FAILURES reloads in a row failed
+ * - warning: last reload failed, no successful reload in UPDATE_STALE_HOURS, or the catalog shrank sharply
+ * @returns {object} { status: healthy | warning | critical | unknown, issues: [], ... }
+ */
+function getHealthStatus() {
+    if (history.length === 0) {
+        return { status: 'unknown', issues: ['No product updates recorded yet'], checkedAt: new Date().toISOString() };
+    }
+
+    const issues = [];
+    let status = 'healthy';
+    const warn = (issue) => {
+        issues.push(issue);
+        if (status === 'healthy') status = 'warning';
+    };
+
+    // Consecutive failures from the end of the history
+    let consecutiveFailures = 0;
+    for (let i = history.length - 1; i >= 0 && !history[i].success; i--) {
+        consecutiveFailures++;
+    }
+
+    if (consecutiveFailures >= CRITICAL_CONSECUTIVE_FAILURES) {
+        status = 'critical';
+        issues.push(`Last ${consecutiveFailures} product reloads failed`);
+    } else if (consecutiveFailures > 0) {
+        warn(`Last product reload failed: ${history[history.length - 1].error || 'unknown error'}`);
+    }
+
+    const successful = history.filter(entry => entry.success);
+    const lastSuccessful = successful[successful.length - 1];
+    const hoursSinceSuccess = lastSuccessful
+        ? (Date.now() - new Date(lastSuccessful.timestamp).getTime()) / (60 * 60 * 1000)
+        : null;
+
+    if (!lastSuccessful) {
+        warn('No successful product reload recorded');
+    } else if (hoursSinceSuccess > STALE_HOURS) {
+        warn(`No successful product reload in ${Math.round(hoursSinceSuccess)} hours`);
+    }
+
+    // Catalog shrank sharply between the last two successful reloads
+    const previousSuccessful = successful[successful.length - 2];
+    if (lastSuccessful && previousSuccessful && previousSuccessful.totalProducts > 0) {
+        const shrink = (previousSuccessful.totalProducts - lastSuccessful.totalProducts) / previousSuccessful.totalProducts;
+        if (shrink > SHRINK_WARNING_RATIO) {
+            warn(`Catalog shrank by ${Math.round(shrink * 100)}% (${previousSuccessful.totalProducts} → ${lastSuccessful.totalProducts} products)`);
+        }
+    }
+
+    return {
+        status: status,
+        issues: issues,
+        consecutiveFailures: consecutiveFailures,
+        hoursSinceLastSuccess: hoursSinceSuccess !== null ? Math.round(hoursSinceSuccess * 10) / 10 : null,
+        checkedAt: new Date().toISOString()
+    };
+}
+
+module.exports = { logUpdate, getHistory, getStats, getHealthStatus };
@@ -20,26 +20,12 @@
  * utmBuilder.disable();
  */
 
+const { resolveProduct, resolveProductFromUrl, listProducts } = require('./taxonomy/product-taxonomy');
+
 class UTMBuilder {
     constructor() {
         // DISABLED BY DEFAULT - bot works normally
         this.enabled = false;
-
-        // Simple product category patterns
-        this.categoryPatterns = {
-            'business_cards': ['business card', 'visiting card', '/business-cards'],
-            'flyers': ['flyer', 'flier', '/flyers'],
-            'wedding_inv': ['wedding', 'invitation', 'invite', '/invitations'],
-            'banners': ['banner', 'standee', '/banners'],
-            'photo_prints': ['photo print', 'picture print', 'print photo', '/photo-prints'],
-            'binding': ['binding', 'book binding', '/binding'],
-            'stickers': ['sticker', 'label', '/stickers'],
-            'brochures': ['brochure', 'pamphlet', '/brochures'],
-            'posters': ['poster', '/posters'],
-            'tshirts': ['tshirt', 't-shirt', 'tee shirt', '/t-shirts'],
-            'mugs': ['mug', 'coffee mug', '/mugs'],
-            'notebooks': ['notebook', 'diary', '/notebooks']
-        };
     }
 
     /**
@@ -74,16 +60,10 @@ class UTMBuilder {
      */
     detectProductCategory(productName = '', productURL = '') {
         try {
-            // Combine both for better matching
-            const searchText = `${productName} ${productURL}`.toLowerCase();
-
-            // Try to match against patterns
-            for (const [category, patterns] of Object.entries(this.categoryPatterns)) {
-                for (const pattern of patterns) {
-                    if (searchText.includes(pattern)) {
-                        return category;
-                    }
-                }
+            // Product name first, then the /categories/<slug> part of the URL
+            const product = resolveProduct(productName) || resolveProductFromUrl(productURL);
+            if (product) {
+                return product.utmCategory;
             }
 
             // Fallback to 'other' if no match
@@ -191,7 +171,7 @@ class UTMBuilder {
                 utm_campaign: 'product_discovery'
             },
             dynamic_param: 'utm_content (auto-detected from product)',
-            categories: Object.keys(this.categoryPatterns)
+            categories: [...new Set(listProducts().map(product => product.utmCategory))]
         };
     }
 }
@@ -155,6 +155,43 @@ function addUTMToProducts(products) {
     });
 }
 
+/**
+ * Route printo.in links in a response through our click counter (GET /go), so clicks can be
+ * compared per prompt version. Only active when LINK_TRACKING_BASE_URL is set.
+ * @param {string} responseText - Bot response text (after UTM tracking)
+ * @param {string} sessionId - Session the links were sent to
+ * @returns {string} - Response text with tracked links, or the original text
+ */
+function addClickTracking(responseText, sessionId) {
+    const baseUrl = (process.env.LINK_TRACKING_BASE_URL || '').replace(/\/+$/, '');
+    if (!responseText || !baseUrl || !sessionId) return responseText;
+
+    try {
+        const urlRegex = /(https?:\/\/printo\.in[^\s\)]*)/gi;
+        return responseText.replace(urlRegex, (url) => {
+            return `${baseUrl}/go?s=${encodeURIComponent(sessionId)}&u=${encodeURIComponent(url)}`;
+        });
+    } catch (error) {
+        console.warn('⚠️  Error adding click tracking, using original:', error.message);
+        return responseText;
+    }
+}
+
+/**
+ * Is this a printo.in link (the only links /go redirects to)
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isPrintoURL(url) {
+    try {
+        const urlObj = new URL(url);
+        return ['http:', 'https:'].includes(urlObj.protocol) &&
+            (urlObj.hostname === 'printo.in' || urlObj.hostname.endsWith('.printo.in'));
+    } catch (error) {
+        return false;
+    }
+}
+
 /**
  * Check if UTM tracking is enabled
  * @returns {boolean}
@@ -166,6 +203,8 @@ function isUTMEnabled() {
 module.exports = {
     addUTMTracking,
     addUTMToResponse,
+    addClickTracking,
+    isPrintoURL,
     addUTMToProducts,
     extractProductNameFromURL,
     isUTMEnabled,